@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Build the prebuilt search index (search-index.json)
+ * Splits every section in config.navigation.sections into heading,
+ * checklist and resource documents, and every decision tree file into
+ * scenario documents, with core/search-text.js, the same code the browser
+ * uses, so the app can search all sections without loading them first.
+ *
+ * Usage: node build-search-index.js [output]
+ *   output  where to write the index (default search-index.json)
+ * Run it after editing content/*.json; sections changed since the last build
+ * are still found, because the app re-indexes them from their content files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Configuration
+const ROOT = __dirname;
+const CONTENT_DIR = path.join(ROOT, 'content');
+const OUTPUT = path.resolve(ROOT, process.argv[2] || 'search-index.json');
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+async function main() {
+    const { buildSearchIndex } = await import(pathToFileURL(path.join(ROOT, 'core/search-text.js')));
+
+    const config = readJson(path.join(ROOT, 'config.json'));
+    const sections = config.navigation?.sections || [];
+    const contents = {};
+
+    console.log('🔍 Building search index...\n');
+
+    sections.forEach(section => {
+        const file = path.join(CONTENT_DIR, `${section.id}.json`);
+        if (!fs.existsSync(file)) {
+            console.warn(`  ⚠️  ${section.id}: no content file, skipped`);
+            return;
+        }
+        contents[section.id] = readJson(file);
+    });
+
+    const trees = {};
+    (config.modules?.decisionTool?.trees || []).forEach(file => {
+        if (!fs.existsSync(path.join(ROOT, file))) {
+            console.warn(`  ⚠️  ${file}: decision tree file not found, skipped`);
+            return;
+        }
+        trees[file] = readJson(path.join(ROOT, file));
+    });
+
+    const index = buildSearchIndex(contents, trees);
+
+    Object.keys(contents).forEach(sectionId => {
+        const count = type => index.documents.filter(doc => doc.sectionId === sectionId && doc.type === type).length;
+        console.log(`  ✓ ${sectionId}: ${count('heading')} headings, ${count('checklist')} checklist items, ${count('resource')} resources`);
+    });
+
+    Object.keys(trees).forEach(file => {
+        const scenarios = index.documents.filter(doc => doc.source === file).length;
+        console.log(`  ✓ ${file}: ${scenarios} decision scenarios`);
+    });
+
+    fs.writeFileSync(OUTPUT, JSON.stringify(index, null, 2) + '\n');
+    console.log(`\n✨ Wrote ${index.documents.length} documents to ${path.relative(ROOT, OUTPUT)}`);
+}
+
+main().catch(error => {
+    console.error('❌ Search index could not be built:', error.message);
+    process.exitCode = 1;
+});
@@ -1,442 +1,692 @@
-/**
- * SOPApplication - Core application controller
- * Version: 3.0.0
- * 
- * This is the main application class that bootstraps the SOP platform,
- * manages modules, handles state, and coordinates all components.
- */
-
-import { Router } from './router.js';
-import { StateManager } from './state.js';
-import { ModuleLoader } from './loader.js';
-import { Navigation } from './navigation.js';
-import { SectionManager } from './sections.js';
-import { SearchEngine } from './search.js';
-import { StorageManager } from './storage.js';
-import { ProgressTracker } from './progress.js';
-import { PWAManager } from './pwa.js';
-
-export class SOPApplication {
-    constructor(config) {
-        this.config = config;
-        this.version = config.app?.version || '3.0.0';
-        this.modules = new Map();
-        this.state = null;
-        this.eventBus = new EventTarget();
-        this.initialized = false;
-        
-        // Platform initialization
-    }
-    
-    /**
-     * Initialize the application
-     */
-    async init() {
-        try {
-            // Show loading progress
-            this.updateLoadProgress(10, 'Initializing core...');
-            
-            // Initialize core components
-            await this.initializeCore();
-            this.updateLoadProgress(30, 'Loading content...');
-            
-            // Load SOP content
-            await this.loadContent();
-            this.updateLoadProgress(50, 'Setting up navigation...');
-            
-            // Setup UI components
-            await this.setupUI();
-            this.updateLoadProgress(70, 'Loading modules...');
-            
-            // Load auto-load modules
-            await this.loadAutoModules();
-            this.updateLoadProgress(90, 'Finalizing...');
-            
-            // Final setup
-            this.setupEventListeners();
-            this.initializeRouter();
-            
-            // Mark as initialized
-            this.initialized = true;
-            this.updateLoadProgress(100, 'Ready!');
-            
-            // Hide loader and show app
-            setTimeout(() => {
-                this.hideLoader();
-                this.showApp();
-                this.emit('app:ready');
-            }, 500);
-            
-        } catch (error) {
-            console.error('❌ Failed to initialize application:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
-        }
-    }
-    
-    /**
-     * Initialize core components
-     */
-    async initializeCore() {
-        // Initialize state manager
-        this.state = new StateManager(this);
-        await this.state.init();
-        
-        // Initialize storage
-        this.storage = new StorageManager(this.config.storage);
-        
-        // Initialize module loader
-        this.moduleLoader = new ModuleLoader(this);
-        
-        // Initialize navigation
-        this.navigation = new Navigation(this);
-        
-        // Initialize section manager
-        this.sections = new SectionManager(this);
-        this.sections.init();
-        
-        // Initialize search
-        this.search = new SearchEngine(this);
-        
-        // Initialize progress tracker
-        this.progress = new ProgressTracker(this);
-        this.progress.init();
-        
-        // Initialize PWA manager
-        this.pwa = new PWAManager(this);
-        await this.pwa.init();
-        
-        // Initialize router
-        this.router = new Router(this);
-    }
-    
-    /**
-     * Load SOP content
-     */
-    async loadContent() {
-        try {
-            // In production, this would load from content/*.json files
-            // For now, we'll create mock content
-            this.content = {
-                sections: this.config.navigation.sections,
-                data: {
-                    overview: {
-                        title: "Data Analysis Procedure",
-                        subtitle: "Vendor Spend Analysis & Dashboard Creation",
-                        content: "Welcome to SOP v3.0 - Modern modular architecture"
-                    }
-                    // Additional sections would be loaded from JSON files
-                }
-            };
-            
-            // Store in state
-            this.state.set('content', this.content);
-            
-        } catch (error) {
-            console.error('Failed to load content:', error);
-            throw error;
-        }
-    }
-    
-    /**
-     * Setup UI components
-     */
-    async setupUI() {
-        // Initialize navigation menu
-        await this.navigation.render();
-        
-        // Setup module shortcuts
-        this.setupModuleShortcuts();
-        
-        // Setup search
-        this.search.init();
-        
-        // Setup floating action button
-        this.setupFAB();
-    }
-    
-    /**
-     * Load auto-load modules
-     */
-    async loadAutoModules() {
-        const modules = this.config.modules;
-        const promises = [];
-        
-        for (const [name, config] of Object.entries(modules)) {
-            if (config.enabled && config.autoLoad) {
-                promises.push(this.loadModule(name));
-            }
-        }
-        
-        if (promises.length > 0) {
-            await Promise.all(promises);
-        }
-    }
-    
-    /**
-     * Load a module
-     */
-    async loadModule(moduleName) {
-        try {
-            // Check if already loaded
-            if (this.modules.has(moduleName)) {
-                // Module already loaded
-                return this.modules.get(moduleName);
-            }
-            
-            // Loading module
-            
-            // Load the module
-            const module = await this.moduleLoader.load(moduleName);
-            
-            // Store module reference
-            this.modules.set(moduleName, module);
-            
-            // Initialize module
-            if (module.init) {
-                await module.init(this);
-            }
-            
-            // Emit event
-            this.emit('module:loaded', { name: moduleName, module });
-            
-            // Module loaded successfully
-            return module;
-            
-        } catch (error) {
-            console.error(`❌ Failed to load module ${moduleName}:`, error);
-            this.emit('module:error', { name: moduleName, error });
-            throw error;
-        }
-    }
-    
-    /**
-     * Setup module shortcuts
-     */
-    setupModuleShortcuts() {
-        const shortcuts = document.querySelectorAll('.module-btn');
-        shortcuts.forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const moduleName = e.currentTarget.dataset.module;
-                if (moduleName) {
-                    await this.loadModule(moduleName);
-                    this.emit('module:activated', { name: moduleName });
-                }
-            });
-        });
-    }
-    
-    /**
-     * Setup floating action button
-     */
-    setupFAB() {
-        const fabMain = document.getElementById('fab-main');
-        const fabMenu = document.getElementById('fab-menu');
-        
-        if (fabMain && fabMenu) {
-            fabMain.addEventListener('click', () => {
-                fabMenu.classList.toggle('active');
-                fabMain.classList.toggle('active');
-            });
-            
-            // Setup FAB items
-            const fabItems = document.querySelectorAll('.fab-item');
-            fabItems.forEach(item => {
-                item.addEventListener('click', async (e) => {
-                    const action = e.currentTarget.dataset.action;
-                    fabMenu.classList.remove('active');
-                    fabMain.classList.remove('active');
-                    
-                    switch(action) {
-                        case 'timeline':
-                            await this.loadModule('timeline');
-                            break;
-                        case 'decision':
-                            await this.loadModule('decisionTool');
-                            break;
-                        case 'export':
-                            this.exportReport();
-                            break;
-                    }
-                });
-            });
-        }
-    }
-    
-    /**
-     * Setup event listeners
-     */
-    setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.emit('window:resize');
-        });
-        
-        // Online/offline
-        window.addEventListener('online', () => {
-            this.emit('app:online');
-        });
-        
-        window.addEventListener('offline', () => {
-            this.emit('app:offline');
-        });
-        
-        // Visibility change
-        document.addEventListener('visibilitychange', () => {
-            this.emit('visibility:change', { 
-                hidden: document.hidden 
-            });
-        });
-    }
-    
-    /**
-     * Initialize router
-     */
-    initializeRouter() {
-        this.router.init();
-        
-        // Navigate to initial section
-        const initialSection = this.state.get('currentSection') || 'overview';
-        this.navigate(initialSection);
-    }
-    
-    /**
-     * Navigate to a section
-     */
-    navigate(sectionId) {
-        // Navigate to section
-        this.state.set('currentSection', sectionId);
-        this.sections.showSection(sectionId);
-        this.navigation.setActive(sectionId);
-        this.emit('navigation:change', { section: sectionId });
-    }
-    
-    /**
-     * Update loading progress
-     */
-    updateLoadProgress(percent, message) {
-        const progressBar = document.getElementById('load-progress');
-        const loaderText = document.querySelector('.loader-text');
-        
-        if (progressBar) {
-            progressBar.style.width = percent + '%';
-        }
-        
-        if (loaderText && message) {
-            loaderText.textContent = message;
-        }
-    }
-    
-    /**
-     * Hide loader
-     */
-    hideLoader() {
-        const loader = document.getElementById('app-loader');
-        if (loader) {
-            loader.style.opacity = '0';
-            setTimeout(() => {
-                loader.style.display = 'none';
-            }, 300);
-        }
-    }
-    
-    /**
-     * Show app
-     */
-    showApp() {
-        const app = document.getElementById('app');
-        if (app) {
-            app.style.display = 'flex';
-            setTimeout(() => {
-                app.style.opacity = '1';
-            }, 50);
-        }
-    }
-    
-    /**
-     * Show error message
-     */
-    showError(message) {
-        const loaderText = document.querySelector('.loader-text');
-        if (loaderText) {
-            loaderText.textContent = message;
-            loaderText.style.color = '#ef4444';
-        }
-    }
-    
-    /**
-     * Export report
-     */
-    exportReport() {
-        // Export report
-        this.showToast('Report export coming soon!', 'info');
-    }
-    
-    /**
-     * Show toast notification
-     */
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toast-container');
-        if (!container) return;
-        
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        toast.textContent = message;
-        
-        container.appendChild(toast);
-        
-        setTimeout(() => {
-            toast.classList.add('show');
-        }, 100);
-        
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => {
-                container.removeChild(toast);
-            }, 300);
-        }, 3000);
-    }
-    
-    /**
-     * Emit event
-     */
-    emit(eventName, detail = {}) {
-        const event = new CustomEvent(eventName, { detail });
-        this.eventBus.dispatchEvent(event);
-    }
-    
-    /**
-     * Subscribe to event
-     */
-    on(eventName, callback) {
-        this.eventBus.addEventListener(eventName, callback);
-    }
-    
-    /**
-     * Unsubscribe from event
-     */
-    off(eventName, callback) {
-        this.eventBus.removeEventListener(eventName, callback);
-    }
-    
-    /**
-     * Get current state
-     */
-    getState() {
-        return this.state.getAll();
-    }
-    
-    /**
-     * Public API
-     */
-    get api() {
-        return {
-            loadModule: this.loadModule.bind(this),
-            navigate: this.navigate.bind(this),
-            getState: this.getState.bind(this),
-            showToast: this.showToast.bind(this),
-            on: this.on.bind(this),
-            off: this.off.bind(this),
-            emit: this.emit.bind(this)
-        };
-    }
-}
\ No newline at end of file
+/**
+ * SOPApplication - Core application controller
+ * Version: 3.0.0
+ * 
+ * This is the main application class that bootstraps the SOP platform,
+ * manages modules, handles state, and coordinates all components.
+ */
+
+import { Router } from './router.js';
+import { StateManager } from './state.js';
+import { ThemeManager } from './theme.js';
+import { ModuleLoader } from './loader.js';
+import { Navigation } from './navigation.js';
+import { SectionManager } from './sections.js';
+import { SearchEngine } from './search.js';
+import { StorageManager } from './storage.js';
+import { DataMigrator } from './migrations.js';
+import { LockScreen } from './lock-screen.js';
+import { ProgressTracker } from './progress.js';
+import { PWAManager } from './pwa.js';
+import { ProjectManager } from './projects.js';
+import { ReportGenerator } from './report.js';
+import { HealthMetrics } from './health.js';
+import { BackupManager } from './backup.js';
+import { ProjectCalendar } from './calendar.js';
+import { OfflineQueue } from './offline-queue.js';
+import { SyncManager } from './sync.js';
+import { ContentAuthoring } from './authoring.js';
+
+export class SOPApplication {
+    constructor(config) {
+        this.config = config;
+        this.version = config.app?.version || '3.0.0';
+        this.modules = new Map();
+        this.state = null;
+        this.eventBus = new EventTarget();
+        this.initialized = false;
+        
+        // Platform initialization
+    }
+    
+    /**
+     * Initialize the application
+     */
+    async init() {
+        try {
+            // Show loading progress
+            this.updateLoadProgress(10, 'Initializing core...');
+            
+            // Initialize core components
+            await this.initializeCore();
+            this.updateLoadProgress(30, 'Loading content...');
+            
+            // Load SOP content
+            await this.loadContent();
+            this.updateLoadProgress(50, 'Setting up navigation...');
+            
+            // Setup UI components
+            await this.setupUI();
+            this.updateLoadProgress(70, 'Loading modules...');
+            
+            // Load auto-load modules
+            await this.loadAutoModules();
+            this.updateLoadProgress(90, 'Finalizing...');
+            
+            // Final setup
+            this.setupEventListeners();
+            this.initializeRouter();
+            
+            // Mark as initialized
+            this.initialized = true;
+            this.updateLoadProgress(100, 'Ready!');
+            
+            // Hide loader and show app
+            setTimeout(() => {
+                this.hideLoader();
+                this.showApp();
+                this.emit('app:ready');
+            }, 500);
+        
+        } catch (error) {
+            console.error('❌ Failed to initialize application:', error);
+            
+            if (this.migrator?.failure) {
+                // Saved data could not be upgraded - offer recovery instead of a broken app
+                this.migrator.showRecovery();
+            } else {
+                this.showError('Failed to initialize application. Please refresh the page.');
+            }
+        }
+    }
+    
+    /**
+     * Initialize core components
+     */
+    async initializeCore() {
+        // Initialize storage
+        this.storage = new StorageManager(this.config.storage);
+        await this.storage.init();
+        this.storage.setCloseHandler(() => this.showStorageClosed());
+        
+        // Unlock encrypted storage (config.storage.encryption)
+        this.lockScreen = new LockScreen(this);
+        await this.lockScreen.init();
+        
+        // Upgrade data saved by older versions before anything reads it
+        this.migrator = new DataMigrator(this);
+        this.migrator.run();
+        
+        // Initialize projects (state and progress are stored per project)
+        this.projects = new ProjectManager(this);
+        this.projects.init();
+        
+        // Initialize state manager
+        this.state = new StateManager(this);
+        await this.state.init();
+        
+        // Initialize themes (config.theme)
+        this.theme = new ThemeManager(this);
+        this.theme.init();
+        
+        // Initialize project calendar (business days from kickoff)
+        this.calendar = new ProjectCalendar(this);
+        this.calendar.init();
+        
+        // Initialize module loader
+        this.moduleLoader = new ModuleLoader(this);
+        
+        // Initialize navigation
+        this.navigation = new Navigation(this);
+        
+        // Initialize section manager
+        this.sections = new SectionManager(this);
+        this.sections.init();
+        
+        // Initialize search
+        this.search = new SearchEngine(this);
+        
+        // Initialize progress tracker
+        this.progress = new ProgressTracker(this);
+        await this.progress.init();
+        
+        // Initialize health metrics (daily snapshots for the trend chart)
+        this.health = new HealthMetrics(this);
+        this.health.init();
+        
+        // Initialize report generator
+        this.report = new ReportGenerator(this);
+        
+        // Initialize backup and restore of all engagement data
+        this.backup = new BackupManager(this);
+        
+        // Initialize PWA manager
+        this.pwa = new PWAManager(this);
+        await this.pwa.init();
+        
+        // Initialize offline write queue status
+        this.offlineQueue = new OfflineQueue(this);
+        this.offlineQueue.init();
+        
+        // Initialize shared-server sync (config.sync)
+        this.sync = new SyncManager(this);
+        this.sync.init();
+        
+        // Initialize router (routes are set up in initializeRouter)
+        this.router = new Router(this);
+        
+        // Initialize content authoring mode (features.enableAuthoring)
+        if (this.config.features?.enableAuthoring) {
+            this.authoring = new ContentAuthoring(this);
+            this.authoring.init();
+        }
+    }
+    
+    /**
+     * Load SOP content
+     */
+    async loadContent() {
+        try {
+            // In production, this would load from content/*.json files
+            // For now, we'll create mock content
+            this.content = {
+                sections: this.config.navigation.sections,
+                data: {
+                    overview: {
+                        title: "Data Analysis Procedure",
+                        subtitle: "Vendor Spend Analysis & Dashboard Creation",
+                        content: "Welcome to SOP v3.0 - Modern modular architecture"
+                    }
+                    // Additional sections would be loaded from JSON files
+                }
+            };
+            
+            // Store in state
+            this.state.set('content', this.content);
+        
+        } catch (error) {
+            console.error('Failed to load content:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Setup UI components
+     */
+    async setupUI() {
+        // Initialize navigation menu
+        await this.navigation.render();
+        
+        // Setup project switcher
+        this.projects.renderSwitcher();
+        
+        // Setup module shortcuts
+        this.setupModuleShortcuts();
+        
+        // Setup analyst name button
+        this.setupUserButton();
+        
+        // Setup search
+        this.search.init();
+        
+        // Setup floating action button
+        this.setupFAB();
+    }
+    
+    /**
+     * Load auto-load modules
+     */
+    async loadAutoModules() {
+        const modules = this.config.modules;
+        const promises = [];
+        
+        for (const [name, config] of Object.entries(modules)) {
+            if (config.enabled && config.autoLoad) {
+                promises.push(this.loadModule(name));
+            }
+        }
+        
+        if (promises.length > 0) {
+            await Promise.all(promises);
+        }
+    }
+    
+    /**
+     * Load a module
+     */
+    async loadModule(moduleName) {
+        try {
+            // Check if already loaded
+            if (this.modules.has(moduleName)) {
+                // Module already loaded
+                return this.modules.get(moduleName);
+            }
+            
+            // Loading module
+            
+            // Load the module
+            const module = await this.moduleLoader.load(moduleName);
+            
+            // Store module reference
+            this.modules.set(moduleName, module);
+            
+            // Initialize module
+            if (module.init) {
+                await module.init(this);
+            }
+            
+            // Emit event
+            this.emit('module:loaded', { name: moduleName, module });
+            
+            // Module loaded successfully
+            return module;
+        
+        } catch (error) {
+            console.error(`❌ Failed to load module ${moduleName}:`, error);
+            this.emit('module:error', { name: moduleName, error });
+            throw error;
+        }
+    }
+    
+    /**
+     * Setup module shortcuts
+     */
+    setupModuleShortcuts() {
+        const shortcuts = document.querySelectorAll('.module-btn');
+        shortcuts.forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const moduleName = e.currentTarget.dataset.module;
+                if (moduleName) {
+                    await this.loadModule(moduleName);
+                    this.emit('module:activated', { name: moduleName });
+                }
+            });
+        });
+    }
+    
+    /**
+     * Setup the header button showing and changing the analyst name
+     */
+    setupUserButton() {
+        const button = document.getElementById('userNameBtn');
+        if (!button) return;
+        
+        const update = () => {
+            const user = this.getCurrentUser();
+            button.querySelector('span').textContent = user || 'Set Name';
+            button.title = user
+                ? `Recording changes as ${user}. Click to change.`
+                : 'Set your name so checklist changes and decisions show who made them';
+            button.classList.toggle('user-name-missing', !user);
+        };
+        
+        button.addEventListener('click', () => this.askCurrentUser());
+        this.on('user:changed', update);
+        update();
+    }
+    
+    /**
+     * Setup floating action button
+     */
+    setupFAB() {
+        const fabMain = document.getElementById('fab-main');
+        const fabMenu = document.getElementById('fab-menu');
+        
+        if (fabMain && fabMenu) {
+            fabMain.addEventListener('click', () => {
+                fabMenu.classList.toggle('active');
+                fabMain.classList.toggle('active');
+            });
+            
+            // Setup FAB items
+            const fabItems = document.querySelectorAll('.fab-item');
+            fabItems.forEach(item => {
+                item.addEventListener('click', async (e) => {
+                    const action = e.currentTarget.dataset.action;
+                    fabMenu.classList.remove('active');
+                    fabMain.classList.remove('active');
+                    
+                    switch(action) {
+                        case 'timeline':
+                            await this.loadModule('timeline');
+                            break;
+                        case 'decision':
+                            await this.loadModule('decisionTool');
+                            break;
+                        case 'export':
+                            await this.exportReport();
+                            break;
+                        case 'export-markdown':
+                            await this.exportReport('markdown');
+                            break;
+                        case 'backup':
+                            await this.backup.download();
+                            break;
+                        case 'restore':
+                            this.backup.restore();
+                            break;
+                    }
+                });
+            });
+        }
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Window resize
+        window.addEventListener('resize', () => {
+            this.emit('window:resize');
+        });
+        
+        // Online/offline
+        window.addEventListener('online', () => {
+            this.emit('app:online');
+        });
+        
+        window.addEventListener('offline', () => {
+            this.emit('app:offline');
+        });
+        
+        // Visibility change
+        document.addEventListener('visibilitychange', () => {
+            this.emit('visibility:change', { 
+                hidden: document.hidden 
+            });
+        });
+    }
+    
+    /**
+     * Initialize router
+     */
+    initializeRouter() {
+        // Opens the deep link in the URL, or the last section
+        this.router.init();
+    }
+    
+    /**
+     * Navigate to a section
+     */
+    navigate(sectionId) {
+        // Navigate to section
+        this.state.set('currentSection', sectionId);
+        this.sections.showSection(sectionId);
+        this.navigation.setActive(sectionId);
+        this.emit('navigation:change', { section: sectionId });
+    }
+    
+    /**
+     * Update loading progress
+     */
+    updateLoadProgress(percent, message) {
+        const progressBar = document.getElementById('load-progress');
+        const loaderText = document.querySelector('.loader-text');
+        
+        if (progressBar) {
+            progressBar.style.width = percent + '%';
+        }
+        
+        if (loaderText && message) {
+            loaderText.textContent = message;
+        }
+    }
+    
+    /**
+     * Hide loader
+     */
+    hideLoader() {
+        const loader = document.getElementById('app-loader');
+        if (loader) {
+            loader.style.opacity = '0';
+            setTimeout(() => {
+                loader.style.display = 'none';
+            }, 300);
+        }
+    }
+    
+    /**
+     * Show app
+     */
+    showApp() {
+        const app = document.getElementById('app');
+        if (app) {
+            app.style.display = 'flex';
+            setTimeout(() => {
+                app.style.opacity = '1';
+            }, 50);
+        }
+    }
+    
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const loaderText = document.querySelector('.loader-text');
+        if (loaderText) {
+            loaderText.textContent = message;
+            loaderText.style.color = '#ef4444';
+        }
+    }
+    
+    /**
+     * Export engagement status report (html or markdown)
+     */
+    async exportReport(format = 'html') {
+        try {
+            await this.report.export(format);
+            this.showToast(format === 'markdown' ? 'Markdown summary exported' : 'Status report exported', 'success');
+        } catch (error) {
+            console.error('Report export failed:', error);
+            this.showToast('Report export failed', 'error');
+        }
+    }
+    
+    /**
+     * Show toast notification
+     */
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toast-container');
+        if (!container) return;
+        
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.textContent = message;
+        
+        container.appendChild(toast);
+        
+        setTimeout(() => {
+            toast.classList.add('show');
+        }, 100);
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => {
+                container.removeChild(toast);
+            }, 300);
+        }, 3000);
+    }
+    
+    /**
+     * Show modal dialog
+     */
+    showModal({ title = '', content = '', className = '' } = {}) {
+        const container = document.getElementById('modal-container');
+        if (!container) return null;
+        
+        // Only one modal at a time
+        this.closeModal();
+        
+        container.innerHTML = `
+            <div class="modal-backdrop active"></div>
+            <div class="modal ${className}" role="dialog" aria-modal="true">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button class="modal-close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    ${content}
+                </div>
+            </div>
+        `;
+        
+        const modal = container.querySelector('.modal');
+        container.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal());
+        container.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        
+        this.modalKeyHandler = (e) => {
+            if (e.key === 'Escape') this.closeModal();
+        };
+        document.addEventListener('keydown', this.modalKeyHandler);
+        
+        this.emit('modal:open');
+        return modal;
+    }
+    
+    /**
+     * Ask for a reload once stored data can no longer be saved
+     */
+    showStorageClosed() {
+        const modal = this.showModal({
+            title: '<i class="fas fa-database"></i> Reload Required',
+            className: 'storage-closed-modal',
+            content: `
+                <p>
+                    Saved data was upgraded, reset or encrypted differently in another tab, so
+                    changes made here can no longer be saved. Reload to continue with the current data.
+                </p>
+                <button type="button" class="btn btn-primary" data-action="reload">
+                    <i class="fas fa-redo"></i> Reload
+                </button>
+            `
+        });
+        modal?.querySelector('[data-action="reload"]').addEventListener('click', () => location.reload());
+    }
+    
+    /**
+     * Close modal dialog
+     */
+    closeModal() {
+        const container = document.getElementById('modal-container');
+        if (!container || !container.innerHTML) return;
+        
+        container.innerHTML = '';
+        
+        if (this.modalKeyHandler) {
+            document.removeEventListener('keydown', this.modalKeyHandler);
+            this.modalKeyHandler = null;
+        }
+        
+        this.emit('modal:close');
+    }
+    
+    /**
+     * Emit event
+     */
+    emit(eventName, detail = {}) {
+        const event = new CustomEvent(eventName, { detail });
+        this.eventBus.dispatchEvent(event);
+    }
+    
+    /**
+     * Subscribe to event
+     */
+    on(eventName, callback) {
+        this.eventBus.addEventListener(eventName, callback);
+    }
+    
+    /**
+     * Unsubscribe from event
+     */
+    off(eventName, callback) {
+        this.eventBus.removeEventListener(eventName, callback);
+    }
+    
+    /**
+     * Get current state
+     */
+    getState() {
+        return this.state.getAll();
+    }
+    
+    /**
+     * Get name of the person using this browser (for authorship and audit)
+     */
+    getCurrentUser() {
+        return this.state.get('currentUser') || '';
+    }
+    
+    /**
+     * Set name of the current user
+     */
+    setCurrentUser(name) {
+        const user = String(name || '').trim();
+        this.state.set('currentUser', user);
+        this.emit('user:changed', { user });
+        return user;
+    }
+    
+    /**
+     * Ask for the current user's name in a dialog
+     * Resolves to the saved name, or null when the dialog is closed
+     */
+    askCurrentUser(message = 'Your name is recorded with checklist changes and decisions.') {
+        return new Promise(resolve => {
+            const modal = this.showModal({
+                title: '<i class="fas fa-user"></i> Your Name',
+                className: 'user-name-modal',
+                content: `
+                    <form class="user-name-form">
+                        <label>
+                            ${message}
+                            <input type="text" name="user" autocomplete="name" maxlength="80" required>
+                        </label>
+                        <button type="submit" class="btn btn-primary">Save</button>
+                    </form>
+                `
+            });
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+            
+            const form = modal.querySelector('form');
+            let saved = null;
+            
+            const onClose = () => {
+                this.off('modal:close', onClose);
+                resolve(saved);
+            };
+            this.on('modal:close', onClose);
+            
+            form.user.value = this.getCurrentUser();
+            form.user.focus();
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!form.user.value.trim()) return;
+                saved = this.setCurrentUser(form.user.value);
+                this.closeModal();
+            });
+        });
+    }
+    
+    /**
+     * Public API
+     */
+    get api() {
+        return {
+            loadModule: this.loadModule.bind(this),
+            navigate: this.navigate.bind(this),
+            getState: this.getState.bind(this),
+            getCurrentUser: this.getCurrentUser.bind(this),
+            setCurrentUser: this.setCurrentUser.bind(this),
+            askCurrentUser: this.askCurrentUser.bind(this),
+            showToast: this.showToast.bind(this),
+            showModal: this.showModal.bind(this),
+            closeModal: this.closeModal.bind(this),
+            exportReport: this.exportReport.bind(this),
+            backup: () => this.backup.download(),
+            restore: () => this.backup.restore(),
+            getPendingSync: () => this.offlineQueue.status,
+            retrySync: (id) => this.offlineQueue.retry(id),
+            discardSync: (id) => this.offlineQueue.discard(id),
+            syncNow: () => this.sync.sync(),
+            getSyncStatus: () => this.sync.status,
+            on: this.on.bind(this),
+            off: this.off.bind(this),
+            emit: this.emit.bind(this)
+        };
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * AuditTrail - Per-checkbox change history for quality reviews
+ * Every checkbox change is recorded with the analyst and time; notes with an
+ * optional evidence link can be added from the history popover next to each
+ * checklist item. Entries are append-only and stored per project.
+ */
+
+import { escapeHtml } from './html.js';
+
+export class AuditTrail {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'checkbox_audit';
+        this.maxEntriesPerCheckbox = 100;
+        this.popover = null;
+        this.activeKey = null;
+        this.anchor = null;
+    }
+    
+    /**
+     * Initialize popover handling
+     */
+    init() {
+        // Buttons are re-rendered with every section, so listen once on the document
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.audit-btn');
+            if (button) {
+                e.preventDefault();
+                this.togglePopover(button.dataset.auditKey, button);
+                return;
+            }
+            
+            if (this.popover && !this.popover.hidden && !this.popover.contains(e.target)) {
+                this.closePopover();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closePopover();
+        });
+        
+        this.app.on('project:switched', () => this.closePopover());
+        this.app.on('section:loaded', () => this.closePopover());
+    }
+    
+    /**
+     * Get storage of the active project
+     */
+    getStore() {
+        return this.app.projects?.getStorage() || this.app.storage;
+    }
+    
+    /**
+     * Get the whole log: { "sectionId/checkboxId": [entries] }
+     */
+    getLog() {
+        const log = this.getStore().get(this.storageKey);
+        return log && typeof log === 'object' ? log : {};
+    }
+    
+    /**
+     * Get entries of one checkbox, oldest first
+     */
+    getEntries(key) {
+        return this.getLog()[key] || [];
+    }
+    
+    /**
+     * Get checkbox ticks and unticks made on a local date (YYYY-MM-DD), oldest first
+     */
+    getChangesOn(date) {
+        const changes = [];
+        
+        Object.entries(this.getLog()).forEach(([key, entries]) => {
+            entries
+                .filter(entry => entry.action === 'checked' || entry.action === 'unchecked')
+                .filter(entry => this.app.calendar.formatDate(new Date(entry.at)) === date)
+                .forEach(entry => changes.push({
+                    key,
+                    label: entry.label || key,
+                    checked: entry.action === 'checked',
+                    user: entry.user,
+                    at: entry.at
+                }));
+        });
+        
+        return changes.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    }
+    
+    /**
+     * Append an entry to a checkbox's history
+     * action is "checked", "unchecked" or "note"; user and at default to now
+     * and the current analyst (synced changes pass the remote ones)
+     */
+    record(key, action, { label = '', comment = '', link = '', user = '', at = '' } = {}) {
+        const entry = {
+            action,
+            user: user || this.app.getCurrentUser() || 'Unknown',
+            at: at || new Date().toISOString()
+        };
+        if (label) entry.label = label;
+        if (comment) entry.comment = comment;
+        if (link) entry.link = link;
+        
+        const log = this.getLog();
+        log[key] = [...(log[key] || []), entry].slice(-this.maxEntriesPerCheckbox);
+        this.getStore().set(this.storageKey, log);
+        
+        this.updateButtons(key);
+        if (this.activeKey === key) this.renderPopover();
+        
+        this.app.emit('audit:recorded', { key, entry });
+        return entry;
+    }
+    
+    /**
+     * Add a note to a checkbox's history
+     */
+    addNote(key, comment, link) {
+        comment = String(comment || '').trim();
+        link = String(link || '').trim();
+        
+        if (!comment && !link) {
+            this.app.showToast('Enter a note or an evidence link', 'warning');
+            return null;
+        }
+        if (link && !AuditTrail.isValidLink(link)) {
+            this.app.showToast('Evidence link must start with http:// or https://', 'error');
+            return null;
+        }
+        
+        const label = [...this.getEntries(key)].reverse().find(entry => entry.label)?.label;
+        return this.record(key, 'note', { label, comment, link });
+    }
+    
+    /**
+     * Check if a link is a web URL
+     */
+    static isValidLink(link) {
+        try {
+            return ['http:', 'https:'].includes(new URL(link).protocol);
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * Merge entries from an export, skipping ones already present
+     */
+    import(log) {
+        if (!log || typeof log !== 'object') return 0;
+        
+        const current = this.getLog();
+        let imported = 0;
+        
+        Object.entries(log).forEach(([key, entries]) => {
+            if (!Array.isArray(entries)) return;
+            
+            const existing = current[key] || [];
+            const seen = new Set(existing.map(entry => `${entry.at}|${entry.user}|${entry.action}`));
+            const added = entries.filter(entry =>
+                entry && entry.at && entry.action && !seen.has(`${entry.at}|${entry.user}|${entry.action}`)
+            );
+            
+            if (added.length > 0) {
+                current[key] = [...existing, ...added]
+                    .sort((a, b) => a.at.localeCompare(b.at))
+                    .slice(-this.maxEntriesPerCheckbox);
+                imported += added.length;
+            }
+        });
+        
+        this.getStore().set(this.storageKey, current);
+        return imported;
+    }
+    
+    /**
+     * Add a history button to a checklist item
+     */
+    decorate(checkbox, key) {
+        const item = checkbox.closest('li') || checkbox.parentElement;
+        if (!item || item.querySelector('.audit-btn')) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'audit-btn';
+        button.dataset.auditKey = key;
+        item.appendChild(button);
+        
+        this.renderButton(button);
+    }
+    
+    /**
+     * Update history buttons of a checkbox
+     */
+    updateButtons(key) {
+        document.querySelectorAll('.audit-btn').forEach(button => {
+            if (button.dataset.auditKey === key) this.renderButton(button);
+        });
+    }
+    
+    /**
+     * Render a history button's icon and entry count
+     */
+    renderButton(button) {
+        const count = this.getEntries(button.dataset.auditKey).length;
+        button.title = count === 0 ? 'History: no changes yet' : `History: ${count} entr${count === 1 ? 'y' : 'ies'}`;
+        button.setAttribute('aria-label', button.title);
+        button.classList.toggle('has-entries', count > 0);
+        button.innerHTML = `<i class="fas fa-history"></i>${count > 0 ? `<span>${count}</span>` : ''}`;
+    }
+    
+    /**
+     * Open or close the history popover of a checkbox
+     */
+    togglePopover(key, anchor) {
+        if (this.popover && !this.popover.hidden && this.activeKey === key) {
+            this.closePopover();
+            return;
+        }
+        
+        this.activeKey = key;
+        this.anchor = anchor;
+        this.ensurePopover();
+        this.renderPopover();
+        this.popover.hidden = false;
+        this.positionPopover();
+        this.popover.querySelector('textarea')?.focus();
+    }
+    
+    /**
+     * Close the history popover
+     */
+    closePopover() {
+        if (!this.popover || this.popover.hidden) return;
+        
+        this.popover.hidden = true;
+        this.activeKey = null;
+        this.anchor?.focus();
+        this.anchor = null;
+    }
+    
+    /**
+     * Create the popover element
+     */
+    ensurePopover() {
+        if (this.popover) return;
+        
+        this.popover = document.createElement('div');
+        this.popover.className = 'audit-popover';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.hidden = true;
+        document.body.appendChild(this.popover);
+        
+        this.popover.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            if (this.addNote(this.activeKey, form.comment.value, form.link.value)) {
+                form.reset();
+            }
+        });
+        this.popover.addEventListener('click', (e) => {
+            if (e.target.closest('.audit-close')) this.closePopover();
+        });
+    }
+    
+    /**
+     * Place the popover next to its button, inside the viewport
+     */
+    positionPopover() {
+        if (!this.anchor || !this.anchor.isConnected) return;
+        
+        const rect = this.anchor.getBoundingClientRect();
+        const width = this.popover.offsetWidth;
+        const height = this.popover.offsetHeight;
+        const left = Math.min(Math.max(8, rect.right - width), window.innerWidth - width - 8);
+        const below = rect.bottom + 6;
+        const top = below + height > window.innerHeight - 8 ? Math.max(8, rect.top - height - 6) : below;
+        
+        this.popover.style.left = `${left}px`;
+        this.popover.style.top = `${top}px`;
+    }
+    
+    /**
+     * Render the popover for the active checkbox
+     */
+    renderPopover() {
+        if (!this.popover || !this.activeKey) return;
+        
+        const entries = this.getEntries(this.activeKey);
+        const label = [...entries].reverse().find(entry => entry.label)?.label
+            || document.querySelector(`.audit-btn[data-audit-key="${CSS.escape(this.activeKey)}"]`)
+                ?.closest('li')?.querySelector('label')?.textContent.trim()
+            || this.activeKey;
+        const user = this.app.getCurrentUser();
+        
+        this.popover.innerHTML = `
+            <div class="audit-header">
+                <strong>${escapeHtml(label)}</strong>
+                <button type="button" class="audit-close" aria-label="Close"><i class="fas fa-times"></i></button>
+            </div>
+            ${entries.length === 0
+                ? '<p class="audit-empty">No changes recorded yet.</p>'
+                : `<ol class="audit-list">${[...entries].reverse().map(entry => this.renderEntry(entry)).join('')}</ol>`}
+            <form class="audit-form">
+                <textarea name="comment" rows="2" placeholder="Note for reviewers"></textarea>
+                <input type="url" name="link" placeholder="Evidence link (https://...)">
+                <div class="audit-form-footer">
+                    <span>As ${escapeHtml(user || 'Unknown')}</span>
+                    <button type="submit" class="btn btn-primary btn-sm">Add Note</button>
+                </div>
+            </form>
+        `;
+    }
+    
+    /**
+     * Render one history entry
+     */
+    renderEntry(entry) {
+        const icons = {
+            checked: 'fa-check-square',
+            unchecked: 'fa-square',
+            note: 'fa-comment'
+        };
+        const actions = {
+            checked: 'checked',
+            unchecked: 'unchecked',
+            note: 'added a note'
+        };
+        
+        return `
+            <li class="audit-entry audit-${entry.action}">
+                <i class="far ${icons[entry.action] || 'fa-circle'}"></i>
+                <div>
+                    <div><strong>${escapeHtml(entry.user)}</strong> ${actions[entry.action] || escapeHtml(entry.action)}</div>
+                    <time datetime="${escapeHtml(entry.at)}">${escapeHtml(new Date(entry.at).toLocaleString())}</time>
+                    ${entry.comment ? `<p class="audit-comment">${escapeHtml(entry.comment)}</p>` : ''}
+                    ${entry.link && AuditTrail.isValidLink(entry.link) ? `
+                        <a href="${escapeHtml(entry.link)}" target="_blank" rel="noopener noreferrer">
+                            <i class="fas fa-paperclip"></i> ${escapeHtml(entry.link)}
+                        </a>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+    }
+}
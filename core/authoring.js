@@ -0,0 +1,318 @@
+/**
+ * ContentAuthoring - In-app editor for section content files
+ * Enabled with features.enableAuthoring. Edits a draft of the current
+ * section's title, subtitle, HTML content and checklist items, previews it
+ * through SectionManager.renderSection and validates it as you type.
+ * Nothing is saved: the result is downloaded to replace content/<id>.json.
+ */
+
+import { validateSectionContent, parseCheckboxIds } from './content-validator.js';
+import { escapeHtml } from './html.js';
+
+export class ContentAuthoring {
+    constructor(app) {
+        this.app = app;
+        this.panel = null;
+        this.sectionId = null;
+        this.original = null;
+        this.draft = null;
+        this.dirty = false;
+        this.previewTimer = null;
+        this.previewDelay = 300;
+    }
+    
+    /**
+     * Initialize authoring mode
+     */
+    init() {
+        this.renderButton();
+        
+        // Follow navigation while the editor is open
+        this.app.on('section:loaded', (e) => {
+            const { sectionId } = e.detail;
+            if (!this.isOpen() || sectionId === this.sectionId) return;
+            
+            if (this.dirty) {
+                this.app.showToast(`Unsaved changes to ${this.sectionId} were discarded`, 'warning');
+            }
+            this.load(sectionId);
+        });
+        
+        // Ask before leaving the section with unsaved edits
+        this.app.router.addGuard((to) => {
+            return this.isOpen() && this.dirty && this.isLeavingSection(to)
+                ? 'Leave the editor? Changes that were not downloaded will be lost.'
+                : true;
+        });
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isOpen() && this.dirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+        
+        console.log('✅ Content authoring enabled');
+    }
+    
+    /**
+     * Check if a route replaces the section being edited
+     * Items, headings and resources of the edited section keep the editor open,
+     * and so do search and module routes, which leave the editor and its draft as they are.
+     */
+    isLeavingSection(to) {
+        const segment = this.app.router.parseRoute(to || '').path.split('/')[0];
+        return !['search', 'module', 'decision'].includes(segment) && segment !== this.sectionId;
+    }
+    
+    /**
+     * Render the authoring button in the header
+     */
+    renderButton() {
+        const headerActions = document.querySelector('.header-actions');
+        if (!headerActions || document.getElementById('authoring-btn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'authoring-btn';
+        button.className = 'module-btn';
+        button.title = 'Edit this section';
+        button.innerHTML = '<i class="fas fa-pen"></i> <span>Edit Section</span>';
+        button.addEventListener('click', () => this.isOpen() ? this.close() : this.open());
+        headerActions.prepend(button);
+    }
+    
+    /**
+     * Check if the editor is open
+     */
+    isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+    
+    /**
+     * Open the editor for the current section
+     */
+    async open() {
+        const sectionId = this.app.sections.currentSection;
+        if (!sectionId) {
+            this.app.showToast('Open a section to edit it', 'info');
+            return;
+        }
+        
+        this.renderPanel();
+        this.panel.hidden = false;
+        document.body.classList.add('authoring-active');
+        await this.load(sectionId);
+    }
+    
+    /**
+     * Close the editor and show the published content again
+     */
+    async close() {
+        if (!this.isOpen()) return;
+        if (this.dirty && !confirm('Close the editor? Changes that were not downloaded will be lost.')) {
+            return;
+        }
+        
+        this.panel.hidden = true;
+        document.body.classList.remove('authoring-active');
+        clearTimeout(this.previewTimer);
+        
+        const section = this.app.sections.sections.get(this.sectionId);
+        this.sectionId = null;
+        this.draft = null;
+        this.dirty = false;
+        
+        if (section?.content) {
+            await this.app.sections.renderSection(section);
+        }
+    }
+    
+    /**
+     * Load a section into the editor
+     */
+    async load(sectionId) {
+        const content = await this.app.sections.getContent(sectionId);
+        if (!content) {
+            this.app.showToast(`No content file for ${sectionId}`, 'error');
+            return;
+        }
+        
+        this.sectionId = sectionId;
+        this.original = content;
+        this.draft = JSON.parse(JSON.stringify(content));
+        this.dirty = false;
+        
+        const form = this.panel.querySelector('.authoring-form');
+        form.elements.title.value = this.draft.title || '';
+        form.elements.subtitle.value = this.draft.subtitle || '';
+        form.elements.content.value = this.draft.content || '';
+        form.elements.checklistItems.value = (this.draft.checklistItems || []).join('\n');
+        this.panel.querySelector('.authoring-file').textContent = `content/${sectionId}.json`;
+        
+        this.update();
+    }
+    
+    /**
+     * Read the form into the draft
+     */
+    readForm() {
+        const form = this.panel.querySelector('.authoring-form');
+        const items = form.elements.checklistItems.value
+            .split('\n')
+            .map(id => id.trim())
+            .filter(Boolean);
+        
+        this.draft.title = form.elements.title.value;
+        this.draft.subtitle = form.elements.subtitle.value;
+        this.draft.content = form.elements.content.value;
+        
+        // Sections without checkboxes have no checklistItems key
+        if (items.length > 0 || 'checklistItems' in this.original) {
+            this.draft.checklistItems = items;
+        }
+    }
+    
+    /**
+     * Validate the draft and refresh the preview
+     */
+    update() {
+        const result = validateSectionContent(this.draft, { sectionId: this.sectionId });
+        this.renderResults(result);
+        
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.preview(), this.previewDelay);
+        return result;
+    }
+    
+    /**
+     * Render the draft in place of the section
+     */
+    async preview() {
+        const section = this.app.sections.sections.get(this.sectionId);
+        if (!section || !this.draft) return;
+        
+        await this.app.sections.renderSection({ ...section, content: this.draft }, { preview: true });
+    }
+    
+    /**
+     * Replace checklistItems with the checkbox IDs found in the HTML
+     */
+    syncChecklistItems() {
+        const ids = [...new Set(parseCheckboxIds(this.draft.content))];
+        this.panel.querySelector('.authoring-form').elements.checklistItems.value = ids.join('\n');
+        this.readForm();
+        this.dirty = true;
+        this.update();
+    }
+    
+    /**
+     * Download the draft as the section's content file
+     */
+    download() {
+        this.readForm();
+        const { errors } = this.update();
+        
+        if (errors.length > 0 && !confirm(`The draft has ${errors.length} error(s). Download anyway?`)) {
+            return;
+        }
+        
+        const file = {
+            ...this.draft,
+            lastUpdated: this.app.calendar.formatDate(new Date())
+        };
+        
+        this.app.report.download(JSON.stringify(file, null, 2), `${this.sectionId}.json`, 'application/json');
+        this.dirty = false;
+        this.app.showToast(`Replace content/${this.sectionId}.json with the downloaded file to publish`, 'success');
+    }
+    
+    /**
+     * Discard the draft
+     */
+    revert() {
+        if (this.dirty && !confirm('Discard your changes to this section?')) return;
+        this.load(this.sectionId);
+    }
+    
+    /**
+     * Create the editor panel
+     */
+    renderPanel() {
+        if (this.panel) return;
+        
+        this.panel = document.createElement('aside');
+        this.panel.className = 'authoring-panel';
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="authoring-header">
+                <div>
+                    <h3><i class="fas fa-pen"></i> Edit Section</h3>
+                    <code class="authoring-file"></code>
+                </div>
+                <button type="button" class="authoring-close" aria-label="Close editor"><i class="fas fa-times"></i></button>
+            </div>
+            <form class="authoring-form">
+                <label>Title <input type="text" name="title"></label>
+                <label>Subtitle <input type="text" name="subtitle"></label>
+                <label>Content (HTML) <textarea name="content" rows="14" spellcheck="false"></textarea></label>
+                <label>
+                    Checklist items <small>one checkbox ID per line</small>
+                    <textarea name="checklistItems" rows="6" spellcheck="false"></textarea>
+                </label>
+                <button type="button" class="btn btn-outline btn-sm" data-authoring-action="sync-items">
+                    <i class="fas fa-sync"></i> Use checkbox IDs from content
+                </button>
+            </form>
+            <div class="authoring-results" aria-live="polite"></div>
+            <div class="authoring-actions">
+                <button type="button" class="btn btn-secondary" data-authoring-action="revert">Revert</button>
+                <button type="button" class="btn btn-primary" data-authoring-action="download">
+                    <i class="fas fa-download"></i> Download JSON
+                </button>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+        
+        this.panel.querySelector('.authoring-form').addEventListener('input', () => {
+            this.readForm();
+            this.dirty = true;
+            this.update();
+        });
+        
+        this.panel.addEventListener('click', (e) => {
+            if (e.target.closest('.authoring-close')) {
+                this.close();
+                return;
+            }
+            
+            const action = e.target.closest('[data-authoring-action]')?.dataset.authoringAction;
+            if (action === 'sync-items') this.syncChecklistItems();
+            if (action === 'revert') this.revert();
+            if (action === 'download') this.download();
+        });
+    }
+    
+    /**
+     * Render validation results
+     */
+    renderResults({ errors, warnings }) {
+        const container = this.panel.querySelector('.authoring-results');
+        
+        if (errors.length === 0 && warnings.length === 0) {
+            container.innerHTML = '<p class="authoring-ok"><i class="fas fa-check-circle"></i> No problems found</p>';
+            return;
+        }
+        
+        const render = (problems, type) => problems.map(problem => `
+            <li class="authoring-${type}">
+                <i class="fas ${type === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+                ${problem.path ? `<code>${escapeHtml(problem.path)}</code>` : ''}
+                ${escapeHtml(problem.message)}
+            </li>
+        `).join('');
+        
+        container.innerHTML = `
+            <p><strong>${errors.length} error(s), ${warnings.length} warning(s)</strong></p>
+            <ul>${render(errors, 'error')}${render(warnings, 'warning')}</ul>
+        `;
+    }
+}
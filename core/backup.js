@@ -0,0 +1,527 @@
+/**
+ * BackupManager - Backup and restore of all engagement data as one file
+ * The backup holds every key the StorageManager keeps: projects, checkbox
+ * states, audit log, project and app state, decision history and module
+ * state. Restoring shows how many checkboxes would change per section first,
+ * then either replaces everything or merges the backup into the current data.
+ *
+ * Bundle: { format, version, schemaVersion, appVersion, createdAt, checksum, data }
+ * where checksum is the SHA-256 of JSON.stringify(data)
+ */
+
+import { StorageManager } from './storage.js';
+import { DataMigrator, SCHEMA_VERSION, VERSION_KEY, BACKUP_KEY } from './migrations.js';
+import { escapeHtml } from './html.js';
+
+const FORMAT = 'versatex-sop-backup';
+const BUNDLE_VERSION = 1;
+
+// Kept as they are on this device: upgrade backup, data version, sync bookkeeping
+const LOCAL_KEYS = [BACKUP_KEY, VERSION_KEY];
+const LOCAL_SUFFIXES = ['sync_meta'];
+
+// Same cap as AuditTrail.maxEntriesPerCheckbox
+const MAX_AUDIT_ENTRIES = 100;
+
+export class BackupManager {
+    constructor(app) {
+        this.app = app;
+        this.pending = null;
+    }
+    
+    /**
+     * Check if a key stays on this device instead of going into backups
+     */
+    isLocalKey(key) {
+        return LOCAL_KEYS.includes(key) || LOCAL_SUFFIXES.some(suffix => key.endsWith(`_${suffix}`));
+    }
+    
+    /**
+     * Get all stored data that belongs in a backup
+     */
+    collect() {
+        const data = this.app.storage.export();
+        Object.keys(data).filter(key => this.isLocalKey(key)).forEach(key => delete data[key]);
+        return data;
+    }
+    
+    /**
+     * Build a backup bundle of the current data
+     */
+    async createBundle() {
+        const data = this.collect();
+        
+        return {
+            format: FORMAT,
+            version: BUNDLE_VERSION,
+            schemaVersion: SCHEMA_VERSION,
+            appVersion: this.app.version,
+            createdAt: new Date().toISOString(),
+            checksum: await checksum(data),
+            data
+        };
+    }
+    
+    /**
+     * Download a backup of all engagement data
+     */
+    async download() {
+        try {
+            const bundle = await this.createBundle();
+            const date = bundle.createdAt.slice(0, 10);
+            this.app.report.download(JSON.stringify(bundle, null, 2), `sop-backup-${date}.json`, 'application/json');
+            this.app.showToast('Backup downloaded', 'success');
+        } catch (error) {
+            console.error('❌ Backup failed:', error);
+            this.app.showToast(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Read a backup file, check it and upgrade its data to SCHEMA_VERSION
+     */
+    async readBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a backup file: the file is not valid JSON');
+        }
+        
+        if (!bundle || bundle.format !== FORMAT || !Number.isInteger(bundle.schemaVersion) ||
+            !bundle.data || typeof bundle.data !== 'object') {
+            throw new Error('Not a backup file from this app');
+        }
+        if (bundle.version > BUNDLE_VERSION || bundle.schemaVersion > SCHEMA_VERSION) {
+            throw new Error('This backup was made by a newer version of the app. Reload to update, then try again.');
+        }
+        if (await checksum(bundle.data) !== bundle.checksum) {
+            throw new Error('The backup file is damaged or was edited: its checksum does not match');
+        }
+        
+        return { ...bundle, data: this.upgrade(bundle.data, bundle.schemaVersion) };
+    }
+    
+    /**
+     * Run the data migrations over a backup from an older version
+     */
+    upgrade(data, schemaVersion) {
+        if (schemaVersion === SCHEMA_VERSION) return data;
+        
+        const scratch = new StorageManager({ prefix: this.app.storage.prefix, type: 'memory' });
+        scratch.import(data);
+        scratch.set(VERSION_KEY, schemaVersion);
+        try {
+            new DataMigrator({ storage: scratch }).run();
+        } catch (error) {
+            throw new Error(`The backup could not be upgraded to this version: ${error.message}`);
+        }
+        
+        const upgraded = scratch.export();
+        LOCAL_KEYS.forEach(key => delete upgraded[key]);
+        return upgraded;
+    }
+    
+    /**
+     * Work out the data a restore would leave
+     * 'replace' uses the backup as it is; 'merge' keeps both (see merge)
+     */
+    plan(current, backup, mode) {
+        return mode === 'merge' ? this.merge(current, backup) : { ...backup };
+    }
+    
+    /**
+     * Merge a backup into the current data
+     * Projects only in the backup are added; shared projects are merged per key
+     */
+    merge(current, backup) {
+        const result = { ...current };
+        
+        // Global keys: the current value wins
+        Object.entries(backup).forEach(([key, value]) => {
+            if (!parseProjectKey(key) && !(key in result)) {
+                result[key] = value;
+            }
+        });
+        
+        const currentProjects = getProjects(current);
+        const backupProjects = getProjects(backup);
+        if (currentProjects.length > 0 || backupProjects.length > 0) {
+            result.projects = [
+                ...currentProjects,
+                ...backupProjects.filter(project => !currentProjects.some(p => p.id === project.id))
+            ];
+        }
+        
+        Object.entries(backup).forEach(([key, value]) => {
+            const parsed = parseProjectKey(key);
+            if (!parsed) return;
+            
+            if (!(key in current)) {
+                result[key] = value;
+                return;
+            }
+            result[key] = this.mergeValue(parsed.name, current[key], value, {
+                current: current[`project_${parsed.projectId}_checkbox_audit`],
+                backup: backup[`project_${parsed.projectId}_checkbox_audit`]
+            });
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Merge one project key present on both sides
+     */
+    mergeValue(name, current, backup, audit) {
+        switch (name) {
+            case 'checkbox_states':
+                return mergeCheckboxes(current, backup, audit);
+            case 'checkbox_audit':
+                return mergeAudit(current, backup);
+            case 'decision_history':
+                return mergeList(current, backup, session => session.id || session.createdAt || session.timestamp)
+                    .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+            case 'health_history':
+                return mergeList(current, backup, snapshot => snapshot.date)
+                    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+            default:
+                // Project state and module state: the current value wins
+                return current;
+        }
+    }
+    
+    /**
+     * Count checkbox changes per project and section
+     * Returns [{ projectId, name, status: 'added'|'removed'|'kept', sections: [{ sectionId, title, checked, unchecked }] }]
+     */
+    diff(current, next) {
+        const before = getProjects(current);
+        const after = getProjects(next);
+        const ids = [...new Set([...before, ...after].map(project => project.id))];
+        
+        return ids.map(projectId => {
+            const project = after.find(p => p.id === projectId) || before.find(p => p.id === projectId);
+            const statesBefore = getCheckboxStates(current, projectId);
+            const statesAfter = getCheckboxStates(next, projectId);
+            const sections = new Map();
+            
+            new Set([...Object.keys(statesBefore), ...Object.keys(statesAfter)]).forEach(key => {
+                const checked = Boolean(statesAfter[key]);
+                if (checked === Boolean(statesBefore[key])) return;
+                
+                const sectionId = key.split('/')[0];
+                if (!sections.has(sectionId)) {
+                    sections.set(sectionId, { sectionId, title: this.getSectionTitle(sectionId), checked: 0, unchecked: 0 });
+                }
+                sections.get(sectionId)[checked ? 'checked' : 'unchecked']++;
+            });
+            
+            return {
+                projectId,
+                name: this.app.projects.getDisplayName(project),
+                status: !before.some(p => p.id === projectId) ? 'added'
+                    : !after.some(p => p.id === projectId) ? 'removed' : 'kept',
+                sections: Array.from(sections.values())
+            };
+        });
+    }
+    
+    /**
+     * Get a section title from the navigation config
+     */
+    getSectionTitle(sectionId) {
+        const section = (this.app.config.navigation?.sections || []).find(s => s.id === sectionId);
+        return section ? section.title : sectionId;
+    }
+    
+    /**
+     * Replace the stored data and reload the app with it
+     * New values are written before old keys are removed, and everything is
+     * put back when a write fails. With sync on, restored items that differ
+     * from the current data are queued as this analyst's changes, like edits.
+     */
+    async apply(next) {
+        const storage = this.app.storage;
+        const previous = storage.export();
+        
+        try {
+            const total = Object.keys(next).length;
+            const written = storage.import(next);
+            if (written < total) {
+                throw new Error(`Only ${written} of ${total} entries could be saved; storage may be full`);
+            }
+            this.queueSyncChanges(previous, next);
+            
+            storage.keys()
+                .filter(key => !this.isLocalKey(key) && !(key in next))
+                .forEach(key => storage.remove(key));
+            await storage.flush();
+        } catch (error) {
+            await this.rollback(previous);
+            throw error;
+        }
+        
+        // Every manager reads its data again on start
+        location.reload();
+    }
+    
+    /**
+     * Send restored items that differ from the current data to the team
+     */
+    queueSyncChanges(previous, next) {
+        const sync = this.app.sync;
+        if (!sync?.adapter) return;
+        
+        getProjects(next).forEach(project => {
+            const values = (data) => Object.fromEntries(
+                Object.keys(sync.trackedKeys).map(key => [key, data[`project_${project.id}_${key}`]])
+            );
+            sync.queueRestore(project.id, values(previous), values(next));
+        });
+    }
+    
+    /**
+     * Put back the data stored before a failed restore
+     * Sync bookkeeping comes back with it, dropping changes the restore queued
+     */
+    async rollback(previous) {
+        const storage = this.app.storage;
+        const sync = this.app.sync;
+        
+        if (sync) sync.applying = true;
+        try {
+            storage.keys()
+                .filter(key => !(key in previous))
+                .forEach(key => storage.remove(key));
+            storage.import(previous);
+            await storage.flush();
+            console.log('🗄️ Stored data put back after the failed restore');
+        } catch (error) {
+            console.error('❌ Could not put back the data stored before the restore:', error);
+        } finally {
+            if (sync) sync.applying = false;
+        }
+    }
+    
+    /**
+     * Ask for a backup file and show the restore preview
+     */
+    restore() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            try {
+                const bundle = await this.readBundle(await file.text());
+                this.showPreview(bundle, file.name);
+            } catch (error) {
+                console.error('❌ Could not read backup:', error);
+                this.app.showToast(error.message, 'error');
+            }
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * Show what a restore would change, with the replace/merge choice
+     */
+    showPreview(bundle, fileName) {
+        const current = this.collect();
+        const projectCount = getProjects(bundle.data).length;
+        
+        const modal = this.app.showModal({
+            title: '<i class="fas fa-upload"></i> Restore Backup',
+            className: 'backup-modal',
+            content: `
+                <p class="backup-summary">
+                    <strong>${escapeHtml(fileName)}</strong><br>
+                    Saved ${escapeHtml(new Date(bundle.createdAt).toLocaleString())}
+                    · app ${escapeHtml(bundle.appVersion || 'unknown')}
+                    · ${projectCount} project${projectCount === 1 ? '' : 's'}
+                </p>
+                <fieldset class="backup-modes">
+                    <label>
+                        <input type="radio" name="restore-mode" value="replace" checked>
+                        <span><strong>Replace</strong> - use the backup as it is; changes made since it was saved are lost</span>
+                    </label>
+                    <label>
+                        <input type="radio" name="restore-mode" value="merge">
+                        <span><strong>Merge</strong> - keep current data and add the backup; each checklist item keeps its most recently completed state</span>
+                    </label>
+                </fieldset>
+                <div class="backup-preview"></div>
+                ${this.app.sync?.adapter ? `
+                    <p class="backup-sync-note">
+                        <i class="fas fa-sync-alt"></i>
+                        Restored changes are sent to the team as your changes and replace theirs for the same items.
+                    </p>
+                ` : ''}
+                <div class="backup-actions">
+                    <button type="button" class="btn btn-secondary" data-backup-action="download">
+                        <i class="fas fa-download"></i> Back Up Current Data First
+                    </button>
+                    <button type="button" class="btn btn-primary" data-backup-action="apply">
+                        <i class="fas fa-upload"></i> Restore
+                    </button>
+                </div>
+            `
+        });
+        
+        if (!modal) return;
+        
+        const render = () => {
+            const mode = modal.querySelector('input[name="restore-mode"]:checked').value;
+            this.pending = this.plan(current, bundle.data, mode);
+            modal.querySelector('.backup-preview').innerHTML = this.renderDiff(this.diff(current, this.pending));
+        };
+        render();
+        
+        modal.addEventListener('change', (e) => {
+            if (e.target.name === 'restore-mode') render();
+        });
+        
+        modal.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-backup-action]');
+            if (!button) return;
+            
+            if (button.dataset.backupAction === 'download') {
+                await this.download();
+                return;
+            }
+            
+            button.disabled = true;
+            try {
+                await this.apply(this.pending);
+            } catch (error) {
+                console.error('❌ Restore failed:', error);
+                this.app.showToast(`Restore failed: ${error.message}`, 'error');
+                button.disabled = false;
+            }
+        });
+    }
+    
+    /**
+     * Render checkbox changes per project and section
+     */
+    renderDiff(projects) {
+        const badges = {
+            added: '<span class="badge badge-success">New project</span>',
+            removed: '<span class="badge badge-secondary">Removed</span>'
+        };
+        
+        return projects.map(project => {
+            const rows = project.sections.map(section => `
+                <tr>
+                    <td>${escapeHtml(section.title)}</td>
+                    <td class="backup-count">${section.checked ? `+${section.checked}` : '—'}</td>
+                    <td class="backup-count">${section.unchecked ? `−${section.unchecked}` : '—'}</td>
+                </tr>
+            `).join('');
+            
+            return `
+                <div class="backup-project">
+                    <h4>${escapeHtml(project.name)} ${badges[project.status] || ''}</h4>
+                    ${rows ? `
+                        <table class="backup-table">
+                            <thead><tr><th>Section</th><th>Ticked</th><th>Unticked</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : '<p class="backup-empty">No checklist changes</p>'}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+/**
+ * SHA-256 of the data as hex
+ */
+async function checksum(data) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * "project_<id>_<name>" -> { projectId, name }
+ */
+function parseProjectKey(key) {
+    const match = key.match(/^project_([^_]+)_(.+)$/);
+    return match ? { projectId: match[1], name: match[2] } : null;
+}
+
+function getProjects(data) {
+    return Array.isArray(data.projects) ? data.projects : [];
+}
+
+function getCheckboxStates(data, projectId) {
+    const states = data[`project_${projectId}_checkbox_states`];
+    return states && typeof states === 'object' ? states : {};
+}
+
+/**
+ * Time of the last tick or untick of a checkbox in an audit log
+ */
+function lastChange(log, key) {
+    const entries = (log && log[key]) || [];
+    const change = [...entries].reverse().find(entry => entry.action === 'checked' || entry.action === 'unchecked');
+    return change ? change.at : '';
+}
+
+/**
+ * Per item, the state changed most recently wins; without audit times
+ * for both sides, a completed item stays completed
+ */
+function mergeCheckboxes(current, backup, audit) {
+    const result = { ...backup, ...current };
+    
+    Object.keys(backup).forEach(key => {
+        if (!(key in current) || current[key] === backup[key]) return;
+        
+        const currentAt = lastChange(audit.current, key);
+        const backupAt = lastChange(audit.backup, key);
+        result[key] = currentAt && backupAt
+            ? (backupAt > currentAt ? backup[key] : current[key])
+            : Boolean(current[key] || backup[key]);
+    });
+    
+    return result;
+}
+
+/**
+ * Union of both logs per checkbox, oldest first
+ */
+function mergeAudit(current, backup) {
+    const result = { ...current };
+    
+    Object.entries(backup || {}).forEach(([key, entries]) => {
+        if (!Array.isArray(entries)) return;
+        result[key] = mergeList(result[key] || [], entries, entry => `${entry.at}|${entry.user}|${entry.action}`)
+            .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+            .slice(-MAX_AUDIT_ENTRIES);
+    });
+    
+    return result;
+}
+
+/**
+ * Items of both lists, current ones first, without duplicates by id
+ */
+function mergeList(current, backup, getId) {
+    const list = Array.isArray(current) ? [...current] : [];
+    const seen = new Set(list.map(getId));
+    
+    (Array.isArray(backup) ? backup : []).forEach(item => {
+        if (!seen.has(getId(item))) {
+            seen.add(getId(item));
+            list.push(item);
+        }
+    });
+    
+    return list;
+}
@@ -0,0 +1,229 @@
+/**
+ * ProjectCalendar - Business-day calendar for the active project
+ * Maps project days (1 = kickoff) to calendar dates, skipping weekends
+ * and the holidays in config.calendar: one-off dates in holidays and
+ * yearly holidays in holidayRules, generated for any year.
+ *
+ * Rule: { name, month, day, observed } for a fixed date (observed moves a
+ * Saturday to Friday and a Sunday to Monday) or { name, month, weekday, nth }
+ * for the nth weekday of the month (nth -1 = last).
+ */
+
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+// Upper bound for every day-by-day scan (about ten years)
+const MAX_SCAN_DAYS = 3660;
+
+export class ProjectCalendar {
+    constructor(app) {
+        this.app = app;
+        this.config = app.config.calendar || {};
+        this.workDays = new Set(DEFAULT_WORK_DAYS);
+        this.holidays = new Set(this.config.holidays || []);
+        this.holidayRules = Array.isArray(this.config.holidayRules) ? this.config.holidayRules : [];
+        this.holidaysByYear = new Map();
+    }
+    
+    /**
+     * Initialize calendar
+     */
+    init() {
+        this.workDays = new Set(this.getValidWorkDays(this.config.workDays));
+        this.syncCurrentDay();
+        
+        // Kickoff date is per project
+        this.app.on('project:switched', () => this.syncCurrentDay());
+        this.app.on('project:updated', () => this.syncCurrentDay());
+        
+        console.log('✅ Project calendar initialized');
+    }
+    
+    /**
+     * Check config.calendar.workDays (0 = Sunday ... 6 = Saturday)
+     * Without any valid day nothing would ever be a business day
+     */
+    getValidWorkDays(workDays) {
+        if (workDays === undefined) return DEFAULT_WORK_DAYS;
+        
+        const valid = Array.isArray(workDays)
+            ? workDays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            : [];
+        if (valid.length === 0) {
+            console.warn('⚠️ calendar.workDays has no valid days (0-6); using Monday to Friday');
+            return DEFAULT_WORK_DAYS;
+        }
+        return valid;
+    }
+    
+    /**
+     * Parse a YYYY-MM-DD string as a local date (null when malformed)
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        
+        // Reject dates that roll over, such as 2025-02-30
+        return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]) ? date : null;
+    }
+    
+    /**
+     * Format a date as YYYY-MM-DD
+     */
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Format a date for display (e.g. "Mon, Mar 3")
+     */
+    formatShort(date) {
+        return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    
+    /**
+     * Check if a date is a working day
+     */
+    isBusinessDay(date) {
+        if (!this.workDays.has(date.getDay())) return false;
+        
+        const value = this.formatDate(date);
+        return !this.holidays.has(value) && !this.getRuleHolidays(date.getFullYear()).has(value);
+    }
+    
+    /**
+     * Get the dates of holidayRules in a year (cached per year)
+     */
+    getRuleHolidays(year) {
+        if (!this.holidaysByYear.has(year)) {
+            const dates = new Set();
+            
+            // An observed New Year's Day can fall on December 31 of the year before
+            [year, year + 1].forEach(ruleYear => {
+                this.holidayRules.forEach(rule => {
+                    const date = this.getRuleDate(rule, ruleYear);
+                    if (date && date.getFullYear() === year) {
+                        dates.add(this.formatDate(date));
+                    }
+                });
+            });
+            
+            this.holidaysByYear.set(year, dates);
+        }
+        return this.holidaysByYear.get(year);
+    }
+    
+    /**
+     * Get the date of a holiday rule in a year (null when the rule is invalid)
+     */
+    getRuleDate(rule, year) {
+        const month = rule.month - 1;
+        if (!Number.isInteger(month) || month < 0 || month > 11) return null;
+        
+        if (Number.isInteger(rule.day)) {
+            const date = new Date(year, month, rule.day);
+            if (rule.observed && date.getDay() === 6) date.setDate(date.getDate() - 1);
+            if (rule.observed && date.getDay() === 0) date.setDate(date.getDate() + 1);
+            return date;
+        }
+        
+        if (!Number.isInteger(rule.weekday) || !Number.isInteger(rule.nth) || rule.nth === 0) return null;
+        
+        if (rule.nth > 0) {
+            const date = new Date(year, month, 1);
+            date.setDate(1 + (rule.weekday - date.getDay() + 7) % 7 + (rule.nth - 1) * 7);
+            return date.getMonth() === month ? date : null;
+        }
+        
+        const date = new Date(year, month + 1, 0);
+        date.setDate(date.getDate() - (date.getDay() - rule.weekday + 7) % 7 + (rule.nth + 1) * 7);
+        return date.getMonth() === month ? date : null;
+    }
+    
+    /**
+     * Get the next business day on or after a date (null when there is none)
+     */
+    nextBusinessDay(date) {
+        const next = this.parseDate(date);
+        if (!next) return null;
+        
+        for (let scanned = 0; scanned < MAX_SCAN_DAYS; scanned++) {
+            if (this.isBusinessDay(next)) return next;
+            next.setDate(next.getDate() + 1);
+        }
+        
+        console.warn(`⚠️ No business day within ${MAX_SCAN_DAYS} days of ${this.formatDate(this.parseDate(date))}; check calendar.holidays`);
+        return null;
+    }
+    
+    /**
+     * Get kickoff date of a project (first business day on or after its start date)
+     */
+    getStartDate(project = this.app.projects?.getActive()) {
+        const start = this.parseDate(project?.startDate);
+        return start ? this.nextBusinessDay(start) : null;
+    }
+    
+    /**
+     * Get the calendar date of a project day
+     */
+    getDateForDay(day, project) {
+        const start = this.getStartDate(project);
+        if (!start) return null;
+        
+        const date = new Date(start);
+        let remaining = day - 1;
+        for (let scanned = 0; remaining > 0; scanned++) {
+            if (scanned >= MAX_SCAN_DAYS) return null;
+            date.setDate(date.getDate() + 1);
+            if (this.isBusinessDay(date)) remaining--;
+        }
+        return date;
+    }
+    
+    /**
+     * Get the project day of a calendar date
+     * Returns 0 before kickoff; non-working dates count as the previous business day
+     */
+    getDayForDate(date, project) {
+        const start = this.getStartDate(project);
+        if (!start) return null;
+        
+        const target = this.parseDate(date);
+        if (!target) return null;
+        if (target < start) return 0;
+        
+        let day = 1;
+        const cursor = new Date(start);
+        for (let scanned = 0; cursor < target; scanned++) {
+            if (scanned >= MAX_SCAN_DAYS) return null;
+            cursor.setDate(cursor.getDate() + 1);
+            if (cursor <= target && this.isBusinessDay(cursor)) day++;
+        }
+        return day;
+    }
+    
+    /**
+     * Get today's project day for the active project
+     */
+    getCurrentDay() {
+        return this.getDayForDate(new Date());
+    }
+    
+    /**
+     * Store today's project day in state for other components
+     */
+    syncCurrentDay() {
+        const day = this.getCurrentDay();
+        if (day !== null) {
+            this.app.state.set('currentProjectDay', day);
+        }
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Content validation - Checks section content files (content/*.json)
+ * Works on the raw HTML strings without a DOM so the same checks run in the
+ * authoring panel and in the Node CLI (validate-content.js).
+ *
+ * Every problem is { path, message } where path points into the JSON file,
+ * e.g. "checklistItems[3]" or "content: label for='val-9'".
+ */
+
+const TAG_PATTERN = /<([a-z][\w-]*)\b([^>]*)>/gi;
+const LABEL_PATTERN = /<label\b([^>]*)>([\s\S]*?)<\/label>/gi;
+const ATTR_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse the attributes of a tag
+ */
+export function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTR_PATTERN)) {
+        attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attributes;
+}
+
+/**
+ * Get every element with an id: [{ tag, id, type }]
+ */
+export function parseElements(html) {
+    const elements = [];
+    for (const match of String(html || '').matchAll(TAG_PATTERN)) {
+        const attributes = parseAttributes(match[2]);
+        if (attributes.id) {
+            elements.push({ tag: match[1].toLowerCase(), id: attributes.id, type: (attributes.type || '').toLowerCase() });
+        }
+    }
+    return elements;
+}
+
+/**
+ * Get IDs of checkboxes in document order (duplicates kept)
+ */
+export function parseCheckboxIds(html) {
+    return parseElements(html)
+        .filter(element => element.tag === 'input' && element.type === 'checkbox')
+        .map(element => element.id);
+}
+
+/**
+ * Get labels: [{ for, text }]
+ */
+export function parseLabels(html) {
+    const labels = [];
+    for (const match of String(html || '').matchAll(LABEL_PATTERN)) {
+        labels.push({
+            for: parseAttributes(match[1]).for || null,
+            text: match[2].replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()
+        });
+    }
+    return labels;
+}
+
+/**
+ * Get links and sources referenced by the HTML: [url]
+ */
+export function parseLinks(html) {
+    const links = [];
+    for (const match of String(html || '').matchAll(TAG_PATTERN)) {
+        const attributes = parseAttributes(match[2]);
+        if (attributes.href) links.push(attributes.href);
+        if (attributes.src) links.push(attributes.src);
+    }
+    return links;
+}
+
+/**
+ * Validate one section content file
+ * Returns { errors, warnings, checkboxIds }
+ */
+export function validateSectionContent(content, { sectionId } = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warning = (path, message) => warnings.push({ path, message });
+    
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        error('', 'content file must be a JSON object');
+        return { errors, warnings, checkboxIds: [] };
+    }
+    
+    if (sectionId && content.id !== undefined && content.id !== sectionId) {
+        error('id', `"${content.id}" does not match section "${sectionId}"`);
+    }
+    if (typeof content.title !== 'string' || !content.title.trim()) {
+        error('title', 'title is required');
+    }
+    if (content.subtitle !== undefined && typeof content.subtitle !== 'string') {
+        error('subtitle', 'subtitle must be a string');
+    }
+    if (typeof content.content !== 'string') {
+        error('content', 'content must be an HTML string');
+    }
+    if (content.lastUpdated !== undefined && !DATE_PATTERN.test(content.lastUpdated)) {
+        warning('lastUpdated', `"${content.lastUpdated}" is not a YYYY-MM-DD date`);
+    }
+    
+    const html = typeof content.content === 'string' ? content.content : '';
+    
+    // Checkbox IDs must be unique within the section
+    const checkboxIds = parseCheckboxIds(html);
+    const seen = new Set();
+    checkboxIds.forEach(id => {
+        if (seen.has(id)) {
+            error(`content: checkbox id='${id}'`, `duplicate checkbox ID "${id}"`);
+        }
+        seen.add(id);
+    });
+    
+    // Labels must point at an element in the content
+    const elementIds = new Set(parseElements(html).map(element => element.id));
+    const labelled = new Set();
+    parseLabels(html).forEach(label => {
+        if (label.for === null) return;
+        if (!elementIds.has(label.for)) {
+            error(`content: label for='${label.for}'`, `label "${label.text}" points at missing element "${label.for}"`);
+        }
+        labelled.add(label.for);
+    });
+    seen.forEach(id => {
+        if (!labelled.has(id)) {
+            warning(`content: checkbox id='${id}'`, `checkbox "${id}" has no label`);
+        }
+    });
+    
+    // checklistItems must list exactly the checkboxes in the HTML
+    if (content.checklistItems !== undefined) {
+        if (!Array.isArray(content.checklistItems)) {
+            error('checklistItems', 'checklistItems must be an array of checkbox IDs');
+        } else {
+            const listed = new Set();
+            content.checklistItems.forEach((id, index) => {
+                if (listed.has(id)) {
+                    error(`checklistItems[${index}]`, `"${id}" is listed twice`);
+                } else if (!seen.has(id)) {
+                    error(`checklistItems[${index}]`, `"${id}" has no checkbox in content`);
+                }
+                listed.add(id);
+            });
+            seen.forEach(id => {
+                if (!listed.has(id)) {
+                    error('checklistItems', `checkbox "${id}" in content is missing from checklistItems`);
+                }
+            });
+        }
+    } else if (seen.size > 0) {
+        warning('checklistItems', `${seen.size} checkboxes in content but no checklistItems`);
+    }
+    
+    // Progress groups may only use checkboxes of this section
+    const groups = content.progress?.groups || {};
+    Object.entries(groups).forEach(([groupId, group]) => {
+        (Array.isArray(group?.items) ? group.items : []).forEach((id, index) => {
+            if (!seen.has(id)) {
+                error(`progress.groups.${groupId}.items[${index}]`, `"${id}" has no checkbox in content`);
+            }
+        });
+    });
+    
+    if (content.resources !== undefined && !Array.isArray(content.resources)) {
+        error('resources', 'resources must be an array');
+    }
+    
+    return { errors, warnings, checkboxIds: [...seen] };
+}
@@ -0,0 +1,285 @@
+/**
+ * Storage encryption - AES-GCM with a key derived from a passphrase (PBKDF2)
+ * EncryptedDriver wraps another storage driver: values are kept decrypted in
+ * memory once unlocked and written to the wrapped driver encrypted, so the
+ * StorageManager API stays synchronous.
+ *
+ * Changes other tabs write to the wrapped driver are decrypted into memory as
+ * they arrive. Locking the app does not clear the key or the decrypted values.
+ *
+ * Stored value: "enc1:<iv>:<ciphertext>" (base64), with the full storage key
+ * as additional data so a value cannot be moved to another key.
+ * Key settings are stored unencrypted under ENCRYPTION_KEY:
+ * { version, iterations, salt, check } where check proves the passphrase.
+ */
+
+export const ENCRYPTION_KEY = 'encryption';
+
+const ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const ENVELOPE_PREFIX = 'enc1:';
+const CHECK_TEXT = 'versatex-sop';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Create a key from a new passphrase, with the settings to store
+ */
+export async function createKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    
+    return {
+        key,
+        settings: {
+            version: 1,
+            iterations: ITERATIONS,
+            salt: toBase64(salt),
+            check: await encryptValue(key, CHECK_TEXT, CHECK_TEXT)
+        }
+    };
+}
+
+/**
+ * Derive the key of stored settings; throws 'Wrong passphrase' when it does not match
+ */
+export async function unlockKey(passphrase, settings) {
+    const key = await deriveKey(passphrase, fromBase64(settings.salt), settings.iterations);
+    
+    try {
+        if (await decryptValue(key, CHECK_TEXT, settings.check) === CHECK_TEXT) {
+            return key;
+        }
+    } catch (error) {
+        // AES-GCM rejects data encrypted with another key
+    }
+    throw new Error('Wrong passphrase');
+}
+
+/**
+ * Check if a stored value is encrypted
+ */
+export function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Encrypt a string stored under name
+ */
+export async function encryptValue(key, name, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(name) },
+        key,
+        encoder.encode(value)
+    );
+    return `${ENVELOPE_PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(data))}`;
+}
+
+/**
+ * Decrypt a string stored under name
+ */
+export async function decryptValue(key, name, value) {
+    const [iv, data] = value.slice(ENVELOPE_PREFIX.length).split(':').map(fromBase64);
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(name) },
+        key,
+        data
+    );
+    return decoder.decode(plain);
+}
+
+/**
+ * Driver that encrypts the values of another driver
+ * Only keys starting with prefix are handled; the settings key stays as is.
+ */
+export class EncryptedDriver {
+    constructor(inner, key, prefix) {
+        this.type = inner.type;
+        this.encrypted = true;
+        this.inner = inner;
+        this.key = key;
+        this.prefix = prefix;
+        this.settingsKey = prefix + ENCRYPTION_KEY;
+        this.entries = new Map();
+        this.writing = Promise.resolve();
+        this.receiving = Promise.resolve();
+        this.localWrites = new Map();
+        this.onClose = null;
+        
+        inner.onRemoteChange = (key, value) => this.receive(key, value);
+    }
+    
+    /**
+     * Decrypt every stored entry into memory
+     * Values still in plain text (encryption just turned on) are encrypted
+     */
+    async load() {
+        const keys = this.inner.keys().filter(key => key.startsWith(this.prefix) && key !== this.settingsKey);
+        
+        for (const key of keys) {
+            const value = this.inner.getItem(key);
+            if (!isEncryptedValue(value)) {
+                this.setItem(key, value);
+                continue;
+            }
+            
+            try {
+                this.entries.set(key, await decryptValue(this.key, key, value));
+            } catch (error) {
+                console.error(`❌ Could not decrypt ${key}; it is left as stored`);
+            }
+        }
+        
+        await this.flush();
+    }
+    
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.entries.set(key, value);
+        this.countWrite(key);
+        this.enqueue(async () => {
+            this.inner.setItem(key, await encryptValue(this.key, key, value));
+        }, key);
+    }
+    
+    removeItem(key) {
+        this.entries.delete(key);
+        this.countWrite(key);
+        this.enqueue(async () => this.inner.removeItem(key), key);
+    }
+    
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+    
+    /**
+     * Count a write made in this tab, so older values from other tabs are ignored
+     */
+    countWrite(key) {
+        this.localWrites.set(key, (this.localWrites.get(key) || 0) + 1);
+    }
+    
+    /**
+     * Decrypt a change another tab wrote into memory
+     * Changes are applied in the order they arrive, unless this tab wrote the
+     * key while it was being decrypted.
+     */
+    receive(key, value) {
+        if (!key.startsWith(this.prefix)) return;
+        
+        // The other tab changed the passphrase or turned encryption off
+        if (key === this.settingsKey) {
+            console.error('❌ Encryption settings were changed in another tab');
+            this.onClose?.();
+            return;
+        }
+        
+        // Plain values only appear while another tab turns encryption off
+        if (value !== null && !isEncryptedValue(value)) return;
+        
+        const writes = this.localWrites.get(key) || 0;
+        this.receiving = this.receiving
+            .then(async () => {
+                const decrypted = value === null ? null : await decryptValue(this.key, key, value);
+                if ((this.localWrites.get(key) || 0) !== writes) return;
+                
+                if (decrypted === null) {
+                    this.entries.delete(key);
+                } else {
+                    this.entries.set(key, decrypted);
+                }
+            })
+            .catch(() => console.error(`❌ Could not decrypt ${key} from another tab`));
+    }
+    
+    /**
+     * Run writes one after another so they reach storage in order
+     */
+    enqueue(write, key) {
+        this.writing = this.writing
+            .then(write)
+            .catch(error => console.error(`❌ Failed to save encrypted ${key}:`, error));
+    }
+    
+    /**
+     * Wait until every write has reached the wrapped driver's storage
+     */
+    async flush() {
+        await this.writing;
+        if (this.inner.flush) {
+            await this.inner.flush();
+        }
+    }
+    
+    /**
+     * Encrypt everything again with another key
+     * The new values and settings are written in one go, so storage never
+     * holds a mix of old and new keys
+     */
+    async rekey(key, settings) {
+        const rekeyed = this.writing.then(async () => {
+            const entries = Array.from(this.entries);
+            const values = await Promise.all(entries.map(([name, value]) => encryptValue(key, name, value)));
+            
+            entries.forEach(([name], i) => this.inner.setItem(name, values[i]));
+            this.inner.setItem(this.settingsKey, JSON.stringify(settings));
+            this.key = key;
+        });
+        
+        // Later writes wait for the new key; unlike them, a failed rekey is reported
+        this.writing = rekeyed.catch(() => {});
+        await rekeyed;
+        await this.flush();
+    }
+    
+    /**
+     * Write everything back in plain text and remove the settings
+     * Returns the wrapped driver to use from now on
+     */
+    async decryptAll() {
+        await this.flush();
+        
+        this.inner.onRemoteChange = null;
+        this.entries.forEach((value, key) => this.inner.setItem(key, value));
+        this.inner.removeItem(this.settingsKey);
+        if (this.inner.flush) {
+            await this.inner.flush();
+        }
+        return this.inner;
+    }
+}
+
+/**
+ * Bytes to base64, in chunks to stay under the argument limit
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
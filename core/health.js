@@ -0,0 +1,291 @@
+/**
+ * HealthMetrics - Project health scores and their daily history
+ * Scores are computed from checklist progress, the project day against the
+ * length of the phase plan and the latest Decision Support Tool answers. A
+ * snapshot of every score is kept per day in the project's health_history,
+ * recorded when the app starts and after checklist changes and saved
+ * decisions, whether or not the Health Monitor module is open.
+ */
+
+import { getPlanLength } from './phases.js';
+
+// Weight of each metric in the overall score
+const METRIC_WEIGHTS = {
+    dataQuality: 0.3,
+    timeline: 0.25,
+    resources: 0.25,
+    deliverables: 0.2
+};
+
+// Gates in these sections feed the data quality score
+const DATA_QUALITY_SECTIONS = ['data-collection', 'quality-assessment'];
+
+// Several ticks in a row are saved as one snapshot
+const SNAPSHOT_DELAY = 2000;
+
+export class HealthMetrics {
+    constructor(app) {
+        this.app = app;
+        this.totalDays = getPlanLength();
+        this.historyKey = 'health_history';
+        this.maxHistory = 365;
+        this.snapshotTimer = null;
+    }
+    
+    /**
+     * Record today's snapshot and keep it current
+     */
+    init() {
+        this.recordSnapshot();
+        
+        this.app.on('checkbox:changed', () => this.scheduleSnapshot());
+        this.app.on('decision:saved', () => this.scheduleSnapshot());
+        this.app.on('project:switched', () => this.recordSnapshot());
+        
+        console.log('✅ Health metrics initialized');
+    }
+    
+    /**
+     * Get storage of the active project
+     */
+    getStore() {
+        return this.app.projects?.getStorage() || this.app.storage;
+    }
+    
+    /**
+     * Get the daily snapshots of the active project, oldest first
+     */
+    getHistory() {
+        const history = this.getStore().get(this.historyKey);
+        return Array.isArray(history) ? history : [];
+    }
+    
+    /**
+     * Record a snapshot shortly, once a burst of changes is over
+     */
+    scheduleSnapshot() {
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = setTimeout(() => this.recordSnapshot(), SNAPSHOT_DELAY);
+    }
+    
+    /**
+     * Save today's scores; later calls replace the day's values
+     */
+    recordSnapshot() {
+        clearTimeout(this.snapshotTimer);
+        
+        const result = this.calculate();
+        const date = this.app.calendar.formatDate(new Date());
+        const history = this.getHistory().filter(snapshot => snapshot.date !== date);
+        
+        history.push({
+            date,
+            projectDay: result.projectDay,
+            progress: result.progress,
+            metrics: { ...result.metrics }
+        });
+        history.sort((a, b) => a.date.localeCompare(b.date));
+        
+        this.getStore().set(this.historyKey, history.slice(-this.maxHistory));
+    }
+    
+    /**
+     * Calculate every metric
+     * Returns { metrics, details, progress, projectDay } where a metric is
+     * null while it has no data and details explain each metric
+     */
+    calculate() {
+        const inputs = this.collectInputs();
+        const details = {
+            dataQuality: this.calculateDataQualityScore(inputs),
+            timeline: this.calculateTimelineHealth(inputs),
+            resources: this.calculateResourceHealth(inputs),
+            deliverables: this.calculateDeliverablesHealth(inputs)
+        };
+        
+        const metrics = {};
+        Object.entries(details).forEach(([key, detail]) => {
+            metrics[key] = detail.value;
+        });
+        
+        // Overall health (weighted average of metrics that have data)
+        let total = 0;
+        let weights = 0;
+        Object.entries(METRIC_WEIGHTS).forEach(([key, weight]) => {
+            if (metrics[key] !== null) {
+                total += metrics[key] * weight;
+                weights += weight;
+            }
+        });
+        metrics.overall = weights > 0 ? Math.round(total / weights) : 0;
+        
+        return {
+            metrics,
+            details,
+            progress: inputs.actualProgress,
+            projectDay: inputs.currentDay
+        };
+    }
+    
+    /**
+     * Gather the data the metrics are computed from
+     */
+    collectInputs() {
+        const stats = this.app.progress ? this.app.progress.getStats() : null;
+        
+        return {
+            stats,
+            currentDay: this.getCurrentProjectDay(),
+            actualProgress: stats ? stats.percentage : 0,
+            answers: this.getDecisionAnswers()
+        };
+    }
+    
+    /**
+     * Get the project day, kept current from the kickoff date by the project calendar
+     */
+    getCurrentProjectDay() {
+        return this.app.state.get('currentProjectDay') || 1;
+    }
+    
+    /**
+     * Get the latest answer to each question across the project's decision history
+     */
+    getDecisionAnswers() {
+        const decisionTool = this.app.modules.get('decisionTool');
+        const history = decisionTool ? decisionTool.decisions : (this.getStore().get('decision_history') || []);
+        
+        const answers = {};
+        history.forEach(decision => {
+            Object.entries(decision.answers || {}).forEach(([questionId, value]) => {
+                if (value !== '' && value !== null && value !== undefined) {
+                    answers[questionId] = { value, scenario: decision.scenario, timestamp: decision.timestamp };
+                }
+            });
+        });
+        return answers;
+    }
+    
+    /**
+     * Get a percentage answer clamped to 0-100 (null when unanswered)
+     */
+    getPercentAnswer(answers, questionId) {
+        const answer = answers[questionId];
+        if (!answer) return null;
+        
+        const value = parseFloat(answer.value);
+        return Number.isFinite(value) ? Math.max(0, Math.min(100, Math.round(value))) : null;
+    }
+    
+    /**
+     * Describe where an answer came from
+     */
+    describeAnswer(answers, questionId) {
+        const answer = answers[questionId];
+        return answer ? `${answer.scenario}, ${answer.timestamp}` : '';
+    }
+    
+    /**
+     * Score reported data quality and the data gates
+     */
+    calculateDataQualityScore(inputs) {
+        const parts = [];
+        
+        const completeness = this.getPercentAnswer(inputs.answers, 'completeness');
+        if (completeness !== null) {
+            parts.push({ label: 'Reported data completeness', value: completeness, source: this.describeAnswer(inputs.answers, 'completeness') });
+        }
+        
+        const vendorMatch = this.getPercentAnswer(inputs.answers, 'vendorMatch');
+        if (vendorMatch !== null) {
+            parts.push({ label: 'Vendors matched to master data', value: vendorMatch, source: this.describeAnswer(inputs.answers, 'vendorMatch') });
+        }
+        
+        (inputs.stats?.gates.list || [])
+            .filter(gate => DATA_QUALITY_SECTIONS.includes(gate.sectionId))
+            .forEach(gate => {
+                parts.push({ label: `${gate.title} gate: ${gate.subtitle}`, value: gate.percentage, source: 'Checklist' });
+            });
+        
+        let explanation = 'Average of the data completeness and vendor match answers from the Decision Support Tool and the data collection and quality assessment gates.';
+        if (completeness === null && vendorMatch === null) {
+            explanation += ' Run the Data Quality Assessment scenario to include reported scores.';
+        }
+        
+        return {
+            value: parts.length > 0 ? Math.round(parts.reduce((sum, part) => sum + part.value, 0) / parts.length) : null,
+            inputs: parts.map(part => ({ label: part.label, value: `${part.value}%`, source: part.source })),
+            explanation
+        };
+    }
+    
+    /**
+     * Score how far progress trails the elapsed project days
+     */
+    calculateTimelineHealth(inputs) {
+        const currentDay = inputs.currentDay;
+        const expectedProgress = Math.min(100, Math.round((currentDay / this.totalDays) * 100));
+        const actualProgress = inputs.actualProgress;
+        
+        return {
+            value: Math.max(0, 100 - Math.max(0, expectedProgress - actualProgress)),
+            inputs: [
+                { label: 'Project day', value: `${currentDay} of ${this.totalDays}` },
+                { label: 'Expected progress', value: `${expectedProgress}%` },
+                { label: 'Weighted checklist progress', value: `${actualProgress}%` }
+            ],
+            explanation: '100 minus the points by which weighted checklist progress trails the share of project days elapsed.'
+        };
+    }
+    
+    /**
+     * Score reported resource availability
+     */
+    calculateResourceHealth(inputs) {
+        const availability = this.getPercentAnswer(inputs.answers, 'resourceAvailability');
+        
+        if (availability === null) {
+            return {
+                value: null,
+                inputs: [],
+                explanation: 'No data yet. Answer the resource availability question in the Timeline Risk Assessment scenario of the Decision Support Tool.'
+            };
+        }
+        
+        return {
+            value: availability,
+            inputs: [
+                { label: 'Planned resources available', value: `${availability}%`, source: this.describeAnswer(inputs.answers, 'resourceAvailability') }
+            ],
+            explanation: 'Share of planned resources reported available in the Decision Support Tool.'
+        };
+    }
+    
+    /**
+     * Score the share of complete section checklists
+     */
+    calculateDeliverablesHealth(inputs) {
+        const progress = this.app.progress;
+        let completed = 0;
+        let total = 0;
+        
+        // Each section checklist is one deliverable
+        if (progress) {
+            progress.model.forEach((keys, sectionId) => {
+                const stats = progress.getSectionStats(sectionId);
+                if (stats.total === 0) return;
+                total++;
+                if (stats.completed === stats.total) completed++;
+            });
+        }
+        
+        return {
+            value: total > 0 ? Math.round((completed / total) * 100) : null,
+            inputs: [
+                { label: 'Section checklists complete', value: `${completed} of ${total}` },
+                { label: 'Tasks complete', value: `${inputs.stats?.completed || 0} of ${inputs.stats?.total || 0}` }
+            ],
+            explanation: 'Share of SOP section checklists with every task checked.'
+        };
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * HTML helpers for rendering user-entered, synced and restored text
+ */
+
+/**
+ * Escape text for HTML content and double-quoted attributes
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,299 @@
+/**
+ * LockScreen - Passphrase screens for encrypted storage (config.storage.encryption)
+ * Sets up a passphrase the first time encryption is on, asks for it before
+ * any stored data is read, covers the app after config.storage.lockAfterMinutes
+ * without input (0 turns this off) and changes the passphrase.
+ *
+ * Locking only covers the app: the key and decrypted data stay in memory and
+ * background work such as sync keeps running until the tab is closed.
+ */
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const DEFAULT_LOCK_AFTER_MINUTES = 15;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+export class LockScreen {
+    constructor(app) {
+        this.app = app;
+        this.storage = app.storage;
+        this.config = app.config.storage || {};
+        this.enabled = false;
+        this.locked = false;
+        this.overlay = null;
+        this.lastActivity = Date.now();
+        this.lockAfter = (this.config.lockAfterMinutes ?? DEFAULT_LOCK_AFTER_MINUTES) * 60000;
+    }
+    
+    /**
+     * Unlock (or set up) encrypted storage before the app reads it
+     */
+    async init() {
+        const wanted = Boolean(this.config.encryption);
+        const encrypted = this.storage.isEncrypted();
+        if (!wanted && !encrypted) return;
+        
+        await this.prompt(encrypted ? 'unlock' : 'setup');
+        
+        if (!wanted) {
+            // Turned off in config: data saved while it was on is decrypted once
+            await this.storage.disableEncryption();
+            console.log('🔓 Storage encryption turned off, data decrypted');
+            return;
+        }
+        
+        this.enabled = true;
+        this.startIdleLock();
+        this.renderControls();
+        
+        console.log('🔒 Storage encryption enabled');
+    }
+    
+    /**
+     * Cover the app until the passphrase is entered
+     */
+    lock() {
+        if (!this.enabled || this.locked) return;
+        
+        this.app.closeModal();
+        this.prompt('unlock').then(() => this.app.emit('storage:unlocked'));
+        this.app.emit('storage:locked');
+    }
+    
+    /**
+     * Show the lock screen; resolves once it is dismissed
+     */
+    prompt(mode) {
+        this.locked = true;
+        document.getElementById('app')?.setAttribute('inert', '');
+        
+        return new Promise(resolve => {
+            this.render(mode, resolve);
+        });
+    }
+    
+    /**
+     * Render the lock screen
+     */
+    render(mode, resolve) {
+        const setup = mode === 'setup';
+        const startup = this.storage.isLocked();
+        
+        this.overlay?.remove();
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'lock-screen';
+        this.overlay.innerHTML = `
+            <form class="lock-panel" novalidate>
+                <h1><i class="fas ${setup ? 'fa-shield-alt' : 'fa-lock'}"></i> ${setup ? 'Protect Engagement Data' : 'Locked'}</h1>
+                <p>
+                    ${setup
+                        ? 'Choose a passphrase to encrypt everything this app saves on this device. It cannot be recovered if you forget it.'
+                        : 'Enter your passphrase to unlock engagement data.'}
+                </p>
+                <label>
+                    Passphrase
+                    <input type="password" name="passphrase" autocomplete="${setup ? 'new-password' : 'current-password'}" required>
+                </label>
+                ${setup ? `
+                    <label>
+                        Confirm Passphrase
+                        <input type="password" name="confirm" autocomplete="new-password" required>
+                    </label>
+                ` : ''}
+                <div class="lock-error" role="alert"></div>
+                <div class="lock-actions">
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas ${setup ? 'fa-shield-alt' : 'fa-unlock'}"></i> ${setup ? 'Encrypt &amp; Continue' : 'Unlock'}
+                    </button>
+                    ${startup ? '<button type="button" class="btn btn-outline" data-lock-action="erase">Forgot passphrase?</button>' : ''}
+                </div>
+            </form>
+        `;
+        document.body.appendChild(this.overlay);
+        
+        const form = this.overlay.querySelector('form');
+        form.passphrase.focus();
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (await this.submit(mode, form)) {
+                this.hide();
+                resolve();
+            }
+        });
+        
+        this.overlay.querySelector('[data-lock-action="erase"]')?.addEventListener('click', () => {
+            this.erase();
+        });
+    }
+    
+    /**
+     * Handle the passphrase form; returns true when unlocked
+     */
+    async submit(mode, form) {
+        const button = form.querySelector('button[type="submit"]');
+        const error = form.querySelector('.lock-error');
+        const passphrase = form.passphrase.value;
+        
+        button.disabled = true;
+        error.textContent = '';
+        
+        try {
+            if (mode === 'setup') {
+                this.validateNew(passphrase, form.confirm.value);
+                await this.storage.enableEncryption(passphrase);
+            } else if (this.storage.isLocked()) {
+                await this.storage.unlock(passphrase);
+            } else {
+                await this.storage.checkPassphrase(passphrase);
+            }
+            return true;
+        } catch (err) {
+            error.textContent = this.getErrorMessage(err);
+            form.passphrase.select();
+            return false;
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Check a new passphrase and its confirmation
+     */
+    validateNew(passphrase, confirmation) {
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        }
+        if (passphrase !== confirmation) {
+            throw new Error('The passphrases do not match.');
+        }
+    }
+    
+    /**
+     * Explain a failed unlock or passphrase change
+     */
+    getErrorMessage(error) {
+        if (error.message === 'Wrong passphrase') {
+            return 'Wrong passphrase. Check Caps Lock and try again.';
+        }
+        return error.message;
+    }
+    
+    /**
+     * Remove the lock screen
+     */
+    hide() {
+        this.overlay?.remove();
+        this.overlay = null;
+        this.locked = false;
+        this.lastActivity = Date.now();
+        document.getElementById('app')?.removeAttribute('inert');
+    }
+    
+    /**
+     * Delete all encrypted data when the passphrase is lost
+     */
+    async erase() {
+        const confirmed = confirm(
+            'Without the passphrase the saved data cannot be decrypted.\n\n' +
+            'Delete all saved progress, projects and settings on this device and start over?'
+        );
+        if (!confirmed) return;
+        
+        // Still locked, so this removes the encrypted values and key settings
+        this.storage.clear();
+        await this.storage.flush();
+        location.reload();
+    }
+    
+    /**
+     * Lock after a period without input
+     */
+    startIdleLock() {
+        if (this.lockAfter <= 0) return;
+        
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { capture: true, passive: true });
+        });
+        
+        const check = () => {
+            if (Date.now() - this.lastActivity >= this.lockAfter) {
+                this.lock();
+            }
+        };
+        
+        // Timers are throttled in background tabs, so check on return too
+        setInterval(check, 30000);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) check();
+        });
+    }
+    
+    /**
+     * Render the lock and change passphrase buttons in the header
+     */
+    renderControls() {
+        const container = document.getElementById('lock-controls');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <button type="button" class="module-btn" data-lock-action="lock" title="Lock now">
+                <i class="fas fa-lock"></i> <span>Lock</span>
+            </button>
+            <button type="button" class="module-btn" data-lock-action="change" title="Change passphrase">
+                <i class="fas fa-key"></i>
+            </button>
+        `;
+        
+        container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-lock-action]')?.dataset.lockAction;
+            if (action === 'lock') this.lock();
+            if (action === 'change') this.showChangeDialog();
+        });
+    }
+    
+    /**
+     * Show the change passphrase dialog
+     */
+    showChangeDialog() {
+        const modal = this.app.showModal({
+            title: '<i class="fas fa-key"></i> Change Passphrase',
+            className: 'lock-modal',
+            content: `
+                <form class="lock-change-form" novalidate>
+                    <label>Current Passphrase <input type="password" name="current" autocomplete="current-password" required></label>
+                    <label>New Passphrase <input type="password" name="passphrase" autocomplete="new-password" required></label>
+                    <label>Confirm New Passphrase <input type="password" name="confirm" autocomplete="new-password" required></label>
+                    <p class="lock-hint">All saved data is encrypted again with the new passphrase.</p>
+                    <div class="lock-error" role="alert"></div>
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-key"></i> Change Passphrase</button>
+                </form>
+            `
+        });
+        
+        if (!modal) return;
+        
+        const form = modal.querySelector('form');
+        form.current.focus();
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const button = form.querySelector('button[type="submit"]');
+            const error = form.querySelector('.lock-error');
+            button.disabled = true;
+            error.textContent = '';
+            
+            try {
+                this.validateNew(form.passphrase.value, form.confirm.value);
+                await this.storage.changePassphrase(form.current.value, form.passphrase.value);
+                this.app.closeModal();
+                this.app.showToast('Passphrase changed; data encrypted again', 'success');
+            } catch (err) {
+                error.textContent = this.getErrorMessage(err);
+                button.disabled = false;
+            }
+        });
+    }
+}
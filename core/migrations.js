@@ -0,0 +1,312 @@
+/**
+ * DataMigrator - Schema version of everything the app stores
+ * The version is kept next to the data (storage key 'schema_version'). On
+ * launch, data written by an older version is upgraded by the migrations
+ * below, in order, after a backup of every stored key is taken. If a
+ * migration fails the backup is put back and a recovery screen is shown
+ * instead of starting the app on half-upgraded data; once every migration
+ * has succeeded the backup is removed.
+ *
+ * When a default or the shape of stored data changes, append a migration to
+ * MIGRATIONS; its version becomes the new SCHEMA_VERSION.
+ */
+
+import { escapeHtml } from './html.js';
+
+export const VERSION_KEY = 'schema_version';
+export const BACKUP_KEY = 'migration_backup';
+
+// Keys that moved from the global state into each project's state
+const PROJECT_STATE_KEYS = ['currentProjectDay', 'moduleStates', 'completedChecklists', 'lastMilestone'];
+
+// Keys that moved from the root of storage into each project's storage
+const PROJECT_KEYS = ['checkbox_states', 'decision_history'];
+
+/**
+ * Ordered migrations; migrate(storage) takes data stored at version - 1 to
+ * version, using the root StorageManager. Version 1 is data from before
+ * versioning existed without projects.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Move single-project data into a default project',
+        migrate(storage) {
+            const state = storage.get('state');
+            const projectState = {};
+            if (isPlainObject(state)) {
+                PROJECT_STATE_KEYS.filter(key => key in state).forEach(key => {
+                    projectState[key] = state[key];
+                    delete state[key];
+                });
+            }
+            
+            const keys = PROJECT_KEYS.filter(key => storage.has(key));
+            if (keys.length === 0 && Object.keys(projectState).length === 0) {
+                return; // Nothing to move; the project manager creates the default project
+            }
+            
+            const now = new Date().toISOString();
+            const project = {
+                id: `proj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                name: 'My Engagement',
+                client: '',
+                startDate: now.slice(0, 10),
+                owner: '',
+                status: 'active',
+                createdAt: now,
+                updatedAt: now
+            };
+            const store = storage.namespace(`project_${project.id}`);
+            
+            keys.forEach(key => write(store, key, storage.get(key)));
+            write(store, 'state', projectState);
+            write(storage, 'projects', [project]);
+            write(storage, 'active_project', project.id);
+            
+            keys.forEach(key => storage.remove(key));
+            if (isPlainObject(state)) {
+                write(storage, 'state', state);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Follow the system theme instead of the old navy default',
+        migrate(storage) {
+            // 'navy-professional' was saved as the default, never picked by the user
+            const state = storage.get('state');
+            if (isPlainObject(state) && state.theme === 'navy-professional') {
+                state.theme = 'auto';
+                write(storage, 'state', state);
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Drop the checkbox activity log, now read from the audit trail',
+        migrate(storage) {
+            storage.keys()
+                .filter(key => /^project_.+_checkbox_activity$/.test(key))
+                .forEach(key => storage.remove(key));
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class DataMigrator {
+    constructor(app) {
+        this.app = app;
+        this.storage = app.storage;
+        this.backup = null;
+        this.failure = null;
+    }
+    
+    /**
+     * Upgrade stored data to SCHEMA_VERSION
+     * Throws when a migration fails, after putting the backup back
+     */
+    run() {
+        const stored = this.getStoredVersion();
+        
+        // Nothing stored yet: start at the current version
+        if (stored === null) {
+            write(this.storage, VERSION_KEY, SCHEMA_VERSION);
+            return;
+        }
+        
+        if (stored > SCHEMA_VERSION) {
+            console.warn(`⚠️ Stored data is version ${stored}, newer than this app (${SCHEMA_VERSION}). Reload to update the app.`);
+            return;
+        }
+        
+        const pending = MIGRATIONS.filter(migration => migration.version > stored);
+        if (pending.length === 0) {
+            // Left by an upgrade from before backups were removed on success
+            this.storage.remove(BACKUP_KEY);
+            return;
+        }
+        
+        console.log(`🗄️ Upgrading stored data from version ${stored} to ${SCHEMA_VERSION}...`);
+        this.backup = this.createBackup(stored);
+        
+        for (const migration of pending) {
+            try {
+                migration.migrate(this.storage);
+                write(this.storage, VERSION_KEY, migration.version);
+                console.log(`✅ Migration ${migration.version}: ${migration.description}`);
+            } catch (error) {
+                console.error(`❌ Migration ${migration.version} failed:`, error);
+                this.failure = {
+                    from: stored,
+                    migration,
+                    error,
+                    restored: this.restoreBackup()
+                };
+                throw error;
+            }
+        }
+        
+        // Every migration succeeded: the copy is no longer needed
+        this.storage.remove(BACKUP_KEY);
+    }
+    
+    /**
+     * Get the version of the stored data, or null when nothing is stored
+     */
+    getStoredVersion() {
+        if (this.storage.has(VERSION_KEY)) {
+            const version = Number(this.storage.get(VERSION_KEY));
+            if (Number.isInteger(version) && version >= 1) {
+                return version;
+            }
+            console.warn(`⚠️ Ignoring invalid stored data version: ${this.storage.get(VERSION_KEY)}`);
+        }
+        
+        // Saved before versioning: projects arrived with version 2
+        const keys = this.storage.keys().filter(key => key !== BACKUP_KEY && key !== VERSION_KEY);
+        if (keys.length === 0) return null;
+        return keys.includes('projects') ? 2 : 1;
+    }
+    
+    /**
+     * Copy every stored key before migrating
+     */
+    createBackup(version) {
+        const data = this.storage.export();
+        delete data[BACKUP_KEY];
+        
+        const backup = {
+            version,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        
+        // Still restorable from memory for this launch when storage is full
+        if (!this.storage.set(BACKUP_KEY, backup)) {
+            console.warn('⚠️ Could not store the backup taken before migrating');
+        }
+        return backup;
+    }
+    
+    /**
+     * Put the backup back, replacing whatever the migrations wrote
+     */
+    restoreBackup() {
+        try {
+            this.storage.keys()
+                .filter(key => key !== BACKUP_KEY)
+                .forEach(key => this.storage.remove(key));
+            
+            const data = this.backup.data;
+            const restored = this.storage.import(data) === Object.keys(data).length;
+            console.log(restored ? '🗄️ Stored data restored from backup' : '❌ Some keys could not be restored');
+            return restored;
+        } catch (error) {
+            console.error('❌ Failed to restore backup:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Replace the loading screen with the recovery options
+     */
+    showRecovery() {
+        const container = document.querySelector('#app-loader .loader-content');
+        if (!container || !this.failure) return;
+        
+        const { from, migration, error, restored } = this.failure;
+        container.innerHTML = `
+            <div class="recovery-screen" role="alert">
+                <h1><i class="fas fa-database"></i> Your saved data could not be upgraded</h1>
+                <p>
+                    Upgrading your data from version ${from} to ${SCHEMA_VERSION} failed at
+                    "${escapeHtml(migration.description)}":
+                </p>
+                <pre class="recovery-error">${escapeHtml(error.message)}</pre>
+                <p>
+                    ${restored
+                        ? 'Your data has been put back exactly as it was before the upgrade.'
+                        : 'Some of your data could not be put back. Download the backup before doing anything else.'}
+                </p>
+                <div class="recovery-actions">
+                    <button type="button" class="btn btn-primary" data-recovery-action="download">
+                        <i class="fas fa-download"></i> Download Backup
+                    </button>
+                    <button type="button" class="btn btn-secondary" data-recovery-action="retry">
+                        <i class="fas fa-redo"></i> Try Again
+                    </button>
+                    <button type="button" class="btn btn-outline" data-recovery-action="reset">
+                        <i class="fas fa-trash"></i> Start Fresh
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recovery-action]');
+            if (!button) return;
+            
+            switch (button.dataset.recoveryAction) {
+                case 'download':
+                    this.downloadBackup();
+                    break;
+                case 'retry':
+                    location.reload();
+                    break;
+                case 'reset':
+                    this.reset();
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Download the backup taken before migrating
+     */
+    downloadBackup() {
+        const blob = new Blob([JSON.stringify(this.backup, null, 2)], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sop-data-backup-v${this.backup.version}-${this.backup.createdAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Delete all stored data (except the backup) and start over
+     */
+    async reset() {
+        const confirmed = confirm(
+            'Delete all saved progress, projects and settings and start fresh?\n\n' +
+            'Download the backup first if you may need this data later.'
+        );
+        if (!confirmed) return;
+        
+        this.storage.keys()
+            .filter(key => key !== BACKUP_KEY)
+            .forEach(key => this.storage.remove(key));
+        write(this.storage, VERSION_KEY, SCHEMA_VERSION);
+        await this.storage.flush();
+        location.reload();
+    }
+}
+
+/**
+ * Write a key, throwing when storage refuses it so the migration rolls back
+ */
+function write(storage, key, value) {
+    if (!storage.set(key, value)) {
+        throw new Error(`Could not write ${key} (storage full or unavailable)`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,312 @@
+/**
+ * OfflineQueue - Page-side view of the service worker's offline write queue
+ * Writes to the API made while offline are stored in IndexedDB by the
+ * service worker and replayed in order; this shows what is still pending
+ * and lets the user retry or discard queued changes.
+ */
+
+import { escapeHtml } from './html.js';
+
+export class OfflineQueue {
+    constructor(app) {
+        this.app = app;
+        this.status = { pending: [], failed: [] };
+        this.retryTimer = null;
+        this.modal = null;
+        this.messageTimeout = 5000;
+    }
+    
+    /**
+     * Initialize queue status
+     */
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        // The worker broadcasts every change to the queue
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'SYNC_QUEUE_CHANGED') {
+                this.setStatus(e.data);
+            }
+        });
+        
+        // Replay as soon as the connection comes back
+        window.addEventListener('online', () => this.syncNow());
+        
+        this.renderBadge();
+        
+        // Startup does not wait for the worker: on a first visit it is still
+        // precaching, and it never becomes ready if registration failed
+        this.refresh()
+            .then(() => {
+                if (navigator.onLine && this.status.pending.length > 0) {
+                    this.syncNow();
+                }
+            })
+            .catch(error => console.warn('Offline queue unavailable:', error.message));
+        
+        console.log('✅ Offline queue initialized');
+    }
+    
+    /**
+     * Send a command to the service worker and wait for the queue status
+     */
+    async send(type, data = {}) {
+        const registration = await this.withTimeout(navigator.serviceWorker.ready, 'Service worker is not ready');
+        const worker = navigator.serviceWorker.controller || registration.active;
+        if (!worker) {
+            throw new Error('Service worker is not active');
+        }
+        
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error('Service worker did not respond')), this.messageTimeout);
+            
+            channel.port1.onmessage = (e) => {
+                clearTimeout(timer);
+                if (e.data && e.data.error) {
+                    reject(new Error(e.data.error));
+                } else {
+                    this.setStatus(e.data);
+                    resolve(this.status);
+                }
+            };
+            worker.postMessage({ type, ...data }, [channel.port2]);
+        });
+    }
+    
+    /**
+     * Reject when a promise does not settle within messageTimeout
+     */
+    withTimeout(promise, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), this.messageTimeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+    
+    /**
+     * Reload queue status from the service worker
+     */
+    refresh() {
+        return this.send('SYNC_STATUS');
+    }
+    
+    /**
+     * Replay due requests now
+     */
+    async syncNow() {
+        try {
+            await this.send('SYNC_NOW');
+        } catch (error) {
+            console.warn('Sync failed:', error.message);
+        }
+    }
+    
+    /**
+     * Retry one queued or failed request, or all of them
+     */
+    async retry(id) {
+        try {
+            await this.send('SYNC_RETRY', { id });
+            const left = this.status.pending.length + this.status.failed.length;
+            this.app.showToast(left === 0 ? 'All changes synced' : `${left} change(s) still waiting`, left === 0 ? 'success' : 'info');
+        } catch (error) {
+            this.app.showToast(`Retry failed: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Drop a queued or failed request
+     */
+    async discard(id) {
+        const item = [...this.status.pending, ...this.status.failed].find(entry => entry.id === id);
+        if (!item) return;
+        
+        if (!confirm(`Discard ${item.method} ${this.getPath(item.url)}? This change will not reach the server.`)) {
+            return;
+        }
+        
+        try {
+            await this.send('SYNC_DISCARD', { id });
+            this.app.showToast('Queued change discarded', 'info');
+        } catch (error) {
+            this.app.showToast(`Discard failed: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Get number of changes not yet on the server
+     */
+    getPendingCount() {
+        return this.status.pending.length + this.status.failed.length;
+    }
+    
+    /**
+     * Store new status and update the UI
+     */
+    setStatus(status) {
+        this.status = {
+            pending: status.pending || [],
+            failed: status.failed || []
+        };
+        
+        this.updateBadge();
+        this.scheduleRetry();
+        this.renderPanel();
+        this.app.emit('sync:queue-changed', this.status);
+    }
+    
+    /**
+     * Wake up when the next queued request is due
+     * Background Sync covers reconnects where supported; this covers backoff
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (!navigator.onLine || this.status.pending.length === 0) return;
+        
+        const next = Math.min(...this.status.pending.map(item => item.nextAttemptAt));
+        const delay = Math.max(0, next - Date.now()) + 500;
+        this.retryTimer = setTimeout(() => this.syncNow(), delay);
+    }
+    
+    /**
+     * Render the pending-sync badge in the header
+     */
+    renderBadge() {
+        const headerActions = document.querySelector('.header-actions');
+        if (!headerActions || document.getElementById('sync-status-btn')) return;
+        
+        const badge = document.createElement('button');
+        badge.id = 'sync-status-btn';
+        badge.className = 'module-btn sync-status-btn';
+        badge.title = 'Changes waiting to sync';
+        badge.style.display = 'none';
+        badge.addEventListener('click', () => this.showPanel());
+        headerActions.prepend(badge);
+    }
+    
+    /**
+     * Update badge text
+     */
+    updateBadge() {
+        const badge = document.getElementById('sync-status-btn');
+        if (!badge) return;
+        
+        const { pending, failed } = this.status;
+        if (pending.length === 0 && failed.length === 0) {
+            badge.style.display = 'none';
+            return;
+        }
+        
+        const parts = [];
+        if (pending.length > 0) parts.push(`${pending.length} change${pending.length === 1 ? '' : 's'} pending sync`);
+        if (failed.length > 0) parts.push(`${failed.length} failed`);
+        
+        badge.innerHTML = `<i class="fas fa-cloud-upload-alt"></i> <span>${parts.join(', ')}</span>`;
+        badge.classList.toggle('has-failures', failed.length > 0);
+        badge.style.display = '';
+    }
+    
+    /**
+     * Show queue dialog
+     */
+    showPanel() {
+        this.modal = this.app.showModal({
+            title: '<i class="fas fa-cloud-upload-alt"></i> Pending Sync',
+            content: '<div class="sync-queue-body"></div>',
+            className: 'sync-queue-modal'
+        });
+        if (!this.modal) return;
+        
+        this.modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sync-action]');
+            if (!button) return;
+            
+            const id = button.dataset.syncId ? Number(button.dataset.syncId) : undefined;
+            if (button.dataset.syncAction === 'retry') this.retry(id);
+            if (button.dataset.syncAction === 'discard') this.discard(id);
+        });
+        
+        this.renderPanel();
+        this.refresh().catch(() => {});
+    }
+    
+    /**
+     * Render queue dialog body (if open)
+     */
+    renderPanel() {
+        const body = this.modal && this.modal.isConnected ? this.modal.querySelector('.sync-queue-body') : null;
+        if (!body) return;
+        
+        const { pending, failed } = this.status;
+        if (pending.length === 0 && failed.length === 0) {
+            body.innerHTML = '<p class="sync-empty"><i class="fas fa-check-circle"></i> Everything is synced.</p>';
+            return;
+        }
+        
+        body.innerHTML = `
+            ${pending.length > 0 ? `
+                <h4>Waiting (${pending.length})</h4>
+                <p class="sync-note">Sent in this order once the server is reachable.</p>
+                ${this.renderItems(pending, false)}
+            ` : ''}
+            ${failed.length > 0 ? `
+                <h4>Failed (${failed.length})</h4>
+                <p class="sync-note">The server rejected these or they ran out of retries. Retry puts them back in their original place in the queue.</p>
+                ${this.renderItems(failed, true)}
+            ` : ''}
+            <button class="btn btn-primary" data-sync-action="retry"><i class="fas fa-redo"></i> Retry All</button>
+        `;
+    }
+    
+    /**
+     * Render queue entries
+     */
+    renderItems(items, failed) {
+        const rows = items.map(item => {
+            const detail = failed
+                ? `Failed: ${escapeHtml(item.lastError || 'unknown error')}`
+                : item.attempts === 0
+                    ? 'Not tried yet'
+                    : `Attempt ${item.attempts} failed (${escapeHtml(item.lastError)}), next try ${this.formatTime(item.nextAttemptAt)}`;
+            
+            return `
+                <tr>
+                    <td><span class="badge badge-secondary">${item.method}</span></td>
+                    <td>
+                        <code>${escapeHtml(this.getPath(item.url))}</code>
+                        <div class="sync-detail">Queued ${this.formatTime(item.createdAt)} · ${detail}</div>
+                    </td>
+                    <td class="sync-actions">
+                        <button class="btn btn-outline btn-sm" data-sync-action="retry" data-sync-id="${item.id}" title="Retry"><i class="fas fa-redo"></i></button>
+                        <button class="btn btn-outline btn-sm" data-sync-action="discard" data-sync-id="${item.id}" title="Discard"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `<table class="sync-queue-table"><tbody>${rows}</tbody></table>`;
+    }
+    
+    /**
+     * Get path of a queued URL for display
+     */
+    getPath(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.pathname + parsed.search;
+        } catch {
+            return url;
+        }
+    }
+    
+    /**
+     * Format a timestamp for display
+     */
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Project phase plan - the phases of an engagement by project day
+ * Shared by the timeline, which draws it, and the health scores, which
+ * measure progress against its length.
+ */
+
+export const PROJECT_PHASES = [
+    {
+        id: 'initiation',
+        name: 'Project Initiation',
+        stream: 'A',
+        start: 1,
+        end: 2,
+        color: '#2563eb',
+        sections: ['prerequisites'],
+        tasks: ['Team assembly', 'Tool setup', 'Kickoff meeting']
+    },
+    {
+        id: 'data-collection',
+        name: 'Data Collection',
+        stream: 'A',
+        start: 2,
+        end: 7,
+        color: '#3b82f6',
+        sections: ['data-collection'],
+        tasks: ['Template distribution', 'Data gathering', 'Initial validation']
+    },
+    {
+        id: 'quality-assessment',
+        name: 'Quality Assessment',
+        stream: 'A',
+        start: 6,
+        end: 9,
+        color: '#f59e0b',
+        sections: ['quality-assessment'],
+        tasks: ['Completeness analysis', 'Integrity validation', 'Gap identification']
+    },
+    {
+        id: 'data-cleansing',
+        name: 'Data Cleansing',
+        stream: 'A',
+        start: 8,
+        end: 12,
+        color: '#10b981',
+        sections: ['data-cleansing'],
+        tasks: ['Vendor normalization', 'Standardization', 'Deduplication']
+    },
+    {
+        id: 'categorization',
+        name: 'Categorization',
+        stream: 'A',
+        start: 10,
+        end: 20,
+        color: '#ef4444',
+        critical: true,
+        sections: ['categorization'],
+        tasks: ['5-level taxonomy', 'Vendor classification', 'Validation']
+    },
+    {
+        id: 'dashboard-dev',
+        name: '📊 Dashboard Development',
+        stream: 'B1',
+        start: 8,
+        end: 20,
+        color: 'linear-gradient(135deg, #8b5cf6 0%, #a78bfa 100%)',
+        pattern: 'none',
+        sections: ['dashboard'],
+        tasks: ['Power BI development', 'Testing', 'Optimization']
+    },
+    {
+        id: 'powerpoint',
+        name: '📑 PowerPoint Creation',
+        stream: 'B2',
+        start: 8,
+        end: 20,
+        color: 'linear-gradient(135deg, #6366f1 0%, #818cf8 100%)',
+        pattern: 'diagonal',
+        sections: [],
+        tasks: ['Slide design', 'Data visualization', 'Narrative development']
+    },
+    {
+        id: 'quality-monitoring',
+        name: 'Quality Monitoring',
+        stream: 'C',
+        start: 1,
+        end: 22,
+        color: '#06b6d4',
+        sections: ['quality'],
+        tasks: ['Continuous monitoring', 'Quality gates', 'Issue resolution']
+    },
+    {
+        id: 'delivery',
+        name: 'Delivery & Handover',
+        stream: 'A',
+        start: 21,
+        end: 22,
+        color: '#22c55e',
+        sections: ['delivery'],
+        tasks: ['Publishing', 'Training', 'Documentation']
+    }
+];
+
+/**
+ * Get the number of project days the plan covers
+ */
+export function getPlanLength(phases = PROJECT_PHASES) {
+    return Math.max(...phases.map(phase => phase.end));
+}
@@ -0,0 +1,614 @@
+/**
+ * ProjectManager - Multi-project workspaces
+ * Each engagement gets its own namespaced storage for checkbox states,
+ * project state, decision history and module state
+ *
+ * Sync records are scoped to the project ID, so analysts working on the same
+ * engagement share one ID: the share link (#join/<id>) of a project creates
+ * it under the same ID in another browser.
+ */
+
+import { escapeHtml } from './html.js';
+
+// Project IDs end up in storage keys ("project_<id>_...") and API paths
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+export class ProjectManager {
+    constructor(app) {
+        this.app = app;
+        this.projects = new Map();
+        this.activeId = null;
+        this.storageKey = 'projects';
+        this.activeKey = 'active_project';
+        this.projectStores = new Map();
+    }
+    
+    /**
+     * Initialize project manager
+     */
+    init() {
+        // Load saved projects
+        this.loadProjects();
+        
+        // First run: create a default project (data saved before projects
+        // existed is moved into one by the data migrations)
+        if (this.projects.size === 0) {
+            this.createDefaultProject();
+        }
+        
+        // Restore last active project
+        const savedActive = this.app.storage.get(this.activeKey);
+        const saved = this.projects.get(savedActive);
+        
+        if (saved && saved.status !== 'archived') {
+            this.activeId = saved.id;
+        } else {
+            this.activeId = this.getFirstActiveId() || this.createDefaultProject().id;
+            this.app.storage.set(this.activeKey, this.activeId);
+        }
+        
+        console.log(`✅ Project manager initialized (${this.projects.size} projects)`);
+    }
+    
+    /**
+     * Load projects from storage
+     */
+    loadProjects() {
+        const saved = this.app.storage.get(this.storageKey);
+        if (Array.isArray(saved)) {
+            saved.forEach(project => {
+                this.projects.set(project.id, project);
+            });
+        }
+    }
+    
+    /**
+     * Save projects to storage
+     */
+    saveProjects() {
+        this.app.storage.set(this.storageKey, Array.from(this.projects.values()));
+    }
+    
+    /**
+     * Create the default project
+     */
+    createDefaultProject() {
+        return this.create({
+            name: 'My Engagement',
+            client: '',
+            startDate: new Date().toISOString().slice(0, 10),
+            owner: ''
+        });
+    }
+    
+    /**
+     * Generate a unique project ID
+     */
+    generateId() {
+        let id;
+        do {
+            id = `proj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.projects.has(id));
+        return id;
+    }
+    
+    /**
+     * Check if a project ID can be used in storage keys and API paths
+     */
+    isValidId(projectId) {
+        return typeof projectId === 'string' && PROJECT_ID_PATTERN.test(projectId);
+    }
+    
+    /**
+     * Create a new project (details.id is set when joining a shared project)
+     */
+    create(details = {}) {
+        const name = (details.name || '').trim();
+        if (!name) {
+            throw new Error('Project name is required');
+        }
+        
+        if (details.id !== undefined) {
+            if (!this.isValidId(details.id)) {
+                throw new Error(`Invalid project ID: ${details.id}`);
+            }
+            if (this.projects.has(details.id)) {
+                throw new Error(`Project already exists: ${details.id}`);
+            }
+        }
+        
+        const now = new Date().toISOString();
+        const project = {
+            id: details.id ?? this.generateId(),
+            name,
+            client: (details.client || '').trim(),
+            startDate: details.startDate || now.slice(0, 10),
+            owner: (details.owner || '').trim(),
+            status: 'active',
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        this.projects.set(project.id, project);
+        this.saveProjects();
+        
+        this.app.emit('project:created', { project });
+        return project;
+    }
+    
+    /**
+     * Update project details
+     */
+    update(projectId, changes = {}) {
+        const project = this.projects.get(projectId);
+        if (!project) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        const allowed = ['name', 'client', 'startDate', 'owner'];
+        allowed.forEach(key => {
+            if (changes[key] !== undefined) {
+                project[key] = typeof changes[key] === 'string' ? changes[key].trim() : changes[key];
+            }
+        });
+        
+        if (!project.name) {
+            throw new Error('Project name is required');
+        }
+        
+        project.updatedAt = new Date().toISOString();
+        this.saveProjects();
+        
+        this.app.emit('project:updated', { project });
+        this.renderSwitcher();
+        return project;
+    }
+    
+    /**
+     * Switch to another project
+     */
+    switchTo(projectId) {
+        const project = this.projects.get(projectId);
+        if (!project) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        if (project.status === 'archived') {
+            throw new Error(`Project "${project.name}" is archived. Restore it before switching.`);
+        }
+        
+        if (projectId === this.activeId) {
+            return project;
+        }
+        
+        const previous = this.activeId;
+        this.activeId = projectId;
+        this.app.storage.set(this.activeKey, projectId);
+        
+        console.log(`📁 Switched to project: ${project.name}`);
+        
+        this.app.emit('project:switched', { project, previous });
+        this.renderSwitcher();
+        return project;
+    }
+    
+    /**
+     * Join a project shared by another analyst and switch to it
+     * Its progress arrives with the next sync; an ID already known here is
+     * just switched to (and restored when archived)
+     */
+    join(projectId, details = {}) {
+        const existing = this.projects.get(projectId);
+        if (existing) {
+            if (existing.status === 'archived') {
+                this.unarchive(projectId);
+            }
+            return this.switchTo(projectId);
+        }
+        
+        const project = this.create({
+            id: projectId,
+            name: details.name || 'Shared Project',
+            client: details.client,
+            startDate: details.startDate,
+            owner: details.owner
+        });
+        
+        this.app.emit('project:joined', { project });
+        return this.switchTo(project.id);
+    }
+    
+    /**
+     * Get the route other analysts open to join a project: { path, query }
+     */
+    getShareRoute(projectId) {
+        const project = this.projects.get(projectId);
+        return {
+            path: `join/${projectId}`,
+            query: { name: project.name, client: project.client, start: project.startDate }
+        };
+    }
+    
+    /**
+     * Read a pasted share link or bare project ID
+     * Returns { projectId, details }
+     */
+    parseJoinInput(input) {
+        const text = String(input || '').trim();
+        const hash = text.includes('#') ? text.slice(text.indexOf('#') + 1) : text;
+        const { path, query } = this.app.router.parseRoute(hash);
+        const projectId = decodeURIComponent(path.replace(/^join\//, ''));
+        
+        if (!this.isValidId(projectId)) {
+            throw new Error('Paste a project share link or ID (letters, digits and dashes)');
+        }
+        
+        return {
+            projectId,
+            details: { name: query.name, client: query.client, startDate: query.start }
+        };
+    }
+    
+    /**
+     * Clone a project including all of its stored data
+     */
+    clone(projectId, overrides = {}) {
+        const source = this.projects.get(projectId);
+        if (!source) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        const project = this.create({
+            name: overrides.name || `${source.name} (Copy)`,
+            client: overrides.client ?? source.client,
+            startDate: overrides.startDate || source.startDate,
+            owner: overrides.owner ?? source.owner
+        });
+        
+        // Copy all namespaced data
+        this.getStorage(project.id).import(this.getStorage(source.id).export());
+        
+        this.app.emit('project:cloned', { project, source });
+        this.renderSwitcher();
+        return project;
+    }
+    
+    /**
+     * Archive a project
+     */
+    archive(projectId) {
+        const project = this.projects.get(projectId);
+        if (!project) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        project.status = 'archived';
+        project.updatedAt = new Date().toISOString();
+        this.saveProjects();
+        
+        // Move away from an archived project
+        if (projectId === this.activeId) {
+            const nextId = this.getFirstActiveId() || this.createDefaultProject().id;
+            this.switchTo(nextId);
+        }
+        
+        this.app.emit('project:archived', { project });
+        this.renderSwitcher();
+        return project;
+    }
+    
+    /**
+     * Restore an archived project
+     */
+    unarchive(projectId) {
+        const project = this.projects.get(projectId);
+        if (!project) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        project.status = 'active';
+        project.updatedAt = new Date().toISOString();
+        this.saveProjects();
+        
+        this.app.emit('project:restored', { project });
+        this.renderSwitcher();
+        return project;
+    }
+    
+    /**
+     * Delete a project and all of its data
+     */
+    delete(projectId) {
+        const project = this.projects.get(projectId);
+        if (!project) {
+            throw new Error(`Project not found: ${projectId}`);
+        }
+        
+        // Clear namespaced data
+        this.getStorage(projectId).clear();
+        this.projectStores.delete(projectId);
+        
+        this.projects.delete(projectId);
+        this.saveProjects();
+        
+        // Never leave the app without an active project
+        if (projectId === this.activeId) {
+            const nextId = this.getFirstActiveId() || this.createDefaultProject().id;
+            this.activeId = null;
+            this.switchTo(nextId);
+        }
+        
+        this.app.emit('project:deleted', { project });
+        this.renderSwitcher();
+        return true;
+    }
+    
+    /**
+     * Get namespaced storage for a project
+     */
+    getStorage(projectId = this.activeId) {
+        if (!projectId) return null;
+        
+        if (!this.projectStores.has(projectId)) {
+            this.projectStores.set(projectId, this.app.storage.namespace(`project_${projectId}`));
+        }
+        return this.projectStores.get(projectId);
+    }
+    
+    /**
+     * Get active project
+     */
+    getActive() {
+        return this.projects.get(this.activeId) || null;
+    }
+    
+    /**
+     * Get active project ID
+     */
+    getActiveId() {
+        return this.activeId;
+    }
+    
+    /**
+     * Get a project by ID
+     */
+    get(projectId) {
+        return this.projects.get(projectId) || null;
+    }
+    
+    /**
+     * List projects
+     */
+    list({ includeArchived = false } = {}) {
+        return Array.from(this.projects.values())
+            .filter(project => includeArchived || project.status !== 'archived')
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Get first non-archived project ID
+     */
+    getFirstActiveId() {
+        const project = this.list()[0];
+        return project ? project.id : null;
+    }
+    
+    /**
+     * Render project switcher in the header
+     */
+    renderSwitcher() {
+        const container = document.getElementById('project-switcher');
+        if (!container) return;
+        
+        const options = this.list().map(project => `
+            <option value="${project.id}" ${project.id === this.activeId ? 'selected' : ''}>
+                ${escapeHtml(this.getDisplayName(project))}
+            </option>
+        `).join('');
+        
+        container.innerHTML = `
+            <i class="fas fa-briefcase project-switcher-icon"></i>
+            <select id="project-select" class="project-select" aria-label="Active project">
+                ${options}
+            </select>
+            <button id="project-manage-btn" class="project-manage-btn" title="Manage projects">
+                <i class="fas fa-cog"></i>
+            </button>
+        `;
+        
+        const select = document.getElementById('project-select');
+        select.addEventListener('change', (e) => {
+            try {
+                this.switchTo(e.target.value);
+                this.app.showToast(`Switched to ${this.getActive().name}`, 'success');
+            } catch (error) {
+                this.app.showToast(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('project-manage-btn').addEventListener('click', () => {
+            this.showManager();
+        });
+    }
+    
+    /**
+     * Get display name for a project
+     */
+    getDisplayName(project) {
+        return project.client ? `${project.client} — ${project.name}` : project.name;
+    }
+    
+    /**
+     * Show project management dialog
+     */
+    showManager() {
+        const modal = this.app.showModal({
+            title: '<i class="fas fa-briefcase"></i> Projects',
+            content: this.renderManager()
+        });
+        
+        if (!modal) return;
+        
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-project-action]');
+            if (!button) return;
+            
+            this.handleManagerAction(button.dataset.projectAction, button.dataset.projectId, modal);
+        });
+        
+        modal.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.id === 'project-join-form') {
+                this.handleJoin(e.target);
+            } else {
+                this.handleCreate(e.target, modal);
+            }
+        });
+    }
+    
+    /**
+     * Render project management dialog body
+     */
+    renderManager() {
+        const today = new Date().toISOString().slice(0, 10);
+        
+        // Sharing only makes sense when progress is synced through a server
+        const sharing = Boolean(this.app.sync?.adapter);
+        const rows = this.list({ includeArchived: true }).map(project => {
+            const isActive = project.id === this.activeId;
+            const isArchived = project.status === 'archived';
+            
+            return `
+                <tr class="${isActive ? 'project-row-active' : ''} ${isArchived ? 'project-row-archived' : ''}">
+                    <td>
+                        <strong>${escapeHtml(project.name)}</strong>
+                        ${isActive ? '<span class="badge badge-success">Active</span>' : ''}
+                        ${isArchived ? '<span class="badge badge-secondary">Archived</span>' : ''}
+                    </td>
+                    <td>${escapeHtml(project.client || '—')}</td>
+                    <td>${escapeHtml(project.startDate || '—')}</td>
+                    <td>${escapeHtml(project.owner || '—')}</td>
+                    <td class="project-actions">
+                        ${!isActive && !isArchived ? `<button class="btn btn-outline btn-sm" data-project-action="switch" data-project-id="${project.id}" title="Switch"><i class="fas fa-exchange-alt"></i></button>` : ''}
+                        ${sharing ? `<button class="btn btn-outline btn-sm" data-project-action="share" data-project-id="${project.id}" title="Copy share link"><i class="fas fa-share-alt"></i></button>` : ''}
+                        <button class="btn btn-outline btn-sm" data-project-action="clone" data-project-id="${project.id}" title="Clone"><i class="fas fa-clone"></i></button>
+                        ${isArchived
+                            ? `<button class="btn btn-outline btn-sm" data-project-action="unarchive" data-project-id="${project.id}" title="Restore"><i class="fas fa-box-open"></i></button>`
+                            : `<button class="btn btn-outline btn-sm" data-project-action="archive" data-project-id="${project.id}" title="Archive"><i class="fas fa-archive"></i></button>`}
+                        <button class="btn btn-outline btn-sm" data-project-action="delete" data-project-id="${project.id}" title="Delete"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <table class="project-table">
+                <thead>
+                    <tr><th>Project</th><th>Client</th><th>Start Date</th><th>Owner</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <form class="project-form" id="project-create-form">
+                <h4>New Project</h4>
+                <div class="project-form-grid">
+                    <label>Name <input type="text" name="name" required placeholder="e.g. FY25 Spend Analysis"></label>
+                    <label>Client <input type="text" name="client" placeholder="Client name"></label>
+                    <label>Start Date <input type="date" name="startDate" value="${today}"></label>
+                    <label>Owner <input type="text" name="owner" placeholder="Engagement owner"></label>
+                </div>
+                <button type="submit" class="btn btn-primary"><i class="fas fa-plus"></i> Create &amp; Switch</button>
+            </form>
+            ${sharing ? `
+                <form class="project-form" id="project-join-form">
+                    <h4>Join Shared Project</h4>
+                    <div class="project-form-grid">
+                        <label>Share Link or Project ID <input type="text" name="link" required placeholder="Link from the project owner"></label>
+                        <label>Name <input type="text" name="name" placeholder="Taken from the link"></label>
+                    </div>
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-sign-in-alt"></i> Join &amp; Switch</button>
+                </form>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Handle project dialog actions
+     */
+    handleManagerAction(action, projectId, modal) {
+        const project = this.projects.get(projectId);
+        if (!project) return;
+        
+        try {
+            switch (action) {
+                case 'switch':
+                    this.switchTo(projectId);
+                    this.app.showToast(`Switched to ${project.name}`, 'success');
+                    break;
+                case 'share': {
+                    const { path, query } = this.getShareRoute(projectId);
+                    this.app.router.copyLink(path, query);
+                    return;
+                }
+                case 'clone':
+                    this.clone(projectId);
+                    this.app.showToast(`Cloned ${project.name}`, 'success');
+                    break;
+                case 'archive':
+                    this.archive(projectId);
+                    this.app.showToast(`Archived ${project.name}`, 'info');
+                    break;
+                case 'unarchive':
+                    this.unarchive(projectId);
+                    this.app.showToast(`Restored ${project.name}`, 'success');
+                    break;
+                case 'delete':
+                    if (!confirm(`Delete "${project.name}" and all of its progress? This cannot be undone.`)) {
+                        return;
+                    }
+                    this.delete(projectId);
+                    this.app.showToast(`Deleted ${project.name}`, 'info');
+                    break;
+            }
+        } catch (error) {
+            console.error(`Project action ${action} failed:`, error);
+            this.app.showToast(error.message, 'error');
+        }
+        
+        // Refresh dialog body
+        const body = modal.querySelector('.modal-body');
+        if (body) {
+            body.innerHTML = this.renderManager();
+        }
+    }
+    
+    /**
+     * Handle new project form
+     */
+    handleCreate(form, modal) {
+        const data = Object.fromEntries(new FormData(form).entries());
+        
+        try {
+            const project = this.create(data);
+            this.switchTo(project.id);
+            this.app.showToast(`Created ${project.name}`, 'success');
+            this.app.closeModal();
+        } catch (error) {
+            this.app.showToast(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Handle join shared project form
+     */
+    handleJoin(form) {
+        try {
+            const { projectId, details } = this.parseJoinInput(form.link.value);
+            const name = form.name.value.trim();
+            const project = this.join(projectId, name ? { ...details, name } : details);
+            this.app.showToast(`Joined ${project.name}; progress arrives with the next sync`, 'success');
+            this.app.closeModal();
+        } catch (error) {
+            this.app.showToast(error.message, 'error');
+        }
+    }
+}
@@ -0,0 +1,408 @@
+/**
+ * ReportGenerator - Engagement status reports
+ * Builds self-contained HTML and Markdown reports from progress, gates and
+ * decision history. Everything is generated client-side so it works offline.
+ */
+
+import { escapeHtml } from './html.js';
+
+// Team progress is a nice-to-have: the export does not wait for retries
+const TEAM_PROGRESS_TIMEOUT = 2000;
+
+export class ReportGenerator {
+    constructor(app) {
+        this.app = app;
+    }
+    
+    /**
+     * Collect report data
+     */
+    async buildData() {
+        const progress = this.app.progress;
+        const stats = progress.getStats();
+        const sections = [];
+        
+        for (const section of this.app.config.navigation?.sections || []) {
+            const content = await this.app.sections.getContent(section.id);
+            const labels = this.getCheckboxLabels(content);
+            const keys = Array.from(progress.model.get(section.id) || []);
+            
+            if (keys.length === 0) continue;
+            
+            const items = keys.map(key => {
+                const checkboxId = key.slice(section.id.length + 1);
+                return {
+                    id: checkboxId,
+                    label: labels.get(checkboxId) || checkboxId,
+                    checked: Boolean(progress.checkboxStates.get(key))
+                };
+            });
+            const completed = items.filter(item => item.checked).length;
+            
+            sections.push({
+                id: section.id,
+                title: content?.title || section.title,
+                completed,
+                total: items.length,
+                percentage: Math.round((completed / items.length) * 100),
+                items
+            });
+        }
+        
+        return {
+            generatedAt: new Date().toISOString(),
+            project: this.app.projects?.getActive() || null,
+            projectDay: this.app.state.get('currentProjectDay'),
+            stats,
+            gates: stats.gates,
+            sections,
+            decisions: this.getDecisionHistory(),
+            team: await this.getTeamProgress()
+        };
+    }
+    
+    /**
+     * Get per-analyst progress from the sync server (null when unavailable)
+     */
+    async getTeamProgress() {
+        if (!this.app.sync?.adapter || !navigator.onLine) return null;
+        
+        try {
+            const progress = await this.app.sync.getTeamProgress({ timeout: TEAM_PROGRESS_TIMEOUT, retries: 0 });
+            return Array.isArray(progress?.analysts) ? progress.analysts : null;
+        } catch (error) {
+            console.warn('Team progress unavailable:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Get checkbox label text from section content
+     */
+    getCheckboxLabels(content) {
+        const labels = new Map();
+        if (!content?.content) return labels;
+        
+        const template = document.createElement('template');
+        template.innerHTML = content.content;
+        template.content.querySelectorAll('label[for]').forEach(label => {
+            labels.set(label.getAttribute('for'), label.textContent.trim().replace(/\s+/g, ' '));
+        });
+        
+        return labels;
+    }
+    
+    /**
+     * Get decision history of the active project
+     */
+    getDecisionHistory() {
+        const decisionTool = this.app.modules.get('decisionTool');
+        if (decisionTool && Array.isArray(decisionTool.decisions)) {
+            return decisionTool.decisions;
+        }
+        
+        const store = this.app.projects?.getStorage() || this.app.storage;
+        const saved = store.get('decision_history');
+        return Array.isArray(saved) ? saved : [];
+    }
+    
+    /**
+     * Get gate rows for display
+     */
+    getGateRows(gates) {
+        return gates.list.map(gate => ({
+            name: gate.subtitle ? `${gate.title} - ${gate.subtitle}` : gate.title,
+            percentage: gate.percentage,
+            required: gate.threshold,
+            passed: gate.passed
+        }));
+    }
+    
+    /**
+     * Render report as a self-contained printable HTML document
+     */
+    toHTML(data) {
+        const esc = (text) => escapeHtml(text);
+        const project = data.project;
+        const title = project ? `${project.client ? project.client + ' — ' : ''}${project.name}` : 'Engagement';
+        
+        const gateRows = this.getGateRows(data.gates).map(gate => `
+            <tr>
+                <td>${esc(gate.name)}</td>
+                <td>${gate.percentage}%</td>
+                <td>${gate.required}%</td>
+                <td class="${gate.passed ? 'ok' : 'blocked'}">${gate.passed ? 'Passed' : 'Blocked'}</td>
+            </tr>
+        `).join('');
+        
+        const sectionSummary = data.sections.map(section => `
+            <tr>
+                <td>${esc(section.title)}</td>
+                <td>${section.completed}/${section.total}</td>
+                <td>
+                    <div class="bar"><div class="bar-fill" style="width: ${section.percentage}%"></div></div>
+                </td>
+                <td>${section.percentage}%</td>
+            </tr>
+        `).join('');
+        
+        const sectionDetails = data.sections.map(section => `
+            <h3>${esc(section.title)} <small>${section.completed}/${section.total}</small></h3>
+            <ul class="checklist">
+                ${section.items.map(item => `
+                    <li class="${item.checked ? 'done' : ''}">${item.checked ? '☑' : '☐'} ${esc(item.label)}</li>
+                `).join('')}
+            </ul>
+        `).join('');
+        
+        const decisions = data.decisions.length === 0
+            ? '<p class="muted">No decisions recorded.</p>'
+            : `<table>
+                <thead><tr><th>Date</th><th>Scenario</th><th>Author</th><th>Score</th></tr></thead>
+                <tbody>
+                    ${data.decisions.map(decision => `
+                        <tr>
+                            <td>${esc(decision.timestamp)}</td>
+                            <td>${esc(decision.scenario)}</td>
+                            <td>${esc(decision.author || '')}</td>
+                            <td>${esc(decision.score)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+        
+        const team = data.team ? `
+<section>
+    <h2>Team Progress</h2>
+    <table>
+        <thead><tr><th>Analyst</th><th>Tasks Checked</th><th>Updates</th><th>Last Update</th></tr></thead>
+        <tbody>
+            ${data.team.map(analyst => `
+                <tr>
+                    <td>${esc(analyst.name)}</td>
+                    <td>${esc(analyst.checked)}</td>
+                    <td>${esc(analyst.updates)}</td>
+                    <td>${analyst.lastUpdate ? esc(new Date(analyst.lastUpdate).toLocaleString()) : '—'}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+</section>
+` : '';
+        
+        const status = data.gates.status;
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Engagement Status Report - ${esc(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 960px; margin: 0 auto; padding: 32px; line-height: 1.5; }
+    header { border-bottom: 4px solid #1e3a5f; margin-bottom: 24px; padding-bottom: 16px; }
+    h1 { color: #1e3a5f; margin: 0 0 4px; }
+    h2 { color: #1e3a5f; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 32px; }
+    h3 small { color: #6b7280; font-weight: normal; }
+    .meta { color: #4b5563; font-size: 0.9rem; }
+    .kpis { display: flex; gap: 16px; margin: 16px 0; }
+    .kpi { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; text-align: center; }
+    .kpi-value { font-size: 1.8rem; font-weight: 700; color: #1e3a5f; }
+    .kpi-label { font-size: 0.8rem; color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; font-size: 0.9rem; }
+    th { background: #f3f4f6; }
+    .bar { background: #e5e7eb; height: 8px; border-radius: 4px; overflow: hidden; min-width: 120px; }
+    .bar-fill { background: #10b981; height: 100%; }
+    .ok { color: #059669; font-weight: 600; }
+    .blocked { color: #dc2626; font-weight: 600; }
+    .warning { background: #fef2f2; border-left: 4px solid #ef4444; padding: 8px 12px; margin: 12px 0; }
+    .checklist { list-style: none; padding-left: 0; columns: 2; font-size: 0.85rem; }
+    .checklist li { break-inside: avoid; padding: 2px 0; }
+    .checklist li.done { color: #6b7280; }
+    .muted { color: #6b7280; }
+    footer { margin-top: 40px; font-size: 0.75rem; color: #9ca3af; text-align: center; }
+    @media print {
+        body { padding: 0; }
+        h2 { break-after: avoid; }
+        .checklist { columns: 2; }
+    }
+</style>
+</head>
+<body>
+<header>
+    <h1>Engagement Status Report</h1>
+    <div class="meta">
+        <strong>${esc(title)}</strong><br>
+        ${project?.owner ? `Owner: ${esc(project.owner)} · ` : ''}${project?.startDate ? `Kickoff: ${esc(project.startDate)} · ` : ''}Project day ${esc(data.projectDay ?? '—')}<br>
+        Generated ${esc(new Date(data.generatedAt).toLocaleString())}
+    </div>
+</header>
+
+<section>
+    <h2>Summary</h2>
+    <div class="kpis">
+        <div class="kpi"><div class="kpi-value">${data.stats.percentage}%</div><div class="kpi-label">Weighted Progress</div></div>
+        <div class="kpi"><div class="kpi-value">${data.stats.completed}/${data.stats.total}</div><div class="kpi-label">Tasks Complete</div></div>
+        <div class="kpi"><div class="kpi-value">${data.stats.remaining}</div><div class="kpi-label">Tasks Remaining</div></div>
+    </div>
+    ${status?.blocked ? `<div class="warning">Progress limited to ${status.maxProgress}% by critical gates.</div>` : ''}
+</section>
+
+<section>
+    <h2>Critical Gates</h2>
+    <table>
+        <thead><tr><th>Gate</th><th>Current</th><th>Required</th><th>Status</th></tr></thead>
+        <tbody>${gateRows}</tbody>
+    </table>
+</section>
+
+<section>
+    <h2>Progress by Section</h2>
+    <table>
+        <thead><tr><th>Section</th><th>Tasks</th><th></th><th>Complete</th></tr></thead>
+        <tbody>${sectionSummary}</tbody>
+    </table>
+</section>
+${team}
+<section>
+    <h2>Decision History</h2>
+    ${decisions}
+</section>
+
+<section>
+    <h2>Checklist Detail</h2>
+    ${sectionDetails}
+</section>
+
+<footer>Versatex SOP Platform v${esc(this.app.version)}</footer>
+</body>
+</html>`;
+    }
+    
+    /**
+     * Render report as Markdown for pasting into emails
+     */
+    toMarkdown(data) {
+        const project = data.project;
+        const title = project ? `${project.client ? project.client + ' — ' : ''}${project.name}` : 'Engagement';
+        const cell = (text) => this.escapeMarkdownCell(text);
+        const lines = [];
+        
+        lines.push(`# Engagement Status Report: ${title}`);
+        lines.push('');
+        if (project?.owner) lines.push(`- **Owner:** ${project.owner}`);
+        if (project?.startDate) lines.push(`- **Kickoff:** ${project.startDate}`);
+        lines.push(`- **Project day:** ${data.projectDay ?? '—'}`);
+        lines.push(`- **Generated:** ${new Date(data.generatedAt).toLocaleString()}`);
+        lines.push('');
+        
+        lines.push('## Summary');
+        lines.push('');
+        lines.push(`- **Weighted progress:** ${data.stats.percentage}%`);
+        lines.push(`- **Tasks complete:** ${data.stats.completed}/${data.stats.total} (${data.stats.remaining} remaining)`);
+        if (data.gates.status?.blocked) {
+            lines.push(`- **Note:** progress limited to ${data.gates.status.maxProgress}% by critical gates`);
+        }
+        lines.push('');
+        
+        lines.push('## Critical Gates');
+        lines.push('');
+        lines.push('| Gate | Current | Required | Status |');
+        lines.push('|------|---------|----------|--------|');
+        this.getGateRows(data.gates).forEach(gate => {
+            lines.push(`| ${cell(gate.name)} | ${gate.percentage}% | ${gate.required}% | ${gate.passed ? '✅ Passed' : '🔴 Blocked'} |`);
+        });
+        lines.push('');
+        
+        lines.push('## Progress by Section');
+        lines.push('');
+        lines.push('| Section | Tasks | Complete |');
+        lines.push('|---------|-------|----------|');
+        data.sections.forEach(section => {
+            lines.push(`| ${cell(section.title)} | ${section.completed}/${section.total} | ${section.percentage}% |`);
+        });
+        lines.push('');
+        
+        if (data.team) {
+            lines.push('## Team Progress');
+            lines.push('');
+            lines.push('| Analyst | Tasks Checked | Updates | Last Update |');
+            lines.push('|---------|---------------|---------|-------------|');
+            data.team.forEach(analyst => {
+                const lastUpdate = analyst.lastUpdate ? new Date(analyst.lastUpdate).toLocaleString() : '—';
+                lines.push(`| ${cell(analyst.name)} | ${cell(analyst.checked)} | ${cell(analyst.updates)} | ${lastUpdate} |`);
+            });
+            lines.push('');
+        }
+        
+        lines.push('## Decision History');
+        lines.push('');
+        if (data.decisions.length === 0) {
+            lines.push('_No decisions recorded._');
+        } else {
+            data.decisions.forEach(decision => {
+                const author = decision.author ? ` (${decision.author})` : '';
+                lines.push(`- ${decision.timestamp} — ${decision.scenario}${author}: ${decision.score}%`);
+            });
+        }
+        lines.push('');
+        
+        lines.push('## Open Items');
+        lines.push('');
+        data.sections.forEach(section => {
+            const open = section.items.filter(item => !item.checked);
+            if (open.length === 0) return;
+            lines.push(`### ${section.title}`);
+            open.forEach(item => lines.push(`- [ ] ${item.label}`));
+            lines.push('');
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Generate and download a report
+     */
+    async export(format = 'html') {
+        const data = await this.buildData();
+        const slug = (data.project?.name || 'engagement').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const date = data.generatedAt.slice(0, 10);
+        
+        if (format === 'markdown') {
+            this.download(this.toMarkdown(data), `${slug}-status-${date}.md`, 'text/markdown');
+        } else {
+            this.download(this.toHTML(data), `${slug}-status-${date}.html`, 'text/html');
+        }
+        
+        this.app.emit('report:exported', { format });
+        return data;
+    }
+    
+    /**
+     * Trigger a file download
+     */
+    download(content, filename, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Escape text for a Markdown table cell: pipes split cells, newlines end rows
+     */
+    escapeMarkdownCell(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/\|/g, '\\|')
+            .replace(/\s*[\r\n]+\s*/g, ' ');
+    }
+}
@@ -1,215 +1,512 @@
-/**
- * Router - Client-side routing for the SOP application
- * Handles navigation without page reloads
- */
-
-export class Router {
-    constructor(app) {
-        this.app = app;
-        this.routes = new Map();
-        this.currentRoute = null;
-    }
-    
-    /**
-     * Initialize router
-     */
-    init() {
-        // Setup routes based on sections
-        this.setupRoutes();
-        
-        // Handle browser back/forward buttons
-        window.addEventListener('popstate', (e) => {
-            this.handlePopState(e);
-        });
-        
-        // Handle link clicks
-        document.addEventListener('click', (e) => {
-            this.handleLinkClick(e);
-        });
-        
-        // Process initial route
-        this.processCurrentRoute();
-        
-        console.log('✅ Router initialized');
-    }
-    
-    /**
-     * Setup routes from configuration
-     */
-    setupRoutes() {
-        const sections = this.app.config.navigation?.sections || [];
-        
-        // Add route for each section
-        sections.forEach(section => {
-            this.addRoute(section.id, () => {
-                this.app.navigate(section.id);
-            });
-        });
-        
-        // Add special routes
-        this.addRoute('', () => this.app.navigate('overview')); // Default route
-        this.addRoute('home', () => this.app.navigate('overview'));
-    }
-    
-    /**
-     * Add a route
-     */
-    addRoute(path, handler) {
-        this.routes.set(path, handler);
-    }
-    
-    /**
-     * Navigate to a route
-     */
-    navigate(path, options = {}) {
-        // Don't navigate to same route unless forced
-        if (this.currentRoute === path && !options.force) {
-            return;
-        }
-        
-        // Update URL without page reload
-        const url = path ? `#${path}` : '#';
-        
-        if (options.replace) {
-            history.replaceState({ path }, '', url);
-        } else {
-            history.pushState({ path }, '', url);
-        }
-        
-        // Process the route
-        this.processRoute(path);
-    }
-    
-    /**
-     * Process current route from URL
-     */
-    processCurrentRoute() {
-        const hash = window.location.hash.slice(1); // Remove #
-        const path = hash || '';
-        this.processRoute(path);
-    }
-    
-    /**
-     * Process a route
-     */
-    processRoute(path) {
-        console.log(`🔄 Processing route: ${path || '/'}`);
-        
-        // Store current route
-        this.currentRoute = path;
-        
-        // Find and execute route handler
-        const handler = this.routes.get(path);
-        
-        if (handler) {
-            try {
-                handler();
-                this.app.emit('route:change', { path });
-            } catch (error) {
-                console.error('Route handler error:', error);
-                this.handleRouteError(path, error);
-            }
-        } else {
-            // Try to match section route
-            if (this.isSectionRoute(path)) {
-                this.app.navigate(path);
-                this.app.emit('route:change', { path });
-            } else {
-                this.handleNotFound(path);
-            }
-        }
-    }
-    
-    /**
-     * Check if path is a valid section
-     */
-    isSectionRoute(path) {
-        const sections = this.app.config.navigation?.sections || [];
-        return sections.some(section => section.id === path);
-    }
-    
-    /**
-     * Handle popstate event (back/forward buttons)
-     */
-    handlePopState(event) {
-        const path = event.state?.path || '';
-        this.processRoute(path);
-    }
-    
-    /**
-     * Handle link clicks for client-side routing
-     */
-    handleLinkClick(event) {
-        // Check if it's an internal link with hash
-        const link = event.target.closest('a');
-        
-        if (!link) return;
-        
-        const href = link.getAttribute('href');
-        
-        // Handle hash links
-        if (href && href.startsWith('#')) {
-            event.preventDefault();
-            const path = href.slice(1);
-            this.navigate(path);
-        }
-        
-        // Handle data-route attributes
-        const route = link.dataset.route;
-        if (route) {
-            event.preventDefault();
-            this.navigate(route);
-        }
-    }
-    
-    /**
-     * Handle route not found
-     */
-    handleNotFound(path) {
-        console.warn(`Route not found: ${path}`);
-        
-        // Navigate to overview as fallback
-        this.navigate('overview', { replace: true });
-        
-        // Show notification
-        this.app.showToast(`Section "${path}" not found`, 'warning');
-    }
-    
-    /**
-     * Handle route error
-     */
-    handleRouteError(path, error) {
-        console.error(`Error processing route ${path}:`, error);
-        
-        // Show error notification
-        this.app.showToast('Navigation error occurred', 'error');
-    }
-    
-    /**
-     * Get current route
-     */
-    getCurrentRoute() {
-        return this.currentRoute;
-    }
-    
-    /**
-     * Go back in history
-     */
-    back() {
-        history.back();
-    }
-    
-    /**
-     * Go forward in history
-     */
-    forward() {
-        history.forward();
-    }
-    
-    /**
-     * Reload current route
-     */
-    reload() {
-        this.processRoute(this.currentRoute);
-    }
-}
\ No newline at end of file
+/**
+ * Router - Client-side routing for the SOP application
+ * Handles navigation without page reloads
+ *
+ * Routes are patterns with :params and an optional query string:
+ *   #categorization                    section
+ *   #categorization/cat-3              checklist item or heading in a section
+ *   #module/timeline?day=14            module, with module-specific options
+ *   #decision/dataQuality?completeness=80   decision scenario with answers
+ *   #search?q=is:open vendor           search
+ *   #join/proj-abc?name=FY25           join a project shared by another analyst
+ * Guards added with addGuard() can stop navigation, e.g. unsaved edits.
+ */
+
+import { editDistance, slugify } from './search-text.js';
+import { escapeHtml } from './html.js';
+
+export class Router {
+    constructor(app) {
+        this.app = app;
+        this.routes = new Map();
+        this.guards = [];
+        this.currentRoute = null;
+    }
+    
+    /**
+     * Initialize router
+     */
+    init() {
+        // Setup routes based on sections
+        this.setupRoutes();
+        
+        // Handle browser back/forward buttons
+        window.addEventListener('popstate', (e) => {
+            this.handlePopState(e);
+        });
+        
+        // Handle link clicks
+        document.addEventListener('click', (e) => {
+            this.handleLinkClick(e);
+        });
+        
+        // Sections opened without the router (e.g. on project switch) update the URL
+        this.app.on('navigation:change', (e) => {
+            const { section } = e.detail;
+            if (this.parseRoute(this.currentRoute || '').path.split('/')[0] !== section) {
+                this.currentRoute = section;
+                history.replaceState({ path: section }, '', `#${section}`);
+            }
+        });
+        
+        // Process initial route
+        this.processCurrentRoute();
+        
+        console.log('✅ Router initialized');
+    }
+    
+    /**
+     * Setup routes from configuration
+     */
+    setupRoutes() {
+        const sections = this.app.config.navigation?.sections || [];
+        
+        // Add route for each section, and for an item or heading in it
+        sections.forEach(section => {
+            this.addRoute(section.id, ({ query }) => {
+                if (query.resource) {
+                    this.app.sections.revealTarget(section.id, { resource: query.resource });
+                } else {
+                    this.app.navigate(section.id);
+                }
+            });
+            this.addRoute(`${section.id}/:item`, ({ params }) => {
+                this.app.sections.revealTarget(section.id, { anchor: params.item });
+            });
+        });
+        
+        // Add special routes
+        this.addRoute('', () => this.app.navigate('overview')); // Default route
+        this.addRoute('home', () => this.app.navigate('overview'));
+        this.addRoute('search', ({ query }) => this.app.search?.open(query.q || ''));
+        this.addRoute('module/:name', ({ params, query }) => this.openModule(params.name, query));
+        this.addRoute('decision/:scenario', ({ params, query }) => {
+            return this.openModule('decisionTool', { ...query, scenario: params.scenario });
+        });
+        this.addRoute('join/:projectId', ({ params, query }) => this.joinProject(params.projectId, query));
+    }
+    
+    /**
+     * Join a shared project from its link, then show the overview
+     */
+    joinProject(projectId, query) {
+        const projects = this.app.projects;
+        if (!projects.isValidId(projectId)) {
+            throw new Error(`Invalid project ID: ${projectId}`);
+        }
+        
+        const known = projects.get(projectId);
+        const project = projects.join(projectId, { name: query.name, client: query.client, startDate: query.start });
+        
+        if (!this.app.sync?.adapter) {
+            this.app.showToast('Sync is off, so this project will not receive the team\'s progress', 'warning');
+        } else if (!known) {
+            this.app.showToast(`Joined ${project.name}; progress arrives with the next sync`, 'success');
+        }
+        
+        this.navigate('overview', { replace: true, skipGuards: true });
+    }
+    
+    /**
+     * Add a route
+     * Segments starting with ":" are parameters, e.g. "module/:name"; the
+     * handler gets { path, params, query }
+     */
+    addRoute(pattern, handler) {
+        const keys = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+        
+        this.routes.set(pattern, { pattern, keys, regex: new RegExp(`^${source}$`), handler });
+    }
+    
+    /**
+     * Find the route matching a path: { route, params } or null
+     * Parameters are decoded here; a malformed one (e.g. a bare "%") matches nothing
+     */
+    matchRoute(path) {
+        for (const route of this.routes.values()) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+                try {
+                    route.keys.forEach((key, index) => {
+                        params[key] = decodeURIComponent(match[index + 1]);
+                    });
+                } catch (error) {
+                    if (error instanceof URIError) return null;
+                    throw error;
+                }
+                return { route, params };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Split "path?query" into { path, query } with query as an object
+     * Takes the route as it appears in the URL; query values are decoded here
+     */
+    parseRoute(fullPath) {
+        const index = fullPath.indexOf('?');
+        const path = index === -1 ? fullPath : fullPath.slice(0, index);
+        const query = index === -1 ? {} : Object.fromEntries(new URLSearchParams(fullPath.slice(index + 1)));
+        return { path: path.replace(/^\/+|\/+$/g, ''), query };
+    }
+    
+    /**
+     * Build "path?query" from a path and query object (empty values left out)
+     */
+    buildPath(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        
+        const search = params.toString().replace(/%3A/gi, ':').replace(/%2F/gi, '/');
+        return search ? `${path}?${search}` : path;
+    }
+    
+    /**
+     * Get a full shareable URL for a route
+     */
+    getShareUrl(path, query = {}) {
+        return `${location.origin}${location.pathname}#${this.buildPath(path, query)}`;
+    }
+    
+    /**
+     * Copy a shareable URL for a route to the clipboard
+     */
+    async copyLink(path, query = {}) {
+        const url = this.getShareUrl(path, query);
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.app.showToast('Link copied to clipboard', 'success');
+        } catch (error) {
+            // Clipboard access needs a secure context and permission
+            window.prompt('Copy this link:', url);
+        }
+        return url;
+    }
+    
+    /**
+     * Add a guard called before every navigation with (to, from)
+     * Return false to stop it, or a message to ask the user first.
+     * Returns a function that removes the guard.
+     */
+    addGuard(guard) {
+        this.guards.push(guard);
+        return () => {
+            this.guards = this.guards.filter(existing => existing !== guard);
+        };
+    }
+    
+    /**
+     * Ask the guards whether the current route may be left
+     */
+    canNavigate(to) {
+        for (const guard of this.guards) {
+            const result = guard(to, this.currentRoute);
+            if (result === false) return false;
+            if (typeof result === 'string' && !confirm(result)) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Navigate to a route
+     */
+    navigate(path, options = {}) {
+        // Don't navigate to same route unless forced
+        if (this.currentRoute === path && !options.force) {
+            return;
+        }
+        
+        if (!options.skipGuards && !this.canNavigate(path)) {
+            return;
+        }
+        
+        // Update URL without page reload
+        const url = path ? `#${path}` : '#';
+        
+        if (options.replace) {
+            history.replaceState({ path }, '', url);
+        } else {
+            history.pushState({ path }, '', url);
+        }
+        
+        // Process the route
+        this.processRoute(path);
+    }
+    
+    /**
+     * Process current route from URL
+     */
+    processCurrentRoute() {
+        const hash = window.location.hash.slice(1); // Remove #, still encoded
+        
+        // Without a deep link, reopen the last section
+        if (!hash) {
+            const last = this.app.state.get('currentSection');
+            if (last && this.isSectionRoute(last)) {
+                history.replaceState({ path: last }, '', `#${last}`);
+                this.processRoute(last);
+                return;
+            }
+        }
+        
+        this.processRoute(hash);
+    }
+    
+    /**
+     * Process a route
+     */
+    processRoute(fullPath) {
+        console.log(`🔄 Processing route: ${fullPath || '/'}`);
+        
+        // Store current route
+        this.currentRoute = fullPath;
+        
+        // Find and execute route handler
+        const { path, query } = this.parseRoute(fullPath);
+        const match = this.matchRoute(path);
+        
+        if (match) {
+            try {
+                // Handlers may be async (modules load on demand)
+                Promise.resolve(match.route.handler({ path, params: match.params, query }))
+                    .catch(error => this.handleRouteError(fullPath, error));
+                this.app.emit('route:change', { path, params: match.params, query });
+            } catch (error) {
+                console.error('Route handler error:', error);
+                this.handleRouteError(fullPath, error);
+            }
+        } else {
+            this.handleNotFound(fullPath);
+        }
+    }
+    
+    /**
+     * Get the config.modules key of a module route name
+     * "timeline", "decision-tool" and "decisionTool" are all accepted
+     */
+    resolveModule(name) {
+        const modules = Object.keys(this.app.config.modules || {});
+        const aliases = { decision: 'decisionTool', health: 'healthMonitor', monitor: 'healthMonitor' };
+        const camel = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        
+        return modules.find(key => key === name || key === camel) || aliases[name] || null;
+    }
+    
+    /**
+     * Get the route name of a module key, e.g. "decisionTool" -> "decision-tool"
+     */
+    moduleRouteName(key) {
+        return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+    
+    /**
+     * Load and show a module, passing it the route's query
+     */
+    async openModule(name, query = {}) {
+        const moduleName = this.resolveModule(name);
+        if (!moduleName || this.app.config.modules?.[moduleName]?.enabled === false) {
+            this.handleNotFound(this.buildPath(`module/${name}`, query));
+            return;
+        }
+        
+        const module = await this.app.loadModule(moduleName);
+        
+        // Header buttons also hide the sections and mark themselves active
+        const button = document.getElementById(`${moduleName}Btn`);
+        if (button) {
+            button.click();
+        } else {
+            module.show?.();
+        }
+        
+        module.handleRoute?.(query);
+    }
+    
+    /**
+     * Readable module name, e.g. "Decision tool"
+     */
+    moduleTitle(moduleName) {
+        const words = this.moduleRouteName(moduleName).replace(/-/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+    
+    /**
+     * Check if path is a valid section
+     */
+    isSectionRoute(path) {
+        const sections = this.app.config.navigation?.sections || [];
+        return sections.some(section => section.id === path);
+    }
+    
+    /**
+     * Handle popstate event (back/forward buttons)
+     */
+    handlePopState(event) {
+        // Hash edits in the address bar have no state
+        const path = event.state?.path ?? window.location.hash.slice(1);
+        
+        if (path !== this.currentRoute && !this.canNavigate(path)) {
+            // Put the URL of the page we stayed on back
+            history.pushState({ path: this.currentRoute }, '', this.currentRoute ? `#${this.currentRoute}` : '#');
+            return;
+        }
+        this.processRoute(path);
+    }
+    
+    /**
+     * Handle link clicks for client-side routing
+     */
+    handleLinkClick(event) {
+        // Check if it's an internal link with hash
+        const link = event.target.closest('a');
+        
+        // Already handled, e.g. by the navigation menu
+        if (!link || event.defaultPrevented) return;
+        
+        const href = link.getAttribute('href');
+        
+        // Handle hash links
+        if (href && href.startsWith('#')) {
+            event.preventDefault();
+            const path = href.slice(1);
+            this.navigate(path);
+        }
+        
+        // Handle data-route attributes
+        const route = link.dataset.route;
+        if (route) {
+            event.preventDefault();
+            this.navigate(route);
+        }
+    }
+    
+    /**
+     * Handle route not found
+     */
+    handleNotFound(path) {
+        console.warn(`Route not found: ${path}`);
+        
+        // Navigate to overview as fallback
+        this.navigate('overview', { replace: true, skipGuards: true });
+        
+        const suggestions = this.suggestRoutes(path);
+        
+        const modal = this.app.showModal({
+            title: 'Page not found',
+            className: 'route-not-found',
+            content: `
+                <p>There is no page at <code>#${escapeHtml(path)}</code>, so the Overview is shown instead.</p>
+                ${suggestions.length > 0 ? `
+                    <p>Did you mean:</p>
+                    <ul class="route-suggestions">
+                        ${suggestions.map(route => `
+                            <li><a href="#${escapeHtml(route.path)}">${escapeHtml(route.title)}</a> <code>#${escapeHtml(route.path)}</code></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            `
+        });
+        
+        // Following a suggestion closes the dialog
+        modal?.addEventListener('click', (e) => {
+            if (e.target.closest('.route-suggestions a')) this.app.closeModal();
+        });
+    }
+    
+    /**
+     * Get routes whose path or title is closest to an unknown path
+     */
+    suggestRoutes(fullPath, limit = 3) {
+        const { path, query } = this.parseRoute(fullPath);
+        const [first, ...rest] = path.split('/');
+        const isModule = first === 'module' && rest.length > 0;
+        const sections = this.app.config.navigation?.sections || [];
+        
+        const candidates = [
+            ...sections.map(section => ({
+                key: section.id,
+                title: section.title,
+                // Keep the item part of "#categorisation/cat-3"
+                path: isModule ? section.id : this.buildPath([section.id, ...rest].join('/'), query)
+            })),
+            ...Object.keys(this.app.config.modules || {})
+                .filter(key => this.app.config.modules[key].enabled !== false)
+                .map(key => ({
+                    key: this.moduleRouteName(key),
+                    title: this.app.config.modules[key].name || this.moduleTitle(key),
+                    path: `module/${this.moduleRouteName(key)}`
+                })),
+            { key: 'search', title: 'Search', path: 'search' }
+        ];
+        
+        // "module/timline" is compared on its last part
+        const target = slugify(isModule ? rest[0] : first);
+        const maxDistance = Math.max(2, Math.floor(target.length / 3));
+        
+        return candidates
+            .map(candidate => {
+                const title = slugify(candidate.title);
+                let distance = Math.min(
+                    editDistance(target, candidate.key, maxDistance),
+                    editDistance(target, title, maxDistance)
+                );
+                if (target.length >= 3 && (candidate.key.startsWith(target) || title.includes(target))) {
+                    distance = Math.min(distance, 0.5);
+                }
+                return { ...candidate, distance };
+            })
+            .filter(candidate => candidate.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Handle route error
+     */
+    handleRouteError(path, error) {
+        console.error(`Error processing route ${path}:`, error);
+        
+        // Show error notification
+        this.app.showToast('Navigation error occurred', 'error');
+    }
+    
+    /**
+     * Get current route
+     */
+    getCurrentRoute() {
+        return this.currentRoute;
+    }
+    
+    /**
+     * Go back in history
+     */
+    back() {
+        history.back();
+    }
+    
+    /**
+     * Go forward in history
+     */
+    forward() {
+        history.forward();
+    }
+    
+    /**
+     * Reload current route
+     */
+    reload() {
+        this.processRoute(this.currentRoute);
+    }
+}
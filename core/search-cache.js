@@ -0,0 +1,100 @@
+/**
+ * SearchIndexCache - Search documents of each section and decision tree file kept in IndexedDB
+ * Lets search cover every section straight after launch, offline too,
+ * without refetching and re-indexing content files that have not changed.
+ *
+ * Record: { source, lastUpdated, version, indexedAt, documents } where source
+ * is a section ID or a decision tree file
+ */
+
+const DB_NAME = 'versatex-search';
+const DB_VERSION = 2;
+const SECTION_STORE = 'sections';
+
+export class SearchIndexCache {
+    constructor() {
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) throw new Error('IndexedDB is not available');
+        
+        this.db = await new Promise((resolve, reject) => {
+            const open = indexedDB.open(DB_NAME, DB_VERSION);
+            open.onupgradeneeded = () => {
+                const db = open.result;
+                
+                // Only a cache: older layouts are dropped and rebuilt
+                if (db.objectStoreNames.contains(SECTION_STORE)) {
+                    db.deleteObjectStore(SECTION_STORE);
+                }
+                db.createObjectStore(SECTION_STORE, { keyPath: 'source' });
+            };
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+            open.onblocked = () => reject(new Error('Search index database is blocked'));
+        });
+        
+        // Another tab upgrading the database closes this connection
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    }
+    
+    /**
+     * Run a request against the section store
+     */
+    async request(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([SECTION_STORE], mode);
+            const request = fn(tx.objectStore(SECTION_STORE));
+            let result;
+            request.onsuccess = () => { result = request.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    /**
+     * Get all cached sources
+     */
+    async getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+    
+    /**
+     * Store the documents of a section or tree file
+     */
+    async put(source, lastUpdated, version, documents) {
+        return this.request('readwrite', store => store.put({
+            source,
+            lastUpdated,
+            version,
+            indexedAt: new Date().toISOString(),
+            documents
+        }));
+    }
+    
+    /**
+     * Remove a source that is no longer configured
+     */
+    async delete(source) {
+        return this.request('readwrite', store => store.delete(source));
+    }
+    
+    /**
+     * Remove all cached sources
+     */
+    async clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
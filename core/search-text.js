@@ -0,0 +1,399 @@
+/**
+ * Search text processing - Tokenizing, stemming, fuzzy matching and
+ * splitting section HTML into searchable documents
+ * Works without a DOM so build-search-index.js can prebuild the index in
+ * Node with exactly the same rules the browser uses.
+ */
+
+export const INDEX_VERSION = 3;
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+    'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'with'
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities used in content files
+ */
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Get plain text of an HTML fragment
+ */
+export function htmlToText(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize text for matching: lowercase, no accents, no punctuation
+ */
+export function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Split text into words (2+ characters, so "PO", "BI" and "ID" are kept)
+ */
+export function tokenize(text) {
+    return normalize(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Reduce a word to its stem
+ * A light suffix stripper: enough to match plurals, verb forms and
+ * British/American spellings ("categorisation" = "categorization")
+ */
+export function stem(word) {
+    let w = normalize(word);
+    if (w.length <= 3 || /\d/.test(w)) return w;
+    
+    // British -ise/-isation spellings
+    w = w.replace(/is(ation|ations|e|es|ed|ing|er|ers)$/, 'iz$1');
+    
+    // Plurals first, then at most one derivational suffix
+    w = w.replace(/ies$/, 'y').replace(/(ss)es$/, '$1').replace(/([^siu])s$/, '$1');
+    
+    const suffixes = [
+        [/izations?$/, 'iz'],
+        [/ations?$/, 'at'],
+        [/ments?$/, ''],
+        [/ness$/, ''],
+        [/ied$/, 'y'],
+        [/ing$/, ''],
+        [/ed$/, ''],
+        [/ly$/, ''],
+        [/er$/, ''],
+        [/e$/, '']
+    ];
+    
+    for (const [pattern, replacement] of suffixes) {
+        const stemmed = w.replace(pattern, replacement);
+        if (stemmed !== w) {
+            return stemmed.length >= 3 ? stemmed : w;
+        }
+    }
+    return w;
+}
+
+/**
+ * Tokenize and stem text
+ */
+export function stems(text) {
+    return tokenize(text).map(stem);
+}
+
+/**
+ * Edit distance between two words, or max + 1 once it exceeds max
+ */
+export function editDistance(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Typos allowed for a word of this length
+ */
+export function allowedTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 8 ? 1 : 2;
+}
+
+// Query operators: is:open, type:checklist, phase:categorization
+const FILTER_PATTERN = /(^|\s)(is|type|phase):("[^"]*"|\S*)/gi;
+
+const STATUS_VALUES = { open: 'open', todo: 'open', done: 'done', complete: 'done', completed: 'done', checked: 'done' };
+
+const TYPE_VALUES = {
+    section: 'section', sections: 'section', heading: 'section', headings: 'section',
+    checklist: 'checklist', item: 'checklist', items: 'checklist', task: 'checklist', tasks: 'checklist',
+    resource: 'resource', resources: 'resource', file: 'resource', files: 'resource', download: 'resource',
+    decision: 'decision', decisions: 'decision', scenario: 'decision', scenarios: 'decision'
+};
+
+/**
+ * Take the filter operators out of a query
+ * Returns { text, filters: { type, status, phase }, errors: [message] };
+ * a filter that is not set is null, phase is the value as typed
+ */
+export function parseFilters(query) {
+    const filters = { type: null, status: null, phase: null };
+    const errors = [];
+    
+    const text = String(query || '').replace(FILTER_PATTERN, (match, space, name, raw) => {
+        const value = normalize(raw.replace(/^"|"$/g, '')).trim();
+        name = name.toLowerCase();
+        
+        if (name === 'is' && STATUS_VALUES[value]) {
+            filters.status = STATUS_VALUES[value];
+        } else if (name === 'type' && TYPE_VALUES[value]) {
+            filters.type = TYPE_VALUES[value];
+        } else if (name === 'phase' && value) {
+            filters.phase = value;
+        } else {
+            errors.push(`Unknown filter ${name}:${raw}`);
+        }
+        return space;
+    });
+    
+    return { text: text.replace(/\s+/g, ' ').trim(), filters, errors };
+}
+
+/**
+ * Set or remove one filter operator in a query, keeping the rest
+ * name is "type", "status" or "phase"; a null value removes the filter
+ */
+export function setQueryFilter(query, name, value) {
+    const operator = name === 'status' ? 'is' : name;
+    const rest = String(query || '')
+        .replace(new RegExp(`(^|\\s)${operator}:("[^"]*"|\\S*)`, 'gi'), '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    return value ? `${rest} ${operator}:${value}`.trim() : rest;
+}
+
+/**
+ * Parse a query into words and "quoted phrases"
+ * Returns { terms: [stem], phrases: [[stem]], words: [original word] }
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+        const phraseStems = stems(phrase);
+        if (phraseStems.length > 1) phrases.push(phraseStems);
+        return ` ${phrase} `;
+    });
+    
+    const words = tokenize(rest);
+    return { terms: [...new Set(words.map(stem))], phrases, words };
+}
+
+/**
+ * Turn heading text into an anchor ID
+ */
+export function slugify(text) {
+    return normalize(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'section';
+}
+
+/**
+ * Assign anchor IDs to headings, in document order
+ * Headings that already have an id keep it; duplicates get -2, -3...
+ */
+export function headingAnchors(headings) {
+    const used = new Set();
+    return headings.map(({ id, text }) => {
+        if (id) {
+            used.add(id);
+            return id;
+        }
+        const base = `h-${slugify(text)}`;
+        let anchor = base;
+        for (let n = 2; used.has(anchor); n++) anchor = `${base}-${n}`;
+        used.add(anchor);
+        return anchor;
+    });
+}
+
+const HEADING_PATTERN = /<h([2-4])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+const LABEL_PATTERN = /<label\b[^>]*\bfor\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>([\s\S]*?)<\/label>/gi;
+const ID_PATTERN = /\bid\s*=\s*(?:"([^"]*)"|'([^']*)')/i;
+
+/**
+ * Split a section's HTML into documents: one per heading (with the text up
+ * to the next heading) and one per checklist item
+ *
+ * Document: { id, sectionId, sectionTitle, type, title, anchor, text }
+ * type is "heading" or "checklist"; anchor is the heading ID or checkbox ID
+ */
+export function extractDocuments(sectionId, content) {
+    const html = String(content?.content || '');
+    const sectionTitle = content?.title || sectionId;
+    const documents = [];
+    
+    // Headings and the text that follows each one
+    const headings = [];
+    for (const match of html.matchAll(HEADING_PATTERN)) {
+        const idMatch = match[2].match(ID_PATTERN);
+        headings.push({
+            id: idMatch ? (idMatch[1] ?? idMatch[2]) : null,
+            text: htmlToText(match[3]),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    
+    const anchors = headingAnchors(headings);
+    const intro = htmlToText(html.slice(0, headings[0]?.start ?? html.length));
+    if (intro) {
+        documents.push({
+            id: `${sectionId}#top`,
+            sectionId,
+            sectionTitle,
+            type: 'heading',
+            title: sectionTitle,
+            anchor: null,
+            text: [content?.subtitle, intro].filter(Boolean).join(' ')
+        });
+    }
+    
+    headings.forEach((heading, index) => {
+        const next = headings[index + 1]?.start ?? html.length;
+        documents.push({
+            id: `${sectionId}#${anchors[index]}`,
+            sectionId,
+            sectionTitle,
+            type: 'heading',
+            title: heading.text,
+            anchor: anchors[index],
+            text: htmlToText(html.slice(heading.end, next))
+        });
+    });
+    
+    // Checklist items, by the label of each checkbox
+    const seen = new Set();
+    for (const match of html.matchAll(LABEL_PATTERN)) {
+        const checkboxId = match[1] ?? match[2];
+        if (seen.has(checkboxId) || !new RegExp(`<input\\b[^>]*\\bid\\s*=\\s*["']${checkboxId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']`, 'i').test(html)) {
+            continue;
+        }
+        seen.add(checkboxId);
+        
+        const label = htmlToText(match[3]);
+        const owner = [...headings].reverse().find(heading => heading.start < match.index);
+        documents.push({
+            id: `${sectionId}/${checkboxId}`,
+            sectionId,
+            sectionTitle,
+            type: 'checklist',
+            title: label,
+            anchor: checkboxId,
+            text: owner ? owner.text : sectionTitle
+        });
+    }
+    
+    return documents;
+}
+
+/**
+ * Get one document per downloadable resource of a section
+ *
+ * Document: { id, sectionId, sectionTitle, type: "resource", title, url,
+ * resourceType, keywords, text }; url is as written in the content file
+ */
+export function extractResources(sectionId, content) {
+    const sectionTitle = content?.title || sectionId;
+    const resources = Array.isArray(content?.resources) ? content.resources : [];
+    
+    return resources.flatMap((resource, index) => {
+        if (!resource?.url) return [];
+        
+        const fileName = resource.url.split(/[?#]/)[0].split('/').pop();
+        return [{
+            id: `${sectionId}/resources[${index}]`,
+            sectionId,
+            sectionTitle,
+            type: 'resource',
+            title: resource.title || fileName,
+            url: resource.url,
+            resourceType: resource.type || null,
+            keywords: [resource.type, fileName, ...fileName.split(/[-_.]/)].filter(Boolean),
+            text: [resource.type || 'file', fileName, resource.description].filter(Boolean).join(' · ')
+        }];
+    });
+}
+
+/**
+ * Get all search documents of a section: headings, checklist items, resources
+ */
+export function sectionDocuments(sectionId, content) {
+    return [...extractDocuments(sectionId, content), ...extractResources(sectionId, content)];
+}
+
+/**
+ * Get one document per scenario of a decision tree file
+ *
+ * Document: { id, source, type: "decision", title, scenarioKey, text };
+ * source is the tree file, as listed in modules.decisionTool.trees
+ */
+export function extractScenarios(tree, file) {
+    const scenarios = tree?.scenarios && typeof tree.scenarios === 'object' ? tree.scenarios : {};
+    
+    return Object.entries(scenarios).map(([key, scenario]) => ({
+        id: `decision:${key}`,
+        source: file,
+        sectionId: null,
+        sectionTitle: 'Decision Support Tool',
+        type: 'decision',
+        title: scenario?.title || key,
+        scenarioKey: key,
+        text: [
+            scenario?.description,
+            ...(Array.isArray(scenario?.questions) ? scenario.questions : []).flatMap(question => [
+                question?.text,
+                ...(Array.isArray(question?.options) ? question.options : [])
+            ])
+        ].filter(value => typeof value === 'string' && value).join(' · ')
+    }));
+}
+
+/**
+ * Build a search index from content files: { sectionId: content } and
+ * decision tree files: { file: tree }
+ */
+export function buildSearchIndex(contents, trees = {}) {
+    const documents = [];
+    const sources = {};
+    
+    Object.entries(contents).forEach(([sectionId, content]) => {
+        sources[sectionId] = content?.lastUpdated || null;
+        documents.push(...sectionDocuments(sectionId, content));
+    });
+    
+    Object.entries(trees).forEach(([file, tree]) => {
+        sources[file] = tree?.lastUpdated || null;
+        documents.push(...extractScenarios(tree, file));
+    });
+    
+    return {
+        version: INDEX_VERSION,
+        generatedAt: new Date().toISOString(),
+        sources,
+        documents
+    };
+}
@@ -1,412 +1,939 @@
-/**
- * SearchEngine - Full-text search across all SOP content
- * Provides instant search with highlighting and filtering
- */
-
-export class SearchEngine {
-    constructor(app) {
-        this.app = app;
-        this.searchIndex = new Map();
-        this.searchResults = [];
-        this.searchActive = false;
-    }
-    
-    /**
-     * Initialize search engine
-     */
-    init() {
-        // Build search index
-        this.buildIndex();
-        
-        // Setup search UI
-        this.setupSearchUI();
-        
-        // Setup keyboard shortcuts
-        this.setupShortcuts();
-        
-        console.log('✅ Search engine initialized');
-    }
-    
-    /**
-     * Build search index from content
-     */
-    buildIndex() {
-        const sections = this.app.config.navigation?.sections || [];
-        
-        sections.forEach(section => {
-            // Index section metadata
-            this.indexContent(section.id, {
-                title: section.title,
-                type: 'section',
-                keywords: section.keywords || [],
-                content: section.description || ''
-            });
-            
-            // Index section content (would normally load from JSON)
-            const content = this.app.content?.data?.[section.id];
-            if (content) {
-                this.indexContent(`${section.id}_content`, {
-                    title: content.title,
-                    type: 'content',
-                    sectionId: section.id,
-                    content: this.extractText(content.content || '')
-                });
-            }
-        });
-        
-        console.log(`🔍 Indexed ${this.searchIndex.size} items`);
-    }
-    
-    /**
-     * Index content item
-     */
-    indexContent(id, data) {
-        // Create searchable text
-        const searchableText = [
-            data.title,
-            data.content,
-            ...(data.keywords || [])
-        ].join(' ').toLowerCase();
-        
-        this.searchIndex.set(id, {
-            ...data,
-            id,
-            searchableText,
-            tokens: this.tokenize(searchableText)
-        });
-    }
-    
-    /**
-     * Tokenize text for searching
-     */
-    tokenize(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .split(/\s+/)
-            .filter(token => token.length > 2);
-    }
-    
-    /**
-     * Extract text from HTML
-     */
-    extractText(html) {
-        const temp = document.createElement('div');
-        temp.innerHTML = html;
-        return temp.textContent || temp.innerText || '';
-    }
-    
-    /**
-     * Setup search UI
-     */
-    setupSearchUI() {
-        const searchContainer = document.getElementById('search-container');
-        if (!searchContainer) return;
-        
-        // Create search interface
-        searchContainer.innerHTML = `
-            <div class="search-wrapper">
-                <div class="search-input-group">
-                    <input 
-                        type="text" 
-                        id="search-input" 
-                        class="search-input" 
-                        placeholder="Search SOP content (Ctrl+K)"
-                        aria-label="Search"
-                    >
-                    <button 
-                        id="search-clear" 
-                        class="search-clear" 
-                        style="display:none;"
-                        aria-label="Clear search"
-                    >
-                        <i class="fas fa-times"></i>
-                    </button>
-                    <i class="fas fa-search search-icon"></i>
-                </div>
-                <div id="search-results" class="search-results" style="display:none;"></div>
-            </div>
-        `;
-        
-        // Setup event listeners
-        this.setupSearchListeners();
-    }
-    
-    /**
-     * Setup search event listeners
-     */
-    setupSearchListeners() {
-        const input = document.getElementById('search-input');
-        const clearBtn = document.getElementById('search-clear');
-        const results = document.getElementById('search-results');
-        
-        if (!input) return;
-        
-        // Handle input
-        let searchTimeout;
-        input.addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
-            const query = e.target.value.trim();
-            
-            if (query.length > 0) {
-                clearBtn.style.display = 'block';
-                searchTimeout = setTimeout(() => {
-                    this.search(query);
-                }, 300); // Debounce
-            } else {
-                this.clearSearch();
-            }
-        });
-        
-        // Handle clear
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                input.value = '';
-                this.clearSearch();
-                input.focus();
-            });
-        }
-        
-        // Handle result clicks
-        if (results) {
-            results.addEventListener('click', (e) => {
-                const resultItem = e.target.closest('.search-result-item');
-                if (resultItem) {
-                    const sectionId = resultItem.dataset.section;
-                    if (sectionId) {
-                        this.app.navigate(sectionId);
-                        this.clearSearch();
-                    }
-                }
-            });
-        }
-        
-        // Handle escape key
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.clearSearch();
-                input.blur();
-            }
-        });
-    }
-    
-    /**
-     * Perform search
-     */
-    search(query) {
-        console.log(`🔍 Searching for: ${query}`);
-        
-        const queryTokens = this.tokenize(query);
-        const results = [];
-        
-        // Search through index
-        this.searchIndex.forEach((item, id) => {
-            const score = this.calculateScore(queryTokens, item);
-            if (score > 0) {
-                results.push({
-                    ...item,
-                    score,
-                    highlights: this.getHighlights(query, item)
-                });
-            }
-        });
-        
-        // Sort by score
-        results.sort((a, b) => b.score - a.score);
-        
-        // Limit results
-        this.searchResults = results.slice(0, 10);
-        
-        // Display results
-        this.displayResults(query);
-        
-        // Emit event
-        this.app.emit('search:performed', {
-            query,
-            resultCount: this.searchResults.length
-        });
-    }
-    
-    /**
-     * Calculate search score
-     */
-    calculateScore(queryTokens, item) {
-        let score = 0;
-        
-        queryTokens.forEach(token => {
-            // Check title (highest weight)
-            if (item.title?.toLowerCase().includes(token)) {
-                score += 10;
-            }
-            
-            // Check keywords (medium weight)
-            if (item.keywords?.some(k => k.toLowerCase().includes(token))) {
-                score += 5;
-            }
-            
-            // Check content (lower weight)
-            if (item.searchableText?.includes(token)) {
-                score += 1;
-            }
-        });
-        
-        return score;
-    }
-    
-    /**
-     * Get text highlights
-     */
-    getHighlights(query, item) {
-        const text = item.content || '';
-        const index = text.toLowerCase().indexOf(query.toLowerCase());
-        
-        if (index === -1) return text.substring(0, 150) + '...';
-        
-        const start = Math.max(0, index - 50);
-        const end = Math.min(text.length, index + query.length + 100);
-        
-        let highlight = text.substring(start, end);
-        
-        // Add ellipsis
-        if (start > 0) highlight = '...' + highlight;
-        if (end < text.length) highlight = highlight + '...';
-        
-        // Highlight query
-        const regex = new RegExp(`(${query})`, 'gi');
-        highlight = highlight.replace(regex, '<mark>$1</mark>');
-        
-        return highlight;
-    }
-    
-    /**
-     * Display search results
-     */
-    displayResults(query) {
-        const container = document.getElementById('search-results');
-        if (!container) return;
-        
-        if (this.searchResults.length === 0) {
-            container.innerHTML = `
-                <div class="search-no-results">
-                    <i class="fas fa-search"></i>
-                    <p>No results found for "${query}"</p>
-                    <small>Try different keywords or check spelling</small>
-                </div>
-            `;
-        } else {
-            const resultsHTML = this.searchResults.map(result => `
-                <div class="search-result-item" data-section="${result.sectionId || result.id}">
-                    <div class="search-result-header">
-                        <i class="${this.getResultIcon(result.type)}"></i>
-                        <h4>${result.title}</h4>
-                    </div>
-                    <div class="search-result-content">
-                        ${result.highlights}
-                    </div>
-                    <div class="search-result-meta">
-                        <span class="result-type">${result.type}</span>
-                        <span class="result-score">Score: ${result.score}</span>
-                    </div>
-                </div>
-            `).join('');
-            
-            container.innerHTML = `
-                <div class="search-results-header">
-                    <span>${this.searchResults.length} results for "${query}"</span>
-                </div>
-                <div class="search-results-list">
-                    ${resultsHTML}
-                </div>
-            `;
-        }
-        
-        container.style.display = 'block';
-        this.searchActive = true;
-    }
-    
-    /**
-     * Get icon for result type
-     */
-    getResultIcon(type) {
-        const icons = {
-            section: 'fas fa-folder',
-            content: 'fas fa-file-alt',
-            checklist: 'fas fa-tasks',
-            template: 'fas fa-file-download'
-        };
-        return icons[type] || 'fas fa-file';
-    }
-    
-    /**
-     * Clear search
-     */
-    clearSearch() {
-        const input = document.getElementById('search-input');
-        const clearBtn = document.getElementById('search-clear');
-        const results = document.getElementById('search-results');
-        
-        if (input) input.value = '';
-        if (clearBtn) clearBtn.style.display = 'none';
-        if (results) {
-            results.style.display = 'none';
-            results.innerHTML = '';
-        }
-        
-        this.searchResults = [];
-        this.searchActive = false;
-        
-        this.app.emit('search:cleared');
-    }
-    
-    /**
-     * Setup keyboard shortcuts
-     */
-    setupShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ctrl+K or Cmd+K to focus search
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                this.focusSearch();
-            }
-            
-            // Ctrl+/ for search
-            if (e.ctrlKey && e.key === '/') {
-                e.preventDefault();
-                this.focusSearch();
-            }
-        });
-    }
-    
-    /**
-     * Focus search input
-     */
-    focusSearch() {
-        const input = document.getElementById('search-input');
-        if (input) {
-            input.focus();
-            input.select();
-        }
-    }
-    
-    /**
-     * Add content to search index
-     */
-    addToIndex(id, data) {
-        this.indexContent(id, data);
-    }
-    
-    /**
-     * Remove from search index
-     */
-    removeFromIndex(id) {
-        this.searchIndex.delete(id);
-    }
-    
-    /**
-     * Rebuild search index
-     */
-    rebuildIndex() {
-        this.searchIndex.clear();
-        this.buildIndex();
-    }
-}
\ No newline at end of file
+/**
+ * SearchEngine - Full-text search across all SOP content
+ * Provides instant search with highlighting and filtering
+ *
+ * Sections are split into one document per heading, checklist item and
+ * resource, and decision trees into one per scenario (see search-text.js),
+ * so results link to the exact place they come from. At startup the index
+ * comes from IndexedDB (search-cache.js) and the prebuilt search-index.json;
+ * a background pass then fetches every content file and re-indexes the ones
+ * whose lastUpdated has changed.
+ *
+ * Results can be filtered by type, completion and phase with the filter bar
+ * or with query operators: is:open phase:categorization vendor
+ */
+
+import {
+    INDEX_VERSION, stems, parseQuery, parseFilters, setQueryFilter, slugify,
+    editDistance, allowedTypos, sectionDocuments, extractScenarios, htmlToText, stem
+} from './search-text.js';
+import { SearchIndexCache } from './search-cache.js';
+import { escapeHtml } from './html.js';
+
+// Result types each type filter shows
+const TYPE_GROUPS = {
+    section: ['section', 'heading'],
+    checklist: ['checklist'],
+    resource: ['resource'],
+    decision: ['decision']
+};
+
+const TYPE_LABELS = {
+    section: 'section',
+    heading: 'section',
+    checklist: 'checklist item',
+    resource: 'resource',
+    decision: 'decision scenario'
+};
+
+export class SearchEngine {
+    constructor(app) {
+        this.app = app;
+        this.searchIndex = new Map();
+        this.searchResults = [];
+        this.searchActive = false;
+        this.indexUrl = app.config.search?.index || 'search-index.json';
+        this.maxResults = 12;
+        this.maxListResults = 50;
+        this.totalResults = 0;
+        this.lastQuery = '';
+        
+        // stem -> number of indexed items using it, for typo/prefix matching
+        this.vocabulary = new Map();
+        
+        // Section versions (lastUpdated) the index was built from
+        this.indexedSources = {};
+        
+        // Per-section documents persisted between sessions
+        this.cache = new SearchIndexCache();
+        this.indexing = false;
+        
+        
+        // Resolves when the cached and prebuilt index have loaded
+        this.ready = null;
+    }
+    
+    /**
+     * Initialize search engine
+     */
+    init() {
+        // Build search index
+        this.buildIndex();
+        this.ready = this.loadIndex();
+        this.ready.then(() => this.indexAllSections());
+        
+        // Setup search UI
+        this.setupSearchUI();
+        
+        // Setup keyboard shortcuts
+        this.setupShortcuts();
+        
+        this.app.on('section:loaded', (e) => {
+            const { sectionId } = e.detail;
+            
+            // Built-in fallback content has no lastUpdated and must not
+            // replace the index of the real content file
+            const content = this.app.sections?.sections.get(sectionId)?.content;
+            if (content?.lastUpdated) {
+                this.refreshSection(sectionId, content);
+            }
+        });
+        
+        console.log('✅ Search engine initialized');
+    }
+    
+    /**
+     * Build search index from navigation metadata
+     */
+    buildIndex() {
+        const sections = this.app.config.navigation?.sections || [];
+        
+        sections.forEach(section => {
+            // Index section metadata
+            this.indexContent(section.id, {
+                title: section.title,
+                type: 'section',
+                sectionId: section.id,
+                keywords: section.keywords || [],
+                content: section.description || ''
+            });
+        });
+        
+        console.log(`🔍 Indexed ${this.searchIndex.size} items`);
+    }
+    
+    /**
+     * Get the files the index is built from: every navigation section and
+     * every decision tree file. Returns [{ id, url, extract(content) }]
+     */
+    getSources() {
+        const sections = (this.app.config.navigation?.sections || []).map(section => ({
+            id: section.id,
+            url: `content/${section.id}.json`,
+            extract: content => sectionDocuments(section.id, content)
+        }));
+        const trees = (this.app.config.modules?.decisionTool?.trees || []).map(file => ({
+            id: file,
+            url: file,
+            extract: tree => extractScenarios(tree, file)
+        }));
+        return [...sections, ...trees];
+    }
+    
+    /**
+     * Load the index from IndexedDB and the prebuilt search-index.json
+     * Sources cached in IndexedDB win; the prebuilt file fills the rest
+     */
+    async loadIndex() {
+        const sourceIds = new Set(this.getSources().map(source => source.id));
+        
+        try {
+            const records = await this.cache.getAll();
+            records.forEach(record => {
+                if (record.version === INDEX_VERSION && sourceIds.has(record.source)) {
+                    this.setSourceDocuments(record.source, record.lastUpdated, record.documents);
+                } else {
+                    this.cache.delete(record.source).catch(() => {});
+                }
+            });
+        } catch (error) {
+            console.warn(`Search index cache unavailable (${error.message})`);
+        }
+        
+        try {
+            const response = await fetch(this.indexUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const index = await response.json();
+            if (index.version !== INDEX_VERSION || !Array.isArray(index.documents)) {
+                throw new Error(`unsupported index version ${index.version}`);
+            }
+            
+            Object.entries(index.sources || {}).forEach(([sourceId, lastUpdated]) => {
+                if (!sourceIds.has(sourceId) || sourceId in this.indexedSources) return;
+                
+                const documents = index.documents.filter(doc => (doc.source || doc.sectionId) === sourceId);
+                this.setSourceDocuments(sourceId, lastUpdated, documents);
+                this.persistSource(sourceId, lastUpdated, documents);
+            });
+        } catch (error) {
+            console.warn(`Prebuilt search index unavailable (${error.message}), indexing content files`);
+        }
+        
+        console.log(`🔍 Search index ready: ${this.searchIndex.size} items`);
+    }
+    
+    /**
+     * Fetch every content and decision tree file in the background and
+     * re-index the ones that changed
+     */
+    async indexAllSections() {
+        if (this.indexing) return;
+        this.indexing = true;
+        
+        const sources = this.getSources();
+        let refreshed = 0;
+        
+        for (const source of sources) {
+            await this.idle();
+            
+            try {
+                const response = await fetch(source.url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                if (await this.refreshSource(source, await response.json())) {
+                    refreshed++;
+                }
+            } catch (error) {
+                // Keep whatever is indexed for this file (e.g. while offline)
+                console.warn(`Could not index ${source.url}: ${error.message}`);
+            }
+        }
+        
+        this.indexing = false;
+        console.log(`🔍 Background indexing done: ${refreshed} of ${sources.length} files updated`);
+        
+        this.app.emit('search:indexed', {
+            sources: sources.length,
+            refreshed,
+            items: this.searchIndex.size
+        });
+    }
+    
+    /**
+     * Wait until the browser is idle, so indexing never delays the UI
+     */
+    idle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(() => resolve(), { timeout: 1000 });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+    
+    /**
+     * Re-index a section if its content differs from the indexed version
+     * Returns true when the section was re-indexed
+     */
+    async refreshSection(sectionId, content) {
+        const source = this.getSources().find(candidate => candidate.id === sectionId);
+        return source ? this.refreshSource(source, content) : false;
+    }
+    
+    /**
+     * Re-index a source file if its lastUpdated differs from the indexed one
+     */
+    async refreshSource(source, content) {
+        const lastUpdated = content.lastUpdated || null;
+        if (source.id in this.indexedSources && this.indexedSources[source.id] === lastUpdated) {
+            return false;
+        }
+        
+        const documents = source.extract(content);
+        this.setSourceDocuments(source.id, lastUpdated, documents);
+        await this.persistSource(source.id, lastUpdated, documents);
+        return true;
+    }
+    
+    /**
+     * Store the documents of a source in IndexedDB
+     */
+    async persistSource(sourceId, lastUpdated, documents) {
+        try {
+            await this.cache.put(sourceId, lastUpdated, INDEX_VERSION, documents);
+        } catch (error) {
+            console.warn(`Could not cache search index of ${sourceId}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Replace the indexed documents of a source
+     */
+    setSourceDocuments(sourceId, lastUpdated, documents) {
+        this.searchIndex.forEach((item, id) => {
+            if (item.document && item.source === sourceId) this.removeFromIndex(id);
+        });
+        documents.forEach(doc => this.indexDocument(doc));
+        this.indexedSources[sourceId] = lastUpdated;
+    }
+    
+    /**
+     * Index a heading, checklist, resource or decision document from search-text.js
+     */
+    indexDocument(doc) {
+        this.indexContent(doc.id, {
+            title: doc.title,
+            type: doc.type,
+            source: doc.source || doc.sectionId,
+            sectionId: doc.sectionId,
+            sectionTitle: doc.sectionTitle,
+            anchor: doc.anchor || null,
+            url: doc.url ? (this.app.sections?.getResourceUrl(doc.url) || doc.url) : null,
+            scenarioKey: doc.scenarioKey || null,
+            keywords: doc.keywords || [],
+            content: doc.text,
+            document: true
+        });
+    }
+    
+    /**
+     * Index content item
+     */
+    indexContent(id, data) {
+        if (this.searchIndex.has(id)) this.removeFromIndex(id);
+        
+        const titleStems = stems(data.title);
+        const keywordStems = (data.keywords || []).flatMap(keyword => stems(keyword));
+        const bodyStems = stems(data.content);
+        
+        // Stem -> occurrences in the body
+        const bodyCounts = new Map();
+        bodyStems.forEach(word => bodyCounts.set(word, (bodyCounts.get(word) || 0) + 1));
+        
+        const item = {
+            ...data,
+            id,
+            titleStems,
+            bodyStems,
+            titleSet: new Set(titleStems),
+            keywordSet: new Set(keywordStems),
+            bodyCounts
+        };
+        
+        this.searchIndex.set(id, item);
+        this.vocabularyOf(item).forEach(word => this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + 1));
+    }
+    
+    /**
+     * Get distinct stems of an indexed item
+     */
+    vocabularyOf(item) {
+        return new Set([...item.titleSet, ...item.keywordSet, ...item.bodyCounts.keys()]);
+    }
+    
+    /**
+     * Tokenize text for searching (stems, 2+ characters)
+     */
+    tokenize(text) {
+        return stems(text);
+    }
+    
+    /**
+     * Extract text from HTML
+     */
+    extractText(html) {
+        return htmlToText(html);
+    }
+    
+    /**
+     * Setup search UI
+     */
+    setupSearchUI() {
+        const searchContainer = document.getElementById('search-container');
+        if (!searchContainer) return;
+        
+        // Create search interface
+        searchContainer.innerHTML = `
+            <div class="search-wrapper">
+                <div class="search-input-group">
+                    <input 
+                        type="text" 
+                        id="search-input" 
+                        class="search-input" 
+                        placeholder="Search SOP content (Ctrl+K)"
+                        aria-label="Search"
+                    >
+                    <button 
+                        id="search-clear" 
+                        class="search-clear" 
+                        style="display:none;"
+                        aria-label="Clear search"
+                    >
+                        <i class="fas fa-times"></i>
+                    </button>
+                    <i class="fas fa-search search-icon"></i>
+                </div>
+                <div id="search-results" class="search-results" style="display:none;"></div>
+            </div>
+        `;
+        
+        // Setup event listeners
+        this.setupSearchListeners();
+    }
+    
+    /**
+     * Setup search event listeners
+     */
+    setupSearchListeners() {
+        const input = document.getElementById('search-input');
+        const clearBtn = document.getElementById('search-clear');
+        const results = document.getElementById('search-results');
+        
+        if (!input) return;
+        
+        // Handle input
+        let searchTimeout;
+        input.addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            const query = e.target.value.trim();
+            
+            if (query.length > 0) {
+                clearBtn.style.display = 'block';
+                searchTimeout = setTimeout(() => {
+                    this.search(query);
+                }, 300); // Debounce
+            } else {
+                this.clearSearch();
+            }
+        });
+        
+        // Handle clear
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                input.value = '';
+                this.clearSearch();
+                input.focus();
+            });
+        }
+        
+        // Handle result clicks
+        if (results) {
+            results.addEventListener('click', (e) => {
+                if (e.target.closest('.search-copy-link')) {
+                    this.app.router.copyLink('search', { q: this.lastQuery });
+                    return;
+                }
+                
+                const filterButton = e.target.closest('.search-filter');
+                if (filterButton) {
+                    this.applyFilter(filterButton.dataset.filter, filterButton.dataset.value);
+                    return;
+                }
+                
+                // Ticking an item from the results does not open it
+                if (e.target.closest('.search-result-check')) return;
+                
+                const resultItem = e.target.closest('.search-result-item');
+                if (resultItem) {
+                    this.openResult(resultItem);
+                }
+            });
+            
+            results.addEventListener('change', (e) => {
+                if (e.target.matches('select[data-filter]')) {
+                    this.applyFilter(e.target.dataset.filter, e.target.value);
+                } else if (e.target.matches('.search-result-check input')) {
+                    this.toggleChecklistItem(e.target);
+                }
+            });
+        }
+        
+        // Keep ticks in the results in step with the checklist
+        this.app.on('checkbox:changed', (e) => {
+            const { id, checked } = e.detail;
+            document.querySelectorAll('.search-result-check input').forEach(checkbox => {
+                if (checkbox.dataset.progressKey === id) {
+                    checkbox.checked = checked;
+                    checkbox.closest('.search-result-item')?.classList.toggle('is-done', checked);
+                }
+            });
+        });
+        
+        // Handle escape key
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+                input.blur();
+            }
+        });
+    }
+    
+    /**
+     * Open a search result through its route, so it gets a shareable URL
+     */
+    openResult(resultItem) {
+        this.clearSearch();
+        this.app.router.navigate(this.getResultRoute(resultItem.dataset), { force: true });
+    }
+    
+    /**
+     * Get the route of a result: section, item/heading, resource or scenario
+     */
+    getResultRoute({ section, anchor, resource, scenario }) {
+        if (scenario) return `decision/${encodeURIComponent(scenario)}`;
+        if (resource) return this.app.router.buildPath(section, { resource });
+        return anchor ? `${section}/${encodeURIComponent(anchor)}` : section;
+    }
+    
+    /**
+     * Show results for a query, e.g. from a #search?q= link
+     */
+    async open(query) {
+        const input = document.getElementById('search-input');
+        if (!input) return;
+        
+        await this.ready;
+        input.value = query;
+        if (query.trim()) {
+            document.getElementById('search-clear').style.display = 'block';
+            this.search(query.trim());
+        }
+        input.focus();
+    }
+    
+    /**
+     * Tick or untick a checklist item from the results
+     */
+    toggleChecklistItem(checkbox) {
+        if (!this.app.progress) return;
+        
+        const item = checkbox.closest('.search-result-item');
+        this.app.progress.setChecked(checkbox.dataset.progressKey, checkbox.checked, {
+            label: item?.querySelector('h4')?.textContent.trim()
+        });
+        item?.classList.toggle('is-done', checkbox.checked);
+    }
+    
+    /**
+     * Set or clear a filter by rewriting its operator in the query
+     */
+    applyFilter(name, value) {
+        const input = document.getElementById('search-input');
+        if (!input) return;
+        
+        input.value = setQueryFilter(input.value, name, value || null);
+        const query = input.value.trim();
+        
+        if (query) {
+            this.search(query);
+        } else {
+            this.clearSearch();
+        }
+    }
+    
+    /**
+     * Find the section a phase filter refers to, by ID or title
+     * phase:categorization, phase:cleansing and phase:"data collection" all work
+     */
+    resolvePhase(value) {
+        if (!value) return null;
+        
+        const wanted = slugify(value);
+        const sections = this.app.config.navigation?.sections || [];
+        const match = sections.find(section => section.id === wanted)
+            || sections.find(section => section.id.startsWith(wanted) || slugify(section.title).startsWith(wanted))
+            || sections.find(section => section.id.includes(wanted) || slugify(section.title).includes(wanted));
+        
+        return match ? match.id : null;
+    }
+    
+    /**
+     * Check an indexed item against the type, completion and phase filters
+     */
+    matchesFilters(item, filters, phaseId) {
+        if (filters.type && !TYPE_GROUPS[filters.type].includes(item.type)) {
+            return false;
+        }
+        
+        // Only checklist items are open or done
+        if (filters.status) {
+            if (item.type !== 'checklist') return false;
+            
+            const done = Boolean(this.app.progress?.checkboxStates.get(item.id));
+            if (done !== (filters.status === 'done')) return false;
+        }
+        
+        // An unknown phase matches nothing
+        if (filters.phase && (!phaseId || item.sectionId !== phaseId)) {
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Perform search
+     * Words match by stem, by prefix and with typos; "quoted phrases" must
+     * appear in order. Filters alone (e.g. "is:open phase:categorization")
+     * list every matching item in document order.
+     */
+    search(query) {
+        console.log(`🔍 Searching for: ${query}`);
+        this.lastQuery = query;
+        
+        const { text, filters, errors } = parseFilters(query);
+        const phaseId = this.resolvePhase(filters.phase);
+        if (filters.phase && !phaseId) {
+            errors.push(`No phase matches "${filters.phase}"`);
+        }
+        
+        const parsed = parseQuery(text);
+        const matches = this.expandTerms(parsed.terms);
+        const listOnly = matches.length === 0 && parsed.phrases.length === 0;
+        const filtered = Object.values(filters).some(Boolean);
+        const results = [];
+        
+        // Search through index
+        this.searchIndex.forEach(item => {
+            if ((listOnly && !filtered) || !this.matchesFilters(item, filters, phaseId)) return;
+            
+            const score = listOnly ? 1 : this.calculateScore(parsed, matches, item);
+            if (score > 0) {
+                results.push({
+                    ...item,
+                    score,
+                    highlights: this.getHighlights(matches, item)
+                });
+            }
+        });
+        
+        // Sort by score
+        results.sort((a, b) => b.score - a.score);
+        
+        // Limit results
+        this.totalResults = results.length;
+        this.searchResults = results.slice(0, listOnly ? this.maxListResults : this.maxResults);
+        
+        // Display results
+        this.displayResults(query, { filters: { ...filters, phase: phaseId }, errors });
+        
+        // Emit event
+        this.app.emit('search:performed', {
+            query,
+            resultCount: this.searchResults.length
+        });
+    }
+    
+    /**
+     * Find indexed stems matching each query term
+     * Returns [Map(stem -> match quality 0..1)] in term order
+     */
+    expandTerms(terms) {
+        return terms.map((term, index) => {
+            const found = new Map([[term, 1]]);
+            const typos = allowedTypos(term);
+            const isLast = index === terms.length - 1;
+            
+            this.vocabulary.forEach((count, word) => {
+                if (word === term) return;
+                
+                // The word being typed matches as a prefix
+                if (isLast && term.length >= 3 && word.startsWith(term)) {
+                    found.set(word, 0.7);
+                } else if (typos > 0 && editDistance(term, word, typos) <= typos) {
+                    found.set(word, 0.5);
+                }
+            });
+            
+            return found;
+        });
+    }
+    
+    /**
+     * Calculate search score (0 when any term or phrase is missing)
+     */
+    calculateScore(parsed, matches, item) {
+        if (matches.length === 0 && parsed.phrases.length === 0) return 0;
+        let score = 0;
+        
+        for (const variants of matches) {
+            let best = 0;
+            variants.forEach((quality, word) => {
+                // Title (highest weight), keywords (medium), content (lower)
+                if (item.titleSet.has(word)) best = Math.max(best, 10 * quality);
+                if (item.keywordSet.has(word)) best = Math.max(best, 5 * quality);
+                const count = item.bodyCounts.get(word);
+                if (count) best = Math.max(best, (1 + Math.min(count, 5) * 0.4) * quality);
+            });
+            
+            if (best === 0) return 0;
+            score += best;
+        }
+        
+        for (const phrase of parsed.phrases) {
+            if (this.containsPhrase(item.titleStems, phrase)) {
+                score += 15;
+            } else if (this.containsPhrase(item.bodyStems, phrase)) {
+                score += 8;
+            } else {
+                return 0;
+            }
+        }
+        
+        return Math.round(score * 10) / 10;
+    }
+    
+    /**
+     * Check if a stem sequence contains a phrase
+     */
+    containsPhrase(words, phrase) {
+        for (let i = 0; i + phrase.length <= words.length; i++) {
+            if (phrase.every((word, offset) => words[i + offset] === word)) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Get text highlights around the first matching word
+     */
+    getHighlights(matches, item) {
+        const text = item.content || '';
+        const matched = new Set(matches.flatMap(variants => [...variants.keys()]));
+        const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+        const isMatch = (word) => matched.has(stem(word)) || matched.has(word.toLowerCase());
+        
+        const first = words.find(match => isMatch(match[0]));
+        const start = first ? Math.max(0, first.index - 50) : 0;
+        const end = Math.min(text.length, start + 170);
+        
+        let highlight = '';
+        let position = start;
+        words.forEach(match => {
+            if (match.index < start || match.index + match[0].length > end || !isMatch(match[0])) return;
+            highlight += escapeHtml(text.slice(position, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+            position = match.index + match[0].length;
+        });
+        highlight += escapeHtml(text.slice(position, end));
+        
+        // Add ellipsis
+        if (start > 0) highlight = '...' + highlight;
+        if (end < text.length) highlight = highlight + '...';
+        
+        return highlight;
+    }
+    
+    /**
+     * Display search results
+     */
+    displayResults(query, { filters = {}, errors = [] } = {}) {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+        
+        const filtersHTML = this.renderFilters(filters, errors);
+        
+        if (this.searchResults.length === 0) {
+            container.innerHTML = `
+                ${filtersHTML}
+                <div class="search-no-results">
+                    <i class="fas fa-search"></i>
+                    <p>No results found for "${escapeHtml(query)}"</p>
+                    <small>Try different keywords or check spelling</small>
+                </div>
+            `;
+        } else {
+            const resultsHTML = this.searchResults.map(result => this.renderResult(result)).join('');
+            const count = this.totalResults > this.searchResults.length
+                ? `${this.searchResults.length} of ${this.totalResults}`
+                : this.searchResults.length;
+            
+            container.innerHTML = `
+                ${filtersHTML}
+                <div class="search-results-header">
+                    <span>${count} results for "${escapeHtml(query)}"</span>
+                    <button type="button" class="search-copy-link" title="Copy a link to these results" aria-label="Copy link">
+                        <i class="fas fa-link"></i>
+                    </button>
+                </div>
+                <div class="search-results-list">
+                    ${resultsHTML}
+                </div>
+            `;
+        }
+        
+        container.style.display = 'block';
+        this.searchActive = true;
+    }
+    
+    /**
+     * Render one search result
+     * Checklist items get a checkbox so they can be completed from here
+     */
+    renderResult(result) {
+        const attributes = [
+            `data-section="${escapeHtml(result.sectionId || '')}"`,
+            `data-type="${result.type}"`,
+            result.anchor ? `data-anchor="${escapeHtml(result.anchor)}"` : '',
+            result.url ? `data-resource="${escapeHtml(result.url)}"` : '',
+            result.scenarioKey ? `data-scenario="${escapeHtml(result.scenarioKey)}"` : ''
+        ].filter(Boolean).join(' ');
+        
+        const done = result.type === 'checklist' && Boolean(this.app.progress?.checkboxStates.get(result.id));
+        const check = result.type === 'checklist' && this.app.progress ? `
+            <label class="search-result-check" title="${done ? 'Mark as open' : 'Mark as done'}">
+                <input type="checkbox" data-progress-key="${escapeHtml(result.id)}" ${done ? 'checked' : ''}>
+            </label>
+        ` : `<i class="${this.getResultIcon(result.type)}"></i>`;
+        
+        return `
+            <div class="search-result-item${done ? ' is-done' : ''}" ${attributes}>
+                <div class="search-result-header">
+                    ${check}
+                    <h4>${escapeHtml(result.title)}</h4>
+                </div>
+                ${result.sectionTitle && result.sectionTitle !== result.title ? `
+                    <div class="search-result-path">${escapeHtml(result.sectionTitle)}</div>
+                ` : ''}
+                <div class="search-result-content">
+                    ${result.highlights}
+                </div>
+                <div class="search-result-meta">
+                    <span class="result-type">${TYPE_LABELS[result.type] || result.type}</span>
+                    <span class="result-score">Score: ${result.score}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the filter bar: result type, completion and phase
+     */
+    renderFilters(filters, errors) {
+        const types = [['', 'All'], ['section', 'Sections'], ['checklist', 'Checklist'], ['resource', 'Resources'], ['decision', 'Decisions']];
+        const statuses = [['', 'Any status'], ['open', 'Open'], ['done', 'Done']];
+        const phases = [['', 'All phases'], ...(this.app.config.navigation?.sections || []).map(section => [section.id, section.title])];
+        const options = (list, selected) => list.map(([value, label]) =>
+            `<option value="${escapeHtml(value)}" ${value === (selected || '') ? 'selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('');
+        
+        return `
+            <div class="search-filters" role="group" aria-label="Filter results">
+                <div class="search-filter-types">
+                    ${types.map(([value, label]) => `
+                        <button type="button" class="search-filter${value === (filters.type || '') ? ' active' : ''}" data-filter="type" data-value="${value}">${label}</button>
+                    `).join('')}
+                </div>
+                <select data-filter="status" aria-label="Completion">${options(statuses, filters.status)}</select>
+                <select data-filter="phase" aria-label="Phase">${options(phases, filters.phase)}</select>
+            </div>
+            ${errors.length > 0 ? `
+                <div class="search-filter-errors">
+                    ${errors.map(error => `<div><i class="fas fa-exclamation-circle"></i> ${escapeHtml(error)}</div>`).join('')}
+                    <small>Filters: is:open, is:done, type:section|checklist|resource|decision, phase:&lt;section&gt;</small>
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Get icon for result type
+     */
+    getResultIcon(type) {
+        const icons = {
+            section: 'fas fa-folder',
+            content: 'fas fa-file-alt',
+            heading: 'fas fa-heading',
+            checklist: 'fas fa-tasks',
+            decision: 'fas fa-sitemap',
+            template: 'fas fa-file-download',
+            resource: 'fas fa-file-download'
+        };
+        return icons[type] || 'fas fa-file';
+    }
+    
+    /**
+     * Clear search
+     */
+    clearSearch() {
+        const input = document.getElementById('search-input');
+        const clearBtn = document.getElementById('search-clear');
+        const results = document.getElementById('search-results');
+        
+        if (input) input.value = '';
+        if (clearBtn) clearBtn.style.display = 'none';
+        if (results) {
+            results.style.display = 'none';
+            results.innerHTML = '';
+        }
+        
+        this.searchResults = [];
+        this.searchActive = false;
+        
+        this.app.emit('search:cleared');
+    }
+    
+    /**
+     * Setup keyboard shortcuts
+     */
+    setupShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Ctrl+K or Cmd+K to focus search
+            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+                e.preventDefault();
+                this.focusSearch();
+            }
+            
+            // Ctrl+/ for search
+            if (e.ctrlKey && e.key === '/') {
+                e.preventDefault();
+                this.focusSearch();
+            }
+        });
+    }
+    
+    /**
+     * Focus search input
+     */
+    focusSearch() {
+        const input = document.getElementById('search-input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+    
+    /**
+     * Add content to search index
+     */
+    addToIndex(id, data) {
+        this.indexContent(id, data);
+    }
+    
+    /**
+     * Remove from search index
+     */
+    removeFromIndex(id) {
+        const item = this.searchIndex.get(id);
+        if (!item) return;
+        
+        this.vocabularyOf(item).forEach(word => {
+            const count = this.vocabulary.get(word) - 1;
+            if (count > 0) {
+                this.vocabulary.set(word, count);
+            } else {
+                this.vocabulary.delete(word);
+            }
+        });
+        this.searchIndex.delete(id);
+    }
+    
+    /**
+     * Rebuild search index
+     */
+    async rebuildIndex() {
+        this.searchIndex.clear();
+        this.vocabulary.clear();
+        this.indexedSources = {};
+        
+        try {
+            await this.cache.clear();
+        } catch (error) {
+            console.warn(`Search index cache unavailable (${error.message})`);
+        }
+        
+        this.buildIndex();
+        this.ready = this.loadIndex();
+        await this.ready;
+        await this.indexAllSections();
+    }
+}
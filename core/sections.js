@@ -1,683 +1,930 @@
-/**
- * SectionManager - Manages content sections and their lifecycle
- * Handles section loading, rendering, and state management
- */
-
-export class SectionManager {
-    constructor(app) {
-        this.app = app;
-        this.sections = new Map();
-        this.currentSection = null;
-        this.sectionCache = new Map();
-    }
-    
-    /**
-     * Initialize section manager
-     */
-    init() {
-        // Load section definitions from config
-        const sectionConfigs = this.app.config.navigation?.sections || [];
-        
-        sectionConfigs.forEach(config => {
-            this.registerSection(config);
-        });
-        
-        // Setup section container
-        this.setupContainer();
-        
-        console.log('✅ Section manager initialized');
-    }
-    
-    /**
-     * Register a section
-     */
-    registerSection(config) {
-        this.sections.set(config.id, {
-            id: config.id,
-            title: config.title,
-            icon: config.icon,
-            loaded: false,
-            content: null,
-            config: config
-        });
-    }
-    
-    /**
-     * Setup main content container
-     */
-    setupContainer() {
-        const container = document.getElementById('content');
-        if (!container) return;
-        
-        // Add loading indicator
-        container.innerHTML = `
-            <div id="section-loader" class="section-loader" style="display:none;">
-                <div class="loader-spinner"></div>
-                <div class="loader-text">Loading section...</div>
-            </div>
-            <div id="section-content" class="section-content"></div>
-        `;
-    }
-    
-    /**
-     * Show a section
-     */
-    async showSection(sectionId) {
-        console.log(`📄 Loading section: ${sectionId}`);
-        
-        // Check if section exists
-        if (!this.sections.has(sectionId)) {
-            console.error(`Section not found: ${sectionId}`);
-            this.showError('Section not found');
-            return;
-        }
-        
-        // Show loader
-        this.showLoader();
-        
-        try {
-            // Get section data
-            const section = this.sections.get(sectionId);
-            
-            // Load content if not cached
-            if (!section.content) {
-                await this.loadSectionContent(section);
-            }
-            
-            // Render section
-            await this.renderSection(section);
-            
-            // Update state
-            this.currentSection = sectionId;
-            section.loaded = true;
-            
-            // Hide loader
-            this.hideLoader();
-            
-            // Emit event
-            this.app.emit('section:loaded', { sectionId });
-            
-        } catch (error) {
-            console.error(`Failed to load section ${sectionId}:`, error);
-            this.hideLoader();
-            this.showError('Failed to load section');
-        }
-    }
-    
-    /**
-     * Load section content
-     */
-    async loadSectionContent(section) {
-        // Check cache first
-        if (this.sectionCache.has(section.id)) {
-            section.content = this.sectionCache.get(section.id);
-            console.log(`Loaded ${section.id} from cache:`, section.content);
-            return;
-        }
-        
-        // Try to load from content files
-        try {
-            const response = await fetch(`content/${section.id}.json`);
-            if (response.ok) {
-                const data = await response.json();
-                section.content = data;
-                this.sectionCache.set(section.id, data);
-                console.log(`Loaded ${section.id} from JSON:`, data);
-                console.log(`Checklist items for ${section.id}:`, data.checklistItems);
-                return;
-            }
-        } catch (error) {
-            console.log(`No JSON content for ${section.id}, using default`);
-        }
-        
-        // Use default content
-        section.content = this.getDefaultContent(section.id);
-        this.sectionCache.set(section.id, section.content);
-    }
-    
-    /**
-     * Get default content for section
-     */
-    getDefaultContent(sectionId) {
-        // Default content templates
-        const defaults = {
-            overview: {
-                title: "Data Analysis Procedure Overview",
-                subtitle: "Vendor Spend Analysis & Dashboard Creation",
-                content: `
-                    <div class="overview-hero">
-                        <h1>Welcome to Versatex SOP Platform</h1>
-                        <p>Modern, modular architecture for vendor spend analysis procedures.</p>
-                    </div>
-                    <div class="overview-features">
-                        <div class="feature-card">
-                            <i class="fas fa-calendar-check"></i>
-                            <h3>22-Day Delivery</h3>
-                            <p>Complete analysis in 22 business days (4 weeks + 2 days)</p>
-                        </div>
-                        <div class="feature-card">
-                            <i class="fas fa-layer-group"></i>
-                            <h3>5-Level Taxonomy</h3>
-                            <p>Industry-standard categorization framework for spend analysis</p>
-                        </div>
-                        <div class="feature-card">
-                            <i class="fas fa-chart-line"></i>
-                            <h3>Real-time Progress</h3>
-                            <p>Track every step with weighted milestone tracking</p>
-                        </div>
-                    </div>
-                `
-            },
-            prerequisites: {
-                title: "Prerequisites & Setup",
-                subtitle: "Initial requirements and configuration",
-                content: `<p>Prerequisites content will be loaded here.</p>`
-            },
-            dataCollection: {
-                title: "Data Collection",
-                subtitle: "Gathering vendor spend data",
-                content: `<p>Data collection procedures will be displayed here.</p>`
-            }
-        };
-        
-        return defaults[sectionId] || {
-            title: 'Section',
-            subtitle: '',
-            content: `<p>Content for ${sectionId} will be loaded here.</p>`
-        };
-    }
-    
-    /**
-     * Render section content
-     */
-    async renderSection(section) {
-        const container = document.getElementById('section-content');
-        if (!container) return;
-        
-        // Check if section has checkboxes
-        const hasCheckboxes = section.content.checklistItems && section.content.checklistItems.length > 0;
-        console.log(`Section ${section.id} - Has checkboxes: ${hasCheckboxes}, Checklist items:`, section.content.checklistItems);
-        
-        // Build section HTML
-        const html = `
-            <article class="section" data-section="${section.id}">
-                <header class="section-header">
-                    <div class="section-header-main">
-                        <h1 class="section-title">
-                            <i class="${section.icon || 'fas fa-file-alt'}"></i>
-                            ${section.content.title}
-                        </h1>
-                        ${hasCheckboxes ? this.renderSectionResetButton(section) : ''}
-                    </div>
-                    ${section.content.subtitle ? 
-                        `<p class="section-subtitle">${section.content.subtitle}</p>` : ''}
-                </header>
-                <div class="section-body">
-                    ${section.content.content || ''}
-                </div>
-                ${this.renderSectionActions(section)}
-            </article>
-        `;
-        
-        // Set content
-        container.innerHTML = html;
-        
-        // Process any dynamic content
-        await this.processDynamicContent(section);
-        
-        // Setup section-specific features
-        this.setupSectionFeatures(section);
-        
-        // Setup reset button if present
-        if (hasCheckboxes) {
-            this.setupSectionResetButton(section);
-        }
-        
-        // Trigger progress tracker to scan new checkboxes
-        setTimeout(() => {
-            if (this.app.progress) {
-                this.app.progress.scanCheckboxes();
-            }
-        }, 200);
-        
-        // Scroll to top
-        container.scrollTop = 0;
-    }
-    
-    /**
-     * Render section reset button
-     */
-    renderSectionResetButton(section) {
-        return `
-            <button class="section-reset-btn" id="reset-${section.id}" title="Reset checkboxes in this section">
-                <i class="fas fa-undo"></i>
-                <span>Reset Section</span>
-            </button>
-        `;
-    }
-    
-    /**
-     * Setup section reset button
-     */
-    setupSectionResetButton(section) {
-        const resetBtn = document.getElementById(`reset-${section.id}`);
-        if (!resetBtn) {
-            console.warn(`Reset button not found for section: ${section.id}`);
-            return;
-        }
-        
-        console.log(`Setting up reset button for section: ${section.id}`);
-        
-        // Use arrow function to preserve 'this' context
-        resetBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            console.log(`Reset button clicked for section: ${section.id}`);
-            
-            // Add a small delay to ensure DOM is ready
-            setTimeout(() => {
-                this.resetSectionCheckboxes(section);
-            }, 100);
-        });
-    }
-    
-    /**
-     * Reset all checkboxes in a section
-     */
-    resetSectionCheckboxes(section) {
-        const sectionName = section.content.title || section.id;
-        
-        if (!confirm(`Are you sure you want to reset all checkboxes in "${sectionName}"? This cannot be undone.`)) {
-            return;
-        }
-        
-        console.log(`Resetting checkboxes for section ${section.id}`);
-        
-        // Method 1: Try to find checkboxes by their IDs from config
-        const checkboxIds = section.content.checklistItems || [];
-        let resetCount = 0;
-        let foundByIdCount = 0;
-        
-        // First try to reset by IDs
-        if (checkboxIds.length > 0) {
-            checkboxIds.forEach(checkboxId => {
-                const checkbox = document.getElementById(checkboxId);
-                if (checkbox) {
-                    foundByIdCount++;
-                    if (checkbox.checked) {
-                        checkbox.checked = false;
-                        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-                        resetCount++;
-                    }
-                }
-                
-                // Also reset in ProgressTracker directly
-                if (this.app.progress && this.app.progress.checkboxStates.has(checkboxId)) {
-                    this.app.progress.checkboxStates.set(checkboxId, false);
-                }
-            });
-        }
-        
-        // Method 2: Also find all checkboxes in the current section content
-        const sectionContent = document.querySelector('#section-content');
-        if (sectionContent) {
-            const allCheckboxes = sectionContent.querySelectorAll('input[type="checkbox"]');
-            console.log(`Found ${allCheckboxes.length} checkboxes in current section`);
-            
-            allCheckboxes.forEach(checkbox => {
-                // Skip if already processed by ID
-                if (checkboxIds.includes(checkbox.id)) {
-                    return;
-                }
-                
-                if (checkbox.checked) {
-                    checkbox.checked = false;
-                    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-                    resetCount++;
-                }
-                
-                // Update visual state
-                const label = checkbox.id ? document.querySelector(`label[for="${checkbox.id}"]`) : null;
-                const parent = checkbox.closest('li') || checkbox.parentElement;
-                
-                if (label) {
-                    label.style.textDecoration = 'none';
-                    label.style.opacity = '1';
-                }
-                if (parent) {
-                    parent.classList.remove('completed');
-                }
-            });
-        }
-        
-        // Save states if progress tracker is available
-        if (this.app.progress) {
-            this.app.progress.saveStates();
-            this.app.progress.updateProgress();
-        }
-        
-        // Show confirmation
-        if (resetCount > 0) {
-            this.showResetToast(`Reset ${resetCount} checkbox${resetCount > 1 ? 'es' : ''} in ${sectionName}`, '#10b981');
-        } else {
-            this.showResetToast('All checkboxes were already unchecked', '#3b82f6');
-        }
-        
-        console.log(`Reset summary: ${resetCount} checkboxes reset, ${foundByIdCount} found by ID`);
-        
-        // Emit event
-        this.app.emit('section:reset', { 
-            sectionId: section.id, 
-            resetCount,
-            totalCheckboxes: checkboxIds.length || allCheckboxes?.length || 0
-        });
-    }
-    
-    /**
-     * Show reset toast notification
-     */
-    showResetToast(message, color = '#3b82f6') {
-        // Remove existing toast if any
-        const existingToast = document.querySelector('.reset-toast');
-        if (existingToast) {
-            existingToast.remove();
-        }
-        
-        // Create toast element
-        const toast = document.createElement('div');
-        toast.className = 'reset-toast';
-        toast.innerHTML = `
-            <i class="fas fa-check-circle"></i>
-            <span>${message}</span>
-        `;
-        toast.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: ${color};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-weight: 500;
-            z-index: 10000;
-            display: flex;
-            align-items: center;
-            gap: 10px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-            animation: slideInRight 0.3s ease;
-        `;
-        
-        // Add animation keyframes if not already present
-        if (!document.querySelector('#reset-toast-styles')) {
-            const style = document.createElement('style');
-            style.id = 'reset-toast-styles';
-            style.textContent = `
-                @keyframes slideInRight {
-                    from {
-                        transform: translateX(100%);
-                        opacity: 0;
-                    }
-                    to {
-                        transform: translateX(0);
-                        opacity: 1;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
-        }
-        
-        document.body.appendChild(toast);
-        
-        // Remove after 3 seconds
-        setTimeout(() => {
-            toast.style.transform = 'translateX(100%)';
-            toast.style.opacity = '0';
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
-    }
-    
-    /**
-     * Render section actions
-     */
-    renderSectionActions(section) {
-        const actions = [];
-        
-        // Add navigation buttons
-        const sections = Array.from(this.sections.keys());
-        const currentIndex = sections.indexOf(section.id);
-        
-        if (currentIndex > 0) {
-            actions.push(`
-                <button class="btn btn-secondary" onclick="SOPApp.navigate('${sections[currentIndex - 1]}')">
-                    <i class="fas fa-arrow-left"></i> Previous
-                </button>
-            `);
-        }
-        
-        if (currentIndex < sections.length - 1) {
-            actions.push(`
-                <button class="btn btn-primary" onclick="SOPApp.navigate('${sections[currentIndex + 1]}')">
-                    Next <i class="fas fa-arrow-right"></i>
-                </button>
-            `);
-        }
-        
-        if (actions.length > 0) {
-            return `
-                <footer class="section-footer">
-                    <div class="section-actions">
-                        ${actions.join('')}
-                    </div>
-                </footer>
-            `;
-        }
-        
-        return '';
-    }
-    
-    /**
-     * Process dynamic content
-     */
-    async processDynamicContent(section) {
-        // Process checklists
-        const checklists = document.querySelectorAll('.checklist-item');
-        checklists.forEach(item => {
-            this.setupChecklistItem(item);
-        });
-        
-        // Process collapsibles
-        const collapsibles = document.querySelectorAll('.collapsible');
-        collapsibles.forEach(item => {
-            this.setupCollapsible(item);
-        });
-        
-        // Process code blocks
-        const codeBlocks = document.querySelectorAll('pre code');
-        codeBlocks.forEach(block => {
-            this.setupCodeBlock(block);
-        });
-    }
-    
-    /**
-     * Setup section-specific features
-     */
-    setupSectionFeatures(section) {
-        // Section-specific module loading
-        if (section.config.module) {
-            this.app.loadModule(section.config.module);
-        }
-        
-        // Section-specific shortcuts
-        if (section.config.shortcuts) {
-            this.setupShortcuts(section.config.shortcuts);
-        }
-    }
-    
-    /**
-     * Setup checklist item
-     */
-    setupChecklistItem(item) {
-        const checkbox = item.querySelector('input[type="checkbox"]');
-        if (!checkbox) return;
-        
-        const itemId = item.dataset.id;
-        const completed = this.app.state.get('completedChecklists') || [];
-        
-        // Set initial state
-        checkbox.checked = completed.includes(itemId);
-        
-        // Handle change
-        checkbox.addEventListener('change', () => {
-            this.toggleChecklistItem(itemId, checkbox.checked);
-        });
-    }
-    
-    /**
-     * Toggle checklist item
-     */
-    toggleChecklistItem(itemId, checked) {
-        const completed = this.app.state.get('completedChecklists') || [];
-        
-        if (checked) {
-            if (!completed.includes(itemId)) {
-                completed.push(itemId);
-            }
-        } else {
-            const index = completed.indexOf(itemId);
-            if (index > -1) {
-                completed.splice(index, 1);
-            }
-        }
-        
-        this.app.state.set('completedChecklists', completed);
-        this.app.emit('checklist:toggle', { itemId, checked });
-    }
-    
-    /**
-     * Setup collapsible element
-     */
-    setupCollapsible(element) {
-        const toggle = element.querySelector('.collapsible-toggle');
-        const content = element.querySelector('.collapsible-content');
-        
-        if (toggle && content) {
-            toggle.addEventListener('click', () => {
-                element.classList.toggle('expanded');
-                const expanded = element.classList.contains('expanded');
-                content.style.display = expanded ? 'block' : 'none';
-            });
-        }
-    }
-    
-    /**
-     * Setup code block
-     */
-    setupCodeBlock(block) {
-        // Add copy button
-        const wrapper = block.parentElement;
-        const copyBtn = document.createElement('button');
-        copyBtn.className = 'code-copy-btn';
-        copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
-        copyBtn.title = 'Copy code';
-        
-        copyBtn.addEventListener('click', () => {
-            navigator.clipboard.writeText(block.textContent);
-            copyBtn.innerHTML = '<i class="fas fa-check"></i>';
-            setTimeout(() => {
-                copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
-            }, 2000);
-        });
-        
-        wrapper.style.position = 'relative';
-        wrapper.appendChild(copyBtn);
-    }
-    
-    /**
-     * Setup keyboard shortcuts
-     */
-    setupShortcuts(shortcuts) {
-        shortcuts.forEach(shortcut => {
-            document.addEventListener('keydown', (e) => {
-                if (this.matchShortcut(e, shortcut.key)) {
-                    e.preventDefault();
-                    shortcut.action();
-                }
-            });
-        });
-    }
-    
-    /**
-     * Match keyboard shortcut
-     */
-    matchShortcut(event, shortcutKey) {
-        const parts = shortcutKey.toLowerCase().split('+');
-        return parts.every(part => {
-            switch(part) {
-                case 'ctrl': return event.ctrlKey;
-                case 'alt': return event.altKey;
-                case 'shift': return event.shiftKey;
-                case 'meta': return event.metaKey;
-                default: return event.key.toLowerCase() === part;
-            }
-        });
-    }
-    
-    /**
-     * Show loader
-     */
-    showLoader() {
-        const loader = document.getElementById('section-loader');
-        if (loader) {
-            loader.style.display = 'flex';
-        }
-    }
-    
-    /**
-     * Hide loader
-     */
-    hideLoader() {
-        const loader = document.getElementById('section-loader');
-        if (loader) {
-            loader.style.display = 'none';
-        }
-    }
-    
-    /**
-     * Show error message
-     */
-    showError(message) {
-        const container = document.getElementById('section-content');
-        if (container) {
-            container.innerHTML = `
-                <div class="section-error">
-                    <i class="fas fa-exclamation-triangle"></i>
-                    <h2>Error Loading Section</h2>
-                    <p>${message}</p>
-                    <button class="btn btn-primary" onclick="location.reload()">
-                        Reload Page
-                    </button>
-                </div>
-            `;
-        }
-    }
-    
-    /**
-     * Get current section
-     */
-    getCurrentSection() {
-        return this.currentSection;
-    }
-    
-    /**
-     * Refresh current section
-     */
-    async refreshSection() {
-        if (this.currentSection) {
-            const section = this.sections.get(this.currentSection);
-            if (section) {
-                section.content = null; // Clear cache
-                await this.showSection(this.currentSection);
-            }
-        }
-    }
-}
\ No newline at end of file
+/**
+ * SectionManager - Manages content sections and their lifecycle
+ * Handles section loading, rendering, and state management
+ */
+
+import { ProgressTracker } from './progress.js';
+import { headingAnchors, htmlToText } from './search-text.js';
+import { escapeHtml } from './html.js';
+
+export class SectionManager {
+    constructor(app) {
+        this.app = app;
+        this.sections = new Map();
+        this.currentSection = null;
+        this.sectionCache = new Map();
+        
+        // Element to scroll to once its section has rendered (deep links)
+        this.pendingTarget = null;
+        
+        // Resource URL -> 'available' | 'missing', checked once per session
+        this.resourceStatus = new Map();
+        
+        // Resource panel groups, in display order
+        this.resourceGroups = [
+            { label: 'Templates', icon: 'fas fa-file-excel', types: ['template'] },
+            { label: 'Code & Scripts', icon: 'fas fa-code', types: ['code', 'script'] },
+            { label: 'Guides', icon: 'fas fa-book', types: ['guide', 'document'] },
+            { label: 'Packages', icon: 'fas fa-file-archive', types: ['package'] }
+        ];
+    }
+    
+    /**
+     * Initialize section manager
+     */
+    init() {
+        // Load section definitions from config
+        const sectionConfigs = this.app.config.navigation?.sections || [];
+        
+        sectionConfigs.forEach(config => {
+            this.registerSection(config);
+        });
+        
+        // Setup section container
+        this.setupContainer();
+        
+        console.log('✅ Section manager initialized');
+    }
+    
+    /**
+     * Register a section
+     */
+    registerSection(config) {
+        this.sections.set(config.id, {
+            id: config.id,
+            title: config.title,
+            icon: config.icon,
+            loaded: false,
+            content: null,
+            config: config
+        });
+    }
+    
+    /**
+     * Setup main content container
+     */
+    setupContainer() {
+        const container = document.getElementById('content');
+        if (!container) return;
+        
+        // Add loading indicator
+        container.innerHTML = `
+            <div id="section-loader" class="section-loader" style="display:none;">
+                <div class="loader-spinner"></div>
+                <div class="loader-text">Loading section...</div>
+            </div>
+            <div id="section-content" class="section-content"></div>
+        `;
+    }
+    
+    /**
+     * Show a section
+     */
+    async showSection(sectionId) {
+        console.log(`📄 Loading section: ${sectionId}`);
+        
+        // Check if section exists
+        if (!this.sections.has(sectionId)) {
+            console.error(`Section not found: ${sectionId}`);
+            this.showError('Section not found');
+            return;
+        }
+        
+        // Show loader
+        this.showLoader();
+        
+        try {
+            // Get section data
+            const section = this.sections.get(sectionId);
+            
+            // Load content if not cached
+            if (!section.content) {
+                await this.loadSectionContent(section);
+            }
+            
+            // Render section
+            await this.renderSection(section);
+            
+            // Update state
+            this.currentSection = sectionId;
+            section.loaded = true;
+            
+            // Hide loader
+            this.hideLoader();
+            
+            // Emit event
+            this.app.emit('section:loaded', { sectionId });
+            this.revealPendingTarget(sectionId);
+        
+        } catch (error) {
+            console.error(`Failed to load section ${sectionId}:`, error);
+            this.hideLoader();
+            this.showError('Failed to load section');
+        }
+    }
+    
+    /**
+     * Load section content
+     */
+    async loadSectionContent(section) {
+        // Check cache first
+        if (this.sectionCache.has(section.id)) {
+            section.content = this.sectionCache.get(section.id);
+            console.log(`Loaded ${section.id} from cache:`, section.content);
+            return;
+        }
+        
+        // Try to load from content files
+        try {
+            const response = await fetch(`content/${section.id}.json`);
+            if (response.ok) {
+                const data = await response.json();
+                section.content = data;
+                this.sectionCache.set(section.id, data);
+                console.log(`Loaded ${section.id} from JSON:`, data);
+                console.log(`Checklist items for ${section.id}:`, data.checklistItems);
+                return;
+            }
+        } catch (error) {
+            console.log(`No JSON content for ${section.id}, using default`);
+        }
+        
+        // Use default content
+        section.content = this.getDefaultContent(section.id);
+        this.sectionCache.set(section.id, section.content);
+    }
+    
+    /**
+     * Get content of a section, loading it if needed
+     */
+    async getContent(sectionId) {
+        const section = this.sections.get(sectionId);
+        if (!section) {
+            throw new Error(`Section not found: ${sectionId}`);
+        }
+        
+        if (!section.content) {
+            await this.loadSectionContent(section);
+        }
+        
+        return section.content;
+    }
+    
+    /**
+     * Get default content for section
+     */
+    getDefaultContent(sectionId) {
+        // Default content templates
+        const defaults = {
+            overview: {
+                title: "Data Analysis Procedure Overview",
+                subtitle: "Vendor Spend Analysis & Dashboard Creation",
+                content: `
+                    <div class="overview-hero">
+                        <h1>Welcome to Versatex SOP Platform</h1>
+                        <p>Modern, modular architecture for vendor spend analysis procedures.</p>
+                    </div>
+                    <div class="overview-features">
+                        <div class="feature-card">
+                            <i class="fas fa-calendar-check"></i>
+                            <h3>22-Day Delivery</h3>
+                            <p>Complete analysis in 22 business days (4 weeks + 2 days)</p>
+                        </div>
+                        <div class="feature-card">
+                            <i class="fas fa-layer-group"></i>
+                            <h3>5-Level Taxonomy</h3>
+                            <p>Industry-standard categorization framework for spend analysis</p>
+                        </div>
+                        <div class="feature-card">
+                            <i class="fas fa-chart-line"></i>
+                            <h3>Real-time Progress</h3>
+                            <p>Track every step with weighted milestone tracking</p>
+                        </div>
+                    </div>
+                `
+            },
+            prerequisites: {
+                title: "Prerequisites & Setup",
+                subtitle: "Initial requirements and configuration",
+                content: `<p>Prerequisites content will be loaded here.</p>`
+            },
+            dataCollection: {
+                title: "Data Collection",
+                subtitle: "Gathering vendor spend data",
+                content: `<p>Data collection procedures will be displayed here.</p>`
+            }
+        };
+        
+        return defaults[sectionId] || {
+            title: 'Section',
+            subtitle: '',
+            content: `<p>Content for ${sectionId} will be loaded here.</p>`
+        };
+    }
+    
+    /**
+     * Render section content
+     * preview renders a draft (authoring mode) without touching progress
+     */
+    async renderSection(section, { preview = false } = {}) {
+        const container = document.getElementById('section-content');
+        if (!container) return;
+        
+        // Check if section has checkboxes
+        const hasCheckboxes = !preview && section.content.checklistItems && section.content.checklistItems.length > 0;
+        console.log(`Section ${section.id} - Has checkboxes: ${hasCheckboxes}, Checklist items:`, section.content.checklistItems);
+        
+        // Build section HTML
+        const html = `
+            <article class="section${preview ? ' section-preview' : ''}" data-section="${section.id}">
+                <header class="section-header">
+                    <div class="section-header-main">
+                        <h1 class="section-title">
+                            <i class="${section.icon || 'fas fa-file-alt'}"></i>
+                            ${section.content.title}
+                        </h1>
+                        ${hasCheckboxes ? this.renderSectionResetButton(section) : ''}
+                    </div>
+                    ${section.content.subtitle ? 
+                        `<p class="section-subtitle">${section.content.subtitle}</p>` : ''}
+                </header>
+                <div class="section-body">
+                    ${section.content.content || ''}
+                </div>
+                ${this.renderSectionResources(section)}
+                ${this.renderSectionActions(section)}
+            </article>
+        `;
+        
+        // Set content
+        container.innerHTML = html;
+        
+        // Qualify checkbox IDs with the section ID for progress tracking
+        this.qualifyCheckboxes(section, container, preview);
+        
+        // Heading IDs for search deep links
+        this.anchorHeadings(container);
+        
+        // Process any dynamic content
+        await this.processDynamicContent(section);
+        
+        // Setup section-specific features
+        this.setupSectionFeatures(section);
+        
+        // Setup reset button if present
+        if (hasCheckboxes) {
+            this.setupSectionResetButton(section);
+        }
+        
+        // Check which downloads exist and which are cached offline
+        this.updateResourceStatus(container);
+        
+        // Drafts stay out of progress tracking
+        if (preview) return;
+        
+        // Trigger progress tracker to scan new checkboxes
+        setTimeout(() => {
+            if (this.app.progress) {
+                this.app.progress.scanCheckboxes();
+            }
+        }, 200);
+        
+        // Scroll to top
+        container.scrollTop = 0;
+    }
+    
+    /**
+     * Show a section and scroll to an element in it
+     * target is { anchor } (checkbox or heading ID) or { resource } (resource URL)
+     */
+    revealTarget(sectionId, target) {
+        this.pendingTarget = { sectionId, ...target };
+        
+        if (this.currentSection === sectionId && document.querySelector(`#section-content [data-section="${CSS.escape(sectionId)}"]`)) {
+            this.revealPendingTarget(sectionId);
+        } else {
+            this.app.navigate(sectionId);
+        }
+    }
+    
+    /**
+     * Scroll to and highlight the pending target of a section
+     */
+    revealPendingTarget(sectionId) {
+        const target = this.pendingTarget;
+        if (!target || target.sectionId !== sectionId) return;
+        this.pendingTarget = null;
+        
+        const container = document.getElementById('section-content');
+        if (!container) return;
+        
+        let element = null;
+        if (target.resource) {
+            element = Array.from(container.querySelectorAll('.resource-item'))
+                .find(item => item.dataset.resourceUrl === this.getResourceUrl(target.resource));
+        } else if (target.anchor) {
+            element = Array.from(container.querySelectorAll('[id]'))
+                .find(node => node.id === target.anchor);
+            
+            // Checklist items are highlighted as a whole row
+            if (element?.matches('input[type="checkbox"]')) {
+                element = element.closest('li') || element.parentElement;
+            }
+        }
+        
+        if (!element) {
+            this.app.showToast(`"${target.anchor || target.resource}" was not found in this section`, 'warning');
+            return;
+        }
+        
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('section-target');
+        setTimeout(() => element.classList.remove('section-target'), 2500);
+    }
+    
+    /**
+     * Give every heading an ID, the same ones the search index links to
+     */
+    anchorHeadings(container) {
+        const headings = Array.from(container.querySelectorAll('.section-body h2, .section-body h3, .section-body h4'));
+        const anchors = headingAnchors(headings.map(heading => ({
+            id: heading.getAttribute('id'),
+            text: htmlToText(heading.innerHTML)
+        })));
+        
+        headings.forEach((heading, index) => {
+            heading.id = anchors[index];
+        });
+    }
+    
+    /**
+     * Tag every checkbox with its section-qualified progress ID
+     */
+    qualifyCheckboxes(section, container, preview = false) {
+        const seen = new Set();
+        
+        container.querySelectorAll('.section-body input[type="checkbox"][id]').forEach(checkbox => {
+            if (preview) {
+                checkbox.dataset.progressId = '';
+                return;
+            }
+            
+            if (seen.has(checkbox.id)) {
+                console.error(`Duplicate checkbox ID "${checkbox.id}" in section ${section.id} - not tracked`);
+                checkbox.dataset.progressId = '';
+                return;
+            }
+            seen.add(checkbox.id);
+            checkbox.dataset.progressId = ProgressTracker.qualify(section.id, checkbox.id);
+        });
+    }
+    
+    /**
+     * Render section reset button
+     */
+    renderSectionResetButton(section) {
+        return `
+            <button class="section-reset-btn" id="reset-${section.id}" title="Reset checkboxes in this section">
+                <i class="fas fa-undo"></i>
+                <span>Reset Section</span>
+            </button>
+        `;
+    }
+    
+    /**
+     * Setup section reset button
+     */
+    setupSectionResetButton(section) {
+        const resetBtn = document.getElementById(`reset-${section.id}`);
+        if (!resetBtn) {
+            console.warn(`Reset button not found for section: ${section.id}`);
+            return;
+        }
+        
+        console.log(`Setting up reset button for section: ${section.id}`);
+        
+        // Use arrow function to preserve 'this' context
+        resetBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            console.log(`Reset button clicked for section: ${section.id}`);
+            
+            // Add a small delay to ensure DOM is ready
+            setTimeout(() => {
+                this.resetSectionCheckboxes(section);
+            }, 100);
+        });
+    }
+    
+    /**
+     * Reset all checkboxes in a section
+     */
+    resetSectionCheckboxes(section) {
+        const sectionName = section.content.title || section.id;
+        
+        if (!confirm(`Are you sure you want to reset all checkboxes in "${sectionName}"? This cannot be undone.`)) {
+            return;
+        }
+        
+        console.log(`Resetting checkboxes for section ${section.id}`);
+        
+        // Method 1: Try to find checkboxes by their IDs from config
+        const checkboxIds = section.content.checklistItems || [];
+        let resetCount = 0;
+        let foundByIdCount = 0;
+        
+        // First try to reset by IDs
+        if (checkboxIds.length > 0) {
+            checkboxIds.forEach(checkboxId => {
+                const checkbox = document.getElementById(checkboxId);
+                if (checkbox) {
+                    foundByIdCount++;
+                    if (checkbox.checked) {
+                        checkbox.checked = false;
+                        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+                        resetCount++;
+                    }
+                }
+                
+                // Also reset in ProgressTracker directly
+                const key = ProgressTracker.qualify(section.id, checkboxId);
+                if (this.app.progress && this.app.progress.checkboxStates.has(key)) {
+                    this.app.progress.checkboxStates.set(key, false);
+                }
+            });
+        }
+        
+        // Method 2: Also find all checkboxes in the current section content
+        const sectionContent = document.querySelector('#section-content');
+        if (sectionContent) {
+            const allCheckboxes = sectionContent.querySelectorAll('input[type="checkbox"]');
+            console.log(`Found ${allCheckboxes.length} checkboxes in current section`);
+            
+            allCheckboxes.forEach(checkbox => {
+                // Skip if already processed by ID
+                if (checkboxIds.includes(checkbox.id)) {
+                    return;
+                }
+                
+                if (checkbox.checked) {
+                    checkbox.checked = false;
+                    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+                    resetCount++;
+                }
+                
+                // Update visual state
+                const label = checkbox.id ? document.querySelector(`label[for="${checkbox.id}"]`) : null;
+                const parent = checkbox.closest('li') || checkbox.parentElement;
+                
+                if (label) {
+                    label.style.textDecoration = 'none';
+                    label.style.opacity = '1';
+                }
+                if (parent) {
+                    parent.classList.remove('completed');
+                }
+            });
+        }
+        
+        // Save states if progress tracker is available
+        if (this.app.progress) {
+            this.app.progress.saveStates();
+            this.app.progress.updateProgress();
+        }
+        
+        // Show confirmation
+        if (resetCount > 0) {
+            this.showResetToast(`Reset ${resetCount} checkbox${resetCount > 1 ? 'es' : ''} in ${sectionName}`, '#10b981');
+        } else {
+            this.showResetToast('All checkboxes were already unchecked', '#3b82f6');
+        }
+        
+        console.log(`Reset summary: ${resetCount} checkboxes reset, ${foundByIdCount} found by ID`);
+        
+        // Emit event
+        this.app.emit('section:reset', { 
+            sectionId: section.id, 
+            resetCount,
+            totalCheckboxes: checkboxIds.length || allCheckboxes?.length || 0
+        });
+    }
+    
+    /**
+     * Show reset toast notification
+     */
+    showResetToast(message, color = '#3b82f6') {
+        // Remove existing toast if any
+        const existingToast = document.querySelector('.reset-toast');
+        if (existingToast) {
+            existingToast.remove();
+        }
+        
+        // Create toast element
+        const toast = document.createElement('div');
+        toast.className = 'reset-toast';
+        toast.innerHTML = `
+            <i class="fas fa-check-circle"></i>
+            <span>${message}</span>
+        `;
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: ${color};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            font-weight: 500;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            animation: slideInRight 0.3s ease;
+        `;
+        
+        // Add animation keyframes if not already present
+        if (!document.querySelector('#reset-toast-styles')) {
+            const style = document.createElement('style');
+            style.id = 'reset-toast-styles';
+            style.textContent = `
+                @keyframes slideInRight {
+                    from {
+                        transform: translateX(100%);
+                        opacity: 0;
+                    }
+                    to {
+                        transform: translateX(0);
+                        opacity: 1;
+                    }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        document.body.appendChild(toast);
+        
+        // Remove after 3 seconds
+        setTimeout(() => {
+            toast.style.transform = 'translateX(100%)';
+            toast.style.opacity = '0';
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
+    }
+    
+    /**
+     * Render downloads panel from the content file's resources, grouped by type
+     */
+    renderSectionResources(section) {
+        const resources = (Array.isArray(section.content.resources) ? section.content.resources : [])
+            .filter(resource => resource && resource.url);
+        if (resources.length === 0) return '';
+        
+        const other = { label: 'Other', icon: 'fas fa-file', types: [] };
+        const known = this.resourceGroups.flatMap(group => group.types);
+        const groups = [...this.resourceGroups, other].map(group => ({
+            ...group,
+            items: resources.filter(resource => group === other
+                ? !known.includes(resource.type)
+                : group.types.includes(resource.type))
+        })).filter(group => group.items.length > 0);
+        
+        const esc = (text) => escapeHtml(text);
+        
+        return `
+            <section class="section-resources" aria-label="Resources">
+                <h2 class="section-resources-title"><i class="fas fa-download"></i> Resources</h2>
+                <div class="resource-groups">
+                    ${groups.map(group => `
+                        <div class="resource-group">
+                            <h3><i class="${group.icon}"></i> ${group.label}</h3>
+                            <ul>
+                                ${group.items.map(resource => `
+                                    <li class="resource-item" data-resource-url="${esc(this.getResourceUrl(resource.url))}">
+                                        <a href="${esc(this.getResourceUrl(resource.url))}" download>${esc(resource.title || resource.url)}</a>
+                                        <span class="resource-status" aria-live="polite"></span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </div>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    }
+    
+    /**
+     * Resolve a resource URL against the app (content files use site-absolute paths)
+     */
+    getResourceUrl(url) {
+        return /^[a-z][a-z0-9+.-]*:|^\/\//i.test(url) ? url : url.replace(/^\/+/, '');
+    }
+    
+    /**
+     * Mark each resource as available, missing and/or cached for offline use
+     */
+    async updateResourceStatus(container) {
+        const items = container.querySelectorAll('.resource-item');
+        
+        await Promise.all(Array.from(items).map(async (item) => {
+            const url = item.dataset.resourceUrl;
+            const [status, cached] = await Promise.all([
+                this.getResourceAvailability(url),
+                this.isResourceCached(url)
+            ]);
+            
+            const statusEl = item.querySelector('.resource-status');
+            const link = item.querySelector('a');
+            item.classList.toggle('resource-missing', status === 'missing');
+            
+            if (status === 'missing') {
+                statusEl.innerHTML = '<i class="fas fa-times-circle"></i> Not available';
+                link.removeAttribute('download');
+                link.setAttribute('aria-disabled', 'true');
+                link.title = 'This file is not in the repository yet';
+            } else if (cached) {
+                statusEl.innerHTML = '<i class="fas fa-check-circle"></i> Available offline';
+            } else if (status === 'available') {
+                statusEl.innerHTML = '<i class="fas fa-cloud"></i> Online only';
+            } else {
+                statusEl.innerHTML = '<i class="fas fa-question-circle"></i> Unknown while offline';
+            }
+        }));
+    }
+    
+    /**
+     * Check if a resource exists on the server (null when it can't be checked)
+     */
+    async getResourceAvailability(url) {
+        if (this.resourceStatus.has(url)) return this.resourceStatus.get(url);
+        if (!navigator.onLine) return null;
+        
+        try {
+            // HEAD requests bypass the service worker, so this asks the server
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            const status = response.ok ? 'available' : 'missing';
+            this.resourceStatus.set(url, status);
+            return status;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Check if a resource is in a service worker cache
+     */
+    async isResourceCached(url) {
+        if (!('caches' in window)) return false;
+        
+        try {
+            return Boolean(await caches.match(url));
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Render section actions
+     */
+    renderSectionActions(section) {
+        const actions = [];
+        
+        // Add navigation buttons
+        const sections = Array.from(this.sections.keys());
+        const currentIndex = sections.indexOf(section.id);
+        
+        if (currentIndex > 0) {
+            actions.push(`
+                <button class="btn btn-secondary" onclick="SOPApp.navigate('${sections[currentIndex - 1]}')">
+                    <i class="fas fa-arrow-left"></i> Previous
+                </button>
+            `);
+        }
+        
+        if (currentIndex < sections.length - 1) {
+            actions.push(`
+                <button class="btn btn-primary" onclick="SOPApp.navigate('${sections[currentIndex + 1]}')">
+                    Next <i class="fas fa-arrow-right"></i>
+                </button>
+            `);
+        }
+        
+        if (actions.length > 0) {
+            return `
+                <footer class="section-footer">
+                    <div class="section-actions">
+                        ${actions.join('')}
+                    </div>
+                </footer>
+            `;
+        }
+        
+        return '';
+    }
+    
+    /**
+     * Process dynamic content
+     */
+    async processDynamicContent(section) {
+        // Process checklists
+        const checklists = document.querySelectorAll('.checklist-item');
+        checklists.forEach(item => {
+            this.setupChecklistItem(item);
+        });
+        
+        // Process collapsibles
+        const collapsibles = document.querySelectorAll('.collapsible');
+        collapsibles.forEach(item => {
+            this.setupCollapsible(item);
+        });
+        
+        // Process code blocks
+        const codeBlocks = document.querySelectorAll('pre code');
+        codeBlocks.forEach(block => {
+            this.setupCodeBlock(block);
+        });
+    }
+    
+    /**
+     * Setup section-specific features
+     */
+    setupSectionFeatures(section) {
+        // Section-specific module loading
+        if (section.config.module) {
+            this.app.loadModule(section.config.module);
+        }
+        
+        // Section-specific shortcuts
+        if (section.config.shortcuts) {
+            this.setupShortcuts(section.config.shortcuts);
+        }
+    }
+    
+    /**
+     * Setup checklist item
+     */
+    setupChecklistItem(item) {
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        if (!checkbox) return;
+        
+        const itemId = item.dataset.id;
+        const completed = this.app.state.get('completedChecklists') || [];
+        
+        // Set initial state
+        checkbox.checked = completed.includes(itemId);
+        
+        // Handle change
+        checkbox.addEventListener('change', () => {
+            this.toggleChecklistItem(itemId, checkbox.checked);
+        });
+    }
+    
+    /**
+     * Toggle checklist item
+     */
+    toggleChecklistItem(itemId, checked) {
+        const completed = this.app.state.get('completedChecklists') || [];
+        
+        if (checked) {
+            if (!completed.includes(itemId)) {
+                completed.push(itemId);
+            }
+        } else {
+            const index = completed.indexOf(itemId);
+            if (index > -1) {
+                completed.splice(index, 1);
+            }
+        }
+        
+        this.app.state.set('completedChecklists', completed);
+        this.app.emit('checklist:toggle', { itemId, checked });
+    }
+    
+    /**
+     * Setup collapsible element
+     */
+    setupCollapsible(element) {
+        const toggle = element.querySelector('.collapsible-toggle');
+        const content = element.querySelector('.collapsible-content');
+        
+        if (toggle && content) {
+            toggle.addEventListener('click', () => {
+                element.classList.toggle('expanded');
+                const expanded = element.classList.contains('expanded');
+                content.style.display = expanded ? 'block' : 'none';
+            });
+        }
+    }
+    
+    /**
+     * Setup code block
+     */
+    setupCodeBlock(block) {
+        // Add copy button
+        const wrapper = block.parentElement;
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'code-copy-btn';
+        copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
+        copyBtn.title = 'Copy code';
+        
+        copyBtn.addEventListener('click', () => {
+            navigator.clipboard.writeText(block.textContent);
+            copyBtn.innerHTML = '<i class="fas fa-check"></i>';
+            setTimeout(() => {
+                copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
+            }, 2000);
+        });
+        
+        wrapper.style.position = 'relative';
+        wrapper.appendChild(copyBtn);
+    }
+    
+    /**
+     * Setup keyboard shortcuts
+     */
+    setupShortcuts(shortcuts) {
+        shortcuts.forEach(shortcut => {
+            document.addEventListener('keydown', (e) => {
+                if (this.matchShortcut(e, shortcut.key)) {
+                    e.preventDefault();
+                    shortcut.action();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Match keyboard shortcut
+     */
+    matchShortcut(event, shortcutKey) {
+        const parts = shortcutKey.toLowerCase().split('+');
+        return parts.every(part => {
+            switch(part) {
+                case 'ctrl': return event.ctrlKey;
+                case 'alt': return event.altKey;
+                case 'shift': return event.shiftKey;
+                case 'meta': return event.metaKey;
+                default: return event.key.toLowerCase() === part;
+            }
+        });
+    }
+    
+    /**
+     * Show loader
+     */
+    showLoader() {
+        const loader = document.getElementById('section-loader');
+        if (loader) {
+            loader.style.display = 'flex';
+        }
+    }
+    
+    /**
+     * Hide loader
+     */
+    hideLoader() {
+        const loader = document.getElementById('section-loader');
+        if (loader) {
+            loader.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const container = document.getElementById('section-content');
+        if (container) {
+            container.innerHTML = `
+                <div class="section-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h2>Error Loading Section</h2>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" onclick="location.reload()">
+                        Reload Page
+                    </button>
+                </div>
+            `;
+        }
+    }
+    
+    /**
+     * Get current section
+     */
+    getCurrentSection() {
+        return this.currentSection;
+    }
+    
+    /**
+     * Refresh current section
+     */
+    async refreshSection() {
+        if (this.currentSection) {
+            const section = this.sections.get(this.currentSection);
+            if (section) {
+                section.content = null; // Clear cache
+                await this.showSection(this.currentSection);
+            }
+        }
+    }
+}
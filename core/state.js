@@ -1,220 +1,340 @@
-/**
- * StateManager - Centralized state management for the application
- * Handles all application state with localStorage persistence
- */
-
-export class StateManager {
-    constructor(app) {
-        this.app = app;
-        this.state = new Map();
-        this.subscribers = new Map();
-        this.storageKey = 'sop_v3_state';
-    }
-    
-    /**
-     * Initialize state manager
-     */
-    async init() {
-        // Load persisted state
-        this.loadPersistedState();
-        
-        // Set default state
-        this.setDefaults();
-        
-        // Setup auto-save
-        this.setupAutoSave();
-        
-        console.log('✅ State manager initialized');
-    }
-    
-    /**
-     * Set default state values
-     */
-    setDefaults() {
-        const defaults = {
-            currentSection: 'overview',
-            currentProjectDay: 10,
-            theme: 'navy-professional',
-            sidebarCollapsed: false,
-            completedChecklists: [],
-            moduleStates: {},
-            userPreferences: {
-                fontSize: 'medium',
-                animations: true,
-                autoSave: true
-            }
-        };
-        
-        // Apply defaults if not already set
-        for (const [key, value] of Object.entries(defaults)) {
-            if (!this.state.has(key)) {
-                this.state.set(key, value);
-            }
-        }
-    }
-    
-    /**
-     * Get state value
-     */
-    get(key) {
-        return this.state.get(key);
-    }
-    
-    /**
-     * Set state value
-     */
-    set(key, value) {
-        const oldValue = this.state.get(key);
-        this.state.set(key, value);
-        
-        // Notify subscribers
-        this.notifySubscribers(key, value, oldValue);
-        
-        // Save to localStorage
-        this.saveState();
-    }
-    
-    /**
-     * Update nested state
-     */
-    update(key, updates) {
-        const current = this.get(key) || {};
-        const updated = { ...current, ...updates };
-        this.set(key, updated);
-    }
-    
-    /**
-     * Get all state
-     */
-    getAll() {
-        return Object.fromEntries(this.state);
-    }
-    
-    /**
-     * Subscribe to state changes
-     */
-    subscribe(key, callback) {
-        if (!this.subscribers.has(key)) {
-            this.subscribers.set(key, new Set());
-        }
-        this.subscribers.get(key).add(callback);
-        
-        // Return unsubscribe function
-        return () => {
-            const callbacks = this.subscribers.get(key);
-            if (callbacks) {
-                callbacks.delete(callback);
-            }
-        };
-    }
-    
-    /**
-     * Notify subscribers of state change
-     */
-    notifySubscribers(key, newValue, oldValue) {
-        const callbacks = this.subscribers.get(key);
-        if (callbacks) {
-            callbacks.forEach(callback => {
-                try {
-                    callback(newValue, oldValue, key);
-                } catch (error) {
-                    console.error('State subscriber error:', error);
-                }
-            });
-        }
-        
-        // Also notify wildcard subscribers
-        const wildcardCallbacks = this.subscribers.get('*');
-        if (wildcardCallbacks) {
-            wildcardCallbacks.forEach(callback => {
-                try {
-                    callback({ key, newValue, oldValue });
-                } catch (error) {
-                    console.error('Wildcard subscriber error:', error);
-                }
-            });
-        }
-    }
-    
-    /**
-     * Load persisted state from localStorage
-     */
-    loadPersistedState() {
-        try {
-            const saved = localStorage.getItem(this.storageKey);
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                for (const [key, value] of Object.entries(parsed)) {
-                    this.state.set(key, value);
-                }
-                console.log('✅ State loaded from localStorage');
-            }
-        } catch (error) {
-            console.error('Failed to load persisted state:', error);
-        }
-    }
-    
-    /**
-     * Save state to localStorage
-     */
-    saveState() {
-        try {
-            const stateObject = this.getAll();
-            localStorage.setItem(this.storageKey, JSON.stringify(stateObject));
-        } catch (error) {
-            console.error('Failed to save state:', error);
-        }
-    }
-    
-    /**
-     * Setup auto-save with debouncing
-     */
-    setupAutoSave() {
-        let saveTimeout;
-        
-        // Override set method to include debounced save
-        const originalSet = this.set.bind(this);
-        this.set = (key, value) => {
-            originalSet(key, value);
-            
-            // Debounce save
-            clearTimeout(saveTimeout);
-            saveTimeout = setTimeout(() => {
-                this.saveState();
-            }, 500);
-        };
-    }
-    
-    /**
-     * Clear all state
-     */
-    clear() {
-        this.state.clear();
-        localStorage.removeItem(this.storageKey);
-        this.setDefaults();
-        this.notifySubscribers('*', null, null);
-    }
-    
-    /**
-     * Export state for debugging
-     */
-    export() {
-        return JSON.stringify(this.getAll(), null, 2);
-    }
-    
-    /**
-     * Import state for debugging
-     */
-    import(stateJson) {
-        try {
-            const parsed = JSON.parse(stateJson);
-            for (const [key, value] of Object.entries(parsed)) {
-                this.set(key, value);
-            }
-            return true;
-        } catch (error) {
-            console.error('Failed to import state:', error);
-            return false;
-        }
-    }
-}
\ No newline at end of file
+/**
+ * StateManager - Centralized state management for the application
+ * Handles all application state, persisted through the StorageManager
+ * (global keys under 'state', project keys in each project's storage)
+ */
+
+export class StateManager {
+    constructor(app) {
+        this.app = app;
+        this.state = new Map();
+        this.subscribers = new Map();
+        this.storageKey = 'state';
+        this.projectStateKey = 'state';
+        
+        // Keys persisted per project instead of globally
+        this.projectKeys = new Set([
+            'currentProjectDay',
+            'moduleStates',
+            'completedChecklists',
+            'lastMilestone'
+        ]);
+    }
+    
+    /**
+     * Initialize state manager
+     */
+    async init() {
+        // Load persisted state
+        this.loadPersistedState();
+        
+        // Load state of the active project
+        this.loadProjectState();
+        
+        // Set default state
+        this.setDefaults();
+        
+        // Setup auto-save
+        this.setupAutoSave();
+        
+        // Reload project-scoped state when the active project changes
+        this.app.on('project:switched', () => {
+            this.loadProjectState();
+        });
+        
+        // Project state changed by another analyst
+        this.app.on('sync:applied', (e) => {
+            const { projectId, collections } = e.detail;
+            if (projectId === this.app.projects?.activeId && collections.includes('state')) {
+                this.loadProjectState();
+            }
+        });
+        
+        console.log('✅ State manager initialized');
+    }
+    
+    /**
+     * Get default state values
+     */
+    getDefaults() {
+        return {
+            currentSection: 'overview',
+            currentProjectDay: 10,
+            theme: 'auto',
+            sidebarCollapsed: false,
+            completedChecklists: [],
+            moduleStates: {},
+            userPreferences: {
+                fontSize: 'medium',
+                animations: true,
+                autoSave: true
+            }
+        };
+    }
+    
+    /**
+     * Set default state values
+     */
+    setDefaults() {
+        const defaults = this.getDefaults();
+        
+        // Apply defaults if not already set
+        for (const [key, value] of Object.entries(defaults)) {
+            if (!this.state.has(key)) {
+                this.state.set(key, value);
+            }
+        }
+    }
+    
+    /**
+     * Get state value
+     */
+    get(key) {
+        return this.state.get(key);
+    }
+    
+    /**
+     * Set state value
+     */
+    set(key, value) {
+        const oldValue = this.state.get(key);
+        this.state.set(key, value);
+        
+        // Notify subscribers
+        this.notifySubscribers(key, value, oldValue);
+        
+        // Save to storage
+        this.saveState();
+    }
+    
+    /**
+     * Update nested state
+     */
+    update(key, updates) {
+        const current = this.get(key) || {};
+        const updated = { ...current, ...updates };
+        this.set(key, updated);
+    }
+    
+    /**
+     * Get all state
+     */
+    getAll() {
+        return Object.fromEntries(this.state);
+    }
+    
+    /**
+     * Subscribe to state changes
+     */
+    subscribe(key, callback) {
+        if (!this.subscribers.has(key)) {
+            this.subscribers.set(key, new Set());
+        }
+        this.subscribers.get(key).add(callback);
+        
+        // Return unsubscribe function
+        return () => {
+            const callbacks = this.subscribers.get(key);
+            if (callbacks) {
+                callbacks.delete(callback);
+            }
+        };
+    }
+    
+    /**
+     * Notify subscribers of state change
+     */
+    notifySubscribers(key, newValue, oldValue) {
+        const callbacks = this.subscribers.get(key);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(newValue, oldValue, key);
+                } catch (error) {
+                    console.error('State subscriber error:', error);
+                }
+            });
+        }
+        
+        // Also notify wildcard subscribers
+        const wildcardCallbacks = this.subscribers.get('*');
+        if (wildcardCallbacks) {
+            wildcardCallbacks.forEach(callback => {
+                try {
+                    callback({ key, newValue, oldValue });
+                } catch (error) {
+                    console.error('Wildcard subscriber error:', error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Load persisted global state
+     * Older shapes are upgraded by the data migrations; anything that still
+     * does not match the defaults is dropped rather than loaded
+     */
+    loadPersistedState() {
+        const saved = this.app.storage.get(this.storageKey);
+        if (saved === null || saved === undefined) return;
+        
+        if (!this.isPlainObject(saved)) {
+            console.warn('Ignoring persisted state that is not an object');
+            return;
+        }
+        
+        this.getValidEntries(saved, true).forEach(([key, value]) => {
+            this.state.set(key, value);
+        });
+        console.log('✅ State loaded from storage');
+    }
+    
+    /**
+     * Get saved entries whose type matches the default
+     * Global state skips project keys, project state keeps only those
+     */
+    getValidEntries(saved, global) {
+        const defaults = this.getDefaults();
+        
+        return Object.entries(saved).filter(([key, value]) => {
+            if (this.projectKeys.has(key) === global) return false;
+            
+            if (key in defaults && defaults[key] !== null && !this.isSameType(value, defaults[key])) {
+                console.warn(`Ignoring persisted state "${key}": expected ${this.typeOf(defaults[key])}, found ${this.typeOf(value)}`);
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Check that a value has the same type as another
+     */
+    isSameType(value, expected) {
+        return this.typeOf(value) === this.typeOf(expected);
+    }
+    
+    /**
+     * Get the type name of a value ('array' and 'null' apart from 'object')
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+    
+    /**
+     * Check for an object that is not an array or null
+     */
+    isPlainObject(value) {
+        return this.typeOf(value) === 'object';
+    }
+    
+    /**
+     * Load project-scoped state for the active project
+     */
+    loadProjectState() {
+        const store = this.getProjectStore();
+        if (!store) return;
+        
+        const saved = store.get(this.projectStateKey);
+        const valid = this.isPlainObject(saved) ? Object.fromEntries(this.getValidEntries(saved, false)) : {};
+        
+        // Replace every key before notifying, and save once, so no write mixes
+        // the loaded values with the previous project's
+        const defaults = this.getDefaults();
+        const changes = [];
+        this.projectKeys.forEach(key => {
+            changes.push([key, this.state.get(key)]);
+            this.state.set(key, key in valid ? valid[key] : defaults[key]);
+        });
+        changes.forEach(([key, oldValue]) => this.notifySubscribers(key, this.state.get(key), oldValue));
+        
+        this.saveState();
+    }
+    
+    /**
+     * Get storage of the active project
+     */
+    getProjectStore() {
+        return this.app.projects ? this.app.projects.getStorage() : null;
+    }
+    
+    /**
+     * Save state to storage
+     */
+    saveState() {
+        try {
+            const globalState = {};
+            const projectState = {};
+            
+            this.state.forEach((value, key) => {
+                if (this.projectKeys.has(key)) {
+                    projectState[key] = value;
+                } else {
+                    globalState[key] = value;
+                }
+            });
+            
+            this.app.storage.set(this.storageKey, globalState);
+            
+            const store = this.getProjectStore();
+            if (store) {
+                store.set(this.projectStateKey, projectState);
+            }
+        } catch (error) {
+            console.error('Failed to save state:', error);
+        }
+    }
+    
+    /**
+     * Setup auto-save with debouncing
+     */
+    setupAutoSave() {
+        let saveTimeout;
+        
+        // Override set method to include debounced save
+        const originalSet = this.set.bind(this);
+        this.set = (key, value) => {
+            originalSet(key, value);
+            
+            // Debounce save
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(() => {
+                this.saveState();
+            }, 500);
+        };
+    }
+    
+    /**
+     * Clear all state
+     */
+    clear() {
+        this.state.clear();
+        this.app.storage.remove(this.storageKey);
+        this.setDefaults();
+        this.notifySubscribers('*', null, null);
+    }
+    
+    /**
+     * Export state for debugging
+     */
+    export() {
+        return JSON.stringify(this.getAll(), null, 2);
+    }
+    
+    /**
+     * Import state for debugging
+     */
+    import(stateJson) {
+        try {
+            const parsed = JSON.parse(stateJson);
+            for (const [key, value] of Object.entries(parsed)) {
+                this.set(key, value);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to import state:', error);
+            return false;
+        }
+    }
+}
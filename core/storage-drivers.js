@@ -0,0 +1,254 @@
+/**
+ * Storage drivers used by StorageManager
+ * Every driver stores strings under full (prefixed) keys and answers reads
+ * synchronously. The IndexedDB driver keeps all entries in memory after
+ * open() and writes changes through to the database in the background.
+ *
+ * Driver: { type, getItem(key), setItem(key, value), removeItem(key), keys() }
+ * Persistent drivers call onRemoteChange(key, value) when another tab
+ * changes an entry (value is null when it was removed).
+ */
+
+const DB_NAME = 'versatex-storage';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+
+// Keeps the in-memory copies of other tabs up to date
+const CHANNEL_NAME = 'versatex-storage';
+
+/**
+ * localStorage - about 5 MB per origin
+ */
+export class LocalStorageDriver {
+    constructor() {
+        this.type = 'localStorage';
+        this.onRemoteChange = null;
+        
+        // Only fired for changes made in other tabs
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (e) => {
+                if (e.storageArea === localStorage && e.key !== null) {
+                    this.onRemoteChange?.(e.key, e.newValue);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Check if localStorage is available
+     */
+    static isAvailable() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+    
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+    
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+    
+    keys() {
+        return Object.keys(localStorage);
+    }
+}
+
+/**
+ * In-memory fallback when nothing persistent is available
+ */
+export class MemoryDriver {
+    constructor() {
+        this.type = 'memory';
+        this.entries = new Map();
+    }
+    
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.entries.set(key, value);
+    }
+    
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+    
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+/**
+ * IndexedDB - limited by the browser's storage quota instead of 5 MB
+ * Reads come from memory; writes are batched into one transaction per tick.
+ * onError(error) is called when a batch fails and returns true to retry it once.
+ * onClose() is called when another tab closes the database.
+ */
+export class IndexedDBDriver {
+    constructor() {
+        this.type = 'indexedDB';
+        this.db = null;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.scheduled = false;
+        this.writing = Promise.resolve();
+        this.channel = null;
+        this.onError = null;
+        this.onClose = null;
+        this.onRemoteChange = null;
+    }
+    
+    /**
+     * Check if IndexedDB is available
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database and load every entry into memory
+     */
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const open = indexedDB.open(DB_NAME, DB_VERSION);
+            open.onupgradeneeded = () => {
+                open.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+            };
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+            open.onblocked = () => reject(new Error('Storage database is blocked'));
+        });
+        
+        // Another tab upgrading or deleting the database closes this connection;
+        // it cannot be reopened at this version, so later writes fail until a reload
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+            console.error('❌ Storage database was closed by another tab');
+            this.onClose?.();
+        };
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = this.db.transaction([ENTRY_STORE], 'readonly').objectStore(ENTRY_STORE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        records.forEach(record => this.entries.set(record.key, record.value));
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = ({ data }) => {
+                if (data.value === null) {
+                    this.entries.delete(data.key);
+                } else {
+                    this.entries.set(data.key, data.value);
+                }
+                this.onRemoteChange?.(data.key, data.value);
+            };
+        }
+    }
+    
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.entries.set(key, value);
+        this.queue(key, value);
+    }
+    
+    removeItem(key) {
+        this.entries.delete(key);
+        this.queue(key, null);
+    }
+    
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+    
+    /**
+     * Queue a write (null removes the key) for the next batch
+     */
+    queue(key, value) {
+        this.pending.set(key, value);
+        this.channel?.postMessage({ key, value });
+        
+        if (!this.scheduled) {
+            this.scheduled = true;
+            queueMicrotask(() => {
+                // Failures are logged by writeBatch
+                this.flush().catch(() => {});
+            });
+        }
+    }
+    
+    /**
+     * Write every queued change; resolves once it is in the database
+     */
+    flush() {
+        this.scheduled = false;
+        const batch = this.pending;
+        this.pending = new Map();
+        
+        // Batches are written one after another so later writes win
+        this.writing = this.writing
+            .catch(() => {})
+            .then(() => batch.size > 0 ? this.writeBatch(batch) : undefined);
+        return this.writing;
+    }
+    
+    /**
+     * Write a batch in one transaction
+     */
+    async writeBatch(batch, retried = false) {
+        try {
+            await this.transaction(batch);
+        } catch (error) {
+            if (!retried && this.onError?.(error)) {
+                // Include anything queued meanwhile, such as evictions
+                const merged = new Map([...batch, ...this.pending]);
+                this.pending.clear();
+                return this.writeBatch(merged, true);
+            }
+            console.error(`❌ Failed to write ${batch.size} storage entries:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Run a readwrite transaction putting or deleting the entries
+     */
+    transaction(batch) {
+        if (!this.db) {
+            return Promise.reject(new Error('Storage database is closed'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([ENTRY_STORE], 'readwrite');
+            const store = tx.objectStore(ENTRY_STORE);
+            batch.forEach((value, key) => {
+                if (value === null) {
+                    store.delete(key);
+                } else {
+                    store.put({ key, value, updatedAt: Date.now() });
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
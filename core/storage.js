@@ -1,340 +1,508 @@
-/**
- * StorageManager - Wrapper for localStorage with fallback and quota management
- * Provides a consistent API for client-side storage
- */
-
-export class StorageManager {
-    constructor(config = {}) {
-        this.prefix = config.prefix || 'sop_v3_';
-        this.maxSize = config.maxSize || 5 * 1024 * 1024; // 5MB default
-        this.compression = config.compression || false;
-        this.available = this.checkAvailability();
-        this.fallbackStore = new Map();
-    }
-    
-    /**
-     * Check if localStorage is available
-     */
-    checkAvailability() {
-        try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            console.warn('localStorage not available, using in-memory fallback');
-            return false;
-        }
-    }
-    
-    /**
-     * Get item from storage
-     */
-    get(key) {
-        const fullKey = this.prefix + key;
-        
-        try {
-            if (this.available) {
-                const item = localStorage.getItem(fullKey);
-                if (item === null) return null;
-                
-                // Check if it's a JSON object
-                if (item.startsWith('{') || item.startsWith('[')) {
-                    return JSON.parse(item);
-                }
-                return item;
-            } else {
-                return this.fallbackStore.get(fullKey);
-            }
-        } catch (error) {
-            console.error(`Error getting ${key}:`, error);
-            return null;
-        }
-    }
-    
-    /**
-     * Set item in storage
-     */
-    set(key, value) {
-        const fullKey = this.prefix + key;
-        
-        try {
-            // Convert to string if necessary
-            const data = typeof value === 'string' ? value : JSON.stringify(value);
-            
-            // Check size
-            if (data.length > this.maxSize) {
-                throw new Error(`Data too large: ${data.length} bytes`);
-            }
-            
-            if (this.available) {
-                localStorage.setItem(fullKey, data);
-            } else {
-                this.fallbackStore.set(fullKey, value);
-            }
-            
-            return true;
-        } catch (error) {
-            console.error(`Error setting ${key}:`, error);
-            
-            // Try to clear space if quota exceeded
-            if (error.name === 'QuotaExceededError') {
-                this.clearOldData();
-                // Retry once
-                try {
-                    if (this.available) {
-                        localStorage.setItem(fullKey, data);
-                        return true;
-                    }
-                } catch (retryError) {
-                    console.error('Failed after clearing space:', retryError);
-                }
-            }
-            
-            return false;
-        }
-    }
-    
-    /**
-     * Remove item from storage
-     */
-    remove(key) {
-        const fullKey = this.prefix + key;
-        
-        try {
-            if (this.available) {
-                localStorage.removeItem(fullKey);
-            } else {
-                this.fallbackStore.delete(fullKey);
-            }
-            return true;
-        } catch (error) {
-            console.error(`Error removing ${key}:`, error);
-            return false;
-        }
-    }
-    
-    /**
-     * Clear all items with prefix
-     */
-    clear() {
-        try {
-            if (this.available) {
-                const keys = Object.keys(localStorage);
-                keys.forEach(key => {
-                    if (key.startsWith(this.prefix)) {
-                        localStorage.removeItem(key);
-                    }
-                });
-            } else {
-                // Clear fallback store items with prefix
-                const keysToDelete = [];
-                this.fallbackStore.forEach((value, key) => {
-                    if (key.startsWith(this.prefix)) {
-                        keysToDelete.push(key);
-                    }
-                });
-                keysToDelete.forEach(key => this.fallbackStore.delete(key));
-            }
-            return true;
-        } catch (error) {
-            console.error('Error clearing storage:', error);
-            return false;
-        }
-    }
-    
-    /**
-     * Get all keys with prefix
-     */
-    keys() {
-        const keys = [];
-        
-        if (this.available) {
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(this.prefix)) {
-                    keys.push(key.substring(this.prefix.length));
-                }
-            });
-        } else {
-            this.fallbackStore.forEach((value, key) => {
-                if (key.startsWith(this.prefix)) {
-                    keys.push(key.substring(this.prefix.length));
-                }
-            });
-        }
-        
-        return keys;
-    }
-    
-    /**
-     * Check if key exists
-     */
-    has(key) {
-        const fullKey = this.prefix + key;
-        
-        if (this.available) {
-            return localStorage.getItem(fullKey) !== null;
-        } else {
-            return this.fallbackStore.has(fullKey);
-        }
-    }
-    
-    /**
-     * Get storage size in bytes
-     */
-    getSize() {
-        let size = 0;
-        
-        if (this.available) {
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith(this.prefix)) {
-                    const item = localStorage.getItem(key);
-                    if (item) {
-                        size += key.length + item.length;
-                    }
-                }
-            });
-        } else {
-            this.fallbackStore.forEach((value, key) => {
-                if (key.startsWith(this.prefix)) {
-                    const data = typeof value === 'string' ? value : JSON.stringify(value);
-                    size += key.length + data.length;
-                }
-            });
-        }
-        
-        return size;
-    }
-    
-    /**
-     * Get storage quota info
-     */
-    async getQuota() {
-        if (navigator.storage && navigator.storage.estimate) {
-            try {
-                const estimate = await navigator.storage.estimate();
-                return {
-                    usage: estimate.usage || 0,
-                    quota: estimate.quota || 0,
-                    percentUsed: estimate.quota ? 
-                        Math.round((estimate.usage / estimate.quota) * 100) : 0
-                };
-            } catch (error) {
-                console.error('Error getting storage quota:', error);
-            }
-        }
-        
-        // Fallback estimation
-        return {
-            usage: this.getSize(),
-            quota: this.maxSize,
-            percentUsed: Math.round((this.getSize() / this.maxSize) * 100)
-        };
-    }
-    
-    /**
-     * Clear old data to free space
-     */
-    clearOldData() {
-        console.log('Clearing old data to free space...');
-        
-        // Get all items with timestamps
-        const items = [];
-        const keys = this.keys();
-        
-        keys.forEach(key => {
-            if (key.includes('_timestamp')) {
-                const timestamp = this.get(key);
-                if (timestamp) {
-                    items.push({
-                        key: key.replace('_timestamp', ''),
-                        timestamp
-                    });
-                }
-            }
-        });
-        
-        // Sort by timestamp (oldest first)
-        items.sort((a, b) => a.timestamp - b.timestamp);
-        
-        // Remove oldest 20% of items
-        const toRemove = Math.ceil(items.length * 0.2);
-        for (let i = 0; i < toRemove; i++) {
-            this.remove(items[i].key);
-            this.remove(items[i].key + '_timestamp');
-        }
-        
-        console.log(`Cleared ${toRemove} old items`);
-    }
-    
-    /**
-     * Set item with timestamp
-     */
-    setWithTimestamp(key, value) {
-        const success = this.set(key, value);
-        if (success) {
-            this.set(key + '_timestamp', Date.now());
-        }
-        return success;
-    }
-    
-    /**
-     * Get item with age check
-     */
-    getWithAge(key, maxAge) {
-        const timestamp = this.get(key + '_timestamp');
-        
-        if (!timestamp) {
-            return null;
-        }
-        
-        const age = Date.now() - timestamp;
-        if (age > maxAge) {
-            // Data is too old
-            this.remove(key);
-            this.remove(key + '_timestamp');
-            return null;
-        }
-        
-        return this.get(key);
-    }
-    
-    /**
-     * Export all data
-     */
-    export() {
-        const data = {};
-        const keys = this.keys();
-        
-        keys.forEach(key => {
-            data[key] = this.get(key);
-        });
-        
-        return data;
-    }
-    
-    /**
-     * Import data
-     */
-    import(data) {
-        let imported = 0;
-        
-        Object.entries(data).forEach(([key, value]) => {
-            if (this.set(key, value)) {
-                imported++;
-            }
-        });
-        
-        return imported;
-    }
-    
-    /**
-     * Create a namespaced storage instance
-     */
-    namespace(name) {
-        return new StorageManager({
-            ...this.config,
-            prefix: this.prefix + name + '_'
-        });
-    }
-}
\ No newline at end of file
+/**
+ * StorageManager - Client-side storage with a localStorage, IndexedDB or in-memory driver
+ * Provides a consistent, synchronous API for client-side storage.
+ * config.type 'indexedDB' switches to the IndexedDB driver in init(), moving
+ * anything saved in localStorage across; until then (and when IndexedDB is
+ * unavailable) data stays in localStorage, or in memory as a last resort.
+ * With encryption (config.encryption) the driver is wrapped by an
+ * EncryptedDriver once unlocked with the passphrase (see core/encryption.js).
+ */
+
+import { LocalStorageDriver, MemoryDriver, IndexedDBDriver } from './storage-drivers.js';
+import { ENCRYPTION_KEY, EncryptedDriver, createKey, unlockKey } from './encryption.js';
+
+// Engagement data that eviction never removes, in the root or any namespace
+const PROTECTED_KEYS = [
+    'state',
+    'projects',
+    'active_project',
+    'schema_version',
+    'encryption',
+    'checkbox_states',
+    'checkbox_audit',
+    'decision_history',
+    'health_history',
+    'sync_meta'
+];
+
+export class StorageManager {
+    constructor(config = {}, root = null) {
+        this.config = config;
+        this.prefix = config.prefix || 'sop_v3_';
+        this.maxSize = config.maxSize || 5 * 1024 * 1024; // 5MB default, localStorage only
+        this.compression = config.compression || false;
+        
+        // Namespaces share the driver and change handler of the storage they came from
+        this.root = root || this;
+        if (!root) {
+            if (config.type === 'memory') {
+                // Scratch storage, e.g. to upgrade a backup before restoring it
+                this.driver = new MemoryDriver();
+            } else if (LocalStorageDriver.isAvailable()) {
+                this.driver = new LocalStorageDriver();
+            } else {
+                console.warn('localStorage not available, using in-memory fallback');
+                this.driver = new MemoryDriver();
+            }
+            this.changeHandler = null;
+            this.closeHandler = null;
+        }
+    }
+    
+    /**
+     * Switch to the configured driver
+     * For 'indexedDB', opens the database and moves localStorage data into it
+     */
+    async init() {
+        if (this.config.type !== 'indexedDB' || this.driver.type === 'indexedDB') return;
+        
+        if (!IndexedDBDriver.isAvailable()) {
+            console.warn(`IndexedDB not available, keeping ${this.driver.type}`);
+            return;
+        }
+        
+        const driver = new IndexedDBDriver();
+        driver.onError = (error) => this.handleWriteError(error);
+        driver.onClose = () => this.root.closeHandler?.();
+        
+        try {
+            await driver.open();
+            await this.moveToDriver(driver);
+        } catch (error) {
+            console.error(`Failed to open IndexedDB storage, keeping ${this.driver.type}:`, error);
+            return;
+        }
+        
+        this.driver = driver;
+        console.log(`✅ Storage using IndexedDB (${this.keys().length} keys)`);
+    }
+    
+    /**
+     * Copy this prefix's entries from the current driver into a new one,
+     * then remove them from the old one once the new one has saved them
+     */
+    async moveToDriver(driver) {
+        const keys = this.driver.keys().filter(key => key.startsWith(this.prefix));
+        if (keys.length === 0) return;
+        
+        // Entries already in the new driver are newer
+        keys.forEach(key => {
+            if (driver.getItem(key) === null) {
+                driver.setItem(key, this.driver.getItem(key));
+            }
+        });
+        await driver.flush();
+        
+        keys.forEach(key => this.driver.removeItem(key));
+        console.log(`📦 Moved ${keys.length} keys from ${this.driver.type} to ${driver.type}`);
+    }
+    
+    /**
+     * Check if stored data is encrypted
+     */
+    isEncrypted() {
+        return Boolean(this.root.driver.encrypted) || this.getEncryptionSettings() !== null;
+    }
+    
+    /**
+     * Check if stored data is encrypted and waiting for the passphrase
+     */
+    isLocked() {
+        return !this.root.driver.encrypted && this.isEncrypted();
+    }
+    
+    /**
+     * Get the stored key settings, or null when data is not encrypted
+     */
+    getEncryptionSettings() {
+        const driver = this.root.driver.inner || this.root.driver;
+        const saved = driver.getItem(this.root.prefix + ENCRYPTION_KEY);
+        return saved ? JSON.parse(saved) : null;
+    }
+    
+    /**
+     * Decrypt stored data with the passphrase
+     * Throws 'Wrong passphrase' when it does not match
+     */
+    async unlock(passphrase) {
+        const root = this.root;
+        if (!root.isLocked()) return;
+        
+        const key = await unlockKey(passphrase, root.getEncryptionSettings());
+        const driver = new EncryptedDriver(root.driver, key, root.prefix);
+        driver.onClose = () => root.closeHandler?.();
+        await driver.load();
+        root.driver = driver;
+    }
+    
+    /**
+     * Check the passphrase of unlocked data; throws 'Wrong passphrase'
+     */
+    async checkPassphrase(passphrase) {
+        await unlockKey(passphrase, this.getEncryptionSettings());
+    }
+    
+    /**
+     * Encrypt all stored data, and everything written from now on
+     */
+    async enableEncryption(passphrase) {
+        const root = this.root;
+        if (root.isEncrypted()) {
+            throw new Error('Storage is already encrypted');
+        }
+        
+        // Settings first: an interrupted run leaves plain values that load() encrypts
+        const { key, settings } = await createKey(passphrase);
+        root.driver.setItem(root.prefix + ENCRYPTION_KEY, JSON.stringify(settings));
+        
+        const driver = new EncryptedDriver(root.driver, key, root.prefix);
+        driver.onClose = () => root.closeHandler?.();
+        await driver.load();
+        root.driver = driver;
+    }
+    
+    /**
+     * Encrypt all stored data again with a new passphrase
+     */
+    async changePassphrase(current, next) {
+        const root = this.root;
+        if (!root.driver.encrypted) {
+            throw new Error('Storage is not encrypted or still locked');
+        }
+        
+        await root.checkPassphrase(current);
+        const { key, settings } = await createKey(next);
+        await root.driver.rekey(key, settings);
+    }
+    
+    /**
+     * Store everything in plain text again (needs unlocked data)
+     */
+    async disableEncryption() {
+        const root = this.root;
+        if (!root.driver.encrypted) {
+            throw new Error('Storage is not encrypted or still locked');
+        }
+        root.driver = await root.driver.decryptAll();
+    }
+    
+    /**
+     * Wait until every write has reached the driver's storage
+     */
+    async flush() {
+        const driver = this.root.driver;
+        if (driver.flush) {
+            await driver.flush();
+        }
+    }
+    
+    /**
+     * Called when a background write fails; returns true to retry it once
+     */
+    handleWriteError(error) {
+        if (error?.name !== 'QuotaExceededError') return false;
+        
+        this.clearOldData();
+        return true;
+    }
+    
+    /**
+     * Register a handler called after every successful write
+     * handler(prefix, key, value, previousValue) - used by the sync layer
+     */
+    setChangeHandler(handler) {
+        this.root.changeHandler = handler;
+    }
+    
+    /**
+     * Register a handler called when another tab closes the database or
+     * changes the encryption settings
+     * Nothing written afterwards is saved correctly until the page is reloaded.
+     */
+    setCloseHandler(handler) {
+        this.root.closeHandler = handler;
+    }
+    
+    /**
+     * Notify the change handler
+     */
+    notifyChange(key, value, previous) {
+        const handler = this.root.changeHandler;
+        if (!handler) return;
+        
+        try {
+            handler(this.prefix, key, value, previous);
+        } catch (error) {
+            console.error(`Storage change handler failed for ${key}:`, error);
+        }
+    }
+    
+    /**
+     * Get item from storage
+     */
+    get(key) {
+        const fullKey = this.prefix + key;
+        
+        try {
+            const item = this.root.driver.getItem(fullKey);
+            if (item === null) return null;
+            
+            // Check if it's a JSON object
+            if (item.startsWith('{') || item.startsWith('[')) {
+                return JSON.parse(item);
+            }
+            return item;
+        } catch (error) {
+            console.error(`Error getting ${key}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Set item in storage
+     */
+    set(key, value) {
+        const fullKey = this.prefix + key;
+        const previous = this.root.changeHandler ? this.get(key) : undefined;
+        const driver = this.root.driver;
+        
+        // Convert to string if necessary
+        const data = typeof value === 'string' ? value : JSON.stringify(value);
+        
+        try {
+            // Check size (IndexedDB is limited by the browser quota instead)
+            if (driver.type === 'localStorage' && data.length > this.maxSize) {
+                throw new Error(`Data too large: ${data.length} bytes`);
+            }
+            
+            driver.setItem(fullKey, data);
+            
+            this.notifyChange(key, value, previous);
+            return true;
+        } catch (error) {
+            console.error(`Error setting ${key}:`, error);
+            
+            // Try to clear space if quota exceeded
+            if (error.name === 'QuotaExceededError') {
+                this.clearOldData();
+                // Retry once
+                try {
+                    driver.setItem(fullKey, data);
+                    this.notifyChange(key, value, previous);
+                    return true;
+                } catch (retryError) {
+                    console.error('Failed after clearing space:', retryError);
+                }
+            }
+            
+            return false;
+        }
+    }
+    
+    /**
+     * Remove item from storage
+     */
+    remove(key) {
+        const fullKey = this.prefix + key;
+        
+        try {
+            this.root.driver.removeItem(fullKey);
+            return true;
+        } catch (error) {
+            console.error(`Error removing ${key}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Clear all items with prefix
+     */
+    clear() {
+        try {
+            const driver = this.root.driver;
+            driver.keys()
+                .filter(key => key.startsWith(this.prefix))
+                .forEach(key => driver.removeItem(key));
+            return true;
+        } catch (error) {
+            console.error('Error clearing storage:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Get all keys with prefix
+     */
+    keys() {
+        return this.root.driver.keys()
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.substring(this.prefix.length));
+    }
+    
+    /**
+     * Check if key exists
+     */
+    has(key) {
+        return this.root.driver.getItem(this.prefix + key) !== null;
+    }
+    
+    /**
+     * Get storage size in bytes
+     */
+    getSize() {
+        const driver = this.root.driver;
+        let size = 0;
+        
+        driver.keys().forEach(key => {
+            if (key.startsWith(this.prefix)) {
+                const item = driver.getItem(key);
+                if (item) {
+                    size += key.length + item.length;
+                }
+            }
+        });
+        
+        return size;
+    }
+    
+    /**
+     * Get storage quota info
+     */
+    async getQuota() {
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                return {
+                    usage: estimate.usage || 0,
+                    quota: estimate.quota || 0,
+                    percentUsed: estimate.quota ? 
+                        Math.round((estimate.usage / estimate.quota) * 100) : 0
+                };
+            } catch (error) {
+                console.error('Error getting storage quota:', error);
+            }
+        }
+        
+        // Fallback estimation
+        return {
+            usage: this.getSize(),
+            quota: this.maxSize,
+            percentUsed: Math.round((this.getSize() / this.maxSize) * 100)
+        };
+    }
+    
+    /**
+     * Clear old data to free space
+     * Only entries saved with setWithTimestamp are candidates, and never
+     * engagement data such as progress, state or decision history
+     */
+    clearOldData() {
+        console.log('Clearing old data to free space...');
+        
+        // Get all items with timestamps
+        const items = [];
+        const keys = this.keys();
+        
+        keys.forEach(key => {
+            if (key.endsWith('_timestamp') && !StorageManager.isProtected(key.replace('_timestamp', ''))) {
+                const timestamp = this.get(key);
+                if (timestamp) {
+                    items.push({
+                        key: key.replace('_timestamp', ''),
+                        timestamp
+                    });
+                }
+            }
+        });
+        
+        // Sort by timestamp (oldest first)
+        items.sort((a, b) => a.timestamp - b.timestamp);
+        
+        // Remove oldest 20% of items
+        const toRemove = Math.ceil(items.length * 0.2);
+        for (let i = 0; i < toRemove; i++) {
+            this.remove(items[i].key);
+            this.remove(items[i].key + '_timestamp');
+        }
+        
+        console.log(`Cleared ${toRemove} old items`);
+    }
+    
+    /**
+     * Check if a key (with or without namespace) holds engagement data
+     */
+    static isProtected(key) {
+        return PROTECTED_KEYS.some(name => key === name || key.endsWith(`_${name}`));
+    }
+    
+    /**
+     * Set item with timestamp
+     */
+    setWithTimestamp(key, value) {
+        const success = this.set(key, value);
+        if (success) {
+            this.set(key + '_timestamp', Date.now());
+        }
+        return success;
+    }
+    
+    /**
+     * Get item with age check
+     */
+    getWithAge(key, maxAge) {
+        const timestamp = this.get(key + '_timestamp');
+        
+        if (!timestamp) {
+            return null;
+        }
+        
+        const age = Date.now() - timestamp;
+        if (age > maxAge) {
+            // Data is too old
+            this.remove(key);
+            this.remove(key + '_timestamp');
+            return null;
+        }
+        
+        return this.get(key);
+    }
+    
+    /**
+     * Export all data
+     */
+    export() {
+        const data = {};
+        const keys = this.keys();
+        
+        keys.forEach(key => {
+            data[key] = this.get(key);
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Import data
+     */
+    import(data) {
+        let imported = 0;
+        
+        Object.entries(data).forEach(([key, value]) => {
+            if (this.set(key, value)) {
+                imported++;
+            }
+        });
+        
+        return imported;
+    }
+    
+    /**
+     * Create a namespaced storage instance
+     */
+    namespace(name) {
+        return new StorageManager({
+            ...this.config,
+            prefix: this.prefix + name + '_'
+        }, this.root);
+    }
+}
@@ -0,0 +1,496 @@
+/**
+ * SyncManager - Syncs project data to a shared server through a pluggable adapter
+ * Checkbox progress, project state and decision sessions are written through
+ * StorageManager; every write is turned into timestamped records that are
+ * pushed to the adapter, and newer records from other analysts are pulled
+ * back. Conflicts are resolved per record: the latest updatedAt wins.
+ */
+
+/**
+ * SyncAdapter - Interface every sync backend implements
+ *
+ * A record is { collection, key, value, updatedAt, updatedBy } where
+ * collection is "checkbox" (key = "sectionId/checkboxId", value = { checked }),
+ * "state" (key = "project") or "decision" (key = session id).
+ */
+export class SyncAdapter {
+    /**
+     * Get records changed since a server timestamp
+     * Resolves to { records, serverTime }
+     */
+    async pullRecords(projectId, since) {
+        throw new Error(`${this.constructor.name} does not implement pullRecords`);
+    }
+    
+    /**
+     * Send local records
+     * Resolves to { records } holding the server's winning record for each key,
+     * or { queued: true } when the request was queued offline
+     */
+    async pushRecords(projectId, records) {
+        throw new Error(`${this.constructor.name} does not implement pushRecords`);
+    }
+    
+    /**
+     * Get per-analyst progress of a project
+     * Resolves to { analysts: [{ name, checked, updates, lastUpdate }] };
+     * options may hold { timeout, retries } for callers that cannot wait long
+     */
+    async getTeamProgress(projectId, options) {
+        throw new Error(`${this.constructor.name} does not implement getTeamProgress`);
+    }
+}
+
+/**
+ * RestSyncAdapter - SyncAdapter over the REST API configured in config.api
+ */
+export class RestSyncAdapter extends SyncAdapter {
+    constructor(apiConfig = {}) {
+        super();
+        this.baseUrl = (apiConfig.baseUrl || '/api/v3').replace(/\/$/, '');
+        this.timeout = apiConfig.timeout || 5000;
+        this.retries = apiConfig.retries ?? 3;
+        this.retryDelay = 500;
+        this.endpoints = {
+            records: '/projects/{projectId}/records',
+            progress: '/projects/{projectId}/progress',
+            ...apiConfig.endpoints
+        };
+    }
+    
+    /**
+     * Build URL of an endpoint
+     */
+    url(endpoint, projectId, query = '') {
+        const path = this.endpoints[endpoint].replace('{projectId}', encodeURIComponent(projectId));
+        return `${this.baseUrl}${path}${query}`;
+    }
+    
+    async pullRecords(projectId, since) {
+        const query = since ? `?since=${encodeURIComponent(since)}` : '';
+        return this.request('GET', this.url('records', projectId, query));
+    }
+    
+    async pushRecords(projectId, records) {
+        return this.request('POST', this.url('records', projectId), { records });
+    }
+    
+    async getTeamProgress(projectId, options) {
+        return this.request('GET', this.url('progress', projectId), undefined, options);
+    }
+    
+    /**
+     * Send a JSON request, honouring api.timeout and retrying api.retries
+     * times on network errors, timeouts and 5xx responses
+     */
+    async request(method, url, body, { timeout = this.timeout, retries = this.retries } = {}) {
+        let lastError;
+        
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+            }
+            
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers: body ? { 'Content-Type': 'application/json' } : {},
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                
+                if (response.ok) {
+                    return await response.json();
+                }
+                
+                lastError = new Error(`${method} ${url} failed: HTTP ${response.status}`);
+                
+                // Client errors will not get better by retrying
+                if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+                    throw lastError;
+                }
+            } catch (error) {
+                if (error === lastError) throw error;
+                lastError = error.name === 'AbortError'
+                    ? new Error(`${method} ${url} timed out after ${timeout}ms`)
+                    : error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+        
+        throw lastError;
+    }
+}
+
+// Adapters available through config.sync.adapter
+const adapters = new Map([
+    ['rest', (app) => new RestSyncAdapter(app.config.api)]
+]);
+
+export class SyncManager {
+    constructor(app) {
+        this.app = app;
+        this.config = app.config.sync || {};
+        this.enabled = Boolean(this.config.enabled);
+        this.interval = this.config.interval || 30000;
+        this.pushDelay = 2000;
+        this.metaKey = 'sync_meta';
+        this.adapter = null;
+        this.applying = false;
+        this.running = null;
+        this.pushTimer = null;
+        this.status = { state: 'idle', lastSync: null, error: null };
+        
+        // Storage keys that are synced, and the collection each one feeds
+        this.trackedKeys = {
+            checkbox_states: 'checkbox',
+            state: 'state',
+            decision_history: 'decision'
+        };
+    }
+    
+    /**
+     * Register a sync backend (factory receives the app)
+     */
+    static registerAdapter(name, factory) {
+        adapters.set(name, factory);
+    }
+    
+    /**
+     * Initialize sync
+     */
+    init() {
+        if (!this.enabled) return;
+        
+        const factory = adapters.get(this.config.adapter || 'rest');
+        if (!factory) {
+            console.error(`❌ Unknown sync adapter: ${this.config.adapter}`);
+            return;
+        }
+        this.adapter = factory(this.app);
+        
+        // Every write to a project's storage goes through here
+        this.app.storage.setChangeHandler((prefix, key, value, previous) => {
+            this.handleStorageChange(prefix, key, value, previous);
+        });
+        
+        this.seedProject(this.app.projects.activeId);
+        
+        this.app.on('project:switched', () => {
+            this.seedProject(this.app.projects.activeId);
+            this.sync();
+        });
+        this.app.on('app:online', () => this.sync());
+        
+        setInterval(() => this.sync(), this.interval);
+        this.sync();
+        
+        console.log('✅ Sync initialized');
+    }
+    
+    /**
+     * Get ID of a record
+     */
+    static recordId(record) {
+        return `${record.collection}:${record.key}`;
+    }
+    
+    /**
+     * Check if record a wins over record b (last write wins, ties by author)
+     */
+    static isNewer(a, b) {
+        if (!b) return true;
+        if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+        return (a.updatedBy || '') > (b.updatedBy || '');
+    }
+    
+    /**
+     * Get sync bookkeeping of a project
+     */
+    getMeta(projectId) {
+        const meta = this.app.projects.getStorage(projectId).get(this.metaKey);
+        return {
+            lastPull: null,
+            seeded: false,
+            records: {},
+            outbox: {},
+            ...(meta && typeof meta === 'object' ? meta : {})
+        };
+    }
+    
+    /**
+     * Save sync bookkeeping of a project
+     */
+    saveMeta(projectId, meta) {
+        this.app.projects.getStorage(projectId).set(this.metaKey, meta);
+    }
+    
+    /**
+     * Get project ID from a storage prefix, or null for global storage
+     */
+    getProjectId(prefix) {
+        const match = prefix.match(/project_(.+)_$/);
+        return match && this.app.projects.projects.has(match[1]) ? match[1] : null;
+    }
+    
+    /**
+     * Turn a storage write into records
+     */
+    handleStorageChange(prefix, key, value, previous) {
+        if (this.applying || !(key in this.trackedKeys)) return;
+        
+        const projectId = this.getProjectId(prefix);
+        if (!projectId) return;
+        
+        const changes = this.collectChanges(key, value, previous);
+        if (changes.length > 0) {
+            this.queueRecords(projectId, changes, Date.now());
+        }
+    }
+    
+    /**
+     * Work out which records a write changed
+     */
+    collectChanges(storageKey, value, previous) {
+        const collection = this.trackedKeys[storageKey];
+        
+        if (collection === 'checkbox') {
+            const current = value || {};
+            const before = previous || {};
+            const keys = new Set([...Object.keys(current), ...Object.keys(before)]);
+            return [...keys]
+                .filter(key => Boolean(current[key]) !== Boolean(before[key]))
+                .map(key => ({ collection, key, value: { checked: Boolean(current[key]) } }));
+        }
+        
+        if (collection === 'state') {
+            return JSON.stringify(value) === JSON.stringify(previous)
+                ? []
+                : [{ collection, key: 'project', value }];
+        }
+        
+        // Decision sessions are never edited, so only new ones are sent
+        const known = new Set((Array.isArray(previous) ? previous : []).map(session => session.id));
+        return (Array.isArray(value) ? value : [])
+            .filter(session => session.id && !known.has(session.id))
+            .map(session => ({ collection, key: session.id, value: session }));
+    }
+    
+    /**
+     * Stamp records and add them to the outbox
+     */
+    queueRecords(projectId, changes, updatedAt) {
+        const meta = this.getMeta(projectId);
+        const updatedBy = this.app.getCurrentUser() || 'anonymous';
+        
+        changes.forEach(change => {
+            const record = { ...change, updatedAt, updatedBy };
+            const id = SyncManager.recordId(record);
+            meta.records[id] = { updatedAt, updatedBy };
+            meta.outbox[id] = record;
+        });
+        
+        this.saveMeta(projectId, meta);
+        
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), this.pushDelay);
+    }
+    
+    /**
+     * Send data saved before sync was enabled
+     * Seeded records carry updatedAt 0 so anything already on the server wins
+     */
+    seedProject(projectId) {
+        if (!projectId) return;
+        
+        const meta = this.getMeta(projectId);
+        if (meta.seeded) return;
+        
+        const store = this.app.projects.getStorage(projectId);
+        const changes = Object.keys(this.trackedKeys).flatMap(key => {
+            const value = store.get(key);
+            return value === null || value === undefined ? [] : this.collectChanges(key, value, null);
+        });
+        
+        this.saveMeta(projectId, { ...meta, seeded: true });
+        if (changes.length > 0) {
+            this.queueRecords(projectId, changes, 0);
+        }
+    }
+    
+    /**
+     * Queue values restored from a backup as this analyst's changes
+     * before and after map storage keys to values; only differences are sent.
+     * The project counts as seeded, so they are not sent again with updatedAt 0.
+     */
+    queueRestore(projectId, before, after) {
+        const changes = Object.keys(this.trackedKeys)
+            .filter(key => after[key] !== null && after[key] !== undefined)
+            .flatMap(key => this.collectChanges(key, after[key], before[key] ?? null));
+        
+        this.saveMeta(projectId, { ...this.getMeta(projectId), seeded: true });
+        if (changes.length > 0) {
+            this.queueRecords(projectId, changes, Date.now());
+        }
+    }
+    
+    /**
+     * Push local changes, then pull changes from other analysts
+     */
+    sync() {
+        if (!this.adapter) return Promise.resolve();
+        if (!this.running) {
+            this.running = this.runSync(this.app.projects.activeId).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+    
+    async runSync(projectId) {
+        if (!projectId) return;
+        
+        try {
+            await this.push(projectId);
+            await this.pull(projectId);
+            this.setStatus({ state: 'synced', lastSync: new Date().toISOString(), error: null });
+        } catch (error) {
+            if (this.status.state !== 'error') {
+                this.app.showToast(`Sync failed: ${error.message}`, 'warning');
+            }
+            console.warn('Sync failed:', error.message);
+            this.setStatus({ ...this.status, state: 'error', error: error.message });
+        }
+    }
+    
+    /**
+     * Send the outbox
+     */
+    async push(projectId) {
+        const sent = Object.values(this.getMeta(projectId).outbox);
+        if (sent.length === 0) return;
+        
+        const result = await this.adapter.pushRecords(projectId, sent);
+        
+        // Re-read: the user may have changed things while the request was out
+        const meta = this.getMeta(projectId);
+        sent.forEach(record => {
+            const id = SyncManager.recordId(record);
+            if (meta.outbox[id] && meta.outbox[id].updatedAt === record.updatedAt) {
+                delete meta.outbox[id];
+            }
+        });
+        
+        // Queued offline: the service worker delivers it later
+        if (!result.queued) {
+            this.mergeRemote(projectId, result.records || [], meta);
+        }
+        this.saveMeta(projectId, meta);
+    }
+    
+    /**
+     * Fetch records changed since the last pull
+     */
+    async pull(projectId) {
+        const since = this.getMeta(projectId).lastPull;
+        const result = await this.adapter.pullRecords(projectId, since);
+        
+        const meta = this.getMeta(projectId);
+        this.mergeRemote(projectId, result.records || [], meta);
+        meta.lastPull = result.serverTime || meta.lastPull;
+        this.saveMeta(projectId, meta);
+    }
+    
+    /**
+     * Apply remote records that are newer than the local ones
+     */
+    mergeRemote(projectId, records, meta) {
+        const winners = records.filter(record => {
+            const id = SyncManager.recordId(record);
+            if (!this.trackedCollection(record.collection)) return false;
+            if (!SyncManager.isNewer(record, meta.records[id])) return false;
+            
+            meta.records[id] = { updatedAt: record.updatedAt, updatedBy: record.updatedBy };
+            delete meta.outbox[id];
+            return true;
+        });
+        
+        if (winners.length > 0) {
+            this.applyRecords(projectId, winners);
+        }
+        return winners.length;
+    }
+    
+    /**
+     * Check if a collection is synced
+     */
+    trackedCollection(collection) {
+        return Object.values(this.trackedKeys).includes(collection);
+    }
+    
+    /**
+     * Write remote records to project storage without syncing them back
+     */
+    applyRecords(projectId, records) {
+        const store = this.app.projects.getStorage(projectId);
+        const byCollection = (name) => records.filter(record => record.collection === name);
+        const checkboxes = byCollection('checkbox');
+        const states = byCollection('state');
+        const decisions = byCollection('decision');
+        
+        this.applying = true;
+        try {
+            if (checkboxes.length > 0) {
+                const saved = store.get('checkbox_states') || {};
+                checkboxes.forEach(record => {
+                    saved[record.key] = Boolean(record.value?.checked);
+                });
+                store.set('checkbox_states', saved);
+            }
+            
+            if (states.length > 0) {
+                store.set('state', states[states.length - 1].value);
+            }
+            
+            if (decisions.length > 0) {
+                const history = store.get('decision_history') || [];
+                const known = new Set(history.map(session => session.id));
+                decisions.forEach(record => {
+                    if (!known.has(record.key)) history.push(record.value);
+                });
+                history.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+                store.set('decision_history', history);
+            }
+            
+            // Listeners reload what changed; what they save is not a local change
+            console.log(`🔄 Applied ${records.length} remote change(s) to project ${projectId}`);
+            this.app.emit('sync:applied', {
+                projectId,
+                records,
+                collections: [...new Set(records.map(record => record.collection))]
+            });
+        } finally {
+            this.applying = false;
+        }
+    }
+    
+    /**
+     * Get per-analyst progress of the active project (null when sync is off)
+     */
+    async getTeamProgress(options) {
+        if (!this.adapter) return null;
+        return this.adapter.getTeamProgress(this.app.projects.activeId, options);
+    }
+    
+    /**
+     * Update sync status
+     */
+    setStatus(status) {
+        this.status = status;
+        this.app.emit('sync:status', status);
+    }
+}
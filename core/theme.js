@@ -0,0 +1,319 @@
+/**
+ * ThemeManager - Applies the themes listed in config.theme.available
+ * Each theme is a set of CSS custom properties built from config.theme.colors
+ * and injected as one stylesheet, so switching only changes the data-theme
+ * attribute on <html>. The choice is kept in state as 'theme': a theme name,
+ * or 'auto' to follow prefers-color-scheme and prefers-contrast.
+ */
+
+const AUTO = 'auto';
+
+const THEMES = {
+    'navy-professional': { label: 'Navy Professional', scheme: 'dark' },
+    light: { label: 'Light', scheme: 'light' },
+    dark: { label: 'Dark', scheme: 'dark' },
+    'high-contrast': { label: 'High Contrast', scheme: 'dark', contrast: true }
+};
+
+// Used when config.theme.colors leaves a color out
+const DEFAULT_COLORS = {
+    primary: '#003366',
+    primaryLight: '#004080',
+    primaryDark: '#002244',
+    accent: '#0066CC',
+    success: '#10b981',
+    warning: '#f59e0b',
+    danger: '#ef4444',
+    info: '#3b82f6'
+};
+
+export class ThemeManager {
+    constructor(app) {
+        this.app = app;
+        this.themes = [];
+        this.defaultTheme = null;
+        this.colors = null;
+        this.current = null;
+        this.styleElement = null;
+        this.colorSchemeQuery = null;
+        this.contrastQuery = null;
+    }
+    
+    /**
+     * Initialize theme manager
+     */
+    init() {
+        const config = this.app.config.theme || {};
+        this.colors = { ...DEFAULT_COLORS, ...config.colors };
+        
+        // Unknown names are skipped; the dark theme needs features.enableDarkMode
+        this.themes = (config.available || Object.keys(THEMES))
+            .filter(name => THEMES[name])
+            .filter(name => name !== 'dark' || this.app.config.features?.enableDarkMode !== false);
+        if (this.themes.length === 0) {
+            this.themes = ['navy-professional'];
+        }
+        this.defaultTheme = this.themes.includes(config.default) ? config.default : this.themes[0];
+        
+        this.injectStyles();
+        
+        // Follow the system while the choice is 'auto'
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        [this.colorSchemeQuery, this.contrastQuery].forEach(query => {
+            query.addEventListener('change', () => {
+                if (this.getPreference() === AUTO) this.apply();
+            });
+        });
+        
+        this.apply();
+        this.renderSwitcher();
+        
+        console.log(`✅ Theme manager initialized (${this.current})`);
+    }
+    
+    /**
+     * Get the saved choice: a theme name or 'auto'
+     */
+    getPreference() {
+        const preference = this.app.state.get('theme');
+        return this.themes.includes(preference) ? preference : AUTO;
+    }
+    
+    /**
+     * Choose a theme, or 'auto' to follow the system
+     */
+    setPreference(preference) {
+        if (preference !== AUTO && !this.themes.includes(preference)) {
+            throw new Error(`Unknown theme: ${preference}`);
+        }
+        this.app.state.set('theme', preference);
+        this.apply();
+    }
+    
+    /**
+     * Get the theme that matches the system settings
+     */
+    getSystemTheme() {
+        if (this.contrastQuery?.matches && this.themes.includes('high-contrast')) {
+            return 'high-contrast';
+        }
+        
+        const scheme = this.colorSchemeQuery?.matches ? 'light' : 'dark';
+        if (THEMES[this.defaultTheme].scheme === scheme) {
+            return this.defaultTheme;
+        }
+        return this.themes.find(name => THEMES[name].scheme === scheme && !THEMES[name].contrast) || this.defaultTheme;
+    }
+    
+    /**
+     * Apply the chosen theme
+     */
+    apply() {
+        const preference = this.getPreference();
+        const theme = preference === AUTO ? this.getSystemTheme() : preference;
+        const changed = theme !== this.current;
+        
+        this.current = theme;
+        document.documentElement.dataset.theme = theme;
+        
+        // Browser UI (address bar, installed app title bar) follows the theme
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.setAttribute('content', this.getPalette(theme).surface);
+        }
+        
+        const select = document.getElementById('theme-select');
+        if (select) select.value = preference;
+        
+        if (changed) {
+            this.app.emit('theme:changed', { theme, preference });
+        }
+    }
+    
+    /**
+     * Get the colors of a theme
+     */
+    getPalette(name) {
+        const colors = this.colors;
+        const status = {
+            success: colors.success,
+            warning: colors.warning,
+            danger: colors.danger,
+            info: colors.info
+        };
+        // Accent for text and lines on dark surfaces
+        const highlight = colors.highlight || mix(colors.accent, '#ffffff', 0.45);
+        
+        switch (name) {
+            case 'light':
+                return {
+                    ...status,
+                    primary: colors.primary,
+                    secondary: colors.primaryLight,
+                    accent: colors.accent,
+                    background: `linear-gradient(135deg, #f5f7fa 0%, ${mix(colors.primaryLight, '#ffffff', 0.88)} 100%)`,
+                    surface: '#ffffff',
+                    tint: colors.primary,
+                    text: '#1f2937',
+                    borderAlpha: 0.15
+                };
+            case 'dark':
+                return {
+                    ...status,
+                    primary: colors.primaryLight,
+                    secondary: mix(colors.primaryLight, '#ffffff', 0.3),
+                    accent: highlight,
+                    background: 'linear-gradient(135deg, #0b1120 0%, #111827 100%)',
+                    surface: '#111827',
+                    tint: '#ffffff',
+                    text: '#f9fafb',
+                    borderAlpha: 0.1,
+                    base: {
+                        '--text-primary': '#f9fafb',
+                        '--text-secondary': '#d1d5db',
+                        '--text-muted': '#9ca3af',
+                        '--bg-primary': '#111827',
+                        '--bg-secondary': '#1f2937',
+                        '--bg-tertiary': '#374151',
+                        '--border-color': '#374151'
+                    }
+                };
+            case 'high-contrast':
+                return {
+                    primary: '#000000',
+                    secondary: '#333333',
+                    accent: '#ffff00',
+                    success: '#00ff7f',
+                    warning: '#ffd700',
+                    danger: '#ff5c5c',
+                    info: '#00bfff',
+                    background: '#000000',
+                    surface: '#000000',
+                    tint: '#ffffff',
+                    text: '#ffffff',
+                    borderAlpha: 1,
+                    base: {
+                        '--text-on-accent': '#000000',
+                        '--text-primary': '#ffffff',
+                        '--text-secondary': '#ffffff',
+                        '--text-muted': '#e5e5e5',
+                        '--bg-primary': '#000000',
+                        '--bg-secondary': '#000000',
+                        '--bg-tertiary': '#333333',
+                        '--border-color': '#ffffff'
+                    }
+                };
+            default:
+                return {
+                    ...status,
+                    primary: colors.primary,
+                    secondary: mix(colors.primaryLight, '#ffffff', 0.3),
+                    accent: highlight,
+                    background: `linear-gradient(135deg, ${colors.primary} 0%, ${colors.primaryLight} 100%)`,
+                    surface: colors.primary,
+                    tint: '#ffffff',
+                    text: '#ffffff',
+                    borderAlpha: 0.1
+                };
+        }
+    }
+    
+    /**
+     * Build the custom properties of a theme
+     */
+    buildProperties(name) {
+        const palette = this.getPalette(name);
+        
+        return {
+            '--primary-color': palette.primary,
+            '--secondary-color': palette.secondary,
+            '--accent-color': palette.accent,
+            '--accent-rgb': toRgb(palette.accent),
+            '--success-color': palette.success,
+            '--warning-color': palette.warning,
+            '--error-color': palette.danger,
+            '--info-color': palette.info,
+            '--app-bg': palette.background,
+            '--surface-color': palette.surface,
+            '--surface-rgb': toRgb(palette.surface),
+            '--tint-rgb': toRgb(palette.tint),
+            '--text-light': palette.text,
+            '--text-rgb': toRgb(palette.text),
+            '--glass-bg': `rgba(${toRgb(palette.surface)}, ${THEMES[name].contrast ? 1 : 0.95})`,
+            '--glass-border': `rgba(${toRgb(palette.tint)}, ${palette.borderAlpha})`,
+            ...palette.base
+        };
+    }
+    
+    /**
+     * Add the stylesheet with every theme's custom properties
+     */
+    injectStyles() {
+        const css = this.themes.map(name => {
+            const properties = Object.entries(this.buildProperties(name))
+                .map(([property, value]) => `    ${property}: ${value};`)
+                .join('\n');
+            return `:root[data-theme="${name}"] {\n    color-scheme: ${THEMES[name].scheme};\n${properties}\n}`;
+        }).join('\n\n');
+        
+        if (!this.styleElement) {
+            this.styleElement = document.createElement('style');
+            this.styleElement.id = 'theme-properties';
+            document.head.appendChild(this.styleElement);
+        }
+        this.styleElement.textContent = css;
+    }
+    
+    /**
+     * Render the theme picker in the header
+     */
+    renderSwitcher() {
+        const container = document.getElementById('theme-switcher');
+        if (!container || this.themes.length < 2) return;
+        
+        const preference = this.getPreference();
+        const options = [AUTO, ...this.themes].map(name => `
+            <option value="${name}" ${name === preference ? 'selected' : ''}>
+                ${name === AUTO ? 'Match system' : THEMES[name].label}
+            </option>
+        `).join('');
+        
+        container.innerHTML = `
+            <i class="fas fa-palette theme-switcher-icon"></i>
+            <select id="theme-select" class="theme-select" aria-label="Theme">
+                ${options}
+            </select>
+        `;
+        
+        document.getElementById('theme-select').addEventListener('change', (e) => {
+            this.setPreference(e.target.value);
+        });
+    }
+}
+
+/**
+ * "#003366" -> "0, 51, 102" for rgba(var(--x-rgb), alpha)
+ */
+function toRgb(hex) {
+    return parseHex(hex).join(', ');
+}
+
+/**
+ * Mix two hex colors; amount is the share of the second
+ */
+function mix(hex, otherHex, amount) {
+    const a = parseHex(hex);
+    const b = parseHex(otherHex);
+    return '#' + a
+        .map((value, i) => Math.round(value + (b[i] - value) * amount).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function parseHex(hex) {
+    let value = String(hex).replace('#', '');
+    if (value.length === 3) {
+        value = value.split('').map(char => char + char).join('');
+    }
+    return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Development server with an in-memory sync API
+ * Serves the app and implements the records/progress endpoints used by
+ * core/sync.js so several browser profiles can share one project.
+ *
+ * Usage: node mock-server.js [port]    (default 8001)
+ * Then set "sync": { "enabled": true } in config.json.
+ * Data lives in memory and is lost when the server stops.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const PORT = Number(process.argv[2]) || 8001;
+const ROOT = __dirname;
+const API_PREFIX = '/api/v3';
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// projectId -> Map("collection:key" -> record)
+const projects = new Map();
+let clock = 0;
+
+function getRecords(projectId) {
+    if (!projects.has(projectId)) {
+        projects.set(projectId, new Map());
+    }
+    return projects.get(projectId);
+}
+
+// Server time only moves forward, so "since" never misses a write
+function now() {
+    clock = Math.max(clock + 1, Date.now());
+    return clock;
+}
+
+// Same rule as SyncManager.isNewer: last write wins, ties by author
+function isNewer(a, b) {
+    if (!b) return true;
+    if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+    return (a.updatedBy || '') > (b.updatedBy || '');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function isValidRecord(record) {
+    return record &&
+        typeof record.collection === 'string' &&
+        typeof record.key === 'string' &&
+        typeof record.updatedAt === 'number';
+}
+
+// GET /projects/:id/records?since=<serverTime>
+function pullRecords(projectId, since, res) {
+    const records = [...getRecords(projectId).values()]
+        .filter(entry => entry.receivedAt > since)
+        .map(entry => entry.record);
+
+    sendJson(res, 200, { records, serverTime: clock });
+}
+
+// POST /projects/:id/records  { records: [...] }
+async function pushRecords(projectId, req, res) {
+    let body;
+    try {
+        body = await readBody(req);
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+
+    if (!Array.isArray(body.records) || !body.records.every(isValidRecord)) {
+        return sendJson(res, 400, { error: 'Expected { records: [{ collection, key, value, updatedAt, updatedBy }] }' });
+    }
+
+    const store = getRecords(projectId);
+    const winners = body.records.map(record => {
+        const id = `${record.collection}:${record.key}`;
+        const current = store.get(id);
+
+        if (isNewer(record, current && current.record)) {
+            store.set(id, { record, receivedAt: now() });
+            return record;
+        }
+        return current.record;
+    });
+
+    console.log(`⬆️  ${projectId}: ${body.records.length} record(s) from ${body.records[0]?.updatedBy || 'unknown'}`);
+    sendJson(res, 200, { records: winners, serverTime: clock });
+}
+
+// GET /projects/:id/progress
+function teamProgress(projectId, res) {
+    const analysts = new Map();
+
+    getRecords(projectId).forEach(({ record }) => {
+        const name = record.updatedBy || 'anonymous';
+        if (!analysts.has(name)) {
+            analysts.set(name, { name, checked: 0, updates: 0, lastUpdate: null });
+        }
+
+        const analyst = analysts.get(name);
+        analyst.updates++;
+        if (record.collection === 'checkbox' && record.value && record.value.checked) {
+            analyst.checked++;
+        }
+        if (record.updatedAt > (analyst.lastUpdate || 0)) {
+            analyst.lastUpdate = record.updatedAt;
+        }
+    });
+
+    sendJson(res, 200, {
+        analysts: [...analysts.values()].sort((a, b) => b.checked - a.checked)
+    });
+}
+
+function handleApi(req, res, url) {
+    const route = url.pathname.slice(API_PREFIX.length);
+    const match = route.match(/^\/projects\/([^/]+)\/(records|progress)$/);
+
+    if (!match) {
+        return sendJson(res, 404, { error: `No mock endpoint for ${route}` });
+    }
+
+    const projectId = decodeURIComponent(match[1]);
+
+    if (match[2] === 'progress' && req.method === 'GET') {
+        return teamProgress(projectId, res);
+    }
+    if (match[2] === 'records' && req.method === 'GET') {
+        return pullRecords(projectId, Number(url.searchParams.get('since')) || 0, res);
+    }
+    if (match[2] === 'records' && req.method === 'POST') {
+        return pushRecords(projectId, req, res);
+    }
+
+    sendJson(res, 405, { error: `${req.method} not allowed on ${route}` });
+}
+
+function serveStatic(req, res, url) {
+    const relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.join(ROOT, path.normalize(relative));
+
+    // Stay inside the project directory (not a sibling sharing its name)
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': mimeTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+        if (url.pathname.startsWith(API_PREFIX + '/')) {
+            handleApi(req, res, url);
+        } else {
+            serveStatic(req, res, url);
+        }
+    } catch (error) {
+        // Malformed escapes in the path, e.g. "/%E0%A4%A"
+        if (!(error instanceof URIError)) throw error;
+        sendJson(res, 400, { error: 'Malformed URL' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🚀 SOP mock server running at http://localhost:${PORT}`);
+    console.log(`   Sync API: http://localhost:${PORT}${API_PREFIX}/projects/:id/records`);
+});
@@ -1,610 +1,862 @@
-/**
- * Decision Support Tool Module
- * AI-powered recommendations for vendor spend analysis decisions
- * Version: 1.0.0
- */
-
-class DecisionSupportTool {
-    constructor() {
-        this.name = 'Decision Support Tool';
-        this.version = '1.0.0';
-        this.app = null;
-        this.container = null;
-        this.currentScenario = null;
-        this.decisions = [];
-        this.recommendations = {};
-    }
-
-    async init(app) {
-        console.log('Decision Support Tool initializing...');
-        this.app = app;
-        this.loadDecisionTree();
-        this.render();
-        this.attachEventListeners();
-        return this;
-    }
-
-    loadDecisionTree() {
-        // Decision tree for common vendor spend analysis scenarios
-        this.decisionTree = {
-            dataQuality: {
-                title: 'Data Quality Assessment',
-                description: 'Evaluate data completeness and determine next steps',
-                questions: [
-                    {
-                        id: 'completeness',
-                        text: 'What is your data completeness percentage?',
-                        type: 'range',
-                        min: 0,
-                        max: 100,
-                        threshold: 95,
-                        recommendations: {
-                            low: 'Request additional data from source systems. Do not proceed to cleansing.',
-                            medium: 'Proceed with caution. Document gaps and get client approval.',
-                            high: 'Data quality sufficient. Proceed to cleansing phase.'
-                        }
-                    },
-                    {
-                        id: 'vendorMatch',
-                        text: 'What percentage of vendors match to master data?',
-                        type: 'range',
-                        min: 0,
-                        max: 100,
-                        threshold: 80,
-                        recommendations: {
-                            low: 'Implement fuzzy matching algorithm. Manual review required.',
-                            medium: 'Use automated matching with manual verification for outliers.',
-                            high: 'Automated matching sufficient. Spot-check only.'
-                        }
-                    }
-                ]
-            },
-            categorization: {
-                title: 'Categorization Strategy',
-                description: 'Determine optimal categorization approach',
-                questions: [
-                    {
-                        id: 'spendConcentration',
-                        text: 'What percentage of spend is with top 20% of vendors?',
-                        type: 'range',
-                        min: 0,
-                        max: 100,
-                        threshold: 80,
-                        recommendations: {
-                            low: 'Focus on automated rules-based categorization.',
-                            medium: 'Hybrid approach: Manual for top vendors, automated for tail.',
-                            high: 'Prioritize manual categorization for top vendors (80/20 rule).'
-                        }
-                    },
-                    {
-                        id: 'categoryComplexity',
-                        text: 'How many unique categories are expected?',
-                        type: 'select',
-                        options: ['< 50', '50-200', '> 200'],
-                        recommendations: {
-                            '< 50': 'Simple taxonomy sufficient. Use 3-level hierarchy.',
-                            '50-200': 'Standard 5-level taxonomy recommended.',
-                            '> 200': 'Complex taxonomy needed. Consider ML-assisted categorization.'
-                        }
-                    }
-                ]
-            },
-            timeline: {
-                title: 'Timeline Risk Assessment',
-                description: 'Evaluate project timeline and resource allocation',
-                questions: [
-                    {
-                        id: 'currentDay',
-                        text: 'What day of the project are you on?',
-                        type: 'number',
-                        min: 1,
-                        max: 22,
-                        recommendations: {
-                            early: 'On track. Maintain current pace.',
-                            mid: 'Critical phase. Ensure categorization resources are allocated.',
-                            late: 'Final push. Focus on delivery and documentation.'
-                        }
-                    },
-                    {
-                        id: 'resourceAvailability',
-                        text: 'What percentage of planned resources are available?',
-                        type: 'range',
-                        min: 0,
-                        max: 100,
-                        threshold: 90,
-                        recommendations: {
-                            low: 'Critical: Escalate to management. Consider scope reduction.',
-                            medium: 'Warning: Reallocate resources from non-critical tasks.',
-                            high: 'Resources adequate. Continue as planned.'
-                        }
-                    }
-                ]
-            },
-            savings: {
-                title: 'Savings Opportunity Identification',
-                description: 'Identify and prioritize cost savings opportunities',
-                questions: [
-                    {
-                        id: 'vendorFragmentation',
-                        text: 'How many vendors provide similar products/services?',
-                        type: 'select',
-                        options: ['< 5', '5-20', '> 20'],
-                        recommendations: {
-                            '< 5': 'Limited consolidation opportunity. Focus on contract optimization.',
-                            '5-20': 'Moderate opportunity. Analyze for consolidation potential.',
-                            '> 20': 'High consolidation opportunity. Prioritize vendor rationalization.'
-                        }
-                    },
-                    {
-                        id: 'contractCoverage',
-                        text: 'What percentage of spend is under contract?',
-                        type: 'range',
-                        min: 0,
-                        max: 100,
-                        threshold: 70,
-                        recommendations: {
-                            low: 'Major opportunity: Implement strategic sourcing for uncovered spend.',
-                            medium: 'Review non-contract spend for quick wins.',
-                            high: 'Focus on contract compliance and renegotiation opportunities.'
-                        }
-                    }
-                ]
-            }
-        };
-    }
-
-    render() {
-        const content = `
-            <div class="decision-tool-module">
-                <div class="decision-header">
-                    <h2>🤖 Intelligent Decision Support</h2>
-                    <p>AI-powered recommendations for your vendor spend analysis</p>
-                </div>
-
-                <div class="scenario-selector">
-                    <h3>Select Decision Scenario</h3>
-                    <div class="scenario-cards">
-                        ${this.renderScenarioCards()}
-                    </div>
-                </div>
-
-                <div class="decision-workspace" id="decisionWorkspace" style="display: none;">
-                    <div class="questions-panel" id="questionsPanel">
-                        <!-- Questions will be inserted here -->
-                    </div>
-                    
-                    <div class="recommendations-panel" id="recommendationsPanel">
-                        <h3>📋 Recommendations</h3>
-                        <div id="recommendationsList">
-                            <p class="placeholder">Answer the questions to receive personalized recommendations</p>
-                        </div>
-                    </div>
-                </div>
-
-                <div class="decision-history">
-                    <h3>📊 Decision History</h3>
-                    <div id="decisionHistory">
-                        ${this.renderDecisionHistory()}
-                    </div>
-                </div>
-
-                <div class="best-practices">
-                    <h3>💡 Best Practices</h3>
-                    <div class="practice-grid">
-                        <div class="practice-card">
-                            <h4>Data Quality</h4>
-                            <p>Never proceed with <95% completeness without client approval</p>
-                        </div>
-                        <div class="practice-card">
-                            <h4>Categorization</h4>
-                            <p>Focus 80% effort on top 20% of spend for maximum impact</p>
-                        </div>
-                        <div class="practice-card">
-                            <h4>Timeline</h4>
-                            <p>Days 10-20 are critical - ensure full resource allocation</p>
-                        </div>
-                        <div class="practice-card">
-                            <h4>Savings</h4>
-                            <p>Quick wins: Payment terms, volume discounts, contract compliance</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        // Create container and insert into page
-        const container = document.createElement('div');
-        container.className = 'decision-tool-wrapper';
-        container.innerHTML = content;
-        this.container = container;
-
-        // Insert into main content area
-        let targetSection = document.querySelector('.content-area');
-        if (!targetSection) {
-            targetSection = document.querySelector('main');
-        }
-        
-        if (targetSection) {
-            // Hide by default, show when activated
-            this.container.style.display = 'none';
-            targetSection.appendChild(this.container);
-            console.log('Decision Support Tool rendered');
-        }
-    }
-
-    renderScenarioCards() {
-        let html = '';
-        for (const [key, scenario] of Object.entries(this.decisionTree)) {
-            const icon = this.getScenarioIcon(key);
-            html += `
-                <div class="scenario-card" data-scenario="${key}">
-                    <div class="scenario-icon">${icon}</div>
-                    <h4>${scenario.title}</h4>
-                    <p>${scenario.description}</p>
-                    <button class="btn-select-scenario">Analyze</button>
-                </div>
-            `;
-        }
-        return html;
-    }
-
-    getScenarioIcon(key) {
-        const icons = {
-            dataQuality: '📊',
-            categorization: '🏷️',
-            timeline: '⏱️',
-            savings: '💰'
-        };
-        return icons[key] || '📈';
-    }
-
-    renderDecisionHistory() {
-        if (this.decisions.length === 0) {
-            return '<p class="placeholder">No decisions recorded yet</p>';
-        }
-
-        let html = '<div class="history-list">';
-        this.decisions.forEach((decision, index) => {
-            html += `
-                <div class="history-item">
-                    <span class="history-time">${decision.timestamp}</span>
-                    <span class="history-scenario">${decision.scenario}</span>
-                    <span class="history-score">${decision.score}%</span>
-                </div>
-            `;
-        });
-        html += '</div>';
-        return html;
-    }
-
-    attachEventListeners() {
-        if (!this.container) return;
-
-        // Scenario selection
-        this.container.querySelectorAll('.scenario-card').forEach(card => {
-            card.addEventListener('click', (e) => {
-                const scenario = card.dataset.scenario;
-                this.loadScenario(scenario);
-            });
-        });
-    }
-
-    loadScenario(scenarioKey) {
-        this.currentScenario = this.decisionTree[scenarioKey];
-        if (!this.currentScenario) return;
-
-        // Show workspace
-        const workspace = this.container.querySelector('#decisionWorkspace');
-        workspace.style.display = 'grid';
-
-        // Render questions
-        this.renderQuestions();
-
-        // Scroll to workspace
-        workspace.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
-
-    renderQuestions() {
-        const panel = this.container.querySelector('#questionsPanel');
-        let html = `<h3>${this.currentScenario.title}</h3>`;
-
-        this.currentScenario.questions.forEach((question, index) => {
-            html += this.renderQuestion(question, index);
-        });
-
-        html += `
-            <button class="btn-analyze" onclick="window.decisionTool.analyzeAnswers()">Generate Recommendations</button>
-            <button class="btn-reset" onclick="window.decisionTool.resetAnalysis()">🔄 Reset Analysis</button>
-        `;
-        panel.innerHTML = html;
-
-        // Attach input listeners
-        panel.querySelectorAll('input, select').forEach(input => {
-            input.addEventListener('change', () => this.updateRecommendations());
-        });
-    }
-
-    renderQuestion(question, index) {
-        let inputHtml = '';
-
-        switch (question.type) {
-            case 'range':
-                inputHtml = `
-                    <input type="range" 
-                           id="${question.id}" 
-                           min="${question.min}" 
-                           max="${question.max}" 
-                           value="${(question.min + question.max) / 2}"
-                           class="question-input">
-                    <span class="range-value">${(question.min + question.max) / 2}%</span>
-                `;
-                break;
-            case 'select':
-                inputHtml = `
-                    <select id="${question.id}" class="question-input">
-                        <option value="">Select...</option>
-                        ${question.options.map(opt => 
-                            `<option value="${opt}">${opt}</option>`
-                        ).join('')}
-                    </select>
-                `;
-                break;
-            case 'number':
-                inputHtml = `
-                    <input type="number" 
-                           id="${question.id}" 
-                           min="${question.min}" 
-                           max="${question.max}" 
-                           value="${question.min}"
-                           class="question-input">
-                `;
-                break;
-        }
-
-        return `
-            <div class="question-block">
-                <label class="question-label">${question.text}</label>
-                ${inputHtml}
-            </div>
-        `;
-    }
-
-    updateRecommendations() {
-        // Update range value displays
-        this.container.querySelectorAll('input[type="range"]').forEach(input => {
-            const valueDisplay = input.nextElementSibling;
-            if (valueDisplay && valueDisplay.classList.contains('range-value')) {
-                valueDisplay.textContent = input.value + '%';
-            }
-        });
-    }
-
-    analyzeAnswers() {
-        const recommendations = [];
-        let totalScore = 0;
-        let questionCount = 0;
-
-        this.currentScenario.questions.forEach(question => {
-            const input = this.container.querySelector(`#${question.id}`);
-            if (!input) return;
-
-            const value = input.value;
-            let recommendation = '';
-            let score = 0;
-
-            if (question.type === 'range') {
-                const numValue = parseInt(value);
-                if (numValue < question.threshold * 0.6) {
-                    recommendation = question.recommendations.low;
-                    score = 40;
-                } else if (numValue < question.threshold) {
-                    recommendation = question.recommendations.medium;
-                    score = 70;
-                } else {
-                    recommendation = question.recommendations.high;
-                    score = 100;
-                }
-                totalScore += score;
-                questionCount++;
-            } else if (question.type === 'select' && value) {
-                recommendation = question.recommendations[value];
-                score = 80; // Default score for select
-                totalScore += score;
-                questionCount++;
-            } else if (question.type === 'number') {
-                const numValue = parseInt(value);
-                if (numValue <= 7) {
-                    recommendation = question.recommendations.early;
-                } else if (numValue <= 17) {
-                    recommendation = question.recommendations.mid;
-                } else {
-                    recommendation = question.recommendations.late;
-                }
-                score = 80;
-                totalScore += score;
-                questionCount++;
-            }
-
-            if (recommendation) {
-                recommendations.push({
-                    question: question.text,
-                    answer: value,
-                    recommendation: recommendation,
-                    score: score
-                });
-            }
-        });
-
-        // Display recommendations
-        this.displayRecommendations(recommendations, totalScore / questionCount);
-
-        // Save to history
-        this.saveDecision(totalScore / questionCount);
-    }
-
-    displayRecommendations(recommendations, overallScore) {
-        const panel = this.container.querySelector('#recommendationsList');
-        
-        let html = `
-            <div class="overall-score">
-                <h4>Overall Assessment Score</h4>
-                <div class="score-display ${this.getScoreClass(overallScore)}">
-                    ${Math.round(overallScore)}%
-                </div>
-            </div>
-        `;
-
-        html += '<div class="recommendations-list">';
-        recommendations.forEach(rec => {
-            html += `
-                <div class="recommendation-item">
-                    <div class="rec-question">${rec.question}</div>
-                    <div class="rec-answer">Your answer: ${rec.answer}</div>
-                    <div class="rec-advice ${this.getScoreClass(rec.score)}">
-                        <span class="rec-icon">${this.getRecommendationIcon(rec.score)}</span>
-                        ${rec.recommendation}
-                    </div>
-                </div>
-            `;
-        });
-        html += '</div>';
-
-        html += this.generateActionPlan(recommendations, overallScore);
-
-        panel.innerHTML = html;
-    }
-
-    getScoreClass(score) {
-        if (score >= 80) return 'score-high';
-        if (score >= 60) return 'score-medium';
-        return 'score-low';
-    }
-
-    getRecommendationIcon(score) {
-        if (score >= 80) return '✅';
-        if (score >= 60) return '⚠️';
-        return '🔴';
-    }
-
-    generateActionPlan(recommendations, score) {
-        let plan = '<div class="action-plan"><h4>🎯 Recommended Action Plan</h4><ol>';
-        
-        // Prioritize actions based on score
-        const criticalActions = recommendations.filter(r => r.score < 60);
-        const warningActions = recommendations.filter(r => r.score >= 60 && r.score < 80);
-        const goodActions = recommendations.filter(r => r.score >= 80);
-
-        if (criticalActions.length > 0) {
-            plan += '<li class="action-critical">Address critical issues immediately:<ul>';
-            criticalActions.forEach(action => {
-                plan += `<li>${action.recommendation}</li>`;
-            });
-            plan += '</ul></li>';
-        }
-
-        if (warningActions.length > 0) {
-            plan += '<li class="action-warning">Review and improve:<ul>';
-            warningActions.forEach(action => {
-                plan += `<li>${action.recommendation}</li>`;
-            });
-            plan += '</ul></li>';
-        }
-
-        if (goodActions.length > 0) {
-            plan += '<li class="action-good">Maintain current approach for:<ul>';
-            goodActions.forEach(action => {
-                plan += `<li>${action.recommendation}</li>`;
-            });
-            plan += '</ul></li>';
-        }
-
-        plan += '</ol></div>';
-        return plan;
-    }
-
-    saveDecision(score) {
-        const decision = {
-            timestamp: new Date().toLocaleString(),
-            scenario: this.currentScenario.title,
-            score: Math.round(score),
-            answers: this.captureAnswers()
-        };
-
-        this.decisions.push(decision);
-        
-        // Save to localStorage
-        if (this.app && this.app.storage) {
-            this.app.storage.set('decision_history', this.decisions);
-        }
-
-        // Update history display
-        const historyEl = this.container.querySelector('#decisionHistory');
-        historyEl.innerHTML = this.renderDecisionHistory();
-    }
-
-    captureAnswers() {
-        const answers = {};
-        this.currentScenario.questions.forEach(question => {
-            const input = this.container.querySelector(`#${question.id}`);
-            if (input) {
-                answers[question.id] = input.value;
-            }
-        });
-        return answers;
-    }
-
-    show() {
-        if (this.container) {
-            this.container.style.display = 'block';
-        }
-    }
-
-    hide() {
-        if (this.container) {
-            this.container.style.display = 'none';
-        }
-    }
-
-    resetAnalysis() {
-        // Reset current scenario
-        this.currentScenario = null;
-        
-        // Clear workspace
-        const workspace = this.container.querySelector('#decisionWorkspace');
-        if (workspace) {
-            workspace.style.display = 'none';
-        }
-        
-        // Clear recommendations
-        const recommendationsPanel = this.container.querySelector('#recommendationsList');
-        if (recommendationsPanel) {
-            recommendationsPanel.innerHTML = '<p class="placeholder">Answer the questions to receive personalized recommendations</p>';
-        }
-        
-        // Clear questions panel
-        const questionsPanel = this.container.querySelector('#questionsPanel');
-        if (questionsPanel) {
-            questionsPanel.innerHTML = '';
-        }
-        
-        // Scroll back to scenario selector
-        const scenarioSelector = this.container.querySelector('.scenario-selector');
-        if (scenarioSelector) {
-            scenarioSelector.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
-        
-        console.log('Analysis reset - ready for new scenario');
-    }
-
-    unload() {
-        if (this.container) {
-            this.container.remove();
-        }
-        console.log('Decision Support Tool unloaded');
-    }
-}
-
-// Export singleton instance
-const decisionTool = new DecisionSupportTool();
-window.decisionTool = decisionTool; // For analyzeAnswers button
-export default decisionTool;
\ No newline at end of file
+/**
+ * Decision Support Tool Module
+ * AI-powered recommendations for vendor spend analysis decisions
+ * Version: 1.1.0
+ */
+
+import { validateDecisionTree, conditionMet, evaluateScenario } from './tree-schema.js';
+import { escapeHtml } from '../../core/html.js';
+
+class DecisionSupportTool {
+    constructor() {
+        this.name = 'Decision Support Tool';
+        this.version = '1.1.0';
+        this.app = null;
+        this.container = null;
+        this.currentScenario = null;
+        this.currentScenarioKey = null;
+        this.decisionTree = {};
+        this.treeErrors = [];
+        this.decisions = [];
+        this.selectedSessions = [];
+        this.recommendations = {};
+        this.listeners = [];
+    }
+
+    async init(app) {
+        console.log('Decision Support Tool initializing...');
+        this.app = app;
+        await this.loadDecisionTree();
+        this.loadDecisionHistory();
+        this.render();
+        this.attachEventListeners();
+
+        // Each project keeps its own decision history
+        this.listen('project:switched', () => {
+            this.loadDecisionHistory();
+            this.selectedSessions = [];
+            this.refreshHistory();
+        });
+        this.listen('user:changed', () => this.refreshAnalyst());
+
+        // Sessions saved by other analysts
+        this.listen('sync:applied', (e) => {
+            const { projectId, collections } = e.detail;
+            if (projectId !== this.app.projects?.activeId || !collections.includes('decision')) return;
+            this.loadDecisionHistory();
+            this.refreshHistory();
+        });
+        return this;
+    }
+
+    listen(eventName, callback) {
+        this.app.on(eventName, callback);
+        this.listeners.push([eventName, callback]);
+    }
+
+    getStore() {
+        return this.app.projects?.getStorage() || this.app.storage;
+    }
+
+    loadDecisionHistory() {
+        const saved = this.getStore()?.get('decision_history');
+        this.decisions = Array.isArray(saved)
+            ? saved.map((session, index) => this.normalizeSession(session, index))
+            : [];
+    }
+
+    // Sessions saved before ids and authors were recorded
+    normalizeSession(session, index) {
+        const scenarioKey = session.scenarioKey
+            || Object.keys(this.decisionTree || {}).find(key => this.decisionTree[key].title === session.scenario)
+            || null;
+
+        return {
+            ...session,
+            id: session.id || `legacy-${index + 1}`,
+            scenarioKey,
+            author: session.author || 'Unknown',
+            answers: session.answers || {},
+            recommendations: session.recommendations || [],
+            findings: session.findings || [],
+            path: session.path || []
+        };
+    }
+
+    saveDecisionHistory() {
+        const store = this.app ? this.getStore() : null;
+        if (store) {
+            store.set('decision_history', this.decisions);
+        }
+    }
+
+    getSession(id) {
+        return this.decisions.find(session => session.id === id) || null;
+    }
+
+    async getAuthor() {
+        const author = this.app?.getCurrentUser?.()
+            || await this.app?.askCurrentUser?.('Who is running this analysis? The name is saved with each decision.');
+        return author || 'Unknown';
+    }
+
+    changeAuthor() {
+        this.app.askCurrentUser('Analyst name recorded with new decisions:');
+    }
+
+    refreshAnalyst() {
+        const el = this.container?.querySelector('#decisionAnalyst');
+        if (el) {
+            el.textContent = this.app.getCurrentUser() || 'not set';
+        }
+    }
+
+    refreshHistory() {
+        const historyEl = this.container?.querySelector('#decisionHistory');
+        if (historyEl) {
+            historyEl.innerHTML = this.renderDecisionHistory();
+        }
+        const compareEl = this.container?.querySelector('#decisionCompare');
+        if (compareEl) {
+            compareEl.innerHTML = '';
+        }
+    }
+
+    // Scenarios come from the content files listed in the module config
+    async loadDecisionTree() {
+        const config = this._metadata?.config || this.app?.config?.modules?.decisionTool || {};
+        const sources = config.trees || ['content/decision-tree.json'];
+
+        this.decisionTree = {};
+        this.treeErrors = [];
+
+        for (const source of sources) {
+            let tree;
+            try {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                tree = await response.json();
+            } catch (error) {
+                this.treeErrors.push(`${source}: could not be loaded (${error.message})`);
+                continue;
+            }
+
+            const { scenarios, errors } = validateDecisionTree(tree, source);
+            this.treeErrors.push(...errors);
+
+            for (const [key, scenario] of Object.entries(scenarios)) {
+                if (this.decisionTree[key]) {
+                    this.treeErrors.push(`${source}: scenarios.${key} is already defined by another file`);
+                    continue;
+                }
+                this.decisionTree[key] = { ...scenario, source };
+            }
+        }
+
+        if (this.treeErrors.length > 0) {
+            console.error('Decision tree errors:\n' + this.treeErrors.join('\n'));
+            this.app?.showToast(`Decision tree has ${this.treeErrors.length} error(s) - invalid scenarios were skipped`, 'error');
+        }
+        console.log(`Decision tree loaded: ${Object.keys(this.decisionTree).length} scenarios`);
+    }
+
+    renderTreeErrors() {
+        if (this.treeErrors.length === 0) return '';
+
+        return `
+            <div class="tree-errors">
+                <h4>⚠️ Decision tree content has errors</h4>
+                <p>The scenarios below were skipped. Fix the content files and reload.</p>
+                <ul>
+                    ${this.treeErrors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    render() {
+        const content = `
+            <div class="decision-tool-module">
+                <div class="decision-header">
+                    <h2>🤖 Intelligent Decision Support</h2>
+                    <p>AI-powered recommendations for your vendor spend analysis</p>
+                    <p class="decision-analyst">
+                        Analyst: <strong id="decisionAnalyst">${escapeHtml(this.app?.getCurrentUser?.() || 'not set')}</strong>
+                        <button class="btn-link" onclick="window.decisionTool.changeAuthor()">Change</button>
+                    </p>
+                </div>
+
+                ${this.renderTreeErrors()}
+
+                <div class="scenario-selector">
+                    <h3>Select Decision Scenario</h3>
+                    <div class="scenario-cards">
+                        ${this.renderScenarioCards()}
+                    </div>
+                </div>
+
+                <div class="decision-workspace" id="decisionWorkspace" style="display: none;">
+                    <div class="questions-panel" id="questionsPanel">
+                        <!-- Questions will be inserted here -->
+                    </div>
+                    
+                    <div class="recommendations-panel" id="recommendationsPanel">
+                        <h3>📋 Recommendations</h3>
+                        <div id="recommendationsList">
+                            <p class="placeholder">Answer the questions to receive personalized recommendations</p>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="decision-history">
+                    <h3>📊 Decision History</h3>
+                    <div class="history-toolbar">
+                        <button class="btn-compare" onclick="window.decisionTool.compareSelected()">⚖️ Compare Selected</button>
+                        <button class="btn-export" onclick="window.decisionTool.exportDecisionLog('csv')">Export CSV</button>
+                        <button class="btn-export" onclick="window.decisionTool.exportDecisionLog('json')">Export JSON</button>
+                    </div>
+                    <div id="decisionHistory">
+                        ${this.renderDecisionHistory()}
+                    </div>
+                    <div id="decisionCompare"></div>
+                </div>
+
+                <div class="best-practices">
+                    <h3>💡 Best Practices</h3>
+                    <div class="practice-grid">
+                        <div class="practice-card">
+                            <h4>Data Quality</h4>
+                            <p>Never proceed with <95% completeness without client approval</p>
+                        </div>
+                        <div class="practice-card">
+                            <h4>Categorization</h4>
+                            <p>Focus 80% effort on top 20% of spend for maximum impact</p>
+                        </div>
+                        <div class="practice-card">
+                            <h4>Timeline</h4>
+                            <p>Days 10-20 are critical - ensure full resource allocation</p>
+                        </div>
+                        <div class="practice-card">
+                            <h4>Savings</h4>
+                            <p>Quick wins: Payment terms, volume discounts, contract compliance</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Create container and insert into page
+        const container = document.createElement('div');
+        container.className = 'decision-tool-wrapper';
+        container.innerHTML = content;
+        this.container = container;
+
+        // Insert into main content area
+        let targetSection = document.querySelector('.content-area');
+        if (!targetSection) {
+            targetSection = document.querySelector('main');
+        }
+        
+        if (targetSection) {
+            // Hide by default, show when activated
+            this.container.style.display = 'none';
+            targetSection.appendChild(this.container);
+            console.log('Decision Support Tool rendered');
+        }
+    }
+
+    renderScenarioCards() {
+        let html = '';
+        for (const [key, scenario] of Object.entries(this.decisionTree)) {
+            const icon = scenario.icon || '📈';
+            html += `
+                <div class="scenario-card" data-scenario="${key}">
+                    <div class="scenario-icon">${icon}</div>
+                    <h4>${scenario.title}</h4>
+                    <p>${scenario.description}</p>
+                    <button class="btn-select-scenario">Analyze</button>
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    renderDecisionHistory() {
+        if (this.decisions.length === 0) {
+            return '<p class="placeholder">No decisions recorded yet</p>';
+        }
+
+        // Newest first; the checkboxes have no id so progress tracking ignores them
+        let html = '<div class="history-list">';
+        [...this.decisions].reverse().forEach(decision => {
+            const selected = this.selectedSessions.includes(decision.id) ? 'checked' : '';
+            html += `
+                <div class="history-item" data-session="${decision.id}">
+                    <input type="checkbox" class="history-select" data-session="${decision.id}" ${selected} title="Select to compare">
+                    <span class="history-time">${escapeHtml(decision.timestamp)}</span>
+                    <span class="history-scenario">${escapeHtml(decision.scenario)}</span>
+                    <span class="history-author">${escapeHtml(decision.author)}</span>
+                    <span class="history-score">${decision.score}%</span>
+                    <button class="btn-open-session" data-session="${decision.id}">Open</button>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    attachEventListeners() {
+        if (!this.container) return;
+
+        // Scenario selection
+        this.container.querySelectorAll('.scenario-card').forEach(card => {
+            card.addEventListener('click', (e) => {
+                const scenario = card.dataset.scenario;
+                this.loadScenario(scenario);
+            });
+        });
+
+        // History rows are re-rendered, so listen on the list itself
+        const history = this.container.querySelector('#decisionHistory');
+        history?.addEventListener('click', (e) => {
+            const button = e.target.closest('.btn-open-session');
+            if (button) {
+                this.openSession(button.dataset.session);
+            }
+        });
+        history?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('history-select')) {
+                this.toggleSelection(e.target.dataset.session, e.target.checked);
+            }
+        });
+    }
+
+    toggleSelection(id, selected) {
+        this.selectedSessions = this.selectedSessions.filter(sessionId => sessionId !== id);
+        if (selected) {
+            this.selectedSessions.push(id);
+        }
+
+        // Compare works on pairs - drop the oldest selection
+        if (this.selectedSessions.length > 2) {
+            const dropped = this.selectedSessions.shift();
+            const checkbox = this.container.querySelector(`.history-select[data-session="${dropped}"]`);
+            if (checkbox) checkbox.checked = false;
+        }
+    }
+
+    loadScenario(scenarioKey) {
+        this.currentScenario = this.decisionTree[scenarioKey];
+        if (!this.currentScenario) return;
+        this.currentScenarioKey = scenarioKey;
+
+        // Show workspace
+        const workspace = this.container.querySelector('#decisionWorkspace');
+        workspace.style.display = 'grid';
+
+        // Render questions
+        this.renderQuestions();
+
+        // Scroll to workspace
+        workspace.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    renderQuestions() {
+        const panel = this.container.querySelector('#questionsPanel');
+        let html = `<h3>${escapeHtml(this.currentScenario.title)}</h3>`;
+
+        this.currentScenario.questions.forEach((question, index) => {
+            html += this.renderQuestion(question, index);
+        });
+
+        html += `
+            <button class="btn-analyze" onclick="window.decisionTool.analyzeAnswers()">Generate Recommendations</button>
+            <button class="btn-reset" onclick="window.decisionTool.resetAnalysis()">🔄 Reset Analysis</button>
+            <button class="btn-reset" onclick="window.decisionTool.copyLink()" title="Copy a link to this scenario with these answers">🔗 Copy Link</button>
+        `;
+        panel.innerHTML = html;
+
+        // Attach input listeners
+        panel.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('change', () => this.updateRecommendations());
+        });
+        this.updateRecommendations();
+    }
+
+    renderQuestion(question, index) {
+        let inputHtml = '';
+
+        switch (question.type) {
+            case 'range':
+                inputHtml = `
+                    <input type="range" 
+                           id="${question.id}" 
+                           min="${question.min}" 
+                           max="${question.max}" 
+                           value="${question.default}"
+                           data-unit="${escapeHtml(question.unit)}"
+                           class="question-input">
+                    <span class="range-value">${question.default}${escapeHtml(question.unit)}</span>
+                `;
+                break;
+            case 'select':
+                inputHtml = `
+                    <select id="${question.id}" class="question-input">
+                        <option value="">Select...</option>
+                        ${question.options.map(opt => 
+                            `<option value="${escapeHtml(opt)}">${escapeHtml(opt)}</option>`
+                        ).join('')}
+                    </select>
+                `;
+                break;
+            case 'number':
+                inputHtml = `
+                    <input type="number" 
+                           id="${question.id}" 
+                           min="${question.min}" 
+                           max="${question.max}" 
+                           value="${question.default}"
+                           class="question-input">
+                `;
+                break;
+        }
+
+        return `
+            <div class="question-block" data-question="${question.id}">
+                <label class="question-label" for="${question.id}">${escapeHtml(question.text)}</label>
+                ${inputHtml}
+            </div>
+        `;
+    }
+
+    updateRecommendations() {
+        // Update range value displays
+        this.container.querySelectorAll('input[type="range"]').forEach(input => {
+            const valueDisplay = input.nextElementSibling;
+            if (valueDisplay && valueDisplay.classList.contains('range-value')) {
+                valueDisplay.textContent = input.value + (input.dataset.unit || '');
+            }
+        });
+
+        // Show questions whose showIf matches the answers above them
+        if (!this.currentScenario) return;
+        const answers = {};
+        this.currentScenario.questions.forEach(question => {
+            const block = this.container.querySelector(`[data-question="${question.id}"]`);
+            const visible = conditionMet(question.showIf, answers);
+            if (block) block.style.display = visible ? '' : 'none';
+
+            const input = this.container.querySelector(`#${question.id}`);
+            if (visible && input) answers[question.id] = input.value;
+        });
+    }
+
+    analyzeAnswers() {
+        const result = evaluateScenario(this.currentScenario, this.captureAnswers());
+
+        if (result.recommendations.length === 0) {
+            this.app?.showToast('Answer at least one question to get recommendations', 'warning');
+            return;
+        }
+
+        // Display recommendations
+        this.displayRecommendations(result);
+
+        // Save to history
+        this.saveDecision(result);
+    }
+
+    displayRecommendations(result, session = null) {
+        const panel = this.container.querySelector('#recommendationsList');
+        const { recommendations, findings = [], path = [] } = result;
+        
+        let html = session ? `
+            <div class="session-banner">
+                Viewing saved session from ${escapeHtml(session.timestamp)} by ${escapeHtml(session.author)}.
+                Generate recommendations again to record a new session.
+            </div>
+        ` : '';
+
+        html += `
+            <div class="overall-score">
+                <h4>Overall Assessment Score</h4>
+                <div class="score-display ${this.getScoreClass(result.score)}">
+                    ${Math.round(result.score)}%
+                </div>
+            </div>
+        `;
+
+        if (findings.length > 0) {
+            html += '<div class="combined-findings"><h4>🔗 Combined Findings</h4>';
+            findings.forEach(finding => {
+                html += `
+                    <div class="rec-advice ${this.getScoreClass(finding.score)}">
+                        <span class="rec-icon">${this.getRecommendationIcon(finding.score)}</span>
+                        <strong>${escapeHtml(finding.title)}:</strong> ${escapeHtml(finding.recommendation)}
+                    </div>
+                `;
+            });
+            html += '</div>';
+        }
+
+        html += '<div class="recommendations-list">';
+        recommendations.forEach(rec => {
+            html += `
+                <div class="recommendation-item">
+                    <div class="rec-question">${escapeHtml(rec.question)}</div>
+                    <div class="rec-answer">Your answer: ${escapeHtml(rec.answer)}</div>
+                    <div class="rec-advice ${this.getScoreClass(rec.score)}">
+                        <span class="rec-icon">${this.getRecommendationIcon(rec.score)}</span>
+                        ${escapeHtml(rec.recommendation)}
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        html += this.renderDecisionPath(path);
+        html += this.generateActionPlan([...findings, ...recommendations], result.score);
+
+        panel.innerHTML = html;
+    }
+
+    // How the recommendation was reached, step by step
+    renderDecisionPath(path) {
+        if (path.length === 0) return '';
+
+        const steps = path.map(step => {
+            if (step.type === 'skipped') {
+                return `<li class="path-skipped">${escapeHtml(step.text)} <em>${escapeHtml(step.reason)}</em></li>`;
+            }
+            if (step.type === 'rule') {
+                return `<li class="path-rule">Combined finding "${escapeHtml(step.text)}" applies ${escapeHtml(step.reason)}</li>`;
+            }
+            const reason = step.reason ? ` <em>${escapeHtml(step.reason)}</em>` : '';
+            return `
+                <li class="path-question">
+                    ${escapeHtml(step.text)} → <strong>${escapeHtml(step.answer)}</strong>
+                    (${escapeHtml(step.level)}, ${step.score}%)${reason}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="decision-path" open>
+                <summary>🧭 How this recommendation was reached</summary>
+                <ol>${steps}</ol>
+            </details>
+        `;
+    }
+
+    getScoreClass(score) {
+        if (score >= 80) return 'score-high';
+        if (score >= 60) return 'score-medium';
+        return 'score-low';
+    }
+
+    getRecommendationIcon(score) {
+        if (score >= 80) return '✅';
+        if (score >= 60) return '⚠️';
+        return '🔴';
+    }
+
+    generateActionPlan(recommendations, score) {
+        let plan = '<div class="action-plan"><h4>🎯 Recommended Action Plan</h4><ol>';
+        
+        // Prioritize actions based on score
+        const criticalActions = recommendations.filter(r => r.score < 60);
+        const warningActions = recommendations.filter(r => r.score >= 60 && r.score < 80);
+        const goodActions = recommendations.filter(r => r.score >= 80);
+
+        if (criticalActions.length > 0) {
+            plan += '<li class="action-critical">Address critical issues immediately:<ul>';
+            criticalActions.forEach(action => {
+                plan += `<li>${escapeHtml(action.recommendation)}</li>`;
+            });
+            plan += '</ul></li>';
+        }
+
+        if (warningActions.length > 0) {
+            plan += '<li class="action-warning">Review and improve:<ul>';
+            warningActions.forEach(action => {
+                plan += `<li>${escapeHtml(action.recommendation)}</li>`;
+            });
+            plan += '</ul></li>';
+        }
+
+        if (goodActions.length > 0) {
+            plan += '<li class="action-good">Maintain current approach for:<ul>';
+            goodActions.forEach(action => {
+                plan += `<li>${escapeHtml(action.recommendation)}</li>`;
+            });
+            plan += '</ul></li>';
+        }
+
+        plan += '</ol></div>';
+        return plan;
+    }
+
+    async saveDecision(result) {
+        const now = new Date();
+        const decision = {
+            id: `decision-${now.getTime()}`,
+            scenarioKey: this.currentScenarioKey,
+            scenario: this.currentScenario.title,
+            treeVersion: this.currentScenario.version,
+            timestamp: now.toLocaleString(),
+            createdAt: now.toISOString(),
+            author: null,
+            score: Math.round(result.score),
+            answers: this.captureAnswers(),
+            recommendations: result.recommendations,
+            findings: result.findings,
+            path: result.path
+        };
+        
+        // The first decision asks for a name; the answers are captured before the dialog opens
+        decision.author = await this.getAuthor();
+
+        this.decisions.push(decision);
+        
+        // Save to the active project's storage
+        this.saveDecisionHistory();
+        this.app?.emit('decision:saved', decision);
+
+        // Update history display
+        this.refreshHistory();
+    }
+
+    openSession(id) {
+        const session = this.getSession(id);
+        if (!session) return;
+
+        if (!this.decisionTree[session.scenarioKey]) {
+            this.app?.showToast('This session belongs to a scenario that no longer exists', 'warning');
+            return;
+        }
+
+        this.loadScenario(session.scenarioKey);
+        this.fillAnswers(session.answers);
+        this.displayRecommendations(session, session);
+    }
+
+    // Set the inputs of the current scenario's questions
+    fillAnswers(answers) {
+        this.currentScenario.questions.forEach(question => {
+            if (!(question.id in answers)) return;
+            const input = this.container.querySelector(`#${question.id}`);
+            if (input) input.value = answers[question.id];
+        });
+        this.updateRecommendations();
+    }
+
+    // Deep link: #decision/<scenario>?<questionId>=<answer>
+    handleRoute({ scenario, ...answers } = {}) {
+        if (!scenario) return;
+        if (!this.decisionTree[scenario]) {
+            this.app?.showToast(`No decision scenario "${scenario}"`, 'warning');
+            return;
+        }
+
+        this.loadScenario(scenario);
+        this.fillAnswers(answers);
+    }
+
+    copyLink() {
+        if (!this.currentScenarioKey) return;
+        this.app?.router.copyLink(`decision/${this.currentScenarioKey}`, this.captureAnswers());
+    }
+
+    compareSelected() {
+        if (this.selectedSessions.length !== 2) {
+            this.app?.showToast('Select two sessions to compare', 'info');
+            return;
+        }
+
+        // Older session on the left
+        const [older, newer] = this.selectedSessions
+            .map(id => this.getSession(id))
+            .sort((a, b) => this.decisions.indexOf(a) - this.decisions.indexOf(b));
+
+        const compareEl = this.container.querySelector('#decisionCompare');
+        compareEl.innerHTML = this.renderComparison(older, newer);
+        compareEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    renderComparison(older, newer) {
+        const questionIds = [...new Set([...Object.keys(older.answers), ...Object.keys(newer.answers)])];
+        const scenario = this.decisionTree[newer.scenarioKey] || this.decisionTree[older.scenarioKey];
+        const questionText = (id) => scenario?.questions.find(q => q.id === id)?.text || id;
+        const adviceFor = (session, id) => {
+            const text = questionText(id);
+            return session.recommendations.find(rec => rec.questionId === id || rec.question === text)?.recommendation || '';
+        };
+
+        const rows = questionIds.map(id => {
+            const before = older.answers[id] ?? '';
+            const after = newer.answers[id] ?? '';
+            return `
+                <tr class="${before === after ? '' : 'changed'}">
+                    <td>${escapeHtml(questionText(id))}</td>
+                    <td>${escapeHtml(before)}<div class="compare-advice">${escapeHtml(adviceFor(older, id))}</div></td>
+                    <td>${escapeHtml(after)}<div class="compare-advice">${escapeHtml(adviceFor(newer, id))}</div></td>
+                </tr>
+            `;
+        }).join('');
+
+        const findingsOf = (session) => session.findings.map(finding => escapeHtml(finding.title)).join('<br>') || '—';
+
+        const delta = newer.score - older.score;
+        const deltaText = delta === 0 ? 'no change' : `${delta > 0 ? '+' : ''}${delta} pts`;
+
+        return `
+            <div class="decision-compare">
+                <h4>Session Comparison</h4>
+                <table class="compare-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${escapeHtml(older.scenario)}<br><small>${escapeHtml(older.timestamp)} · ${escapeHtml(older.author)}</small></th>
+                            <th>${escapeHtml(newer.scenario)}<br><small>${escapeHtml(newer.timestamp)} · ${escapeHtml(newer.author)}</small></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                        <tr>
+                            <td>Combined findings</td>
+                            <td>${findingsOf(older)}</td>
+                            <td>${findingsOf(newer)}</td>
+                        </tr>
+                        <tr class="compare-score">
+                            <td>Overall score</td>
+                            <td>${older.score}%</td>
+                            <td>${newer.score}% (${deltaText})</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    exportDecisionLog(format = 'json') {
+        if (this.decisions.length === 0) {
+            this.app?.showToast('No decisions to export yet', 'info');
+            return;
+        }
+
+        const project = this.app.projects?.getActive();
+        const slug = (project?.name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        const date = new Date().toISOString().split('T')[0];
+        const filename = `decision-log-${slug}-${date}.${format}`;
+
+        if (format === 'csv') {
+            this.app.report.download(this.toCSV(), filename, 'text/csv');
+        } else {
+            const log = {
+                project: project ? { id: project.id, name: project.name } : null,
+                exportedAt: new Date().toISOString(),
+                sessions: this.decisions
+            };
+            this.app.report.download(JSON.stringify(log, null, 2), filename, 'application/json');
+        }
+        this.app.showToast(`Decision log exported as ${format.toUpperCase()}`, 'success');
+    }
+
+    // One row per answered question so the log opens cleanly in a spreadsheet
+    toCSV() {
+        const header = ['Session ID', 'Created', 'Author', 'Scenario', 'Score', 'Question', 'Answer', 'Recommendation', 'Question Score'];
+        const rows = [header];
+
+        this.decisions.forEach(session => {
+            const base = [session.id, session.createdAt || session.timestamp, session.author, session.scenario, session.score];
+            if (session.recommendations.length === 0) {
+                rows.push([...base, '', '', '', '']);
+            }
+            session.recommendations.forEach(rec => {
+                rows.push([...base, rec.question, rec.answer, rec.recommendation, rec.score]);
+            });
+            session.findings.forEach(finding => {
+                rows.push([...base, `Combined finding: ${finding.title}`, '', finding.recommendation, finding.score]);
+            });
+        });
+
+        return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+    }
+
+    csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Answers of the questions currently shown, in question order
+    captureAnswers() {
+        const answers = {};
+        this.currentScenario.questions.forEach(question => {
+            const input = this.container.querySelector(`#${question.id}`);
+            if (input && conditionMet(question.showIf, answers)) {
+                answers[question.id] = input.value;
+            }
+        });
+        return answers;
+    }
+
+    show() {
+        if (this.container) {
+            this.container.style.display = 'block';
+        }
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    resetAnalysis() {
+        // Reset current scenario
+        this.currentScenario = null;
+        this.currentScenarioKey = null;
+        
+        // Clear workspace
+        const workspace = this.container.querySelector('#decisionWorkspace');
+        if (workspace) {
+            workspace.style.display = 'none';
+        }
+        
+        // Clear recommendations
+        const recommendationsPanel = this.container.querySelector('#recommendationsList');
+        if (recommendationsPanel) {
+            recommendationsPanel.innerHTML = '<p class="placeholder">Answer the questions to receive personalized recommendations</p>';
+        }
+        
+        // Clear questions panel
+        const questionsPanel = this.container.querySelector('#questionsPanel');
+        if (questionsPanel) {
+            questionsPanel.innerHTML = '';
+        }
+        
+        // Scroll back to scenario selector
+        const scenarioSelector = this.container.querySelector('.scenario-selector');
+        if (scenarioSelector) {
+            scenarioSelector.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        
+        console.log('Analysis reset - ready for new scenario');
+    }
+
+    unload() {
+        this.listeners.forEach(([eventName, callback]) => this.app.off(eventName, callback));
+        this.listeners = [];
+        if (this.container) {
+            this.container.remove();
+        }
+        console.log('Decision Support Tool unloaded');
+    }
+}
+
+// Export singleton instance
+const decisionTool = new DecisionSupportTool();
+window.decisionTool = decisionTool; // For analyzeAnswers button
+export default decisionTool;
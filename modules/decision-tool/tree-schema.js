@@ -0,0 +1,436 @@
+/**
+ * Decision Tree Schema
+ * Validates decision tree content files and scores answers against them
+ * Version: 1.0.0
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "version": "1.0.0",
+ *   "scenarios": {
+ *     "<scenarioKey>": {
+ *       "title", "description", "icon"?,
+ *       "questions": [{
+ *         "id", "text", "type": "range" | "select" | "number",
+ *         "weight"?: number >= 0 (default 1),
+ *         "showIf"?: { "question": earlier question id,
+ *                      "equals" | "in" | "below" | "atLeast": value },
+ *
+ *         // range and number
+ *         "min", "max", "default"?, "unit"? (range defaults to "%"),
+ *         "threshold"?: range shorthand for low (< 60% of threshold),
+ *                       medium (< threshold) and high bands,
+ *         "bands"?: [{ "below"?: number, "level", "score": 0-100 }],
+ *
+ *         // select
+ *         "options": [string], "scores"?: { "<option>": 0-100 } (default 80),
+ *
+ *         "recommendations": { "<level or option>": string }
+ *       }],
+ *       "rules"?: [{
+ *         "id", "title", "when": [condition], "recommendation",
+ *         "score": 0-100, "weight"?: number >= 0 (default 0)
+ *       }]
+ *     }
+ *   }
+ * }
+ *
+ * Bands are checked in order; the last band has no "below" and catches
+ * everything else. Every band level and select option needs a recommendation.
+ *
+ * Conditions have the same shape as showIf. A question is only asked when
+ * its showIf matches; a rule adds a combined recommendation when all of its
+ * conditions match. Rules only move the overall score when given a weight.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const QUESTION_TYPES = ['range', 'select', 'number'];
+const CONDITION_OPERATORS = ['equals', 'in', 'below', 'atLeast'];
+const DEFAULT_SELECT_SCORE = 80;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isScore = (value) => isNumber(value) && value >= 0 && value <= 100;
+
+// Standard bands used by range questions that only declare a threshold
+export function thresholdBands(threshold) {
+    return [
+        { below: threshold * 0.6, level: 'low', score: 40 },
+        { below: threshold, level: 'medium', score: 70 },
+        { level: 'high', score: 100 }
+    ];
+}
+
+/**
+ * Validate a decision tree file
+ * Returns { scenarios, errors }: scenarios holds every valid scenario,
+ * ready to use; errors lists each problem with its JSON path.
+ */
+export function validateDecisionTree(tree, source = 'decision tree') {
+    const errors = [];
+    const scenarios = {};
+
+    if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+        errors.push(`${source}: must be a JSON object`);
+        return { scenarios, errors };
+    }
+    if (tree.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`${source}: schemaVersion must be ${SCHEMA_VERSION} (found ${JSON.stringify(tree.schemaVersion)})`);
+        return { scenarios, errors };
+    }
+    if (!isText(tree.version)) {
+        errors.push(`${source}: version is required`);
+    }
+    if (!tree.scenarios || typeof tree.scenarios !== 'object' || Object.keys(tree.scenarios).length === 0) {
+        errors.push(`${source}: scenarios must be an object with at least one scenario`);
+        return { scenarios, errors };
+    }
+
+    for (const [key, scenario] of Object.entries(tree.scenarios)) {
+        const scenarioErrors = validateScenario(scenario, `${source}: scenarios.${key}`);
+        if (scenarioErrors.length > 0) {
+            errors.push(...scenarioErrors);
+        } else {
+            scenarios[key] = normalizeScenario(scenario, tree.version);
+        }
+    }
+
+    return { scenarios, errors };
+}
+
+function validateScenario(scenario, path) {
+    const errors = [];
+    if (!scenario || typeof scenario !== 'object') {
+        return [`${path} must be an object`];
+    }
+    if (!isText(scenario.title)) errors.push(`${path}.title is required`);
+    if (!isText(scenario.description)) errors.push(`${path}.description is required`);
+    if (!Array.isArray(scenario.questions) || scenario.questions.length === 0) {
+        errors.push(`${path}.questions must list at least one question`);
+        return errors;
+    }
+
+    const seen = new Map();
+    scenario.questions.forEach((question, index) => {
+        const questionPath = `${path}.questions[${index}]`;
+        errors.push(...validateQuestion(question, questionPath, seen));
+        if (question && isText(question.id)) {
+            if (seen.has(question.id)) {
+                errors.push(`${questionPath}.id "${question.id}" is already used in this scenario`);
+            }
+            seen.set(question.id, question);
+        }
+    });
+
+    if (scenario.rules !== undefined) {
+        if (!Array.isArray(scenario.rules)) {
+            errors.push(`${path}.rules must be a list`);
+        } else {
+            const ruleIds = new Set();
+            scenario.rules.forEach((rule, index) => {
+                const rulePath = `${path}.rules[${index}]`;
+                errors.push(...validateRule(rule, rulePath, seen));
+                if (rule && isText(rule.id)) {
+                    if (ruleIds.has(rule.id)) {
+                        errors.push(`${rulePath}.id "${rule.id}" is already used in this scenario`);
+                    }
+                    ruleIds.add(rule.id);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+function validateRule(rule, path, questions) {
+    if (!rule || typeof rule !== 'object') {
+        return [`${path} must be an object`];
+    }
+    const errors = [];
+    if (!isText(rule.id)) errors.push(`${path}.id is required`);
+    if (!isText(rule.title)) errors.push(`${path}.title is required`);
+    if (!isText(rule.recommendation)) errors.push(`${path}.recommendation is required`);
+    if (!isScore(rule.score)) errors.push(`${path}.score must be between 0 and 100`);
+    if (rule.weight !== undefined && !(isNumber(rule.weight) && rule.weight >= 0)) {
+        errors.push(`${path}.weight must be a number >= 0`);
+    }
+    if (!Array.isArray(rule.when) || rule.when.length === 0) {
+        errors.push(`${path}.when must list at least one condition`);
+    } else {
+        rule.when.forEach((condition, index) => {
+            errors.push(...validateCondition(condition, `${path}.when[${index}]`, questions, 'a question'));
+        });
+    }
+    return errors;
+}
+
+function validateQuestion(question, path, earlier) {
+    const errors = [];
+    if (!question || typeof question !== 'object') {
+        return [`${path} must be an object`];
+    }
+
+    if (!isText(question.id) || !/^[A-Za-z][\w-]*$/.test(question.id)) {
+        errors.push(`${path}.id must start with a letter and contain only letters, digits, "-" or "_"`);
+    }
+    if (!isText(question.text)) errors.push(`${path}.text is required`);
+    if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`${path}.type must be one of ${QUESTION_TYPES.join(', ')}`);
+        return errors;
+    }
+    if (question.weight !== undefined && !(isNumber(question.weight) && question.weight >= 0)) {
+        errors.push(`${path}.weight must be a number >= 0`);
+    }
+
+    const recommendations = question.recommendations;
+    if (!recommendations || typeof recommendations !== 'object') {
+        errors.push(`${path}.recommendations is required`);
+    }
+    const needRecommendation = (key, what) => {
+        if (recommendations && !isText(recommendations[key])) {
+            errors.push(`${path}.recommendations is missing "${key}" (${what})`);
+        }
+    };
+
+    if (question.type === 'select') {
+        if (!Array.isArray(question.options) || question.options.length === 0 || !question.options.every(isText)) {
+            errors.push(`${path}.options must be a non-empty list of strings`);
+        } else {
+            question.options.forEach(option => needRecommendation(option, 'option'));
+            Object.entries(question.scores || {}).forEach(([option, score]) => {
+                if (!question.options.includes(option)) {
+                    errors.push(`${path}.scores references unknown option "${option}"`);
+                } else if (!isScore(score)) {
+                    errors.push(`${path}.scores["${option}"] must be between 0 and 100`);
+                }
+            });
+        }
+    } else {
+        if (!isNumber(question.min) || !isNumber(question.max) || question.min >= question.max) {
+            errors.push(`${path}.min and max must be numbers with min < max`);
+        } else if (question.default !== undefined &&
+            !(isNumber(question.default) && question.default >= question.min && question.default <= question.max)) {
+            errors.push(`${path}.default must be a number between min and max`);
+        }
+
+        if (question.threshold !== undefined && question.type !== 'range') {
+            errors.push(`${path}.threshold is only supported on range questions; use bands`);
+        }
+        if (question.threshold !== undefined && !isNumber(question.threshold)) {
+            errors.push(`${path}.threshold must be a number`);
+        }
+
+        const bands = question.bands || (isNumber(question.threshold) ? thresholdBands(question.threshold) : null);
+        if (!Array.isArray(bands) || bands.length === 0) {
+            errors.push(`${path} needs ${question.type === 'range' ? 'a threshold or ' : ''}bands to be scored`);
+        } else {
+            errors.push(...validateBands(bands, `${path}.bands`));
+            bands.forEach(band => isText(band.level) && needRecommendation(band.level, 'band level'));
+        }
+    }
+
+    if (question.showIf !== undefined) {
+        errors.push(...validateCondition(question.showIf, `${path}.showIf`, earlier));
+    }
+
+    return errors;
+}
+
+function validateBands(bands, path) {
+    const errors = [];
+    let previous = -Infinity;
+    bands.forEach((band, index) => {
+        const bandPath = `${path}[${index}]`;
+        const last = index === bands.length - 1;
+        if (!isText(band.level)) errors.push(`${bandPath}.level is required`);
+        if (!isScore(band.score)) errors.push(`${bandPath}.score must be between 0 and 100`);
+        if (last && band.below !== undefined) {
+            errors.push(`${bandPath} is the last band and must not have "below"`);
+        }
+        if (!last) {
+            if (!isNumber(band.below)) {
+                errors.push(`${bandPath}.below must be a number`);
+            } else if (band.below <= previous) {
+                errors.push(`${bandPath}.below must be greater than the previous band`);
+            } else {
+                previous = band.below;
+            }
+        }
+    });
+    return errors;
+}
+
+function validateCondition(condition, path, questions, scope = 'an earlier question') {
+    if (!condition || typeof condition !== 'object') {
+        return [`${path} must be an object`];
+    }
+    const errors = [];
+    const source = questions.get(condition.question);
+    if (!source) {
+        errors.push(`${path}.question must reference ${scope} in this scenario`);
+    }
+
+    const operators = CONDITION_OPERATORS.filter(op => op in condition);
+    if (operators.length !== 1) {
+        errors.push(`${path} needs exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+        return errors;
+    }
+
+    const op = operators[0];
+    const value = condition[op];
+    if ((op === 'below' || op === 'atLeast') && !isNumber(value)) {
+        errors.push(`${path}.${op} must be a number`);
+    }
+    if ((op === 'below' || op === 'atLeast') && source?.type === 'select') {
+        errors.push(`${path}.${op} cannot compare a select question; use equals or in`);
+    }
+    if (op === 'in' && (!Array.isArray(value) || value.length === 0)) {
+        errors.push(`${path}.in must be a non-empty list`);
+    }
+    if (source?.type === 'select' && (op === 'equals' || op === 'in')) {
+        const values = op === 'in' && Array.isArray(value) ? value : [value];
+        values.filter(v => !source.options?.includes(v)).forEach(v => {
+            errors.push(`${path} compares "${source.id}" with "${v}", which is not one of its options`);
+        });
+    }
+    return errors;
+}
+
+// Fill in defaults so the tool does not have to
+function normalizeScenario(scenario, version) {
+    return {
+        ...scenario,
+        version,
+        rules: (scenario.rules || []).map(rule => ({ ...rule, weight: rule.weight ?? 0 })),
+        questions: scenario.questions.map(question => {
+            const normalized = { ...question, weight: question.weight ?? 1 };
+            if (question.type === 'range' || question.type === 'number') {
+                normalized.bands = question.bands || thresholdBands(question.threshold);
+                normalized.unit = question.unit ?? (question.type === 'range' ? '%' : '');
+                normalized.default = question.default ??
+                    (question.type === 'range' ? (question.min + question.max) / 2 : question.min);
+            }
+            return normalized;
+        })
+    };
+}
+
+// Describe a condition for the path summary, e.g. "below 80"
+export function describeCondition(condition) {
+    if ('equals' in condition) return `is "${condition.equals}"`;
+    if ('in' in condition) return `is one of ${condition.in.map(v => `"${v}"`).join(', ')}`;
+    if ('below' in condition) return `is below ${condition.below}`;
+    if ('atLeast' in condition) return `is at least ${condition.atLeast}`;
+    return '';
+}
+
+// Check a condition against the answers given so far
+export function conditionMet(condition, answers) {
+    if (!condition) return true;
+    const answer = answers[condition.question];
+    if (answer === undefined || answer === '') return false;
+
+    if ('equals' in condition) return String(answer) === String(condition.equals);
+    if ('in' in condition) return condition.in.map(String).includes(String(answer));
+    if ('below' in condition) return Number(answer) < condition.below;
+    if ('atLeast' in condition) return Number(answer) >= condition.atLeast;
+    return false;
+}
+
+/**
+ * Score one answer
+ * Returns { level, score, recommendation } or null when unanswered.
+ */
+export function scoreAnswer(question, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (question.type === 'select') {
+        if (!question.options.includes(value)) return null;
+        return {
+            level: value,
+            score: question.scores?.[value] ?? DEFAULT_SELECT_SCORE,
+            recommendation: question.recommendations[value]
+        };
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    const band = question.bands.find(b => b.below === undefined || number < b.below);
+    return {
+        level: band.level,
+        score: band.score,
+        recommendation: question.recommendations[band.level]
+    };
+}
+
+/**
+ * Evaluate a scenario
+ * answers holds the values of the questions that were shown. Returns
+ * { score, recommendations, findings, path }: per-question advice, the
+ * combined recommendations of matching rules, and each step that led there.
+ */
+export function evaluateScenario(scenario, answers) {
+    const recommendations = [];
+    const findings = [];
+    const path = [];
+    const given = {};
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    const textOf = (id) => scenario.questions.find(q => q.id === id)?.text || id;
+    const because = (conditions) => conditions
+        .map(condition => `${textOf(condition.question)} ${describeCondition(condition)} (answer: ${answers[condition.question]})`)
+        .join(' and ');
+
+    scenario.questions.forEach(question => {
+        if (!conditionMet(question.showIf, given)) {
+            if (question.showIf && question.showIf.question in given) {
+                path.push({ type: 'skipped', questionId: question.id, text: question.text,
+                    reason: `not asked: needs ${textOf(question.showIf.question)} ${describeCondition(question.showIf)} (answer: ${given[question.showIf.question]})` });
+            }
+            return;
+        }
+        if (!(question.id in answers)) return;
+
+        const result = scoreAnswer(question, answers[question.id]);
+        if (!result) return;
+        given[question.id] = answers[question.id];
+
+        weightedScore += result.score * question.weight;
+        totalWeight += question.weight;
+
+        recommendations.push({
+            questionId: question.id,
+            question: question.text,
+            answer: answers[question.id],
+            level: result.level,
+            recommendation: result.recommendation,
+            score: result.score,
+            weight: question.weight
+        });
+        path.push({ type: 'question', questionId: question.id, text: question.text,
+            answer: answers[question.id], level: result.level, score: result.score,
+            reason: question.showIf ? `asked because ${because([question.showIf])}` : '' });
+    });
+
+    scenario.rules.forEach(rule => {
+        if (!rule.when.every(condition => conditionMet(condition, given))) return;
+
+        weightedScore += rule.score * rule.weight;
+        totalWeight += rule.weight;
+
+        findings.push({
+            ruleId: rule.id,
+            title: rule.title,
+            recommendation: rule.recommendation,
+            score: rule.score,
+            weight: rule.weight
+        });
+        path.push({ type: 'rule', ruleId: rule.id, text: rule.title, score: rule.score,
+            reason: `because ${because(rule.when)}` });
+    });
+
+    // Items weighted 0 give advice without moving the score
+    const score = totalWeight > 0 ? weightedScore / totalWeight : 0;
+    return { score, recommendations, findings, path };
+}
@@ -1,489 +1,625 @@
-/**
- * Interactive Timeline Module
- * Visual Gantt chart for vendor spend analysis project phases
- * Version: 3.0.0
- */
-
-class TimelineModule {
-    constructor() {
-        this.name = 'Timeline';
-        this.version = '1.0.0';
-        this.app = null;
-        this.container = null;
-        this.isSimulating = false;
-        this.simulationDay = 1;
-        this.simulationInterval = null;
-        this.phases = null;
-    }
-
-    async init(app) {
-        console.log('Timeline module initializing...');
-        this.app = app;
-        this.phases = this.getPhaseData();
-        this.render();
-        this.attachEventListeners();
-        return this;
-    }
-
-    getPhaseData() {
-        return [
-            {
-                id: 'initiation',
-                name: 'Project Initiation',
-                stream: 'A',
-                start: 1,
-                end: 2,
-                color: '#2563eb',
-                tasks: ['Team assembly', 'Tool setup', 'Kickoff meeting']
-            },
-            {
-                id: 'data-collection',
-                name: 'Data Collection',
-                stream: 'A',
-                start: 2,
-                end: 7,
-                color: '#3b82f6',
-                tasks: ['Template distribution', 'Data gathering', 'Initial validation']
-            },
-            {
-                id: 'quality-assessment',
-                name: 'Quality Assessment',
-                stream: 'A',
-                start: 6,
-                end: 9,
-                color: '#f59e0b',
-                tasks: ['Completeness analysis', 'Integrity validation', 'Gap identification']
-            },
-            {
-                id: 'data-cleansing',
-                name: 'Data Cleansing',
-                stream: 'A',
-                start: 8,
-                end: 12,
-                color: '#10b981',
-                tasks: ['Vendor normalization', 'Standardization', 'Deduplication']
-            },
-            {
-                id: 'categorization',
-                name: 'Categorization',
-                stream: 'A',
-                start: 10,
-                end: 20,
-                color: '#ef4444',
-                critical: true,
-                tasks: ['5-level taxonomy', 'Vendor classification', 'Validation']
-            },
-            {
-                id: 'dashboard-dev',
-                name: '📊 Dashboard Development',
-                stream: 'B1',
-                start: 8,
-                end: 20,
-                color: 'linear-gradient(135deg, #8b5cf6 0%, #a78bfa 100%)',
-                pattern: 'none',
-                tasks: ['Power BI development', 'Testing', 'Optimization']
-            },
-            {
-                id: 'powerpoint',
-                name: '📑 PowerPoint Creation',
-                stream: 'B2',
-                start: 8,
-                end: 20,
-                color: 'linear-gradient(135deg, #6366f1 0%, #818cf8 100%)',
-                pattern: 'diagonal',
-                tasks: ['Slide design', 'Data visualization', 'Narrative development']
-            },
-            {
-                id: 'quality-monitoring',
-                name: 'Quality Monitoring',
-                stream: 'C',
-                start: 1,
-                end: 22,
-                color: '#06b6d4',
-                tasks: ['Continuous monitoring', 'Quality gates', 'Issue resolution']
-            },
-            {
-                id: 'delivery',
-                name: 'Delivery & Handover',
-                stream: 'A',
-                start: 21,
-                end: 22,
-                color: '#22c55e',
-                tasks: ['Publishing', 'Training', 'Documentation']
-            }
-        ];
-    }
-
-    render() {
-        const content = `
-            <div class="timeline-module">
-                <div class="timeline-header">
-                    <h2>Interactive Project Timeline</h2>
-                    <p>22-Day Vendor Spend Analysis Project with Parallel Processing</p>
-                </div>
-                
-                <div class="timeline-controls">
-                    <button id="simulateBtn" class="btn btn-primary">
-                        <i class="fas fa-play"></i> Start Simulation
-                    </button>
-                    <button id="resetBtn" class="btn btn-secondary">
-                        <i class="fas fa-redo"></i> Reset
-                    </button>
-                    <div class="simulation-info">
-                        <span class="day-label">Day: <span id="currentDay">1</span>/22</span>
-                        <span class="status-label">Status: <span id="currentStatus">Ready</span></span>
-                    </div>
-                </div>
-
-                <div class="timeline-legend">
-                    <div class="legend-item">
-                        <span class="legend-color" style="background: #3b82f6;"></span>
-                        <span>Stream A: Data Pipeline</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color" style="background: linear-gradient(135deg, #8b5cf6, #a78bfa);"></span>
-                        <span>📊 Dashboard (B1)</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color diagonal-pattern" style="background: linear-gradient(135deg, #6366f1, #818cf8);"></span>
-                        <span>📑 PowerPoint (B2)</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color" style="background: #06b6d4;"></span>
-                        <span>Stream C: Quality</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color critical" style="background: #ef4444;"></span>
-                        <span>Critical Path</span>
-                    </div>
-                </div>
-
-                <div class="timeline-container">
-                    <div class="timeline-chart">
-                        <div class="timeline-grid">
-                            ${this.renderGrid()}
-                        </div>
-                        <div class="timeline-phases">
-                            ${this.renderPhases()}
-                        </div>
-                        <div class="timeline-progress" id="progressLine" style="left: 0;"></div>
-                    </div>
-                </div>
-
-                <div class="phase-details" id="phaseDetails">
-                    <h3>Phase Information</h3>
-                    <p>Click on any phase to see details</p>
-                </div>
-
-                <div class="timeline-metrics">
-                    <div class="metric-card">
-                        <div class="metric-value">3</div>
-                        <div class="metric-label">Parallel Streams</div>
-                    </div>
-                    <div class="metric-card">
-                        <div class="metric-value">40%</div>
-                        <div class="metric-label">Time Savings</div>
-                    </div>
-                    <div class="metric-card">
-                        <div class="metric-value">6</div>
-                        <div class="metric-label">Quality Gates</div>
-                    </div>
-                    <div class="metric-card">
-                        <div class="metric-value">22</div>
-                        <div class="metric-label">Total Days</div>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        // Create container div
-        const timelineDiv = document.createElement('div');
-        timelineDiv.className = 'timeline-wrapper';
-        timelineDiv.innerHTML = content;
-        this.container = timelineDiv;
-        
-        // Try to insert into overview section first
-        let targetSection = document.querySelector('#overview .section-body');
-        
-        // If overview doesn't exist, create a fallback container
-        if (!targetSection) {
-            targetSection = document.querySelector('.content-area');
-            if (!targetSection) {
-                targetSection = document.querySelector('main');
-                if (!targetSection) {
-                    // Create a main element if nothing exists
-                    const main = document.createElement('main');
-                    main.className = 'content-area';
-                    document.body.appendChild(main);
-                    targetSection = main;
-                }
-            }
-        }
-        
-        if (targetSection) {
-            targetSection.appendChild(this.container);
-            console.log('Timeline rendered successfully');
-        } else {
-            console.error('Could not find target section for timeline');
-        }
-    }
-
-    renderGrid() {
-        let grid = '<div class="grid-days">';
-        for (let day = 1; day <= 22; day++) {
-            grid += `<div class="grid-day">${day}</div>`;
-        }
-        grid += '</div>';
-        return grid;
-    }
-
-    renderPhases() {
-        const streams = { A: [], B1: [], B2: [], C: [] };
-        
-        this.phases.forEach(phase => {
-            streams[phase.stream].push(phase);
-        });
-
-        let html = '';
-        
-        // Stream A
-        html += `<div class="timeline-stream" data-stream="A">`;
-        html += `<div class="stream-label">Stream A</div>`;
-        html += '<div class="stream-phases">';
-        streams.A.forEach(phase => {
-            html += this.renderPhaseBar(phase);
-        });
-        html += '</div></div>';
-        
-        // Stream B (split into B1 and B2 sub-streams)
-        html += `<div class="timeline-stream stream-b-container" data-stream="B">`;
-        html += `<div class="stream-label">Stream B</div>`;
-        html += '<div class="stream-phases-split">';
-        
-        // B1 sub-stream (Dashboard)
-        html += '<div class="sub-stream sub-stream-b1">';
-        streams.B1.forEach(phase => {
-            html += this.renderPhaseBar(phase, 'sub-stream-bar');
-        });
-        html += '</div>';
-        
-        // B2 sub-stream (PowerPoint)
-        html += '<div class="sub-stream sub-stream-b2">';
-        streams.B2.forEach(phase => {
-            html += this.renderPhaseBar(phase, 'sub-stream-bar with-pattern');
-        });
-        html += '</div>';
-        
-        // Add sync indicator
-        html += '<div class="sync-indicator" style="left: calc(8/22 * 100% - 1%);">⚡ Synchronized Development</div>';
-        
-        html += '</div></div>';
-        
-        // Stream C
-        html += `<div class="timeline-stream" data-stream="C">`;
-        html += `<div class="stream-label">Stream C</div>`;
-        html += '<div class="stream-phases">';
-        streams.C.forEach(phase => {
-            html += this.renderPhaseBar(phase);
-        });
-        html += '</div></div>';
-        
-        return html;
-    }
-    
-    renderPhaseBar(phase, additionalClass = '') {
-        const width = ((phase.end - phase.start + 1) / 22) * 100;
-        const left = ((phase.start - 1) / 22) * 100;
-        const criticalClass = phase.critical ? 'critical' : '';
-        const patternClass = phase.pattern === 'diagonal' ? 'diagonal-pattern' : '';
-        
-        // Handle gradient or solid color
-        const backgroundStyle = phase.color.includes('gradient') 
-            ? `background: ${phase.color};` 
-            : `background-color: ${phase.color};`;
-        
-        return `
-            <div class="phase-bar ${criticalClass} ${additionalClass} ${patternClass}" 
-                 data-phase="${phase.id}"
-                 style="left: ${left}%; width: ${width}%; ${backgroundStyle}"
-                 title="${phase.name} (Days ${phase.start}-${phase.end})">
-                <span class="phase-name">${phase.name}</span>
-            </div>
-        `;
-    }
-
-    attachEventListeners() {
-        if (!this.container) {
-            console.error('Timeline container not initialized');
-            return;
-        }
-        
-        // Simulation controls
-        const simulateBtn = this.container.querySelector('#simulateBtn');
-        const resetBtn = this.container.querySelector('#resetBtn');
-        
-        if (simulateBtn) {
-            simulateBtn.addEventListener('click', () => this.toggleSimulation());
-        }
-        
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => this.resetSimulation());
-        }
-
-        // Phase click handlers
-        const phaseBars = this.container.querySelectorAll('.phase-bar');
-        if (phaseBars) {
-            phaseBars.forEach(bar => {
-                bar.addEventListener('click', (e) => {
-                    const phaseId = e.currentTarget.dataset.phase;
-                    if (phaseId) {
-                        this.showPhaseDetails(phaseId);
-                    }
-                });
-            });
-        }
-    }
-
-    toggleSimulation() {
-        if (this.isSimulating) {
-            this.pauseSimulation();
-        } else {
-            this.startSimulation();
-        }
-    }
-
-    startSimulation() {
-        this.isSimulating = true;
-        const btn = this.container.querySelector('#simulateBtn');
-        btn.innerHTML = '<i class="fas fa-pause"></i> Pause';
-        
-        this.simulationInterval = setInterval(() => {
-            this.simulationDay++;
-            if (this.simulationDay > 22) {
-                this.simulationDay = 22;
-                this.completeSimulation();
-            } else {
-                this.updateSimulation();
-            }
-        }, 500); // Update every 500ms
-        
-        this.updateSimulation();
-    }
-
-    pauseSimulation() {
-        this.isSimulating = false;
-        clearInterval(this.simulationInterval);
-        const btn = this.container.querySelector('#simulateBtn');
-        btn.innerHTML = '<i class="fas fa-play"></i> Resume';
-    }
-
-    resetSimulation() {
-        this.isSimulating = false;
-        clearInterval(this.simulationInterval);
-        this.simulationDay = 1;
-        
-        const btn = this.container.querySelector('#simulateBtn');
-        btn.innerHTML = '<i class="fas fa-play"></i> Start Simulation';
-        
-        this.updateSimulation();
-    }
-
-    updateSimulation() {
-        // Update day counter
-        this.container.querySelector('#currentDay').textContent = this.simulationDay;
-        
-        // Update progress line
-        const progressLine = this.container.querySelector('#progressLine');
-        const position = (this.simulationDay / 22) * 100;
-        progressLine.style.left = `${position}%`;
-        
-        // Update status
-        const status = this.getStatusForDay(this.simulationDay);
-        const statusEl = this.container.querySelector('#currentStatus');
-        statusEl.textContent = status.text;
-        statusEl.className = `status-${status.type}`;
-        
-        // Highlight active phases
-        this.highlightActivePhases();
-    }
-
-    completeSimulation() {
-        this.pauseSimulation();
-        const statusEl = this.container.querySelector('#currentStatus');
-        statusEl.textContent = 'Complete! 🎉';
-        statusEl.className = 'status-complete';
-        
-        // Show completion message
-        this.app.eventBus.emit('notification', {
-            type: 'success',
-            message: 'Project simulation complete! All phases delivered successfully.'
-        });
-    }
-
-    getStatusForDay(day) {
-        if (day >= 1 && day <= 20) {
-            return { text: 'On Track', type: 'success' };
-        } else if (day === 21) {
-            return { text: 'Finalizing', type: 'warning' };
-        } else if (day === 22) {
-            return { text: 'Complete!', type: 'complete' };
-        }
-        return { text: 'Ready', type: 'default' };
-    }
-
-    highlightActivePhases() {
-        // Remove all active classes
-        this.container.querySelectorAll('.phase-bar').forEach(bar => {
-            bar.classList.remove('active', 'completed');
-        });
-        
-        // Add appropriate classes based on current day
-        this.phases.forEach(phase => {
-            const phaseEl = this.container.querySelector(`[data-phase="${phase.id}"]`);
-            if (phaseEl) {
-                if (this.simulationDay >= phase.start && this.simulationDay <= phase.end) {
-                    phaseEl.classList.add('active');
-                } else if (this.simulationDay > phase.end) {
-                    phaseEl.classList.add('completed');
-                }
-            }
-        });
-    }
-
-    showPhaseDetails(phaseId) {
-        const phase = this.phases.find(p => p.id === phaseId);
-        if (!phase) return;
-        
-        const detailsEl = this.container.querySelector('#phaseDetails');
-        detailsEl.innerHTML = `
-            <h3>${phase.name}</h3>
-            <div class="phase-info">
-                <p><strong>Duration:</strong> Days ${phase.start}-${phase.end} (${phase.end - phase.start + 1} days)</p>
-                <p><strong>Stream:</strong> ${phase.stream}</p>
-                ${phase.critical ? '<p class="critical-flag">⚠️ <strong>Critical Path Phase</strong></p>' : ''}
-                <p><strong>Key Activities:</strong></p>
-                <ul>
-                    ${phase.tasks.map(task => `<li>${task}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
-
-    unload() {
-        if (this.simulationInterval) {
-            clearInterval(this.simulationInterval);
-        }
-        if (this.container) {
-            this.container.remove();
-        }
-        console.log('Timeline module unloaded');
-    }
-    
-    destroy() {
-        // Alias for unload
-        this.unload();
-    }
-}
-
-// Export an instance (singleton pattern)
-export default new TimelineModule();
\ No newline at end of file
+/**
+ * Interactive Timeline Module
+ * Visual Gantt chart for vendor spend analysis project phases
+ * Version: 3.0.0
+ */
+
+import { PROJECT_PHASES, getPlanLength } from '../../core/phases.js';
+
+class TimelineModule {
+    constructor() {
+        this.name = 'Timeline';
+        this.version = '1.0.0';
+        this.app = null;
+        this.container = null;
+        this.isSimulating = false;
+        this.isWhatIf = false;
+        this.simulationDay = 1;
+        this.simulationInterval = null;
+        this.phases = null;
+        this.selectedPhase = null;
+        this.totalDays = getPlanLength();
+        this.slipTolerance = 15; // Percentage points behind plan before a phase is slipping
+        this.listeners = [];
+    }
+
+    async init(app) {
+        console.log('Timeline module initializing...');
+        this.app = app;
+        this.phases = this.getPhaseData();
+        this.totalDays = getPlanLength(this.phases);
+        this.render();
+        this.attachEventListeners();
+
+        // Keep actual completion and dates current
+        this.listen('checkbox:changed', () => this.refresh());
+        this.listen('project:switched', () => this.refresh());
+        this.listen('project:updated', () => this.refresh());
+
+        return this;
+    }
+
+    listen(eventName, callback) {
+        this.app.on(eventName, callback);
+        this.listeners.push([eventName, callback]);
+    }
+
+    getPhaseData() {
+        return PROJECT_PHASES.map(phase => ({ ...phase }));
+    }
+
+    render() {
+        const content = this.renderContent();
+
+        // Create container div
+        const timelineDiv = document.createElement('div');
+        timelineDiv.className = 'timeline-wrapper';
+        timelineDiv.innerHTML = content;
+        this.container = timelineDiv;
+        
+        // Try to insert into overview section first
+        let targetSection = document.querySelector('#overview .section-body');
+        
+        // If overview doesn't exist, create a fallback container
+        if (!targetSection) {
+            targetSection = document.querySelector('.content-area');
+            if (!targetSection) {
+                targetSection = document.querySelector('main');
+                if (!targetSection) {
+                    // Create a main element if nothing exists
+                    const main = document.createElement('main');
+                    main.className = 'content-area';
+                    document.body.appendChild(main);
+                    targetSection = main;
+                }
+            }
+        }
+        
+        if (targetSection) {
+            targetSection.appendChild(this.container);
+            console.log('Timeline rendered successfully');
+        } else {
+            console.error('Could not find target section for timeline');
+        }
+    }
+
+    refresh() {
+        if (!this.container) return;
+        this.container.innerHTML = this.renderContent();
+        this.attachEventListeners();
+        
+        if (this.selectedPhase) {
+            this.showPhaseDetails(this.selectedPhase);
+        }
+    }
+
+    renderContent() {
+        const calendar = this.app.calendar;
+        const project = this.app.projects?.getActive();
+        const viewDay = this.getViewDay();
+        const finish = calendar?.getDateForDay(this.totalDays);
+
+        // Status of every phase at the viewed day
+        this.phaseStatus = new Map();
+        this.phases.forEach(phase => {
+            this.phaseStatus.set(phase.id, this.getPhaseStatus(phase, viewDay));
+        });
+
+        const slipping = this.phases.filter(phase => this.phaseStatus.get(phase.id).slipping);
+        const status = this.getOverallStatus(viewDay, slipping);
+        const markerDay = Math.min(Math.max(viewDay || 0, 0), this.totalDays);
+        const overallProgress = this.app.state.get('progressPercentage') || 0;
+
+        let simulateLabel = '<i class="fas fa-play"></i> Start What-If';
+        if (this.isSimulating) {
+            simulateLabel = '<i class="fas fa-pause"></i> Pause';
+        } else if (this.isWhatIf) {
+            simulateLabel = '<i class="fas fa-play"></i> Resume';
+        }
+
+        return `
+            <div class="timeline-module ${this.isWhatIf ? 'what-if' : ''}">
+                <div class="timeline-header">
+                    <h2>Interactive Project Timeline</h2>
+                    <p>${this.totalDays}-Day Vendor Spend Analysis Project with Parallel Processing</p>
+                </div>
+
+                ${project ? `
+                <div class="timeline-schedule">
+                    <label class="kickoff-label">
+                        Kickoff
+                        <input type="date" id="timelineKickoff" value="${project.startDate || ''}">
+                    </label>
+                    <span class="finish-label">Planned finish: <strong>${finish ? calendar.formatShort(finish) : '—'}</strong></span>
+                    <span class="schedule-note">Weekends and holidays skipped</span>
+                </div>
+                ` : ''}
+                
+                <div class="timeline-controls">
+                    <button id="simulateBtn" class="btn btn-primary" title="Move the day marker forward to see which phases would slip at current completion">
+                        ${simulateLabel}
+                    </button>
+                    <button id="resetBtn" class="btn btn-secondary">
+                        <i class="fas fa-redo"></i> Back to Today
+                    </button>
+                    <div class="simulation-info">
+                        <span class="day-label">${this.isWhatIf ? 'What-if day' : 'Day'}: <span id="currentDay">${viewDay ?? '—'}</span>/${this.totalDays}</span>
+                        <span class="status-label">Status: <span id="currentStatus" class="status-${status.type}">${status.text}</span></span>
+                    </div>
+                </div>
+
+                <div class="timeline-legend">
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: #3b82f6;"></span>
+                        <span>Stream A: Data Pipeline</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: linear-gradient(135deg, #8b5cf6, #a78bfa);"></span>
+                        <span>📊 Dashboard (B1)</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color diagonal-pattern" style="background: linear-gradient(135deg, #6366f1, #818cf8);"></span>
+                        <span>📑 PowerPoint (B2)</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: #06b6d4;"></span>
+                        <span>Stream C: Quality</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color critical" style="background: #ef4444;"></span>
+                        <span>Critical Path</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color legend-actual"></span>
+                        <span>Actual Completion</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color legend-slipping"></span>
+                        <span>Behind Plan</span>
+                    </div>
+                </div>
+
+                <div class="timeline-container">
+                    <div class="timeline-chart">
+                        <div class="timeline-grid">
+                            ${this.renderGrid()}
+                        </div>
+                        <div class="timeline-phases">
+                            ${this.renderPhases()}
+                        </div>
+                        <div class="timeline-progress" id="progressLine" style="left: ${(markerDay / this.totalDays) * 100}%;"></div>
+                    </div>
+                </div>
+
+                <div class="phase-details" id="phaseDetails">
+                    <h3>Phase Information</h3>
+                    <p>Click on any phase to see details</p>
+                </div>
+
+                <div class="timeline-metrics">
+                    <div class="metric-card">
+                        <div class="metric-value">${viewDay ?? '—'}</div>
+                        <div class="metric-label">${this.isWhatIf ? 'What-if Day' : 'Current Day'}</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value">${overallProgress}%</div>
+                        <div class="metric-label">Overall Progress</div>
+                    </div>
+                    <div class="metric-card ${slipping.length > 0 ? 'metric-alert' : ''}">
+                        <div class="metric-value">${slipping.length}</div>
+                        <div class="metric-label">Phases Behind Plan</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value">${finish ? finish.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : this.totalDays}</div>
+                        <div class="metric-label">${finish ? 'Planned Finish' : 'Total Days'}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderGrid() {
+        const calendar = this.app.calendar;
+        const hasDates = Boolean(calendar?.getStartDate());
+        let grid = `<div class="grid-days ${hasDates ? 'with-dates' : ''}">`;
+        for (let day = 1; day <= this.totalDays; day++) {
+            const date = hasDates ? calendar.getDateForDay(day) : null;
+            grid += date
+                ? `<div class="grid-day" title="${calendar.formatShort(date)}">${day}<span class="grid-date">${date.getMonth() + 1}/${date.getDate()}</span></div>`
+                : `<div class="grid-day">${day}</div>`;
+        }
+        grid += '</div>';
+        return grid;
+    }
+
+    renderPhases() {
+        const streams = { A: [], B1: [], B2: [], C: [] };
+        
+        this.phases.forEach(phase => {
+            streams[phase.stream].push(phase);
+        });
+
+        let html = '';
+        
+        // Stream A
+        html += `<div class="timeline-stream" data-stream="A">`;
+        html += `<div class="stream-label">Stream A</div>`;
+        html += '<div class="stream-phases">';
+        streams.A.forEach(phase => {
+            html += this.renderPhaseBar(phase);
+        });
+        html += '</div></div>';
+        
+        // Stream B (split into B1 and B2 sub-streams)
+        html += `<div class="timeline-stream stream-b-container" data-stream="B">`;
+        html += `<div class="stream-label">Stream B</div>`;
+        html += '<div class="stream-phases-split">';
+        
+        // B1 sub-stream (Dashboard)
+        html += '<div class="sub-stream sub-stream-b1">';
+        streams.B1.forEach(phase => {
+            html += this.renderPhaseBar(phase, 'sub-stream-bar');
+        });
+        html += '</div>';
+        
+        // B2 sub-stream (PowerPoint)
+        html += '<div class="sub-stream sub-stream-b2">';
+        streams.B2.forEach(phase => {
+            html += this.renderPhaseBar(phase, 'sub-stream-bar with-pattern');
+        });
+        html += '</div>';
+        
+        // Add sync indicator
+        html += `<div class="sync-indicator" style="left: calc(8/${this.totalDays} * 100% - 1%);">⚡ Synchronized Development</div>`;
+        
+        html += '</div></div>';
+        
+        // Stream C
+        html += `<div class="timeline-stream" data-stream="C">`;
+        html += `<div class="stream-label">Stream C</div>`;
+        html += '<div class="stream-phases">';
+        streams.C.forEach(phase => {
+            html += this.renderPhaseBar(phase);
+        });
+        html += '</div></div>';
+        
+        return html;
+    }
+    
+    renderPhaseBar(phase, additionalClass = '') {
+        const width = ((phase.end - phase.start + 1) / this.totalDays) * 100;
+        const left = ((phase.start - 1) / this.totalDays) * 100;
+        const criticalClass = phase.critical ? 'critical' : '';
+        const patternClass = phase.pattern === 'diagonal' ? 'diagonal-pattern' : '';
+        const status = this.phaseStatus?.get(phase.id);
+        const statusClass = status ? `status-${status.state}` : '';
+        const hasActual = status && status.actual !== null;
+        
+        // Handle gradient or solid color
+        const backgroundStyle = phase.color.includes('gradient') 
+            ? `background: ${phase.color};` 
+            : `background-color: ${phase.color};`;
+
+        let title = `${phase.name} (${this.formatRange(phase)})`;
+        if (hasActual) {
+            title += ` - ${status.actual}% complete`;
+            if (status.planned !== null) title += `, ${status.planned}% planned`;
+        }
+        
+        return `
+            <div class="phase-bar ${criticalClass} ${additionalClass} ${patternClass} ${statusClass}" 
+                 data-phase="${phase.id}"
+                 style="left: ${left}%; width: ${width}%; ${backgroundStyle}"
+                 title="${title}">
+                ${hasActual ? `<div class="phase-actual" style="width: ${status.actual}%;"></div>` : ''}
+                <span class="phase-name">${phase.name}${hasActual ? ` · ${status.actual}%` : ''}</span>
+            </div>
+        `;
+    }
+
+    formatRange(phase) {
+        const calendar = this.app.calendar;
+        const start = calendar?.getDateForDay(phase.start);
+        const end = start && calendar.getDateForDay(phase.end);
+        if (!end) {
+            return `Days ${phase.start}-${phase.end}`;
+        }
+        return `${calendar.formatShort(start)} – ${calendar.formatShort(end)}`;
+    }
+
+    getViewDay() {
+        if (this.isWhatIf) {
+            return this.simulationDay;
+        }
+        return this.app.calendar?.getCurrentDay() ?? null;
+    }
+
+    getPhaseActual(phase) {
+        const progress = this.app.progress;
+        if (!progress || !phase.sections || phase.sections.length === 0) {
+            return null;
+        }
+
+        let completed = 0;
+        let total = 0;
+        phase.sections.forEach(sectionId => {
+            const stats = progress.getSectionStats(sectionId);
+            completed += stats.completed;
+            total += stats.total;
+        });
+
+        return total > 0 ? Math.round((completed / total) * 100) : null;
+    }
+
+    getPlannedCompletion(phase, day) {
+        if (day === null) return null;
+        if (day < phase.start) return 0;
+        if (day > phase.end) return 100;
+        return Math.round(((day - phase.start + 1) / (phase.end - phase.start + 1)) * 100);
+    }
+
+    getPhaseStatus(phase, day) {
+        const actual = this.getPhaseActual(phase);
+        const planned = this.getPlannedCompletion(phase, day);
+        let state;
+
+        if (actual === null) {
+            state = 'untracked';
+        } else if (actual >= 100) {
+            state = 'complete';
+        } else if (day === null || day < phase.start) {
+            state = 'upcoming';
+        } else if (day > phase.end) {
+            state = 'overdue';
+        } else if (planned - actual > this.slipTolerance) {
+            state = 'slipping';
+        } else {
+            state = 'on-track';
+        }
+
+        return {
+            actual,
+            planned,
+            state,
+            slipping: state === 'overdue' || state === 'slipping'
+        };
+    }
+
+    getOverallStatus(day, slipping) {
+        const tracked = this.phases.filter(phase => this.phaseStatus.get(phase.id).actual !== null);
+        if (tracked.length > 0 && tracked.every(phase => this.phaseStatus.get(phase.id).state === 'complete')) {
+            return { text: 'Complete! 🎉', type: 'complete' };
+        }
+        if (day === null) {
+            return { text: 'No kickoff date', type: 'default' };
+        }
+        if (day === 0) {
+            return { text: 'Not Started', type: 'default' };
+        }
+        if (slipping.length > 0) {
+            return { text: `${slipping.length} phase${slipping.length === 1 ? '' : 's'} behind plan`, type: 'danger' };
+        }
+        if (day > this.totalDays) {
+            return { text: 'Past planned finish', type: 'warning' };
+        }
+        return { text: 'On Track', type: 'success' };
+    }
+
+    attachEventListeners() {
+        if (!this.container) {
+            console.error('Timeline container not initialized');
+            return;
+        }
+        
+        // Simulation controls
+        const simulateBtn = this.container.querySelector('#simulateBtn');
+        const resetBtn = this.container.querySelector('#resetBtn');
+        
+        if (simulateBtn) {
+            simulateBtn.addEventListener('click', () => this.toggleSimulation());
+        }
+        
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetSimulation());
+        }
+
+        // Kickoff date is stored on the active project
+        const kickoffInput = this.container.querySelector('#timelineKickoff');
+        if (kickoffInput) {
+            kickoffInput.addEventListener('change', (e) => {
+                const project = this.app.projects?.getActive();
+                if (project && e.target.value) {
+                    this.app.projects.update(project.id, { startDate: e.target.value });
+                }
+            });
+        }
+
+        // Phase click handlers
+        const phaseBars = this.container.querySelectorAll('.phase-bar');
+        if (phaseBars) {
+            phaseBars.forEach(bar => {
+                bar.addEventListener('click', (e) => {
+                    const phaseId = e.currentTarget.dataset.phase;
+                    if (phaseId) {
+                        this.showPhaseDetails(phaseId);
+                    }
+                });
+            });
+        }
+
+        this.highlightActivePhases();
+    }
+
+    toggleSimulation() {
+        if (this.isSimulating) {
+            this.pauseSimulation();
+        } else {
+            this.startSimulation();
+        }
+    }
+
+    startSimulation() {
+        // What-if mode starts from today and keeps actual completion fixed
+        if (!this.isWhatIf) {
+            this.isWhatIf = true;
+            this.simulationDay = Math.max(1, this.app.calendar?.getCurrentDay() || 1);
+        }
+        this.isSimulating = true;
+        
+        this.simulationInterval = setInterval(() => {
+            this.simulationDay++;
+            if (this.simulationDay > this.totalDays) {
+                this.simulationDay = this.totalDays;
+                this.completeSimulation();
+            } else {
+                this.updateSimulation();
+            }
+        }, 500); // Update every 500ms
+        
+        this.updateSimulation();
+    }
+
+    pauseSimulation() {
+        this.isSimulating = false;
+        clearInterval(this.simulationInterval);
+        this.refresh();
+    }
+
+    resetSimulation() {
+        this.isSimulating = false;
+        this.isWhatIf = false;
+        clearInterval(this.simulationInterval);
+        this.simulationDay = 1;
+        
+        this.updateSimulation();
+    }
+
+    updateSimulation() {
+        this.refresh();
+    }
+
+    completeSimulation() {
+        this.pauseSimulation();
+
+        const behind = this.phases.filter(phase => this.phaseStatus.get(phase.id).slipping);
+        if (behind.length === 0) {
+            this.app.showToast('What-if: all phases on plan through the final day', 'success');
+        } else {
+            this.app.showToast(`What-if: ${behind.length} phase${behind.length === 1 ? '' : 's'} behind plan by day ${this.totalDays} at current completion`, 'warning');
+        }
+    }
+
+    highlightActivePhases() {
+        const day = this.getViewDay();
+
+        // Remove all active classes
+        this.container.querySelectorAll('.phase-bar').forEach(bar => {
+            bar.classList.remove('active', 'completed');
+        });
+        
+        // Active phases are scheduled for the viewed day; completed ones are done
+        this.phases.forEach(phase => {
+            const phaseEl = this.container.querySelector(`[data-phase="${phase.id}"]`);
+            const status = this.phaseStatus?.get(phase.id);
+            if (phaseEl) {
+                if (status?.state === 'complete') {
+                    phaseEl.classList.add('completed');
+                } else if (day !== null && day >= phase.start && day <= phase.end) {
+                    phaseEl.classList.add('active');
+                }
+            }
+        });
+    }
+
+    showPhaseDetails(phaseId) {
+        const phase = this.phases.find(p => p.id === phaseId);
+        if (!phase) return;
+        this.selectedPhase = phaseId;
+
+        const status = this.phaseStatus?.get(phase.id);
+        const stateLabels = {
+            complete: '✅ Complete',
+            'on-track': '🟢 On track',
+            slipping: '🟡 Behind plan',
+            overdue: '🔴 Past planned end',
+            upcoming: '⏳ Not yet scheduled',
+            untracked: 'No checklist linked'
+        };
+        
+        const detailsEl = this.container.querySelector('#phaseDetails');
+        detailsEl.innerHTML = `
+            <h3>${phase.name}</h3>
+            <div class="phase-info">
+                <p><strong>Planned:</strong> ${this.formatRange(phase)} (Days ${phase.start}-${phase.end}, ${phase.end - phase.start + 1} days)</p>
+                <p><strong>Stream:</strong> ${phase.stream}</p>
+                ${status ? `<p><strong>Status:</strong> <span class="phase-state phase-state-${status.state}">${stateLabels[status.state]}</span></p>` : ''}
+                ${status && status.actual !== null ? `<p><strong>Actual:</strong> ${status.actual}% complete${status.planned !== null ? ` (plan: ${status.planned}%)` : ''}</p>` : ''}
+                ${phase.critical ? '<p class="critical-flag">⚠️ <strong>Critical Path Phase</strong></p>' : ''}
+                <p><strong>Key Activities:</strong></p>
+                <ul>
+                    ${phase.tasks.map(task => `<li>${task}</li>`).join('')}
+                </ul>
+                ${phase.sections.length > 0 ? `
+                    <div class="phase-sections">
+                        ${phase.sections.map(sectionId => `<button class="btn btn-secondary btn-sm" data-navigate="${sectionId}">Open ${this.getSectionTitle(sectionId)} checklist</button>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        detailsEl.querySelectorAll('[data-navigate]').forEach(btn => {
+            btn.addEventListener('click', () => this.app.navigate(btn.dataset.navigate));
+        });
+    }
+
+    // Deep link: #module/timeline?day=14&phase=categorization
+    async handleRoute({ day, phase } = {}) {
+        // The timeline lives in the overview section
+        if (this.app.sections.currentSection !== 'overview') {
+            await this.app.sections.showSection('overview');
+            this.app.navigation?.setActive('overview');
+        }
+        if (!this.container.isConnected) {
+            this.render();
+        }
+
+        const dayNumber = parseInt(day, 10);
+        if (Number.isFinite(dayNumber)) {
+            this.isSimulating = false;
+            clearInterval(this.simulationInterval);
+            this.isWhatIf = true;
+            this.simulationDay = Math.min(Math.max(dayNumber, 1), this.totalDays);
+        }
+        if (phase && this.phases.some(p => p.id === phase)) {
+            this.selectedPhase = phase;
+        }
+
+        this.refresh();
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    getSectionTitle(sectionId) {
+        const section = (this.app.config.navigation?.sections || []).find(s => s.id === sectionId);
+        return section ? section.title : sectionId;
+    }
+
+    unload() {
+        if (this.simulationInterval) {
+            clearInterval(this.simulationInterval);
+        }
+        this.listeners.forEach(([eventName, callback]) => this.app.off(eventName, callback));
+        this.listeners = [];
+        if (this.container) {
+            this.container.remove();
+        }
+        console.log('Timeline module unloaded');
+    }
+    
+    destroy() {
+        // Alias for unload
+        this.unload();
+    }
+}
+
+// Export an instance (singleton pattern)
+export default new TimelineModule();
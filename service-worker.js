@@ -1,358 +1,591 @@
-/**
- * Service Worker for Versatex SOP Platform
- * Handles offline functionality, caching, and background sync
- */
-
-const CACHE_NAME = 'versatex-sop-v3.0.5';
-const RUNTIME_CACHE = 'versatex-runtime-v6';
-
-// Assets to cache immediately on install
-const STATIC_ASSETS = [
-    './',
-    './index.html',
-    './config.json',
-    './manifest.json',
-    
-    // Styles
-    './styles/base.css',
-    './styles/theme.css',
-    './styles/layout.css',
-    './styles/progress.css',
-    './styles/mobile-responsive.css',
-    
-    // Core JavaScript
-    './core/app.js',
-    './core/loader.js',
-    './core/navigation.js',
-    './core/sections.js',
-    './core/search.js',
-    './core/storage.js',
-    './core/state.js',
-    './core/progress.js',
-    './core/pwa.js',
-    './core/router.js',
-    
-    // Content JSON files
-    './content/overview.json',
-    './content/prerequisites.json',
-    './content/data-collection.json',
-    './content/quality-assessment.json',
-    './content/data-cleansing.json',
-    './content/categorization.json',
-    './content/dashboard.json',
-    './content/delivery.json',
-    './content/quality.json',
-    './content/risks.json',
-    './content/appendices.json',
-    
-    // Images
-    './assets/images/vtx_logo_white.png',
-    './assets/images/icon-192x192.png',
-    './assets/images/icon-512x512.png',
-    
-    // External dependencies (with fallback to CDN)
-    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
-];
-
-// Install event - cache static assets
-self.addEventListener('install', (event) => {
-    console.log('[Service Worker] Installing...');
-    
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('[Service Worker] Caching static assets');
-                return cache.addAll(STATIC_ASSETS.map(url => {
-                    // Handle external URLs
-                    if (url.startsWith('http')) {
-                        return url;
-                    }
-                    // For relative URLs, just return as-is
-                    return url;
-                }));
-            })
-            .then(() => {
-                console.log('[Service Worker] Static assets cached successfully');
-                // Skip waiting to activate immediately
-                return self.skipWaiting();
-            })
-            .catch(error => {
-                console.error('[Service Worker] Cache installation failed:', error);
-            })
-    );
-});
-
-// Activate event - clean up old caches
-self.addEventListener('activate', (event) => {
-    console.log('[Service Worker] Activating...');
-    
-    event.waitUntil(
-        caches.keys()
-            .then(cacheNames => {
-                return Promise.all(
-                    cacheNames
-                        .filter(cacheName => {
-                            // Delete old cache versions
-                            return cacheName.startsWith('versatex-') && 
-                                   cacheName !== CACHE_NAME && 
-                                   cacheName !== RUNTIME_CACHE;
-                        })
-                        .map(cacheName => {
-                            console.log('[Service Worker] Deleting old cache:', cacheName);
-                            return caches.delete(cacheName);
-                        })
-                );
-            })
-            .then(() => {
-                console.log('[Service Worker] Activated and old caches cleared');
-                // Take control of all clients immediately
-                return self.clients.claim();
-            })
-    );
-});
-
-// Fetch event - serve from cache when offline
-self.addEventListener('fetch', (event) => {
-    const { request } = event;
-    const url = new URL(request.url);
-    
-    // Skip non-GET requests
-    if (request.method !== 'GET') {
-        return;
-    }
-    
-    // Skip Chrome extension requests
-    if (url.protocol === 'chrome-extension:') {
-        return;
-    }
-    
-    // Handle API calls differently
-    if (url.pathname.includes('/api/')) {
-        event.respondWith(handleApiRequest(request));
-        return;
-    }
-    
-    // Network-first strategy for HTML (to get latest content)
-    if (request.headers.get('accept')?.includes('text/html')) {
-        event.respondWith(networkFirstStrategy(request));
-        return;
-    }
-    
-    // Cache-first strategy for static assets
-    event.respondWith(cacheFirstStrategy(request));
-});
-
-// Cache-first strategy (for static assets)
-async function cacheFirstStrategy(request) {
-    try {
-        const cache = await caches.open(CACHE_NAME);
-        const cachedResponse = await cache.match(request);
-        
-        if (cachedResponse) {
-            // Return from cache but also update cache in background
-            updateCache(request, cache);
-            return cachedResponse;
-        }
-        
-        // Not in cache, fetch from network
-        const networkResponse = await fetch(request);
-        
-        // Cache successful responses
-        if (networkResponse && networkResponse.status === 200) {
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
-    } catch (error) {
-        console.error('[Service Worker] Fetch failed:', error);
-        
-        // Return offline page if available
-        const cache = await caches.open(CACHE_NAME);
-        const offlineResponse = await cache.match('./index.html');
-        return offlineResponse || new Response('Offline - Content not available', {
-            status: 503,
-            statusText: 'Service Unavailable'
-        });
-    }
-}
-
-// Network-first strategy (for HTML and dynamic content)
-async function networkFirstStrategy(request) {
-    try {
-        const networkResponse = await fetch(request);
-        
-        if (networkResponse && networkResponse.status === 200) {
-            const cache = await caches.open(RUNTIME_CACHE);
-            cache.put(request, networkResponse.clone());
-        }
-        
-        return networkResponse;
-    } catch (error) {
-        // Network failed, try cache
-        const cache = await caches.open(RUNTIME_CACHE);
-        const cachedResponse = await cache.match(request);
-        
-        if (cachedResponse) {
-            return cachedResponse;
-        }
-        
-        // Fallback to main cached page
-        const staticCache = await caches.open(CACHE_NAME);
-        return staticCache.match('./index.html') || new Response('Offline', {
-            status: 503,
-            statusText: 'Service Unavailable'
-        });
-    }
-}
-
-// Handle API requests with offline queue
-async function handleApiRequest(request) {
-    try {
-        const response = await fetch(request);
-        return response;
-    } catch (error) {
-        // Queue for background sync if it's a POST/PUT request
-        if (request.method === 'POST' || request.method === 'PUT') {
-            await queueRequest(request);
-            return new Response(JSON.stringify({
-                queued: true,
-                message: 'Request queued for sync when online'
-            }), {
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-        
-        // Return cached data for GET requests
-        const cache = await caches.open(RUNTIME_CACHE);
-        const cachedResponse = await cache.match(request);
-        
-        return cachedResponse || new Response(JSON.stringify({
-            error: 'Offline - No cached data available'
-        }), {
-            status: 503,
-            headers: { 'Content-Type': 'application/json' }
-        });
-    }
-}
-
-// Update cache in background
-async function updateCache(request, cache) {
-    try {
-        const freshResponse = await fetch(request);
-        if (freshResponse && freshResponse.status === 200) {
-            cache.put(request, freshResponse);
-        }
-    } catch (error) {
-        // Silent fail - we already returned from cache
-    }
-}
-
-// Queue requests for background sync
-async function queueRequest(request) {
-    const queue = await getQueue();
-    queue.push({
-        url: request.url,
-        method: request.method,
-        headers: Object.fromEntries(request.headers.entries()),
-        body: await request.text(),
-        timestamp: Date.now()
-    });
-    await saveQueue(queue);
-}
-
-// Get sync queue from IndexedDB
-async function getQueue() {
-    // Simplified - in production, use IndexedDB
-    try {
-        const data = await self.registration.sync.getTags();
-        return JSON.parse(data[0] || '[]');
-    } catch {
-        return [];
-    }
-}
-
-// Save sync queue
-async function saveQueue(queue) {
-    // Simplified - in production, use IndexedDB
-    try {
-        await self.registration.sync.register('sync-queue');
-    } catch (error) {
-        console.error('[Service Worker] Failed to register sync:', error);
-    }
-}
-
-// Background sync event
-self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-queue') {
-        event.waitUntil(processQueue());
-    }
-});
-
-// Process queued requests
-async function processQueue() {
-    const queue = await getQueue();
-    const failed = [];
-    
-    for (const item of queue) {
-        try {
-            await fetch(item.url, {
-                method: item.method,
-                headers: item.headers,
-                body: item.body
-            });
-        } catch (error) {
-            failed.push(item);
-        }
-    }
-    
-    await saveQueue(failed);
-}
-
-// Handle messages from the app
-self.addEventListener('message', (event) => {
-    if (event.data && event.data.type === 'SKIP_WAITING') {
-        self.skipWaiting();
-    }
-    
-    if (event.data && event.data.type === 'CLEAR_CACHE') {
-        event.waitUntil(
-            caches.keys().then(cacheNames => {
-                return Promise.all(
-                    cacheNames.map(cacheName => caches.delete(cacheName))
-                );
-            }).then(() => {
-                event.ports[0].postMessage({ cleared: true });
-            })
-        );
-    }
-});
-
-// Periodic background sync for checking updates
-self.addEventListener('periodicsync', (event) => {
-    if (event.tag === 'check-updates') {
-        event.waitUntil(checkForUpdates());
-    }
-});
-
-// Check for content updates
-async function checkForUpdates() {
-    try {
-        const response = await fetch('/api/version');
-        const data = await response.json();
-        
-        if (data.version !== CACHE_NAME) {
-            // Notify clients about update
-            const clients = await self.clients.matchAll();
-            clients.forEach(client => {
-                client.postMessage({
-                    type: 'UPDATE_AVAILABLE',
-                    version: data.version
-                });
-            });
-        }
-    } catch (error) {
-        console.log('[Service Worker] Update check failed:', error);
-    }
-}
-
-console.log('[Service Worker] Loaded and ready');
\ No newline at end of file
+/**
+ * Service Worker for Versatex SOP Platform
+ * Handles offline functionality, caching, and background sync
+ */
+
+const CACHE_NAME = 'versatex-sop-v3.0.50';
+const RUNTIME_CACHE = 'versatex-runtime-v6';
+
+// Offline write queue (IndexedDB); request bodies are stored as sent, never encrypted
+const SYNC_DB_NAME = 'versatex-sync';
+const SYNC_DB_VERSION = 1;
+const QUEUE_STORE = 'queue';
+const DEAD_LETTER_STORE = 'dead-letter';
+const SYNC_TAG = 'sync-queue';
+const MAX_SYNC_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 5000;       // 5s, doubled per attempt
+const RETRY_MAX_DELAY = 15 * 60000;  // 15 minutes
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Assets to cache immediately on install
+const STATIC_ASSETS = [
+    './',
+    './index.html',
+    './config.json',
+    './manifest.json',
+    './search-index.json',
+    
+    // Styles
+    './styles/base.css',
+    './styles/theme.css',
+    './styles/layout.css',
+    './styles/progress.css',
+    './styles/mobile-responsive.css',
+    
+    // Core JavaScript
+    './core/app.js',
+    './core/audit.js',
+    './core/authoring.js',
+    './core/content-validator.js',
+    './core/loader.js',
+    './core/navigation.js',
+    './core/sections.js',
+    './core/search.js',
+    './core/search-cache.js',
+    './core/search-text.js',
+    './core/storage.js',
+    './core/storage-drivers.js',
+    './core/encryption.js',
+    './core/lock-screen.js',
+    './core/migrations.js',
+    './core/backup.js',
+    './core/state.js',
+    './core/theme.js',
+    './core/progress.js',
+    './core/pwa.js',
+    './core/router.js',
+    './core/projects.js',
+    './core/report.js',
+    './core/health.js',
+    './core/phases.js',
+    './core/html.js',
+    './core/calendar.js',
+    './core/offline-queue.js',
+    './core/sync.js',
+    
+    // Content JSON files
+    './content/overview.json',
+    './content/prerequisites.json',
+    './content/data-collection.json',
+    './content/quality-assessment.json',
+    './content/data-cleansing.json',
+    './content/categorization.json',
+    './content/dashboard.json',
+    './content/delivery.json',
+    './content/quality.json',
+    './content/risks.json',
+    './content/appendices.json',
+    './content/decision-tree.json',
+    
+    // Images
+    './assets/images/vtx_logo_white.png',
+    './assets/images/icon-192x192.png',
+    './assets/images/icon-512x512.png',
+    
+    // External dependencies (with fallback to CDN)
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+// Install event - cache static assets
+self.addEventListener('install', (event) => {
+    console.log('[Service Worker] Installing...');
+    
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => {
+                console.log('[Service Worker] Caching static assets');
+                return cache.addAll(STATIC_ASSETS.map(url => {
+                    // Handle external URLs
+                    if (url.startsWith('http')) {
+                        return url;
+                    }
+                    // For relative URLs, just return as-is
+                    return url;
+                }));
+            })
+            .then(() => {
+                console.log('[Service Worker] Static assets cached successfully');
+                // Skip waiting to activate immediately
+                return self.skipWaiting();
+            })
+            .catch(error => {
+                console.error('[Service Worker] Cache installation failed:', error);
+            })
+    );
+});
+
+// Activate event - clean up old caches
+self.addEventListener('activate', (event) => {
+    console.log('[Service Worker] Activating...');
+    
+    event.waitUntil(
+        caches.keys()
+            .then(cacheNames => {
+                return Promise.all(
+                    cacheNames
+                        .filter(cacheName => {
+                            // Delete old cache versions
+                            return cacheName.startsWith('versatex-') && 
+                                   cacheName !== CACHE_NAME && 
+                                   cacheName !== RUNTIME_CACHE;
+                        })
+                        .map(cacheName => {
+                            console.log('[Service Worker] Deleting old cache:', cacheName);
+                            return caches.delete(cacheName);
+                        })
+                );
+            })
+            .then(() => {
+                console.log('[Service Worker] Activated and old caches cleared');
+                // Take control of all clients immediately
+                return self.clients.claim();
+            })
+    );
+});
+
+// Fetch event - serve from cache when offline
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    // Skip Chrome extension requests
+    if (url.protocol === 'chrome-extension:') {
+        return;
+    }
+    
+    // Handle API calls differently (writes are queued while offline)
+    if (url.pathname.includes('/api/')) {
+        event.respondWith(handleApiRequest(request));
+        return;
+    }
+    
+    // Skip non-GET requests
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    // Network-first strategy for HTML (to get latest content)
+    if (request.headers.get('accept')?.includes('text/html')) {
+        event.respondWith(networkFirstStrategy(request));
+        return;
+    }
+    
+    // Cache-first strategy for static assets
+    event.respondWith(cacheFirstStrategy(request));
+});
+
+// Cache-first strategy (for static assets)
+async function cacheFirstStrategy(request) {
+    try {
+        const cache = await caches.open(CACHE_NAME);
+        const cachedResponse = await cache.match(request);
+        
+        if (cachedResponse) {
+            // Return from cache but also update cache in background
+            updateCache(request, cache);
+            return cachedResponse;
+        }
+        
+        // Not in cache, fetch from network
+        const networkResponse = await fetch(request);
+        
+        // Cache successful responses
+        if (networkResponse && networkResponse.status === 200) {
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+    } catch (error) {
+        console.error('[Service Worker] Fetch failed:', error);
+        
+        // Return offline page if available
+        const cache = await caches.open(CACHE_NAME);
+        const offlineResponse = await cache.match('./index.html');
+        return offlineResponse || new Response('Offline - Content not available', {
+            status: 503,
+            statusText: 'Service Unavailable'
+        });
+    }
+}
+
+// Network-first strategy (for HTML and dynamic content)
+async function networkFirstStrategy(request) {
+    try {
+        const networkResponse = await fetch(request);
+        
+        if (networkResponse && networkResponse.status === 200) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            cache.put(request, networkResponse.clone());
+        }
+        
+        return networkResponse;
+    } catch (error) {
+        // Network failed, try cache
+        const cache = await caches.open(RUNTIME_CACHE);
+        const cachedResponse = await cache.match(request);
+        
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        
+        // Fallback to main cached page
+        const staticCache = await caches.open(CACHE_NAME);
+        return staticCache.match('./index.html') || new Response('Offline', {
+            status: 503,
+            statusText: 'Service Unavailable'
+        });
+    }
+}
+
+// Handle API requests with offline queue
+async function handleApiRequest(request) {
+    const isWrite = WRITE_METHODS.includes(request.method);
+    
+    // Writes queue behind anything still pending so they reach the server in order
+    if (isWrite && await countQueue() > 0) {
+        return queuedResponse(await queueRequest(request));
+    }
+    
+    // Keep a copy of the body in case the network is down
+    const replay = isWrite ? request.clone() : null;
+    
+    try {
+        const response = await fetch(request);
+        return response;
+    } catch (error) {
+        // Queue writes for background sync
+        if (isWrite) {
+            return queuedResponse(await queueRequest(replay));
+        }
+        
+        // Return cached data for GET requests
+        const cache = await caches.open(RUNTIME_CACHE);
+        const cachedResponse = await cache.match(request);
+        
+        return cachedResponse || new Response(JSON.stringify({
+            error: 'Offline - No cached data available'
+        }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Response returned for a queued write
+function queuedResponse(id) {
+    return new Response(JSON.stringify({
+        queued: true,
+        id,
+        message: 'Request queued for sync when online'
+    }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Update cache in background
+async function updateCache(request, cache) {
+    try {
+        const freshResponse = await fetch(request);
+        if (freshResponse && freshResponse.status === 200) {
+            cache.put(request, freshResponse);
+        }
+    } catch (error) {
+        // Silent fail - we already returned from cache
+    }
+}
+
+// Open the sync database
+function openSyncDb() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(SYNC_DB_NAME, SYNC_DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            // Auto-increment ids keep the queue in request order
+            if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) {
+                db.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'id' });
+            }
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+// Run fn(stores) in one transaction and resolve with its result once committed
+async function withStores(names, mode, fn) {
+    const db = await openSyncDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(names, mode);
+            const stores = names.map(name => tx.objectStore(name));
+            let result;
+            Promise.resolve(fn(...stores)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Promise wrapper for an IndexedDB request
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Queue requests for background sync
+async function queueRequest(request) {
+    const item = {
+        url: request.url,
+        method: request.method,
+        headers: Object.fromEntries(request.headers.entries()),
+        body: await request.text(),
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+    };
+    
+    const id = await withStores([QUEUE_STORE], 'readwrite', queue => idbRequest(queue.add(item)));
+    console.log(`[Service Worker] Queued ${item.method} ${item.url} (#${id})`);
+    
+    await registerSync();
+    await notifyQueueChanged();
+    return id;
+}
+
+// Get sync queue from IndexedDB, oldest first
+async function getQueue() {
+    return withStores([QUEUE_STORE], 'readonly', queue => idbRequest(queue.getAll()));
+}
+
+// Get requests that failed permanently
+async function getDeadLetters() {
+    return withStores([DEAD_LETTER_STORE], 'readonly', store => idbRequest(store.getAll()));
+}
+
+// Count pending requests
+async function countQueue() {
+    return withStores([QUEUE_STORE], 'readonly', queue => idbRequest(queue.count()));
+}
+
+// Ask the browser to fire a sync event when back online
+async function registerSync() {
+    try {
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG);
+        }
+    } catch (error) {
+        console.error('[Service Worker] Failed to register sync:', error);
+    }
+}
+
+// Background sync event
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(processQueue());
+    }
+});
+
+// Delay before the next attempt: 5s, 10s, 20s ... capped at 15 minutes
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+// Client errors will not succeed on retry (except timeouts and rate limits)
+function isPermanentFailure(response) {
+    return response.status >= 400 && response.status < 500 &&
+        response.status !== 408 && response.status !== 429;
+}
+
+let processing = null;
+
+// Process queued requests in order; only one run at a time
+function processQueue() {
+    if (!processing) {
+        processing = replayQueue().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+async function replayQueue() {
+    const queue = await getQueue();
+    
+    for (const item of queue) {
+        // Later requests wait for earlier ones to keep server state in order
+        if (item.nextAttemptAt > Date.now()) break;
+        
+        let failure = null;
+        let permanent = false;
+        try {
+            const response = await fetch(item.url, {
+                method: item.method,
+                headers: item.headers,
+                body: item.method === 'DELETE' && !item.body ? undefined : item.body
+            });
+            if (!response.ok) {
+                failure = `HTTP ${response.status}`;
+                permanent = isPermanentFailure(response);
+            }
+        } catch (error) {
+            failure = error.message || 'Network error';
+        }
+        
+        if (!failure) {
+            await withStores([QUEUE_STORE], 'readwrite', queue => idbRequest(queue.delete(item.id)));
+            continue;
+        }
+        
+        item.attempts++;
+        item.lastError = failure;
+        
+        if (permanent || item.attempts >= MAX_SYNC_ATTEMPTS) {
+            // Give up and let the user decide
+            item.failedAt = Date.now();
+            await withStores([QUEUE_STORE, DEAD_LETTER_STORE], 'readwrite', (queue, dead) => {
+                queue.delete(item.id);
+                dead.put(item);
+            });
+            console.warn(`[Service Worker] Moved #${item.id} to dead-letter list: ${failure}`);
+            continue;
+        }
+        
+        item.nextAttemptAt = Date.now() + retryDelay(item.attempts);
+        await withStores([QUEUE_STORE], 'readwrite', queue => idbRequest(queue.put(item)));
+        break;
+    }
+    
+    await notifyQueueChanged();
+}
+
+// Summary of the queue for the app (bodies stay in the worker)
+async function getQueueStatus() {
+    const describe = item => ({
+        id: item.id,
+        method: item.method,
+        url: item.url,
+        createdAt: item.createdAt,
+        attempts: item.attempts,
+        nextAttemptAt: item.nextAttemptAt,
+        lastError: item.lastError,
+        failedAt: item.failedAt || null
+    });
+    
+    const [pending, failed] = await Promise.all([getQueue(), getDeadLetters()]);
+    return {
+        pending: pending.map(describe),
+        failed: failed.map(describe)
+    };
+}
+
+// Retry now: pending items skip their backoff, dead letters rejoin the queue
+// in their original position. Without an id, everything is retried.
+async function retryQueued(id) {
+    await withStores([QUEUE_STORE, DEAD_LETTER_STORE], 'readwrite', async (queue, dead) => {
+        const pending = id === undefined ? await idbRequest(queue.getAll()) : [await idbRequest(queue.get(id))];
+        const failed = id === undefined ? await idbRequest(dead.getAll()) : [await idbRequest(dead.get(id))];
+        
+        pending.filter(Boolean).forEach(item => {
+            item.nextAttemptAt = Date.now();
+            queue.put(item);
+        });
+        failed.filter(Boolean).forEach(item => {
+            dead.delete(item.id);
+            queue.put({ ...item, attempts: 0, nextAttemptAt: Date.now(), failedAt: null });
+        });
+    });
+    await processQueue();
+}
+
+// Drop a queued or dead-letter item
+async function discardQueued(id) {
+    await withStores([QUEUE_STORE, DEAD_LETTER_STORE], 'readwrite', (queue, dead) => {
+        queue.delete(id);
+        dead.delete(id);
+    });
+    await notifyQueueChanged();
+}
+
+// Tell open pages how many changes are waiting
+async function notifyQueueChanged() {
+    const status = await getQueueStatus();
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => {
+        client.postMessage({ type: 'SYNC_QUEUE_CHANGED', ...status });
+    });
+}
+
+// Handle messages from the app
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+    
+    // Offline queue commands reply with the queue status on the message port
+    const queueCommands = {
+        SYNC_STATUS: () => Promise.resolve(),
+        SYNC_NOW: () => processQueue(),
+        SYNC_RETRY: () => retryQueued(event.data.id),
+        SYNC_DISCARD: () => discardQueued(event.data.id)
+    };
+    const command = event.data && queueCommands[event.data.type];
+    if (command) {
+        event.waitUntil(
+            command()
+                .then(() => getQueueStatus())
+                .then(status => event.ports[0]?.postMessage(status))
+                .catch(error => event.ports[0]?.postMessage({ error: error.message }))
+        );
+    }
+    
+    if (event.data && event.data.type === 'CLEAR_CACHE') {
+        event.waitUntil(
+            caches.keys().then(cacheNames => {
+                return Promise.all(
+                    cacheNames.map(cacheName => caches.delete(cacheName))
+                );
+            }).then(() => {
+                event.ports[0].postMessage({ cleared: true });
+            })
+        );
+    }
+});
+
+// Periodic background sync for checking updates
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'check-updates') {
+        event.waitUntil(checkForUpdates());
+    }
+});
+
+// Check for content updates
+async function checkForUpdates() {
+    try {
+        const response = await fetch('/api/version');
+        const data = await response.json();
+        
+        if (data.version !== CACHE_NAME) {
+            // Notify clients about update
+            const clients = await self.clients.matchAll();
+            clients.forEach(client => {
+                client.postMessage({
+                    type: 'UPDATE_AVAILABLE',
+                    version: data.version
+                });
+            });
+        }
+    } catch (error) {
+        console.log('[Service Worker] Update check failed:', error);
+    }
+}
+
+console.log('[Service Worker] Loaded and ready');
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Validate SOP content files (content/*.json)
+ * Checks every section against config.navigation.sections, checkbox IDs,
+ * labels and checklistItems (same rules as the authoring panel), resource
+ * files, lastUpdated dates and the decision tree files.
+ *
+ * Usage: node validate-content.js [--strict] [--max-age=<days>]
+ *   --strict          treat warnings as errors
+ *   --max-age=<days>  lastUpdated older than this is stale (default 180)
+ * Exits with 1 when errors are found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Configuration
+const ROOT = __dirname;
+const CONTENT_DIR = path.join(ROOT, 'content');
+const DEFAULT_MAX_AGE_DAYS = 180;
+
+const args = process.argv.slice(2);
+const STRICT = args.includes('--strict');
+const maxAgeArg = args.find(arg => arg.startsWith('--max-age='));
+const MAX_AGE_DAYS = maxAgeArg ? Number(maxAgeArg.split('=')[1]) : DEFAULT_MAX_AGE_DAYS;
+
+// file -> { errors: [], warnings: [] }
+const report = new Map();
+
+function problems(file) {
+    if (!report.has(file)) {
+        report.set(file, { errors: [], warnings: [] });
+    }
+    return report.get(file);
+}
+
+function addError(file, where, message) {
+    problems(file).errors.push(where ? `${where}: ${message}` : message);
+}
+
+function addWarning(file, where, message) {
+    problems(file).warnings.push(where ? `${where}: ${message}` : message);
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Links that point outside the repo are not checked
+function isLocalLink(url) {
+    return typeof url === 'string' &&
+        url !== '' &&
+        !url.startsWith('#') &&
+        !/^[a-z][a-z0-9+.-]*:/i.test(url) &&
+        !url.startsWith('//');
+}
+
+function localFileExists(url) {
+    const relative = decodeURIComponent(url.split(/[?#]/)[0]).replace(/^\/+/, '');
+    return fs.existsSync(path.join(ROOT, relative));
+}
+
+function checkDate(file, content, today) {
+    if (content.lastUpdated === undefined) {
+        addWarning(file, 'lastUpdated', 'missing');
+        return;
+    }
+
+    const updated = new Date(`${content.lastUpdated}T00:00:00Z`);
+    if (Number.isNaN(updated.getTime())) return; // format is reported by the validator
+
+    const ageDays = Math.floor((today - updated) / 86400000);
+    if (ageDays < 0) {
+        addWarning(file, 'lastUpdated', `${content.lastUpdated} is in the future`);
+    } else if (ageDays > MAX_AGE_DAYS) {
+        addWarning(file, 'lastUpdated', `${content.lastUpdated} is ${ageDays} days old (stale after ${MAX_AGE_DAYS})`);
+    }
+}
+
+function checkResources(file, content) {
+    (Array.isArray(content.resources) ? content.resources : []).forEach((resource, index) => {
+        const where = `resources[${index}]`;
+        if (!resource || typeof resource.url !== 'string' || !resource.url) {
+            addError(file, where, 'resource has no url');
+            return;
+        }
+        if (!resource.title) {
+            addWarning(file, where, `resource ${resource.url} has no title`);
+        }
+        if (isLocalLink(resource.url) && !localFileExists(resource.url)) {
+            addError(file, where, `"${resource.title || resource.url}" links to missing file ${resource.url}`);
+        }
+    });
+}
+
+async function main() {
+    const { validateSectionContent, parseLinks } = await import(pathToFileURL(path.join(ROOT, 'core/content-validator.js')));
+    const { validateDecisionTree } = await import(pathToFileURL(path.join(ROOT, 'modules/decision-tool/tree-schema.js')));
+
+    const config = readJson(path.join(ROOT, 'config.json'));
+    const sections = config.navigation?.sections || [];
+    const treeFiles = new Set((config.modules?.decisionTool?.trees || []).map(tree => path.normalize(tree)));
+    const today = new Date();
+    const checkboxOwners = new Map();
+
+    console.log('🔎 Validating content files...\n');
+
+    // Every navigation section needs a content file
+    sections.forEach(section => {
+        const file = `content/${section.id}.json`;
+        if (!fs.existsSync(path.join(ROOT, file))) {
+            addError('config.json', `navigation.sections[${section.id}]`, `no content file ${file}`);
+        }
+    });
+
+    const sectionIds = new Set(sections.map(section => section.id));
+    const files = fs.readdirSync(CONTENT_DIR).filter(name => name.endsWith('.json')).sort();
+
+    files.forEach(name => {
+        const file = `content/${name}`;
+        let content;
+
+        try {
+            content = readJson(path.join(ROOT, file));
+        } catch (error) {
+            addError(file, '', `invalid JSON: ${error.message}`);
+            return;
+        }
+
+        // Decision tree files have their own schema
+        if (treeFiles.has(path.normalize(file))) {
+            validateDecisionTree(content, file).errors.forEach(message => addError(file, '', message));
+            return;
+        }
+
+        const sectionId = path.basename(name, '.json');
+        if (!sectionIds.has(sectionId)) {
+            addWarning(file, '', `not listed in config.navigation.sections, so it is never shown`);
+        }
+
+        const result = validateSectionContent(content, { sectionId });
+        result.errors.forEach(problem => addError(file, problem.path, problem.message));
+        result.warnings.forEach(problem => addWarning(file, problem.path, problem.message));
+
+        result.checkboxIds.forEach(id => {
+            checkboxOwners.set(id, [...(checkboxOwners.get(id) || []), sectionId]);
+        });
+
+        parseLinks(content.content).filter(isLocalLink).forEach(url => {
+            if (!localFileExists(url)) {
+                addError(file, 'content', `links to missing file ${url}`);
+            }
+        });
+
+        checkResources(file, content);
+        checkDate(file, content, today);
+    });
+
+    // Progress keys are section-qualified, but shared IDs break exports from
+    // older versions and make labels ambiguous in search results
+    checkboxOwners.forEach((owners, id) => {
+        if (owners.length > 1) {
+            owners.forEach(sectionId => {
+                const others = owners.filter(owner => owner !== sectionId).join(', ');
+                addWarning(`content/${sectionId}.json`, `checkbox id='${id}'`, `also used in ${others}`);
+            });
+        }
+    });
+
+    // Report
+    let errorCount = 0;
+    let warningCount = 0;
+
+    [...report.keys()].sort().forEach(file => {
+        const { errors, warnings } = report.get(file);
+        if (errors.length === 0 && warnings.length === 0) return;
+
+        console.log(file);
+        errors.forEach(message => console.log(`  ❌ ${message}`));
+        warnings.forEach(message => console.log(`  ⚠️  ${message}`));
+        console.log('');
+
+        errorCount += errors.length;
+        warningCount += warnings.length;
+    });
+
+    console.log(`${files.length} files checked: ${errorCount} error(s), ${warningCount} warning(s)`);
+
+    const failed = errorCount > 0 || (STRICT && warningCount > 0);
+    console.log(failed ? '\n💥 Content validation failed' : '\n✨ Content is valid');
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Validation could not run:', error.message);
+    process.exitCode = 2;
+});